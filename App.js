@@ -1,15 +1,30 @@
-import React, { useState, useEffect, useRef, useCallback } from 'react';
+import React, { useState, useEffect, useRef, useCallback, useMemo } from 'react';
 import {
-  getAdminConfig, upsertAdminConfig, updateAdminPassword,
+  isAdminInitialized, setupAdmin, login, restoreLogin, logout, changeAdminPassword,
+  issueStudentActivationCode, activateStudentPortal, getMyAttendance,
+  getAttendancePolicies, saveAttendancePolicy, deleteAttendancePolicy, getCoursePolicies,
+  getNotificationSettings, updateNotificationSettings, getNotificationTemplates, saveNotificationTemplate, getNotifications, retryNotification,
   getLecturers, createLecturer, updateLecturerPasswords, deleteLecturer,
-  getCourses, createCourse, deleteCourse,
-  getStudentsForCourse, getAllStudents, upsertStudentAndEnrol, upsertManyStudents, removeStudentFromCourse,
-  getSessions, getSession, createSession, closeSession, getAllSessions,
-  recordScan, getScansForSession,
+  getCourses, createCourse, updateCourse, deleteCourse, setCourseArchived, rolloverCourse,
+  getCourseStaff, addCourseStaff, updateCourseStaff, removeCourseStaff,
+  getCourseGroups, createCourseGroup, renameCourseGroup, deleteCourseGroup, setStudentGroup,
+  getTimetable, addTimetableSlot, deleteTimetableSlot, generatePlannedSessions, getPlannedSessions, setPlannedSessionStatus, linkPlannedSession,
+  getStudentsForCourse, getAllStudents, getAllEnrolments, upsertStudentAndEnrol, upsertManyStudents, removeStudentFromCourse,
+  getSessions, getSession, getCheckinSession, createSession, getActiveSessions, closeSession, extendSession, setOfflineCheckins, closeExpiredSessions, getAllSessions,
+  issueCheckinToken, checkCheckinToken, recordScan, recordKioskScan, reviewScan, getScansForSession,
+  acceptPendingScan, rejectPendingScan, subscribeToPendingScans,
+  setAttendanceOverride, clearAttendanceOverride,
+  editSession, voidSession, mergeSessions, deleteSession, getAuditLog,
   subscribeToScans, subscribeToSession,
 } from './supabase';
-import { genId, gen5Passwords, pct, attendanceStatus, getScanStatus, studentCourseStats, copyText } from './helpers';
-import { parseStudentExcel, exportAttendanceExcel, downloadStudentTemplate } from './excel';
+import { genId, gen5Passwords, pct, DEFAULT_POLICY, mergePolicy, describePolicy, attendanceStatus, studentCourseStats, attendancePct, attendanceMark, ATTENDANCE_MARKS, copyText, getLocation, formatDistance, isStaleSession, similarStudentNumbers, FACULTY, INSTITUTION, WEEKDAYS, localDate, escapeHtml, COURSE_ROLES, canCourse, sessionAppliesTo, sessionsForGroup } from './helpers';
+import { exportAttendanceExcel, exportAttendanceWorkbook, exportAuditLogExcel, downloadStudentTemplate, readRosterFile, ROSTER_FIELDS, guessHeaderRow, guessRosterMapping, rosterRows, validateRoster, downloadImportReport } from './excel';
+import { printAttendanceRegister, printSignInSheet } from './print';
+import { startNotificationDispatch, dispatchNotifications, transportNames } from './notify';
+import { buildAnalytics, studentProfile } from './analytics';
+import { detectProxyScans, proxyFlags, unreviewedCount, PROXY_KINDS } from './proxy';
+import { encodeQR } from './qrcode';
+import { isNetworkError, rememberCheckinSession, cachedCheckinSession, queueScan, getQueuedScans, onQueueChange, dismissQueuedScan, syncQueuedScans, startScanSync } from './offline';
 
 // ─── Design tokens ────────────────────────────────────────────────────────────
 const C = {
@@ -19,8 +34,6 @@ const C = {
   yellow: '#FFB800', yellowDim: '#FFB8001A', blue: '#38BDF8', purple: '#A78BFA',
   text: '#E2E8F0', muted: '#64748B', mutedLight: '#94A3B8',
 };
-const FACULTY = 'Faculty of Management Sciences';
-const INSTITUTION = 'Polokwane';
 
 // ─── UI primitives ────────────────────────────────────────────────────────────
 const Badge = ({ color = C.accent, children, small }) => (
@@ -62,9 +75,9 @@ const Btn = ({ children, variant = 'primary', size = 'md', onClick, style = {},
     </button>
   );
 };
-const MiniBar = ({ value }) => {
+const MiniBar = ({ value, policy = DEFAULT_POLICY }) => {
   const p = Math.min(100, Math.max(0, value));
-  const c = p >= 80 ? C.green : p >= 60 ? C.yellow : C.red;
+  const c = p >= policy.good_standing_pct ? C.green : p >= policy.critical_below_pct ? C.yellow : C.red;
   return <div style={{ background: C.border, borderRadius: 6, height: 7, width: '100%', overflow: 'hidden' }}><div style={{ width: `${p}%`, height: '100%', background: c, borderRadius: 6, transition: 'width 0.5s ease' }} /></div>;
 };
 const StatCard = ({ label, value, color = C.accent, sub }) => (
@@ -82,20 +95,15 @@ const Spinner = ({ text = 'Loading…' }) => (
     <style>{`@keyframes spin{from{transform:rotate(0)}to{transform:rotate(360deg)}}`}</style>
   </div>
 );
-const QRCodeSVG = ({ data, size = 200 }) => {
-  const N = 21, seed = data.split('').reduce((a, c, i) => a + c.charCodeAt(0) * (i + 1) * 31, 0), cs = size / N;
-  const cells = [];
-  for (let r = 0; r < N; r++) for (let col = 0; col < N; col++) {
-    const inCorner = (r < 7 && col < 7) || (r < 7 && col >= N - 7) || (r >= N - 7 && col < 7);
-    if (inCorner || (seed + r * 1000 + col * 37 + r * col * 13) % 100 > 42) cells.push([r, col]);
-  }
+const QRCodeSVG = ({ data, size = 200, ecc = 'M' }) => {
+  const qr = useMemo(() => encodeQR(data, { ecc }), [data, ecc]);
+  const quiet = 4, N = qr.size + quiet * 2;
+  let path = '';
+  qr.modules.forEach((row, r) => row.forEach((dark, c) => { if (dark) path += `M${c + quiet} ${r + quiet}h1v1h-1z`; }));
   return (
-    <svg width={size} height={size} viewBox={`0 0 ${size} ${size}`}>
-      <rect width={size} height={size} fill="white" rx={10} />
-      {cells.map(([r, c]) => <rect key={`${r}-${c}`} x={c * cs + 1} y={r * cs + 1} width={cs - 2} height={cs - 2} fill="#06080F" rx={2} />)}
-      {[[0, 0], [0, N - 7], [N - 7, 0]].map(([cr, cc], i) => (
-        <g key={i}><rect x={cc * cs} y={cr * cs} width={7 * cs} height={7 * cs} fill="none" stroke="#06080F" strokeWidth={2.5} rx={3} /><rect x={(cc + 2) * cs} y={(cr + 2) * cs} width={3 * cs} height={3 * cs} fill="#06080F" rx={2} /></g>
-      ))}
+    <svg width={size} height={size} viewBox={`0 0 ${N} ${N}`} shapeRendering="crispEdges">
+      <rect width={N} height={N} fill="white" />
+      <path d={path} fill="#06080F" />
     </svg>
   );
 };
@@ -127,7 +135,7 @@ function FirstRunSetup({ onComplete }) {
     setErrors(e); if (Object.keys(e).length) return;
     setLoading(true);
     try {
-      await upsertAdminConfig({ username: form.username.trim(), password: form.password });
+      await setupAdmin({ username: form.username.trim(), password: form.password });
       setDone(true); setTimeout(onComplete, 1500);
     } catch (err) { setErrors({ submit: 'Failed to save. Check your Supabase connection.' }); }
     setLoading(false);
@@ -166,9 +174,10 @@ function FirstRunSetup({ onComplete }) {
 // ═══════════════════════════════════════════════════════════════════════════════
 // LOGIN
 // ═══════════════════════════════════════════════════════════════════════════════
-function LoginScreen({ adminConfig, onLogin }) {
+function LoginScreen({ onLogin }) {
   const [tab, setTab] = useState('admin');
-  const [form, setForm] = useState({ id: '', password: '' });
+  const [form, setForm] = useState({ id: '', password: '', code: '', confirm: '' });
+  const [activating, setActivating] = useState(false); // student redeeming an activation code
   const [err, setErr] = useState('');
   const [loading, setLoading] = useState(false);
 
@@ -176,16 +185,23 @@ function LoginScreen({ adminConfig, onLogin }) {
     setErr(''); setLoading(true);
     try {
       if (tab === 'admin') {
-        if (form.id === adminConfig.username && form.password === adminConfig.password) {
-          onLogin({ role: 'admin' });
-        } else setErr('Incorrect username or password.');
+        const auth = await login('admin', form.id, form.password);
+        if (auth) onLogin({ role: 'admin' });
+        else setErr('Incorrect username or password.');
       } else if (tab === 'lecturer') {
-        const lecturers = await getLecturers();
-        const lec = lecturers.find(l => l.email.toLowerCase() === form.id.toLowerCase() && (l.passwords || []).includes(form.password));
-        if (lec) onLogin({ role: 'lecturer', lecturer: lec });
+        const auth = await login('lecturer', form.id.trim(), form.password);
+        if (auth) onLogin({ role: 'lecturer', lecturer: auth.lecturer });
         else setErr('Incorrect email or password. Contact admin if all passwords are lost.');
+      } else if (activating) {
+        if (form.password.length < 8) { setErr('Choose a password of at least 8 characters.'); setLoading(false); return; }
+        if (form.password !== form.confirm) { setErr('Passwords do not match.'); setLoading(false); return; }
+        const auth = await activateStudentPortal(form.id.trim(), form.code, form.password);
+        if (auth) onLogin({ role: 'student', student: auth.student });
+        else setErr('Student number or activation code is wrong, or the code has expired. Ask your lecturer for a new one.');
       } else {
-        onLogin({ role: 'student' });
+        const auth = await login('student', form.id.trim(), form.password);
+        if (auth) onLogin({ role: 'student', student: auth.student });
+        else setErr('Incorrect student number or password. Forgot it? Ask the faculty administrator for a new activation code.');
       }
     } catch { setErr('Connection error. Check your internet and try again.'); }
     setLoading(false);
@@ -202,7 +218,7 @@ function LoginScreen({ adminConfig, onLogin }) {
         <Card>
           <div style={{ display: 'flex', background: C.surface, borderRadius: 10, padding: 4, marginBottom: 24, gap: 3 }}>
             {[['admin', '🔐 Admin'], ['lecturer', '🧑‍🏫 Lecturer'], ['student', '👤 Student']].map(([t, l]) => (
-              <Pill key={t} active={tab === t} onClick={() => { setTab(t); setErr(''); setForm({ id: '', password: '' }); }}>{l}</Pill>
+              <Pill key={t} active={tab === t} onClick={() => { setTab(t); setErr(''); setActivating(false); setForm({ id: '', password: '', code: '', confirm: '' }); }}>{l}</Pill>
             ))}
           </div>
           {tab !== 'student' ? (
@@ -211,15 +227,27 @@ function LoginScreen({ adminConfig, onLogin }) {
               <Inp label="Password" type="password" value={form.password} onChange={e => setForm(p => ({ ...p, password: e.target.value }))} onKeyDown={e => e.key === 'Enter' && handle()} />
             </>
           ) : (
-            <div style={{ padding: '16px 0', textAlign: 'center', color: C.muted, fontSize: 14, lineHeight: 1.6 }}>
-              Students check in via the <strong style={{ color: C.text }}>QR code</strong> shown in class. Tap below to open check-in.
-            </div>
+            <>
+              <div style={{ color: C.muted, fontSize: 13, lineHeight: 1.6, marginBottom: 16 }}>
+                See your attendance in every course. To <strong style={{ color: C.text }}>check in</strong>, scan the QR code shown in class instead.
+              </div>
+              <Inp label="Student Number" value={form.id} onChange={e => setForm(p => ({ ...p, id: e.target.value }))} placeholder="e.g. 20210001" />
+              {activating && <Inp label="Activation Code" value={form.code} onChange={e => setForm(p => ({ ...p, code: e.target.value }))} placeholder="From your lecturer, e.g. 3FA9C01B7E" />}
+              <Inp label={activating ? 'Choose a Password' : 'Password'} type="password" value={form.password} onChange={e => setForm(p => ({ ...p, password: e.target.value }))} onKeyDown={e => e.key === 'Enter' && !activating && handle()} />
+              {activating && <Inp label="Confirm Password" type="password" value={form.confirm} onChange={e => setForm(p => ({ ...p, confirm: e.target.value }))} onKeyDown={e => e.key === 'Enter' && handle()} />}
+            </>
           )}
           {err && <Alert type="danger">{err}</Alert>}
           <Btn onClick={handle} size="lg" style={{ width: '100%' }} loading={loading}>
-            {tab === 'student' ? 'Open Student Check-In →' : 'Sign In →'}
+            {tab === 'student' && activating ? 'Activate & Sign In →' : 'Sign In →'}
           </Btn>
-          {tab === 'lecturer' && <div style={{ marginTop: 14, fontSize: 12, color: C.muted, textAlign: 'center' }}>Forgot password? Contact the admin — they can view your 5 passwords.</div>}
+          {tab === 'lecturer' && <div style={{ marginTop: 14, fontSize: 12, color: C.muted, textAlign: 'center' }}>Forgot password? Contact the admin — they can issue you 5 new passwords.</div>}
+          {tab === 'student' && (
+            <div style={{ marginTop: 14, fontSize: 12, color: C.muted, textAlign: 'center' }}>
+              {activating ? 'Already activated? ' : 'First time, or forgot your password? '}
+              <button onClick={() => { setActivating(!activating); setErr(''); }} style={{ background: 'none', border: 'none', color: C.accent, cursor: 'pointer', fontSize: 12, fontWeight: 700, padding: 0 }}>{activating ? 'Sign in' : 'Use an activation code from your lecturer'}</button>
+            </div>
+          )}
         </Card>
       </div>
     </div>
@@ -229,16 +257,18 @@ function LoginScreen({ adminConfig, onLogin }) {
 // ═══════════════════════════════════════════════════════════════════════════════
 // ADMIN DASHBOARD
 // ═══════════════════════════════════════════════════════════════════════════════
-function AdminDashboard({ adminConfig, onLogout }) {
+function AdminDashboard({ onLogout }) {
   const [tab, setTab] = useState('lecturers');
   const [msg, setMsg] = useState(null);
-  const flash = (text, type = 'success') => { setMsg({ text, type }); setTimeout(() => setMsg(null), 4000); };
+  const flash = useCallback((text, type = 'success') => { setMsg({ text, type }); setTimeout(() => setMsg(null), 4000); }, []);
+
+  useEffect(() => startNotificationDispatch(), []);
 
   return (
     <Shell role="Main Admin" onLogout={onLogout}>
       {msg && <Alert type={msg.type}>{msg.text}</Alert>}
       <div style={{ display: 'flex', gap: 4, marginBottom: 28, background: C.surface, padding: 4, borderRadius: 10, width: 'fit-content' }}>
-        {['lecturers', 'courses', 'students', 'sessions', 'settings'].map(t => (
+        {['lecturers', 'courses', 'students', 'sessions', 'analytics', 'policies', 'notifications', 'audit', 'settings'].map(t => (
           <Pill key={t} active={tab === t} onClick={() => setTab(t)}>{t.charAt(0).toUpperCase() + t.slice(1)}</Pill>
         ))}
       </div>
@@ -246,7 +276,11 @@ function AdminDashboard({ adminConfig, onLogout }) {
       {tab === 'courses'   && <AdminCourses flash={flash} />}
       {tab === 'students'  && <AdminStudents />}
       {tab === 'sessions'  && <AdminSessions />}
-      {tab === 'settings'  && <AdminSettings adminConfig={adminConfig} flash={flash} />}
+      {tab === 'analytics' && <AdminAnalytics />}
+      {tab === 'policies'  && <AdminPolicies flash={flash} />}
+      {tab === 'notifications' && <AdminNotifications flash={flash} />}
+      {tab === 'audit'     && <AdminAudit />}
+      {tab === 'settings'  && <AdminSettings flash={flash} />}
     </Shell>
   );
 }
@@ -293,9 +327,9 @@ function AdminLecturers({ flash }) {
     setSaving(false);
   };
 
-  const regenerate = async (lecId) => {
+  const regenerate = async (lec) => {
     const passwords = gen5Passwords();
-    try { await updateLecturerPasswords(lecId, passwords); await load(); flash('5 new passwords generated'); } catch { flash('Failed to regenerate', 'danger'); }
+    try { await updateLecturerPasswords(lec.id, passwords); setNewLec({ ...lec, passwords, regenerated: true }); flash('5 new passwords generated'); } catch { flash('Failed to regenerate', 'danger'); }
     setRegenTarget(null);
   };
 
@@ -317,7 +351,7 @@ function AdminLecturers({ flash }) {
       {newLec && (
         <Card style={{ marginBottom: 24, borderColor: C.green + '66', background: C.greenDim }}>
           <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: 14 }}>
-            <div><div style={{ color: C.green, fontWeight: 800, marginBottom: 4 }}>✅ Lecturer registered!</div><div style={{ fontWeight: 700 }}>{newLec.name} — {newLec.email}</div></div>
+            <div><div style={{ color: C.green, fontWeight: 800, marginBottom: 4 }}>{newLec.regenerated ? '🔄 New passwords issued' : '✅ Lecturer registered!'}</div><div style={{ fontWeight: 700 }}>{newLec.name} — {newLec.email}</div></div>
             <button onClick={() => setNewLec(null)} style={{ background: 'none', border: 'none', color: C.muted, cursor: 'pointer', fontSize: 20 }}>×</button>
           </div>
           <div style={{ fontWeight: 700, marginBottom: 10 }}>🔑 5 Generated Passwords — share with lecturer:</div>
@@ -329,7 +363,7 @@ function AdminLecturers({ flash }) {
               </div>
             ))}
           </div>
-          <Alert type="warning">Save or print these now. The lecturer can use any one of these 5 passwords to log in from any device.</Alert>
+          <Alert type="warning">Save or print these now — they are stored encrypted and cannot be shown again. The lecturer can use any one of these 5 passwords to log in from any device.</Alert>
           <div style={{ display: 'flex', gap: 10 }}>
             <Btn size="sm" variant="success" onClick={() => { copyText(`Attendance Register\nEmail: ${newLec.email}\nPasswords:\n${newLec.passwords.map((p, i) => `  ${i + 1}. ${p}`).join('\n')}\nLogin: ${window.location.origin}`); flash('Copied!'); }}>📋 Copy Credentials</Btn>
             <Btn size="sm" variant="ghost" onClick={() => printCreds(newLec)}>🖨 Print / PDF</Btn>
@@ -369,25 +403,15 @@ function AdminLecturers({ flash }) {
                 </div>
                 {isExp && (
                   <div style={{ padding: '0 20px 20px', borderTop: `1px solid ${C.border}` }}>
-                    <div style={{ paddingTop: 16, fontWeight: 700, fontSize: 13, marginBottom: 10 }}>🔑 Passwords (any one works — click to copy):</div>
-                    <div style={{ display: 'grid', gridTemplateColumns: 'repeat(5,1fr)', gap: 8, marginBottom: 14 }}>
-                      {(lec.passwords || []).map((pw, i) => (
-                        <div key={i} onClick={() => { copyText(pw); flash('Password copied!'); }} style={{ background: C.surface, border: `1px solid ${C.border}`, borderRadius: 8, padding: 10, textAlign: 'center', cursor: 'pointer' }} onMouseEnter={e => e.currentTarget.style.borderColor = C.accent} onMouseLeave={e => e.currentTarget.style.borderColor = C.border}>
-                          <div style={{ fontSize: 10, color: C.muted, fontWeight: 700, marginBottom: 4 }}>PW {i + 1}</div>
-                          <div style={{ fontFamily: "'JetBrains Mono',monospace", fontSize: 12, fontWeight: 700, letterSpacing: 1 }}>{pw}</div>
-                        </div>
-                      ))}
-                    </div>
+                    <div style={{ paddingTop: 16, color: C.muted, fontSize: 13, marginBottom: 14 }}>🔑 Passwords are stored encrypted and cannot be viewed. If the lecturer has lost them, regenerate to issue 5 new ones.</div>
                     {regenTarget === lec.id && (
                       <div style={{ padding: 12, background: C.redDim, borderRadius: 9, border: `1px solid ${C.red}44`, marginBottom: 14 }}>
                         <div style={{ fontWeight: 700, color: C.red, marginBottom: 8 }}>Regenerate all 5 passwords?</div>
-                        <div style={{ color: C.muted, fontSize: 13, marginBottom: 12 }}>Old passwords stop working immediately.</div>
-                        <div style={{ display: 'flex', gap: 10 }}><Btn variant="danger" size="sm" onClick={() => regenerate(lec.id)}>Yes, Regenerate</Btn><Btn variant="ghost" size="sm" onClick={() => setRegenTarget(null)}>Cancel</Btn></div>
+                        <div style={{ color: C.muted, fontSize: 13, marginBottom: 12 }}>Old passwords stop working immediately and the lecturer is signed out on every device.</div>
+                        <div style={{ display: 'flex', gap: 10 }}><Btn variant="danger" size="sm" onClick={() => regenerate(lec)}>Yes, Regenerate</Btn><Btn variant="ghost" size="sm" onClick={() => setRegenTarget(null)}>Cancel</Btn></div>
                       </div>
                     )}
                     <div style={{ display: 'flex', gap: 10, flexWrap: 'wrap' }}>
-                      <Btn size="sm" variant="ghost" onClick={() => { copyText(`Email: ${lec.email}\nPasswords:\n${(lec.passwords || []).map((p, i) => `  ${i + 1}. ${p}`).join('\n')}\nLogin: ${window.location.origin}`); flash('Copied!'); }}>📋 Copy Credentials</Btn>
-                      <Btn size="sm" variant="ghost" onClick={() => printCreds(lec)}>🖨 Print</Btn>
                       <Btn size="sm" variant="warning" onClick={() => setRegenTarget(lec.id)}>🔄 Regenerate Passwords</Btn>
                       <Btn size="sm" variant="danger" onClick={() => remove(lec.id)}>🗑 Remove</Btn>
                     </div>
@@ -425,13 +449,13 @@ function AdminCourses() {
       <div style={{ fontWeight: 800, fontSize: 17, marginBottom: 20 }}>All Courses ({courses.length})</div>
       {courses.length === 0 ? <Card style={{ textAlign: 'center', padding: 40, color: C.muted }}>No courses yet — lecturers create courses from their portal.</Card> : (
         <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 14 }}>
-          {courses.map(c => {
+          {[...courses].sort((a, b) => !!a.archived_at - !!b.archived_at).map(c => {
             const lec = lecturers.find(l => l.id === c.lecturer_id);
             const sesCount = sessions.filter(s => s.course_id === c.id).length;
             return (
               <Card key={c.id}>
                 <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: 10 }}>
-                  <div><Badge color={C.accent} small>{c.code}</Badge><div style={{ fontWeight: 700, fontSize: 15, marginTop: 6 }}>{c.name}</div><div style={{ color: C.muted, fontSize: 12, marginTop: 2 }}>{lec?.name} · {c.department} · Yr {c.year} Sem {c.semester}</div></div>
+                  <div><Badge color={C.accent} small>{c.code}</Badge> {c.archived_at && <Badge color={C.muted} small>Archived</Badge>}<div style={{ fontWeight: 700, fontSize: 15, marginTop: 6 }}>{c.name}</div><div style={{ color: C.muted, fontSize: 12, marginTop: 2 }}>{lec?.name} · {c.department} · Yr {c.year} Sem {c.semester}</div></div>
                 </div>
                 <div style={{ display: 'flex', gap: 16, fontSize: 12, color: C.muted }}><span>{sesCount} sessions done</span><span>of {c.total_planned_classes} planned</span></div>
               </Card>
@@ -446,16 +470,24 @@ function AdminCourses() {
 function AdminStudents() {
   const [students, setStudents] = useState([]);
   const [loading, setLoading] = useState(true);
+  const [search, setSearch] = useState('');
+  const [profileOf, setProfileOf] = useState(null); // student row being viewed
   useEffect(() => { getAllStudents().then(setStudents).catch(() => {}).finally(() => setLoading(false)); }, []);
   if (loading) return <Spinner />;
+  if (profileOf) return <StudentProfile student={profileOf} onBack={() => setProfileOf(null)} />;
+  const q = search.trim().toLowerCase();
+  const shown = q ? students.filter(st => st.student_no.includes(q) || st.surname_initials.toLowerCase().includes(q)) : students;
   return (
     <Card style={{ padding: 0, overflow: 'hidden' }}>
-      <div style={{ padding: '14px 18px', borderBottom: `1px solid ${C.border}`, fontWeight: 700 }}>All Students ({students.length})</div>
-      {students.length === 0 ? <div style={{ padding: 32, textAlign: 'center', color: C.muted }}>No students yet</div> : (
+      <div style={{ padding: '14px 18px', borderBottom: `1px solid ${C.border}`, display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: 16 }}>
+        <span style={{ fontWeight: 700 }}>All Students ({students.length})</span>
+        <input value={search} onChange={e => setSearch(e.target.value)} placeholder="Search number or name…" style={{ ...inputStyle(), width: 240, padding: '7px 12px', fontSize: 13 }} />
+      </div>
+      {shown.length === 0 ? <div style={{ padding: 32, textAlign: 'center', color: C.muted }}>{students.length ? 'No students match' : 'No students yet'}</div> : (
         <table style={{ width: '100%', borderCollapse: 'collapse' }}>
           <thead><tr style={{ background: C.surface }}>{['Student No', 'Surname & Initials', 'Enrolled In'].map(h => <th key={h} style={{ padding: '10px 14px', textAlign: 'left', fontSize: 11, fontWeight: 700, color: C.muted, textTransform: 'uppercase', borderBottom: `1px solid ${C.border}` }}>{h}</th>)}</tr></thead>
-          <tbody>{students.map((st, i) => (
-            <tr key={st.id} style={{ borderBottom: `1px solid ${C.border}22`, background: i % 2 ? C.surface + '40' : 'transparent' }}>
+          <tbody>{shown.map((st, i) => (
+            <tr key={st.id} onClick={() => setProfileOf(st)} title="Open attendance profile" style={{ borderBottom: `1px solid ${C.border}22`, background: i % 2 ? C.surface + '40' : 'transparent', cursor: 'pointer' }}>
               <td style={{ padding: '9px 14px', fontFamily: 'monospace', fontSize: 12, color: C.muted }}>{st.student_no}</td>
               <td style={{ padding: '9px 14px', fontWeight: 600 }}>{st.surname_initials}</td>
               <td style={{ padding: '9px 14px' }}>{(st.enrolments || []).map(e => <Badge key={e.course_id} color={C.accent} small>{e.course_id}</Badge>)}</td>
@@ -467,6 +499,138 @@ function AdminStudents() {
   );
 }
 
+// Opens a print window with a letter to the student's academic advisor
+function printAdvisorLetter(student, profile) {
+  const today = new Date().toLocaleDateString('en-ZA', { day: 'numeric', month: 'long', year: 'numeric' });
+  const concerns = profile.courses.filter(c => c.standing && c.standing.label !== 'Good Standing');
+  const rows = profile.courses.map(c => `<tr><td>${escapeHtml(c.course.code)}</td><td>${escapeHtml(c.course.name)}</td><td>${escapeHtml(c.lecturer?.name || '')}</td><td>${c.sessions}</td><td>${c.counted ? c.pct + '%' : '—'}</td><td>${c.policy.good_standing_pct}%</td><td>${c.standing ? c.standing.label : 'No classes yet'}</td><td>${c.streaks.current || ''}</td></tr>`).join('');
+  const patterns = [
+    profile.lates ? `arrived late ${profile.lates} time${profile.lates === 1 ? '' : 's'}, on average ${profile.avgMinutesLate} minutes after the start` : '',
+    ...profile.courses.filter(c => c.streaks.longest >= 3).map(c => `missed ${c.streaks.longest} ${escapeHtml(c.course.code)} classes in a row (${c.streaks.longestFrom} to ${c.streaks.longestTo})`),
+  ].filter(Boolean);
+  const w = window.open('', '_blank');
+  if (!w) { window.alert('The letter opens in a new window — allow pop-ups for this site and try again.'); return; }
+  w.document.write(`<html><head><title>Attendance letter — ${escapeHtml(student.surname_initials)}</title><style>body{font-family:Georgia,serif;padding:48px;max-width:720px;margin:0 auto;line-height:1.5;color:#111}h1{font-size:16px;margin:0}h2{font-size:13px;color:#555;font-weight:normal;margin:0 0 32px}table{width:100%;border-collapse:collapse;margin:16px 0;font-family:Arial,sans-serif;font-size:12px}th,td{border:1px solid #999;padding:6px 8px;text-align:left}th{background:#eee}.re{font-weight:bold;margin:24px 0 16px}.sign{margin-top:48px}</style></head><body>`
+    + `<h1>${FACULTY}</h1><h2>${INSTITUTION} · ${today}</h2>`
+    + `<p>To the Academic Advisor</p><p class="re">Re: Class attendance — ${escapeHtml(student.surname_initials)} (student number ${escapeHtml(student.student_no)})</p>`
+    + `<p>Across ${profile.courses.length} enrolled course${profile.courses.length === 1 ? '' : 's'}, this student has attended <strong>${profile.overall.pct}%</strong> of the classes that count towards attendance. ${concerns.length ? `Attendance is below the required level in <strong>${concerns.map(c => escapeHtml(c.course.code)).join(', ')}</strong>.` : 'Attendance meets the required level in every course.'}</p>`
+    + `<table><tr><th>Code</th><th>Course</th><th>Lecturer</th><th>Classes</th><th>Attendance</th><th>Required</th><th>Status</th><th>Absent in a row now</th></tr>${rows}</table>`
+    + (patterns.length ? `<p>Other things worth knowing: the student ${patterns.join('; ')}.</p>` : '')
+    + `<p>Each percentage follows the attendance policy of its course, including how late arrivals and excused absences count. We would be grateful if you could discuss this record with the student.</p>`
+    + `<p class="sign">Yours sincerely,<br><br>Faculty Administrator<br>${FACULTY}</p><script>window.print()</script></body></html>`);
+  w.document.close();
+}
+
+function StudentProfile({ student, onBack }) {
+  const [profile, setProfile] = useState(null);
+  const [failed, setFailed] = useState(false);
+  const [portalCode, setPortalCode] = useState(null); // { code } or { error }
+
+  useEffect(() => {
+    (async () => {
+      try {
+        const courseIds = (student.enrolments || []).map(e => e.course_id);
+        const [sessions, courses, lecturers, policies] = await Promise.all([getAllSessions(), getCourses(), getLecturers(), getCoursePolicies(courseIds)]);
+        const groupOf = Object.fromEntries((student.enrolments || []).map(e => [e.course_id, e.group_id]));
+        setProfile(studentProfile({ studentNo: student.student_no, enrolledCourseIds: courseIds, groupOf, sessions, courses, lecturers, policies }));
+      } catch { setFailed(true); }
+    })();
+  }, [student]);
+
+  // Also how a student who has forgotten their portal password gets back in:
+  // once the portal is active only the admin may issue a code
+  const issuePortalCode = async () => {
+    if (!window.confirm(`Issue a portal activation code for ${student.surname_initials}? Redeeming it replaces their portal password and signs them out everywhere.`)) return;
+    try { setPortalCode({ code: await issueStudentActivationCode(student.student_no) }); }
+    catch (e) { setPortalCode({ error: e.message }); }
+  };
+
+  const header = (<>
+    <div style={{ display: 'flex', alignItems: 'center', gap: 12, marginBottom: 20 }}>
+      <Btn size="sm" variant="ghost" onClick={onBack}>← All students</Btn>
+      <div style={{ flex: 1 }}>
+        <div style={{ fontWeight: 800, fontSize: 17 }}>{student.surname_initials} <span style={{ color: C.muted, fontFamily: 'monospace', fontSize: 13 }}>{student.student_no}</span></div>
+        <div style={{ color: C.muted, fontSize: 12 }}>{[student.full_name, student.programme, student.email, student.phone].filter(Boolean).join(' · ')}</div>
+      </div>
+      <Btn size="sm" variant="ghost" onClick={issuePortalCode}>🔑 Portal Code</Btn>
+      {profile && <Btn size="sm" onClick={() => printAdvisorLetter(student, profile)}>🖨 Advisor Letter</Btn>}
+    </div>
+    {portalCode?.error && <Alert type="danger">Failed: {portalCode.error}</Alert>}
+    {portalCode?.code && (
+      <Alert type="success">
+        🔑 Portal activation code: <span style={{ fontFamily: 'monospace', fontSize: 16, fontWeight: 800, letterSpacing: 2 }}>{portalCode.code}</span> — give it to the student privately. It works once, within 14 days.
+        {' '}<Btn size="sm" variant="ghost" onClick={() => copyText(portalCode.code)}>📋 Copy</Btn>
+      </Alert>
+    )}
+  </>);
+  if (failed) return <>{header}<Alert type="danger">Failed to load attendance</Alert></>;
+  if (!profile) return <>{header}<Spinner /></>;
+
+  const th = (h) => <th key={h} style={{ padding: '10px 12px', textAlign: 'left', fontSize: 11, fontWeight: 700, color: C.muted, textTransform: 'uppercase', borderBottom: `1px solid ${C.border}` }}>{h}</th>;
+  const td = { padding: '9px 12px', fontSize: 13, borderBottom: `1px solid ${C.border}22` };
+  const worstStreak = Math.max(0, ...profile.courses.map(c => c.streaks.current));
+  const maxLate = Math.max(1, ...profile.lateByWeekday.map(d => d.late));
+  return (
+    <div>
+      {header}
+      <div style={{ display: 'grid', gridTemplateColumns: 'repeat(4, 1fr)', gap: 14, marginBottom: 20 }}>
+        <StatCard label="Overall" value={profile.overall.counted ? `${profile.overall.pct}%` : '—'} color={profile.overall.counted ? attendanceStatus(profile.overall.pct).color : C.muted} sub={`${profile.courses.length} course${profile.courses.length === 1 ? '' : 's'}`} />
+        <StatCard label="Below Policy" value={profile.courses.filter(c => c.standing && c.standing.label !== 'Good Standing').length} color={C.yellow} sub="courses at risk or critical" />
+        <StatCard label="Late Arrivals" value={profile.lates} color={C.yellow} sub={profile.lates ? `${profile.avgMinutesLate} min late on average` : 'never late'} />
+        <StatCard label="Absent in a Row" value={worstStreak} color={worstStreak >= 3 ? C.red : C.accent} sub="most recent classes, worst course" />
+      </div>
+      <Card style={{ padding: 0, overflow: 'hidden', marginBottom: 20 }}>
+        <div style={{ padding: '14px 18px', borderBottom: `1px solid ${C.border}`, fontWeight: 700 }}>Courses — lowest first</div>
+        {profile.courses.length === 0 ? <div style={{ padding: 32, textAlign: 'center', color: C.muted }}>Not enrolled in any course</div> : (
+          <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+            <thead><tr style={{ background: C.surface }}>{['Course', 'Lecturer', 'Classes', 'Att. %', 'Status', 'Late', 'Absent in a Row', 'Longest Run'].map(th)}</tr></thead>
+            <tbody>{profile.courses.map(c => (
+              <tr key={c.course.id}>
+                <td style={td}><Badge color={C.accent} small>{c.course.code}</Badge> {c.course.name}</td>
+                <td style={{ ...td, color: C.muted }}>{c.lecturer?.name}</td>
+                <td style={td}>{c.sessions}</td>
+                <td style={{ ...td, minWidth: 90 }}>{c.counted ? <><div style={{ fontWeight: 700, color: c.standing.color, marginBottom: 3 }}>{c.pct}%</div><MiniBar value={c.pct} policy={c.policy} /></> : '—'}</td>
+                <td style={td}>{c.standing ? <Badge color={c.standing.color} small>{c.standing.label}</Badge> : <span style={{ color: C.muted, fontSize: 12 }}>No classes yet</span>}</td>
+                <td style={{ ...td, color: C.yellow }}>{c.lates ? `${c.lates} · ${c.avgMinutesLate} min avg` : ''}</td>
+                <td style={{ ...td, fontWeight: 700, color: c.streaks.current >= 3 ? C.red : C.text }}>{c.streaks.current || ''}</td>
+                <td style={{ ...td, color: C.muted, fontSize: 12 }}>{c.streaks.longest ? `${c.streaks.longest} (${c.streaks.longestFrom} → ${c.streaks.longestTo})` : ''}</td>
+              </tr>
+            ))}</tbody>
+          </table>
+        )}
+      </Card>
+      <div style={{ display: 'grid', gridTemplateColumns: '1fr 2fr', gap: 20 }}>
+        <Card>
+          <div style={{ fontWeight: 700, marginBottom: 4 }}>Late arrivals by weekday</div>
+          <div style={{ color: C.muted, fontSize: 12, marginBottom: 12 }}>Late scans out of classes held that day</div>
+          {profile.lateByWeekday.length === 0 ? <div style={{ color: C.muted, fontSize: 13 }}>No classes yet</div> : profile.lateByWeekday.map(d => (
+            <div key={d.day} style={{ display: 'grid', gridTemplateColumns: '40px 1fr 50px', gap: 10, alignItems: 'center', padding: '5px 0' }}>
+              <span style={{ fontSize: 12, color: C.muted }}>{WEEKDAYS[d.day].slice(0, 3)}</span>
+              <div style={{ background: C.border, borderRadius: 6, height: 7, overflow: 'hidden' }}><div style={{ width: `${d.late / maxLate * 100}%`, height: '100%', background: C.yellow }} /></div>
+              <span style={{ fontSize: 12, textAlign: 'right' }}>{d.late} / {d.sessions}</span>
+            </div>
+          ))}
+        </Card>
+        <Card style={{ padding: 0, overflow: 'hidden' }}>
+          <div style={{ padding: '14px 18px', borderBottom: `1px solid ${C.border}`, fontWeight: 700 }}>Timeline — newest first</div>
+          <div style={{ maxHeight: 420, overflowY: 'auto' }}>
+            {profile.timeline.length === 0 ? <div style={{ padding: 32, textAlign: 'center', color: C.muted }}>No classes yet</div> : profile.timeline.map(({ session, course, status, scan, override, tooLate }) => (
+              <div key={session.id} style={{ display: 'flex', alignItems: 'center', gap: 12, padding: '9px 18px', borderBottom: `1px solid ${C.border}22` }}>
+                <div style={{ fontFamily: 'monospace', fontSize: 12, color: C.muted, width: 130 }}>{session.date} {session.start_time}</div>
+                <Badge color={C.accent} small>{course.code}</Badge>
+                <Badge color={ATTENDANCE_MARKS[status].color} small>{ATTENDANCE_MARKS[status].label}</Badge>
+                <div style={{ fontSize: 12, color: C.muted, marginLeft: 'auto' }}>
+                  {override ? `✎ ${override.reason}` : scan ? `scanned ${new Date(scan.scanned_at).toLocaleTimeString('en-ZA', { hour: '2-digit', minute: '2-digit' })}${scan.minutes_late ? ` · ${scan.minutes_late} min late` : ''}${tooLate ? ' · past the absent cut-off' : ''}` : ''}
+                </div>
+              </div>
+            ))}
+          </div>
+        </Card>
+      </div>
+    </div>
+  );
+}
+
 function AdminSessions() {
   const [sessions, setSessions] = useState([]);
   const [courses, setCourses] = useState([]);
@@ -493,7 +657,7 @@ function AdminSessions() {
                   <div style={{ color: C.muted, fontSize: 12, marginTop: 2 }}>{lec?.name} · {ses.date} {ses.start_time} · 📍 {ses.room}</div>
                 </div>
                 <div style={{ textAlign: 'right' }}><div style={{ fontWeight: 800, fontSize: 20, color: C.accent }}>{scans.length}</div><div style={{ fontSize: 11, color: C.yellow }}>{scans.filter(s => s.status === 'late').length} late</div></div>
-                <Badge color={ses.status === 'active' ? C.green : C.muted}>{ses.status}</Badge>
+                <Badge color={ses.status === 'active' ? C.green : ses.status === 'void' ? C.red : C.muted}>{ses.status}</Badge>
               </Card>
             );
           })}
@@ -503,19 +667,257 @@ function AdminSessions() {
   );
 }
 
-function AdminSettings({ adminConfig, flash }) {
+// ─── Admin: Analytics ─────────────────────────────────────────────────────────
+const EMPTY_ANALYTICS_FILTERS = { department: '', lecturerId: '', year: '', semester: '', from: '', to: '' };
+const shortDate = (date) => new Date(`${date}T00:00:00`).toLocaleDateString('en-ZA', { day: 'numeric', month: 'short' });
+
+const BreakdownRow = ({ label, sub, value, policy, onClick }) => (
+  <div onClick={onClick} style={{ display: 'grid', gridTemplateColumns: '1fr 110px 44px', gap: 12, alignItems: 'center', padding: '8px 0', borderBottom: `1px solid ${C.border}22`, cursor: onClick ? 'pointer' : 'default' }}>
+    <div><div style={{ fontWeight: 600, fontSize: 13 }}>{label}</div>{sub && <div style={{ color: C.muted, fontSize: 11 }}>{sub}</div>}</div>
+    <MiniBar value={value} policy={policy} />
+    <div style={{ fontWeight: 700, fontSize: 13, textAlign: 'right', color: attendanceStatus(value, policy).color }}>{value}%</div>
+  </div>
+);
+
+function AdminAnalytics() {
+  const [data, setData] = useState(null); // { sessions, courses, lecturers, enrolments, policies, faculty }
+  const [filters, setFilters] = useState(EMPTY_ANALYTICS_FILTERS);
+  const [courseId, setCourseId] = useState(null); // drill-down
+  const [studentNo, setStudentNo] = useState(null);
+  const [failed, setFailed] = useState(false);
+
+  useEffect(() => {
+    (async () => {
+      try {
+        const [sessions, courses, lecturers, enrolments, policyRows] = await Promise.all([getAllSessions(), getCourses(), getLecturers(), getAllEnrolments(), getAttendancePolicies()]);
+        const policies = await getCoursePolicies(courses.map(c => c.id));
+        setData({ sessions, courses, lecturers, enrolments, policies, faculty: mergePolicy(policyRows.find(r => r.scope === 'faculty')) });
+      } catch { setFailed(true); }
+    })();
+  }, []);
+
+  const a = useMemo(() => data && buildAnalytics({ ...data, filters }), [data, filters]);
+  if (failed) return <Alert type="danger">Failed to load attendance data</Alert>;
+  if (!a) return <Spinner text="Crunching attendance…" />;
+
+  const set = (k, v) => { setFilters(f => ({ ...f, [k]: v })); setCourseId(null); setStudentNo(null); };
+  const faculty = data.faculty;
+  const departments = [...new Set(data.courses.map(c => c.department).filter(Boolean))].sort();
+  const years = [...new Set(data.courses.map(c => c.year).filter(Boolean))].sort();
+  const h3 = (text, sub) => <div style={{ marginBottom: 12 }}><div style={{ fontWeight: 700 }}>{text}</div>{sub && <div style={{ color: C.muted, fontSize: 12 }}>{sub}</div>}</div>;
+  const th = (h) => <th key={h} style={{ padding: '10px 12px', textAlign: 'left', fontSize: 11, fontWeight: 700, color: C.muted, textTransform: 'uppercase', borderBottom: `1px solid ${C.border}` }}>{h}</th>;
+  const td = { padding: '9px 12px', fontSize: 13, borderBottom: `1px solid ${C.border}22` };
+
+  const filterBar = (
+    <Card style={{ marginBottom: 20, paddingBottom: 8 }}>
+      <div style={{ display: 'grid', gridTemplateColumns: 'repeat(6, 1fr)', gap: 12 }}>
+        <Sel label="Department" value={filters.department} onChange={e => set('department', e.target.value)} options={[{ value: '', label: 'All' }, ...departments.map(d => ({ value: d, label: d }))]} />
+        <Sel label="Lecturer" value={filters.lecturerId} onChange={e => set('lecturerId', e.target.value)} options={[{ value: '', label: 'All' }, ...data.lecturers.map(l => ({ value: l.id, label: l.name }))]} />
+        <Sel label="Year" value={filters.year} onChange={e => set('year', e.target.value)} options={[{ value: '', label: 'All' }, ...years.map(y => ({ value: y, label: `Year ${y}` }))]} />
+        <Sel label="Semester" value={filters.semester} onChange={e => set('semester', e.target.value)} options={[{ value: '', label: 'All' }, { value: '1', label: 'Semester 1' }, { value: '2', label: 'Semester 2' }]} />
+        <Inp label="From" type="date" value={filters.from} onChange={e => set('from', e.target.value)} />
+        <Inp label="To" type="date" value={filters.to} onChange={e => set('to', e.target.value)} />
+      </div>
+    </Card>
+  );
+
+  // ── Drill-down: one student in one course
+  const drillCourse = courseId && a.courses.find(c => c.course.id === courseId);
+  const drillStudent = drillCourse && studentNo && drillCourse.students.find(s => s.studentNo === studentNo);
+  if (drillStudent) return (
+    <div>
+      {filterBar}
+      <div style={{ display: 'flex', alignItems: 'center', gap: 12, marginBottom: 16 }}>
+        <Btn size="sm" variant="ghost" onClick={() => setStudentNo(null)}>← {drillCourse.course.code}</Btn>
+        <div style={{ fontWeight: 800, fontSize: 17 }}>{drillStudent.surnameInitials} <span style={{ color: C.muted, fontFamily: 'monospace', fontSize: 13 }}>{drillStudent.studentNo}</span></div>
+        <Badge color={attendanceStatus(drillStudent.pct, drillCourse.policy).color}>{drillStudent.pct}% · {attendanceStatus(drillStudent.pct, drillCourse.policy).label}</Badge>
+      </div>
+      <Card style={{ padding: 0, overflow: 'hidden' }}>
+        <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+          <thead><tr style={{ background: C.surface }}>{['Date', 'Time', 'Room', 'Mark', 'Note'].map(th)}</tr></thead>
+          <tbody>{drillCourse.sessionList.filter(({ session }) => sessionAppliesTo(session, drillStudent.groupId)).map(({ session }) => {
+            const { status, scan, override, tooLate } = attendanceMark(session, drillStudent.studentNo, drillCourse.policy);
+            const mark = ATTENDANCE_MARKS[status];
+            return (
+              <tr key={session.id}>
+                <td style={td}>{session.date}</td>
+                <td style={td}>{session.start_time}</td>
+                <td style={{ ...td, color: C.muted }}>{session.room}</td>
+                <td style={td}><Badge color={mark.color} small>{mark.label}</Badge></td>
+                <td style={{ ...td, color: C.muted, fontSize: 12 }}>{override ? override.reason : tooLate ? `${scan.minutes_late} min late — past the absent cut-off` : scan?.status === 'late' ? `${scan.minutes_late} min late` : ''}</td>
+              </tr>
+            );
+          })}</tbody>
+        </table>
+      </Card>
+    </div>
+  );
+
+  // ── Drill-down: one course
+  if (drillCourse) return (
+    <div>
+      {filterBar}
+      <div style={{ display: 'flex', alignItems: 'center', gap: 12, marginBottom: 16 }}>
+        <Btn size="sm" variant="ghost" onClick={() => setCourseId(null)}>← All courses</Btn>
+        <div style={{ fontWeight: 800, fontSize: 17 }}>{drillCourse.course.code} — {drillCourse.course.name}</div>
+        <span style={{ color: C.muted, fontSize: 12 }}>{drillCourse.lecturer?.name} · {drillCourse.course.department}</span>
+      </div>
+      <div style={{ display: 'grid', gridTemplateColumns: 'repeat(4, 1fr)', gap: 14, marginBottom: 20 }}>
+        <StatCard label="Attendance" value={`${drillCourse.pct}%`} color={attendanceStatus(drillCourse.pct, drillCourse.policy).color} sub={describePolicy(drillCourse.policy)} />
+        <StatCard label="Sessions" value={drillCourse.sessions} sub={`of ${drillCourse.course.total_planned_classes} planned`} />
+        <StatCard label="At Risk" value={drillCourse.atRisk} color={C.yellow} />
+        <StatCard label="Critical" value={drillCourse.critical} color={C.red} />
+      </div>
+      <div style={{ display: 'grid', gridTemplateColumns: '1fr 2fr', gap: 20 }}>
+        <Card>
+          {h3('By session')}
+          {drillCourse.sessionList.length === 0 ? <div style={{ color: C.muted, fontSize: 13 }}>No closed sessions in this range</div>
+            : drillCourse.sessionList.map(s => <BreakdownRow key={s.session.id} label={`${s.session.date} ${s.session.start_time}`} sub={s.session.room} value={s.pct} policy={drillCourse.policy} />)}
+        </Card>
+        <Card style={{ padding: 0, overflow: 'hidden' }}>
+          <div style={{ padding: '14px 18px', borderBottom: `1px solid ${C.border}`, fontWeight: 700 }}>Students — lowest first</div>
+          <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+            <thead><tr style={{ background: C.surface }}>{['Student No', 'Surname & Initials', 'Att. %', 'Status'].map(th)}</tr></thead>
+            <tbody>{drillCourse.students.map(s => {
+              const { label, color } = attendanceStatus(s.pct, drillCourse.policy);
+              return (
+                <tr key={s.studentNo} onClick={() => setStudentNo(s.studentNo)} style={{ cursor: 'pointer' }}>
+                  <td style={{ ...td, fontFamily: 'monospace', fontSize: 12, color: C.muted }}>{s.studentNo}</td>
+                  <td style={{ ...td, fontWeight: 600 }}>{s.surnameInitials}</td>
+                  <td style={{ ...td, minWidth: 100 }}><div style={{ fontWeight: 700, color, marginBottom: 3 }}>{s.counted ? `${s.pct}%` : '—'}</div>{s.counted > 0 && <MiniBar value={s.pct} policy={drillCourse.policy} />}</td>
+                  <td style={td}>{s.counted > 0 && <Badge color={color} small>{label}</Badge>}</td>
+                </tr>
+              );
+            })}</tbody>
+          </table>
+        </Card>
+      </div>
+    </div>
+  );
+
+  // ── Faculty overview
+  const { compliance, heatmap } = a;
+  const share = (n) => (compliance.total ? `${n / compliance.total * 100}%` : '0%');
+  const maxWeek = Math.max(100, ...a.weeks.map(w => w.pct));
+  // Every course the filters show, one sheet each, limited to the filters' dates
+  const exportWorkbook = () => {
+    const rosters = {};
+    data.enrolments.forEach(e => { if (e.students) (rosters[e.course_id] = rosters[e.course_id] || []).push({ ...e.students, group_id: e.group_id }); });
+    exportAttendanceWorkbook(a.courses.map(c => ({ ...c.course, policy: c.policy })), data.sessions, rosters,
+      { from: filters.from, to: filters.to, lecturerNameOf: course => data.lecturers.find(l => l.id === course.lecturer_id)?.name || '' });
+  };
+  return (
+    <div>
+      <div style={{ display: 'flex', alignItems: 'center', marginBottom: 16 }}>
+        <div style={{ fontWeight: 800, fontSize: 17, flex: 1 }}>Attendance Analytics</div>
+        <Btn variant="success" size="sm" disabled={!a.courses.length} onClick={exportWorkbook}>⬇ Excel Workbook ({a.courses.length} course{a.courses.length !== 1 ? 's' : ''})</Btn>
+      </div>
+      {filterBar}
+      <div style={{ display: 'grid', gridTemplateColumns: 'repeat(4, 1fr)', gap: 14, marginBottom: 20 }}>
+        <StatCard label="Attendance" value={`${a.overall.pct}%`} color={attendanceStatus(a.overall.pct, faculty).color} sub={`across ${a.overall.sessions} closed sessions`} />
+        <StatCard label="Courses" value={a.overall.courses} sub={`${a.courses.filter(c => c.sessions === 0).length} without sessions yet`} />
+        <StatCard label="Good Standing" value={compliance.total ? `${pct(compliance.good, compliance.total)}%` : '—'} color={C.green} sub={`${compliance.good} of ${compliance.total} student-course enrolments`} />
+        <StatCard label="Below Policy" value={compliance.atRisk + compliance.critical} color={compliance.critical ? C.red : C.yellow} sub={`${compliance.atRisk} at risk · ${compliance.critical} critical`} />
+      </div>
+      <Card style={{ marginBottom: 20 }}>
+        {h3('Policy compliance', `Each enrolment measured against its course's policy (faculty default: good standing at ${faculty.good_standing_pct}%, critical below ${faculty.critical_below_pct}%)`)}
+        <div style={{ display: 'flex', height: 14, borderRadius: 7, overflow: 'hidden', background: C.border }}>
+          <div style={{ width: share(compliance.good), background: C.green }} />
+          <div style={{ width: share(compliance.atRisk), background: C.yellow }} />
+          <div style={{ width: share(compliance.critical), background: C.red }} />
+        </div>
+        <div style={{ display: 'flex', gap: 16, fontSize: 12, color: C.muted, marginTop: 8 }}>
+          <span style={{ color: C.green }}>● {compliance.good} good standing</span><span style={{ color: C.yellow }}>● {compliance.atRisk} at risk</span><span style={{ color: C.red }}>● {compliance.critical} critical</span>
+        </div>
+      </Card>
+      <Card style={{ marginBottom: 20 }}>
+        {h3('Weekly trend', 'Attendance for each week, Monday to Sunday')}
+        {a.weeks.length === 0 ? <div style={{ color: C.muted, fontSize: 13 }}>No closed sessions match these filters</div> : (
+          <div style={{ display: 'flex', alignItems: 'flex-end', gap: 6, height: 160, overflowX: 'auto' }}>
+            {a.weeks.map(w => (
+              <div key={w.week} title={`Week of ${w.week}: ${w.pct}% over ${w.sessions} sessions`} style={{ flex: '1 0 34px', display: 'flex', flexDirection: 'column', alignItems: 'center', justifyContent: 'flex-end', height: '100%' }}>
+                <div style={{ fontSize: 10, fontWeight: 700, color: attendanceStatus(w.pct, faculty).color, marginBottom: 3 }}>{w.pct}</div>
+                <div style={{ width: '70%', height: `${w.pct / maxWeek * 110}px`, background: attendanceStatus(w.pct, faculty).color, borderRadius: '4px 4px 0 0', minHeight: 2 }} />
+                <div style={{ fontSize: 10, color: C.muted, marginTop: 4, whiteSpace: 'nowrap' }}>{shortDate(w.week)}</div>
+              </div>
+            ))}
+          </div>
+        )}
+      </Card>
+      <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 20, marginBottom: 20 }}>
+        <Card>
+          {h3('By department', 'Lowest first · click to filter')}
+          {a.departments.map(d => <BreakdownRow key={d.name} label={d.name} sub={`${d.sessions} sessions`} value={d.pct} policy={faculty} onClick={() => set('department', d.name === '—' ? '' : d.name)} />)}
+        </Card>
+        <Card>
+          {h3('By lecturer', 'Lowest first · click to filter')}
+          {a.lecturers.map(l => <BreakdownRow key={l.id} label={l.name} sub={`${l.sessions} sessions`} value={l.pct} policy={faculty} onClick={() => set('lecturerId', l.id)} />)}
+        </Card>
+      </div>
+      <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 20, marginBottom: 20 }}>
+        <Card>
+          {h3('Worst attendance', 'The five courses with the lowest attendance · click for students')}
+          {a.worst.length === 0 ? <div style={{ color: C.muted, fontSize: 13 }}>Nothing to rank yet</div>
+            : a.worst.map(c => <BreakdownRow key={c.course.id} label={`${c.course.code} — ${c.course.name}`} sub={`${c.lecturer?.name || ''} · ${c.atRisk + c.critical} below policy`} value={c.pct} policy={c.policy} onClick={() => setCourseId(c.course.id)} />)}
+        </Card>
+        <Card>
+          {h3('Time of day', 'Attendance by weekday and start hour')}
+          {heatmap.days.length === 0 ? <div style={{ color: C.muted, fontSize: 13 }}>No closed sessions match these filters</div> : (
+            <div style={{ overflowX: 'auto' }}>
+              <table style={{ borderCollapse: 'separate', borderSpacing: 3 }}>
+                <thead><tr><th />{heatmap.hours.map(h => <th key={h} style={{ fontSize: 10, color: C.muted, fontWeight: 600 }}>{String(h).padStart(2, '0')}:00</th>)}</tr></thead>
+                <tbody>{heatmap.days.map(d => (
+                  <tr key={d}>
+                    <td style={{ fontSize: 11, color: C.muted, paddingRight: 6 }}>{WEEKDAYS[d].slice(0, 3)}</td>
+                    {heatmap.hours.map(h => {
+                      const cell = heatmap.cell(d, h);
+                      const color = cell && attendanceStatus(cell.pct, faculty).color;
+                      return <td key={h} title={cell ? `${WEEKDAYS[d]} ${h}:00 — ${cell.pct}% over ${cell.sessions} sessions` : ''} style={{ width: 40, height: 30, textAlign: 'center', fontSize: 11, fontWeight: 700, borderRadius: 5, background: cell ? color + '33' : C.surface, color: color || C.muted }}>{cell ? cell.pct : ''}</td>;
+                    })}
+                  </tr>
+                ))}</tbody>
+              </table>
+            </div>
+          )}
+        </Card>
+      </div>
+      <Card style={{ padding: 0, overflow: 'hidden' }}>
+        <div style={{ padding: '14px 18px', borderBottom: `1px solid ${C.border}`, fontWeight: 700 }}>All courses <span style={{ color: C.muted, fontWeight: 400, fontSize: 12 }}>· click a course for its sessions and students</span></div>
+        <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+          <thead><tr style={{ background: C.surface }}>{['Course', 'Lecturer', 'Department', 'Sessions', 'Students', 'Att. %', 'At Risk', 'Critical'].map(th)}</tr></thead>
+          <tbody>{[...a.courses].sort((x, y) => x.course.code.localeCompare(y.course.code)).map(c => (
+            <tr key={c.course.id} onClick={() => setCourseId(c.course.id)} style={{ cursor: 'pointer' }}>
+              <td style={td}><Badge color={C.accent} small>{c.course.code}</Badge> {c.course.name}</td>
+              <td style={{ ...td, color: C.muted }}>{c.lecturer?.name}</td>
+              <td style={{ ...td, color: C.muted }}>{c.course.department}</td>
+              <td style={td}>{c.sessions}</td>
+              <td style={td}>{c.students.length}</td>
+              <td style={{ ...td, fontWeight: 700, color: c.counted ? attendanceStatus(c.pct, c.policy).color : C.muted }}>{c.counted ? `${c.pct}%` : '—'}</td>
+              <td style={{ ...td, color: C.yellow, fontWeight: 700 }}>{c.atRisk || ''}</td>
+              <td style={{ ...td, color: C.red, fontWeight: 700 }}>{c.critical || ''}</td>
+            </tr>
+          ))}</tbody>
+        </table>
+      </Card>
+    </div>
+  );
+}
+
+function AdminSettings({ flash }) {
   const [form, setForm] = useState({ currentPw: '', newPw: '', confirm: '' });
   const [errors, setErrors] = useState({});
   const [saving, setSaving] = useState(false);
 
   const changePassword = async () => {
     const e = {};
-    if (form.currentPw !== adminConfig.password) e.currentPw = 'Current password incorrect';
     if (form.newPw.length < 8) e.newPw = 'Minimum 8 characters';
     if (form.newPw !== form.confirm) e.confirm = 'Passwords do not match';
     setErrors(e); if (Object.keys(e).length) return;
     setSaving(true);
-    try { await updateAdminPassword(form.newPw); setForm({ currentPw: '', newPw: '', confirm: '' }); flash('Password updated! Please sign in again.'); } catch { flash('Failed to update password', 'danger'); }
+    try {
+      if (await changeAdminPassword(form.currentPw, form.newPw)) { setForm({ currentPw: '', newPw: '', confirm: '' }); flash('Password updated! Use it next time you sign in.'); }
+      else setErrors({ currentPw: 'Current password incorrect' });
+    } catch { flash('Failed to update password', 'danger'); }
     setSaving(false);
   };
 
@@ -534,46 +936,405 @@ function AdminSettings({ adminConfig, flash }) {
   );
 }
 
+// ─── Admin: Attendance policies ───────────────────────────────────────────────
+function AdminPolicies({ flash }) {
+  const [courses, setCourses] = useState([]);
+  const [lecturers, setLecturers] = useState([]);
+  const [overrides, setOverrides] = useState([]); // department and course rows
+  const [department, setDepartment] = useState('');
+  const [courseId, setCourseId] = useState('');
+
+  const loadOverrides = useCallback(() => getAttendancePolicies().then(rows => setOverrides(rows.filter(r => r.scope !== 'faculty'))).catch(() => {}), []);
+  useEffect(() => {
+    Promise.all([getCourses(), getLecturers()]).then(([c, l]) => { setCourses(c); setLecturers(l); }).catch(() => flash('Failed to load courses', 'danger'));
+    loadOverrides();
+  }, [loadOverrides, flash]);
+
+  const departments = [...new Set([...courses.map(c => c.department), ...lecturers.map(l => l.department)].filter(Boolean))].sort();
+  const course = courses.find(c => c.id === courseId);
+
+  return (
+    <div>
+      <div style={{ fontWeight: 800, fontSize: 17, marginBottom: 16 }}>Attendance Policies</div>
+      <Alert type="info">Every percentage, risk flag, export and alert follows the policy of its course: the <strong>faculty</strong> default, overridden per <strong>department</strong>, then per <strong>course</strong>. Lecturers can set their own courses' level from <strong>📏 Policy</strong> on the course card.</Alert>
+      <Card style={{ marginBottom: 20 }}>
+        <div style={{ fontWeight: 700, fontSize: 15 }}>{FACULTY}</div>
+        <PolicyEditor scope="faculty" flash={flash} onSaved={loadOverrides} />
+      </Card>
+      <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 20 }}>
+        <Card>
+          <Sel label="Department" value={department} onChange={e => setDepartment(e.target.value)} options={[{ value: '', label: 'Choose a department…' }, ...departments.map(d => ({ value: d, label: `${d}${overrides.some(r => r.scope === 'department' && r.scope_key === d) ? ' ✎' : ''}` }))]} />
+          {department && <PolicyEditor key={department} scope="department" scopeKey={department} flash={flash} onSaved={loadOverrides} />}
+        </Card>
+        <Card>
+          <Sel label="Course" value={courseId} onChange={e => setCourseId(e.target.value)} options={[{ value: '', label: 'Choose a course…' }, ...courses.map(c => ({ value: c.id, label: `${c.code} — ${c.name}${overrides.some(r => r.scope === 'course' && r.scope_key === c.id) ? ' ✎' : ''}` }))]} />
+          {course && <PolicyEditor key={course.id} scope="course" scopeKey={course.id} department={course.department} flash={flash} onSaved={loadOverrides} />}
+        </Card>
+      </div>
+      <div style={{ color: C.muted, fontSize: 12, marginTop: 12 }}>✎ = has its own settings</div>
+    </div>
+  );
+}
+
+// ─── Admin: Notifications ─────────────────────────────────────────────────────
+const NOTIFICATION_KINDS = {
+  at_risk:  { label: 'At Risk',  color: C.yellow },
+  critical: { label: 'Critical', color: C.red },
+  digest:   { label: 'Digest',   color: C.blue },
+};
+const NOTIFICATION_STATUS_COLORS = { queued: C.blue, sending: C.blue, sent: C.green, failed: C.red, skipped: C.muted };
+const TEMPLATE_PLACEHOLDERS = '{{student_name}} {{student_no}} {{course_code}} {{course_name}} {{lecturer_name}} {{session_date}} {{pct}} {{previous_pct}} {{attended}} {{counted}} {{good_standing_pct}} {{critical_below_pct}} — digest: {{count}} {{students}}';
+
+function AdminNotifications({ flash }) {
+  const [settings, setSettings] = useState(null);
+  const [templates, setTemplates] = useState([]);
+  const [items, setItems] = useState([]);
+  const [status, setStatus] = useState('');
+  const [editing, setEditing] = useState(null); // template being edited
+  const [saving, setSaving] = useState(false);
+  const [sending, setSending] = useState(false);
+
+  const loadItems = useCallback(() => getNotifications({ status: status || undefined, limit: 100 }).then(setItems).catch(() => flash('Failed to load notifications', 'danger')), [status, flash]);
+  useEffect(() => { Promise.all([getNotificationSettings(), getNotificationTemplates()]).then(([s, t]) => { setSettings(s); setTemplates(t); }).catch(() => flash('Failed to load notification settings', 'danger')); }, [flash]);
+  useEffect(() => { loadItems(); }, [loadItems]);
+
+  const set = (k, v) => setSettings(p => ({ ...p, [k]: v }));
+  const toggleChannel = (ch) => set('student_channels', settings.student_channels.includes(ch) ? settings.student_channels.filter(c => c !== ch) : [...settings.student_channels, ch]);
+
+  const saveSettings = async () => {
+    if (settings.transport === 'webhook' && !/^https?:\/\//.test(settings.webhook_url.trim())) { flash('Enter the webhook URL (https://…)', 'warning'); return; }
+    setSaving(true);
+    try {
+      const { enabled, transport, webhook_url, webhook_secret, student_channels, lecturer_digest, min_sessions } = settings;
+      setSettings(await updateNotificationSettings({ enabled, transport, webhook_url: webhook_url.trim(), webhook_secret, student_channels, lecturer_digest, min_sessions: Math.max(1, parseInt(min_sessions) || 1) }));
+      flash('Notification settings saved');
+    } catch (e) { flash('Failed: ' + e.message, 'danger'); }
+    setSaving(false);
+  };
+
+  const saveTemplate = async () => {
+    if (!editing.body.trim()) { flash('The message body cannot be empty', 'warning'); return; }
+    setSaving(true);
+    try {
+      const saved = await saveNotificationTemplate(editing);
+      setTemplates(prev => prev.map(t => t.kind === saved.kind && t.channel === saved.channel ? saved : t));
+      setEditing(null); flash('Template saved');
+    } catch (e) { flash('Failed: ' + e.message, 'danger'); }
+    setSaving(false);
+  };
+
+  const sendNow = async () => {
+    setSending(true);
+    try { const n = await dispatchNotifications(); flash(`${n} notification${n !== 1 ? 's' : ''} sent`); await loadItems(); }
+    catch (e) { flash('Failed: ' + e.message, 'danger'); }
+    setSending(false);
+  };
+
+  if (!settings) return <Spinner />;
+
+  return (
+    <div>
+      <div style={{ fontWeight: 800, fontSize: 17, marginBottom: 16 }}>At-Risk Notifications</div>
+      <Alert type="info">When a session closes, every student it pushes into the <strong>At Risk</strong> or <strong>Critical</strong> band of the course's attendance policy (80% / 60% by default) is queued a message, and the lecturer gets one digest. Open admin and lecturer screens deliver the queue every minute.</Alert>
+      <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 20, marginBottom: 20 }}>
+        <Card>
+          <div style={{ fontWeight: 700, fontSize: 15, marginBottom: 14 }}>Delivery</div>
+          <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 12 }}>
+            <Sel label="Alerts" value={settings.enabled ? 'on' : 'off'} onChange={e => set('enabled', e.target.value === 'on')} options={[{ value: 'on', label: 'On' }, { value: 'off', label: 'Off — queue nothing' }]} />
+            <Sel label="Transport" value={settings.transport} onChange={e => set('transport', e.target.value)} options={transportNames().map(t => ({ value: t, label: t === 'stub' ? 'Stub — log only, for testing' : t === 'webhook' ? 'Webhook (email / SMS relay)' : t }))} />
+          </div>
+          {settings.transport === 'webhook' && (
+            <>
+              <Inp label="Webhook URL" value={settings.webhook_url} onChange={e => set('webhook_url', e.target.value)} placeholder="https://relay.example.ac.za/attendance" />
+              <Inp label="Signing Secret (HMAC in X-Webhook-Signature)" value={settings.webhook_secret} onChange={e => set('webhook_secret', e.target.value)} placeholder="optional" />
+            </>
+          )}
+          <Fld label="Send to students by">
+            <div style={{ display: 'flex', gap: 6 }}>
+              {['email', 'sms'].map(ch => <Pill key={ch} active={settings.student_channels.includes(ch)} onClick={() => toggleChannel(ch)}>{ch === 'email' ? '✉ Email' : '📱 SMS'}</Pill>)}
+            </div>
+          </Fld>
+          <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 12 }}>
+            <Sel label="Lecturer digest" value={settings.lecturer_digest ? 'on' : 'off'} onChange={e => set('lecturer_digest', e.target.value === 'on')} options={[{ value: 'on', label: 'Email after each class' }, { value: 'off', label: 'Off' }]} />
+            <Inp label="Quiet for first N classes" type="number" min={1} value={settings.min_sessions} onChange={e => set('min_sessions', e.target.value)} />
+          </div>
+          <Btn onClick={saveSettings} loading={saving}>Save Settings</Btn>
+        </Card>
+        <Card>
+          <div style={{ fontWeight: 700, fontSize: 15, marginBottom: 14 }}>Templates</div>
+          {editing ? (
+            <>
+              <div style={{ marginBottom: 12 }}><Badge color={NOTIFICATION_KINDS[editing.kind]?.color} small>{NOTIFICATION_KINDS[editing.kind]?.label || editing.kind}</Badge> <Badge color={C.muted} small>{editing.channel}</Badge></div>
+              {editing.channel === 'email' && <Inp label="Subject" value={editing.subject} onChange={e => setEditing(p => ({ ...p, subject: e.target.value }))} />}
+              <Fld label={editing.channel === 'sms' ? `Message (${editing.body.length} characters)` : 'Message'}>
+                <textarea value={editing.body} onChange={e => setEditing(p => ({ ...p, body: e.target.value }))} rows={editing.channel === 'sms' ? 3 : 9} style={{ ...inputStyle(), fontFamily: 'inherit', resize: 'vertical' }} />
+              </Fld>
+              <div style={{ color: C.muted, fontSize: 11, marginBottom: 14, lineHeight: 1.6 }}>Placeholders: <span style={{ fontFamily: 'monospace' }}>{TEMPLATE_PLACEHOLDERS}</span></div>
+              <div style={{ display: 'flex', gap: 10 }}><Btn onClick={saveTemplate} loading={saving}>Save Template</Btn><Btn variant="ghost" onClick={() => setEditing(null)}>Cancel</Btn></div>
+            </>
+          ) : templates.map(t => (
+            <div key={`${t.kind}-${t.channel}`} style={{ display: 'flex', alignItems: 'center', gap: 10, padding: '8px 0', borderBottom: `1px solid ${C.border}22` }}>
+              <Badge color={NOTIFICATION_KINDS[t.kind]?.color} small>{NOTIFICATION_KINDS[t.kind]?.label || t.kind}</Badge>
+              <Badge color={C.muted} small>{t.channel}</Badge>
+              <div style={{ flex: 1, color: C.muted, fontSize: 12, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>{t.subject || t.body}</div>
+              <Btn size="sm" variant="ghost" onClick={() => setEditing(t)}>Edit</Btn>
+            </div>
+          ))}
+        </Card>
+      </div>
+      <Card>
+        <div style={{ display: 'flex', alignItems: 'center', gap: 10, marginBottom: 14 }}>
+          <div style={{ fontWeight: 700, fontSize: 15, flex: 1 }}>Outbox & History</div>
+          {['', 'queued', 'sent', 'failed', 'skipped'].map(st => <Pill key={st} active={status === st} onClick={() => setStatus(st)}>{st ? st.charAt(0).toUpperCase() + st.slice(1) : 'All'}</Pill>)}
+          <Btn size="sm" onClick={sendNow} loading={sending}>Send Queued Now</Btn>
+        </div>
+        <NotificationList items={items} showStudent flash={flash} onChanged={loadItems} />
+      </Card>
+    </div>
+  );
+}
+
+// Shared by the admin outbox and the per-student history in Reports
+function NotificationList({ items, showStudent, flash, onChanged }) {
+  const [open, setOpen] = useState(null);
+
+  const retry = async (n) => {
+    try {
+      const r = await retryNotification(n.id);
+      flash(r.status === 'queued' ? 'Queued again' : `Still no ${n.channel === 'sms' ? 'phone number' : 'email address'} on file`, r.status === 'queued' ? 'success' : 'warning');
+      onChanged();
+    } catch (e) { flash('Failed: ' + e.message, 'danger'); }
+  };
+
+  if (!items.length) return <div style={{ padding: 24, textAlign: 'center', color: C.muted, fontSize: 13 }}>No notifications.</div>;
+  return items.map(n => {
+    const kind = NOTIFICATION_KINDS[n.kind] || { label: n.kind, color: C.muted };
+    return (
+      <div key={n.id} style={{ padding: '8px 12px', borderRadius: 8, background: C.surface, marginBottom: 6, fontSize: 13 }}>
+        <div style={{ display: 'flex', alignItems: 'center', gap: 10 }}>
+          <div style={{ fontFamily: 'monospace', fontSize: 11, color: C.muted, width: 120 }}>{new Date(n.sent_at || n.created_at).toLocaleString([], { dateStyle: 'short', timeStyle: 'short' })}</div>
+          <Badge color={kind.color} small>{kind.label}</Badge>
+          <Badge color={C.muted} small>{n.channel}</Badge>
+          {n.courses?.code && <span style={{ color: C.mutedLight, fontSize: 12 }}>{n.courses.code}</span>}
+          <div style={{ flex: 1, color: C.muted, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+            {showStudent && n.recipient === 'student' && <span style={{ color: C.text, fontWeight: 600, marginRight: 8 }}>{n.vars?.student_name} <span style={{ fontFamily: 'monospace', fontSize: 11, color: C.muted }}>{n.student_no}</span></span>}
+            {n.recipient === 'lecturer' && <span style={{ color: C.text, fontWeight: 600, marginRight: 8 }}>{n.vars?.lecturer_name}</span>}
+            {n.to_address || '—'}{n.vars?.pct != null && n.recipient === 'student' && ` · ${n.vars.pct}%`}
+          </div>
+          {n.error && <span style={{ color: n.status === 'skipped' ? C.muted : C.red, fontSize: 12, maxWidth: 220, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }} title={n.error}>{n.error}</span>}
+          <Badge color={NOTIFICATION_STATUS_COLORS[n.status] || C.muted} small>{n.status}{n.transport === 'stub' && n.status === 'sent' ? ' (stub)' : ''}</Badge>
+          {(n.status === 'failed' || n.status === 'skipped') && <Btn size="sm" variant="ghost" onClick={() => retry(n)}>↻ Retry</Btn>}
+          {n.body && <Btn size="sm" variant="ghost" onClick={() => setOpen(open === n.id ? null : n.id)}>{open === n.id ? 'Hide' : 'View'}</Btn>}
+        </div>
+        {open === n.id && (
+          <div style={{ marginTop: 10, padding: 12, borderRadius: 8, background: C.card, whiteSpace: 'pre-wrap', lineHeight: 1.6, fontSize: 13 }}>
+            {n.subject && <div style={{ fontWeight: 700, marginBottom: 8 }}>{n.subject}</div>}
+            {n.body}
+          </div>
+        )}
+      </div>
+    );
+  });
+}
+
+// ─── Admin: Audit log ─────────────────────────────────────────────────────────
+// audit_log actions are '<entity>.<verb>'; labels and colours by verb
+const AUDIT_VERBS = {
+  create:    { label: 'Created',          color: C.green },
+  update:    { label: 'Changed',          color: C.blue },
+  delete:    { label: 'Deleted',          color: C.red },
+  start:     { label: 'Started',          color: C.green },
+  close:     { label: 'Closed',           color: C.muted },
+  edit:      { label: 'Edited',           color: C.blue },
+  void:      { label: 'Voided',           color: C.red },
+  restore:   { label: 'Restored',         color: C.green },
+  merge:     { label: 'Merged',           color: C.purple },
+  passwords: { label: 'Passwords reset',  color: C.yellow },
+  password:  { label: 'Password changed', color: C.yellow },
+};
+const auditVerb = (action) => AUDIT_VERBS[action.split('.')[1]] || { label: action, color: C.muted };
+
+const AUDIT_ENTITIES = ['session', 'scan', 'override', 'pending_scan', 'enrolment', 'student', 'course', 'staff', 'group', 'lecturer', 'policy', 'timetable', 'planned', 'template', 'notification_settings', 'admin'];
+const AUDIT_ROLES = { admin: C.accent, lecturer: C.blue, student: C.purple, public: C.muted };
+const EMPTY_AUDIT_FILTERS = { search: '', entity: '', actorRole: '', from: '', to: '' };
+const AUDIT_LIMIT = 500;
+
+// "date 2024-03-04 → 2024-03-05 · room A1 → B2" for the fields an audit entry changed
+function auditChanges(entry) {
+  if (!entry.before || !entry.after) return '';
+  const show = (v) => (v == null || v === '' ? '—' : typeof v === 'object' ? JSON.stringify(v) : String(v));
+  return Object.keys(entry.after)
+    .filter(k => k !== 'updated_at' && k in entry.before && JSON.stringify(entry.before[k]) !== JSON.stringify(entry.after[k]))
+    .map(k => `${k.replace(/_/g, ' ')} ${show(entry.before[k])} → ${show(entry.after[k])}`).join(' · ');
+}
+
+function AdminAudit() {
+  const [filters, setFilters] = useState(EMPTY_AUDIT_FILTERS);
+  const [search, setSearch] = useState(''); // typed, applied on Enter or Search
+  const [entries, setEntries] = useState([]);
+  const [courses, setCourses] = useState([]);
+  const [open, setOpen] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => { getCourses().then(setCourses).catch(() => {}); }, []);
+  useEffect(() => {
+    setLoading(true); setOpen(null);
+    getAuditLog({ ...filters, limit: AUDIT_LIMIT }).then(setEntries).catch(() => setEntries([])).finally(() => setLoading(false));
+  }, [filters]);
+
+  const set = (k) => (e) => setFilters(p => ({ ...p, [k]: e.target.value }));
+  const courseCode = (id) => courses.find(c => c.id === id)?.code || id;
+  const filterText = [filters.search && `"${filters.search}"`, filters.entity, filters.actorRole, filters.from && `from ${filters.from}`, filters.to && `to ${filters.to}`].filter(Boolean).join(' · ');
+
+  return (
+    <div>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 16 }}>
+        <div style={{ fontWeight: 800, fontSize: 17 }}>Audit Log</div>
+        <Btn variant="success" size="sm" disabled={!entries.length} onClick={() => exportAuditLogExcel(entries, courses, { filterText })}>⬇ Export to Excel</Btn>
+      </div>
+      <Alert type="info">Every change to lecturers, courses, rosters, sessions, scans and register corrections — who made it, from which device, and the record before and after. Entries can't be edited or deleted.</Alert>
+      <Card style={{ marginBottom: 16 }}>
+        <div style={{ display: 'grid', gridTemplateColumns: '2fr 1fr 1fr 1fr 1fr auto', gap: 12, alignItems: 'end' }}>
+          <Inp label="Search" value={search} onChange={e => setSearch(e.target.value)} onKeyDown={e => { if (e.key === 'Enter') setFilters(p => ({ ...p, search })); }} placeholder="Student no., name, course, device…" />
+          <Sel label="Record" value={filters.entity} onChange={set('entity')} options={[{ value: '', label: 'All' }, ...AUDIT_ENTITIES.map(v => ({ value: v, label: v.replace(/_/g, ' ') }))]} />
+          <Sel label="By" value={filters.actorRole} onChange={set('actorRole')} options={[{ value: '', label: 'Anyone' }, ...Object.keys(AUDIT_ROLES).map(v => ({ value: v, label: v === 'public' ? 'Student (not signed in)' : v.charAt(0).toUpperCase() + v.slice(1) }))]} />
+          <Inp label="From" type="date" value={filters.from} onChange={set('from')} />
+          <Inp label="To" type="date" value={filters.to} onChange={set('to')} />
+          <div style={{ display: 'flex', gap: 8, marginBottom: 14 }}>
+            <Btn onClick={() => setFilters(p => ({ ...p, search }))}>Search</Btn>
+            <Btn variant="ghost" onClick={() => { setSearch(''); setFilters(EMPTY_AUDIT_FILTERS); }}>Clear</Btn>
+          </div>
+        </div>
+      </Card>
+      {loading ? <Spinner /> : entries.length === 0 ? <Card style={{ textAlign: 'center', padding: 40, color: C.muted }}>No entries{filterText && ' match these filters'}.</Card> : (
+        <>
+          {entries.length === AUDIT_LIMIT && <Alert type="warning">Showing the latest {AUDIT_LIMIT} entries — narrow the filters to see older ones.</Alert>}
+          {entries.map(e => {
+            const verb = auditVerb(e.action);
+            const changes = auditChanges(e);
+            return (
+              <div key={e.id} style={{ padding: '8px 12px', borderRadius: 8, background: C.surface, marginBottom: 6, fontSize: 13 }}>
+                <div style={{ display: 'flex', alignItems: 'center', gap: 10 }}>
+                  <div style={{ fontFamily: 'monospace', fontSize: 11, color: C.muted, width: 130 }}>{new Date(e.at).toLocaleString('en-ZA', { dateStyle: 'short', timeStyle: 'medium' })}</div>
+                  <Badge color={AUDIT_ROLES[e.actor_role] || C.muted} small>{e.actor_role}</Badge>
+                  <div style={{ fontWeight: 600, width: 160, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }} title={e.actor}>{e.actor_name || e.actor}</div>
+                  <Badge color={verb.color} small>{verb.label}</Badge>
+                  <span style={{ color: C.mutedLight }}>{e.entity.replace(/_/g, ' ')}</span>
+                  <span style={{ fontFamily: 'monospace', fontSize: 12 }}>{e.entity_id}</span>
+                  {e.course_id && <span style={{ color: C.mutedLight, fontSize: 12 }}>{courseCode(e.course_id)}</span>}
+                  <div style={{ flex: 1, color: C.muted, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }} title={changes}>{e.reason}{e.reason && changes && ' — '}{changes}</div>
+                  {e.device && <span style={{ fontFamily: 'monospace', fontSize: 11, color: C.muted }} title={e.user_agent || ''}>📱 {e.device}</span>}
+                  {(e.before || e.after) && <Btn size="sm" variant="ghost" onClick={() => setOpen(open === e.id ? null : e.id)}>{open === e.id ? 'Hide' : 'View'}</Btn>}
+                </div>
+                {open === e.id && (
+                  <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 10, marginTop: 10 }}>
+                    {[['Before', e.before], ['After', e.after]].map(([label, v]) => (
+                      <div key={label} style={{ padding: 12, borderRadius: 8, background: C.card, overflow: 'auto', maxHeight: 300 }}>
+                        <div style={{ fontSize: 11, fontWeight: 700, color: C.muted, textTransform: 'uppercase', marginBottom: 6 }}>{label}</div>
+                        <pre style={{ margin: 0, fontSize: 12, whiteSpace: 'pre-wrap' }}>{v ? JSON.stringify(v, null, 2) : '—'}</pre>
+                      </div>
+                    ))}
+                    {e.user_agent && <div style={{ gridColumn: '1 / -1', fontSize: 12, color: C.muted }}>Browser: {e.user_agent}</div>}
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </>
+      )}
+    </div>
+  );
+}
+
 // ═══════════════════════════════════════════════════════════════════════════════
 // LECTURER DASHBOARD
 // ═══════════════════════════════════════════════════════════════════════════════
 function LecturerDashboard({ lecturer, onLogout }) {
   const [tab, setTab] = useState('courses');
   const [courses, setCourses] = useState([]);
+  const [lecturers, setLecturers] = useState([]); // everyone, for course staff and "run by" names
   const [loading, setLoading] = useState(true);
   const [activeSessionId, setActiveSessionId] = useState(null);
+  const [openSessions, setOpenSessions] = useState([]); // still 'active' in the database, e.g. after a reload
+  const [todayPlanned, setTodayPlanned] = useState([]); // from the course timetables
   const [msg, setMsg] = useState(null);
 
-  const flash = (text, type = 'success') => { setMsg({ text, type }); setTimeout(() => setMsg(null), 4000); };
+  const flash = useCallback((text, type = 'success') => { setMsg({ text, type }); setTimeout(() => setMsg(null), 4000); }, []);
 
   const loadCourses = useCallback(async () => {
     try {
+      // The database only returns courses this lecturer owns or is on the staff of
       const all = await getCourses();
-      setCourses(all.filter(c => c.lecturer_id === lecturer.id));
+      const ids = all.map(c => c.id);
+      const [policies, staff, groups, people] = await Promise.all(ids.length
+        ? [getCoursePolicies(ids), getCourseStaff(ids), getCourseGroups(ids), getLecturers()]
+        : [{}, [], [], getLecturers()]);
+      setLecturers(people);
+      setCourses(all.map(c => ({
+        ...c, policy: policies[c.id] || DEFAULT_POLICY,
+        role: c.lecturer_id === lecturer.id ? 'owner' : staff.find(s => s.course_id === c.id && s.lecturer_id === lecturer.id)?.role,
+        staff: staff.filter(s => s.course_id === c.id),
+        groups: groups.filter(g => g.course_id === c.id),
+      })).filter(c => c.role));
     } catch { flash('Failed to load courses', 'danger'); }
     setLoading(false);
-  }, [lecturer.id]);
+  }, [lecturer.id, flash]);
 
   useEffect(() => { loadCourses(); }, [loadCourses]);
 
-  const startSession = async (course, room) => {
-    const doStart = async (lat, lng) => {
-      try {
-        const now = new Date();
-        const session = await createSession({
-          id: genId(), course_id: course.id, lecturer_id: lecturer.id,
-          date: now.toISOString().split('T')[0], start_time: now.toTimeString().slice(0, 5),
-          room: room || course.room || 'TBA', lat, lng,
-        });
-        setActiveSessionId(session.id); setTab('session');
-      } catch (err) { flash('Failed to start session: ' + err.message, 'danger'); }
-    };
-    if (navigator.geolocation) navigator.geolocation.getCurrentPosition(pos => doStart(pos.coords.latitude, pos.coords.longitude), () => doStart(-23.9045, 29.4688));
-    else doStart(-23.9045, 29.4688);
+  const loadTodayPlanned = useCallback(() => {
+    getPlannedSessions({ date: localDate() }).then(setTodayPlanned).catch(() => {});
+  }, []);
+  useEffect(() => { loadTodayPlanned(); }, [loadTodayPlanned]);
+
+  useEffect(() => startNotificationDispatch(), []);
+
+  useEffect(() => {
+    // Close anything past its end time first, so only genuinely running sessions are offered
+    closeExpiredSessions().catch(() => {}).then(() => getActiveSessions(lecturer.id)).then(setOpenSessions).catch(() => {});
+  }, [lecturer.id]);
+
+  const resumeSession = (sessionId) => {
+    setOpenSessions(prev => prev.filter(s => s.id !== sessionId));
+    setActiveSessionId(sessionId); setTab('session');
+  };
+
+  const closeOpenSession = async (sessionId) => {
+    try { await closeSession(sessionId); setOpenSessions(prev => prev.filter(s => s.id !== sessionId)); flash('Session closed'); }
+    catch { flash('Failed to close session', 'danger'); }
+  };
+
+  // planned: a row from the timetable — its scheduled start (not "now") drives lateness and the end time.
+  // groupIds: the tutorial groups the session is for; [] = the whole class
+  const startSession = async (course, room, planned = null, groupIds = []) => {
+    const loc = await getLocation();
+    try {
+      const now = new Date();
+      const start = planned ? new Date(`${planned.date}T${planned.start_time}:00`) : now;
+      // Starting a planned session late must not leave it already expired
+      const minutesFromStart = m => new Date(Math.max(start.getTime() + m * 60000, now.getTime() + 15 * 60000)).toISOString();
+      const session = await createSession({
+        id: genId(), course_id: course.id, lecturer_id: lecturer.id,
+        date: planned ? planned.date : localDate(now), start_time: planned ? planned.start_time : now.toTimeString().slice(0, 5), starts_at: start.toISOString(),
+        room: room || planned?.room || course.room || 'TBA', lat: loc?.lat ?? null, lng: loc?.lng ?? null,
+        qr_rotate_seconds: course.qr_rotate_seconds, qr_grace_seconds: course.qr_grace_seconds,
+        geofence_radius_m: course.geofence_radius_m, geofence_mode: course.geofence_mode,
+        ends_at: minutesFromStart(course.session_duration_minutes), late_after_minutes: course.policy.late_after_minutes,
+        checkin_closes_at: course.checkin_window_minutes == null ? null : minutesFromStart(course.checkin_window_minutes),
+        group_ids: groupIds,
+      });
+      if (planned) {
+        await linkPlannedSession(planned.id, session.id).catch(() => {});
+        setTodayPlanned(prev => prev.map(p => p.id === planned.id ? { ...p, session_id: session.id } : p));
+      }
+      setActiveSessionId(session.id); setTab('session');
+      if (!loc && course.geofence_mode !== 'off') flash('Your location is unavailable — student locations cannot be checked for this session.', 'warning');
+    } catch (err) { flash('Failed to start session: ' + err.message, 'danger'); }
   };
 
-  const endSession = async () => {
-    if (activeSessionId) { try { await closeSession(activeSessionId); } catch {} }
+  const endSession = async (reason = 'manual') => {
+    if (activeSessionId) { try { await closeSession(activeSessionId, reason); } catch {} }
+    if (reason === 'expired') flash('Session ended automatically at its scheduled end time.', 'warning');
     setActiveSessionId(null); setTab('courses');
   };
 
@@ -582,49 +1343,146 @@ function LecturerDashboard({ lecturer, onLogout }) {
   return (
     <Shell role={lecturer.name} onLogout={onLogout}>
       {msg && <Alert type={msg.type}>{msg.text}</Alert>}
+      {!activeSessionId && openSessions.length > 0 && (
+        <Card style={{ marginBottom: 24, borderColor: C.yellow + '66', background: C.yellowDim }}>
+          <div style={{ fontWeight: 800, color: C.yellow, marginBottom: 4 }}>⏯ {openSessions.length === 1 ? 'A session is' : `${openSessions.length} sessions are`} still running</div>
+          <div style={{ color: C.muted, fontSize: 13, marginBottom: 14 }}>Students can still check in. Resume the live view, or close sessions you forgot to end.</div>
+          {openSessions.map(ses => {
+            const course = courses.find(c => c.id === ses.course_id);
+            const stale = isStaleSession(ses);
+            return (
+              <div key={ses.id} style={{ display: 'flex', alignItems: 'center', gap: 12, padding: '10px 12px', background: C.card, borderRadius: 9, marginBottom: 6 }}>
+                <Badge color={C.accent} small>{course?.code || ses.course_id}</Badge>
+                <div style={{ flex: 1, fontSize: 13 }}>{course?.name} · {ses.date} {ses.start_time} · 📍 {ses.room} · {ses.scans?.[0]?.count ?? 0} scans</div>
+                {stale && <Badge color={C.red} small>Stale</Badge>}
+                <Btn size="sm" variant={stale ? 'ghost' : 'success'} onClick={() => resumeSession(ses.id)}>▶ Resume</Btn>
+                <Btn size="sm" variant={stale ? 'danger' : 'ghost'} onClick={() => closeOpenSession(ses.id)}>■ Close</Btn>
+              </div>
+            );
+          })}
+        </Card>
+      )}
       <div style={{ display: 'flex', gap: 4, marginBottom: 28, background: C.surface, padding: 4, borderRadius: 10, width: 'fit-content' }}>
-        {['courses', 'students', 'reports', ...(activeSessionId ? ['session'] : [])].map(t => (
+        {['courses', 'students', 'register', 'reports', ...(activeSessionId ? ['session'] : [])].map(t => (
           <Pill key={t} active={tab === t} onClick={() => setTab(t)}>{t === 'session' ? '🔴 Live Session' : t.charAt(0).toUpperCase() + t.slice(1)}</Pill>
         ))}
       </div>
-      {tab === 'courses'  && <CoursesTab lecturer={lecturer} courses={courses} onCourseAdded={loadCourses} onStartSession={startSession} activeSessionId={activeSessionId} flash={flash} />}
-      {tab === 'students' && <LecturerStudentsTab courses={courses} flash={flash} />}
-      {tab === 'reports'  && <ReportsTab lecturer={lecturer} courses={courses} flash={flash} />}
-      {tab === 'session'  && activeSessionId && <LiveSessionTab sessionId={activeSessionId} onEnd={endSession} />}
+      {tab === 'courses'  && <CoursesTab lecturer={lecturer} lecturers={lecturers} courses={courses} onCourseAdded={loadCourses} onStartSession={startSession} activeSessionId={activeSessionId} todayPlanned={todayPlanned} onTimetableChanged={loadTodayPlanned} flash={flash} />}
+      {tab === 'students' && <LecturerStudentsTab courses={courses.filter(c => !c.archived_at)} onGroupsChanged={loadCourses} flash={flash} />}
+      {tab === 'register' && <RegisterTab lecturer={lecturer} courses={courses} flash={flash} />}
+      {tab === 'reports'  && <ReportsTab lecturer={lecturer} lecturers={lecturers} courses={courses} flash={flash} />}
+      {tab === 'session'  && activeSessionId && <LiveSessionTab sessionId={activeSessionId} courses={courses} onEnd={endSession} flash={flash} />}
     </Shell>
   );
 }
 
-function CoursesTab({ lecturer, courses, onCourseAdded, onStartSession, activeSessionId, flash }) {
+const newCourseForm = (lecturer) => ({ code: '', name: '', department: lecturer.department || '', year: new Date().getFullYear(), semester: '1', total_planned_classes: 40, room: '', qr_rotate_seconds: 20, qr_grace_seconds: 40, geofence_radius_m: 150, geofence_mode: 'flag', session_duration_minutes: 90, checkin_window_minutes: '' });
+const COURSE_FORM_FIELDS = Object.keys(newCourseForm({}));
+
+// Semester 1 → 2 of the same year; anything else → semester 1 of the next year
+const nextSemester = (course) => (course.semester === '1' ? { year: course.year, semester: '2' } : { year: course.year + 1, semester: '1' });
+
+function CoursesTab({ lecturer, lecturers, courses, onCourseAdded, onStartSession, activeSessionId, todayPlanned, onTimetableChanged, flash }) {
   const [showAdd, setShowAdd] = useState(false);
-  const [form, setForm] = useState({ code: '', name: '', department: lecturer.department || '', year: new Date().getFullYear(), semester: '1', total_planned_classes: 40, room: '' });
+  const [editing, setEditing] = useState(null); // course id whose details are in the form
+  const [form, setForm] = useState(newCourseForm(lecturer));
   const [errors, setErrors] = useState({});
   const [saving, setSaving] = useState(false);
   const [roomInputs, setRoomInputs] = useState({});
+  const [timetableFor, setTimetableFor] = useState(null); // course id
+  const [policyFor, setPolicyFor] = useState(null);       // course id
+  const [staffFor, setStaffFor] = useState(null);         // course id
+  const [groupPicks, setGroupPicks] = useState({});       // course id → group ids the next session is for
+  const [rollover, setRollover] = useState(null);         // { course, year, semester, keepRoster, archiveOld }
+  const [showArchived, setShowArchived] = useState(false);
+
+  const current = courses.filter(c => !c.archived_at);
+  const archived = courses.filter(c => c.archived_at);
+
+  const closeForm = () => { setShowAdd(false); setEditing(null); setForm(newCourseForm(lecturer)); setErrors({}); };
+
+  const editCourse = (course) => {
+    setForm(Object.fromEntries(COURSE_FORM_FIELDS.map(k => [k, course[k] ?? ''])));
+    setEditing(course.id); setShowAdd(true); setErrors({});
+    window.scrollTo({ top: 0, behavior: 'smooth' });
+  };
 
-  const addCourse = async () => {
+  const saveCourse = async () => {
     const e = {};
     if (!form.code.trim()) e.code = 'Required';
     if (!form.name.trim()) e.name = 'Required';
+    if (Number(form.qr_rotate_seconds) < 5) e.qr_rotate_seconds = 'Minimum 5 seconds';
+    if (Number(form.qr_grace_seconds) < 0) e.qr_grace_seconds = 'Cannot be negative';
+    if (Number(form.session_duration_minutes) < 10) e.session_duration_minutes = 'Minimum 10 minutes';
+    if (form.checkin_window_minutes !== '' && Number(form.checkin_window_minutes) < 1) e.checkin_window_minutes = 'Minimum 1 minute';
+    if (form.geofence_mode !== 'off' && Number(form.geofence_radius_m) < 20) e.geofence_radius_m = 'Minimum 20 m (GPS is rarely more accurate indoors)';
+    if (Number(form.total_planned_classes) < 1) e.total_planned_classes = 'At least 1';
     setErrors(e); if (Object.keys(e).length) return;
     setSaving(true);
     try {
-      await createCourse({ id: genId(), lecturer_id: lecturer.id, ...form, year: Number(form.year), total_planned_classes: Number(form.total_planned_classes) });
-      setForm({ code: '', name: '', department: lecturer.department || '', year: new Date().getFullYear(), semester: '1', total_planned_classes: 40, room: '' });
-      setShowAdd(false); await onCourseAdded(); flash('Course added!');
+      const fields = { ...form, year: Number(form.year), total_planned_classes: Number(form.total_planned_classes), qr_rotate_seconds: Number(form.qr_rotate_seconds), qr_grace_seconds: Number(form.qr_grace_seconds), geofence_radius_m: Number(form.geofence_radius_m), session_duration_minutes: Number(form.session_duration_minutes), checkin_window_minutes: form.checkin_window_minutes === '' ? null : Number(form.checkin_window_minutes) };
+      if (editing) await updateCourse(editing, fields);
+      else await createCourse({ id: genId(), lecturer_id: lecturer.id, ...fields });
+      const wasEditing = editing;
+      closeForm(); await onCourseAdded(); flash(wasEditing ? 'Course updated' : 'Course added!');
     } catch (err) { flash('Failed: ' + err.message, 'danger'); }
     setSaving(false);
   };
 
-  return (
-    <>
-      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 20 }}>
-        <div style={{ fontWeight: 800, fontSize: 18 }}>My Courses & Subjects<span style={{ color: C.muted, fontSize: 14, fontWeight: 400, marginLeft: 10 }}>({courses.length})</span></div>
-        <Btn onClick={() => { setShowAdd(!showAdd); setErrors({}); }}>+ Add Course / Subject</Btn>
+  const archiveCourse = async (course, archive) => {
+    if (archive && !window.confirm(`Archive ${course.code} (${course.year} Sem ${course.semester})? Its sessions and reports are kept, and you can restore it any time.`)) return;
+    try { await setCourseArchived(course.id, archive); await onCourseAdded(); flash(archive ? `${course.code} archived` : `${course.code} restored`); }
+    catch (err) { flash('Failed: ' + err.message, 'danger'); }
+  };
+
+  const startRollover = (course) => setRollover(rollover?.course.id === course.id ? null : { course, ...nextSemester(course), keepRoster: false, archiveOld: !course.archived_at });
+
+  const runRollover = async () => {
+    const { course, year, semester, keepRoster, archiveOld } = rollover;
+    if (courses.some(c => c.code === course.code && String(c.year) === String(year) && c.semester === semester)) { flash(`${course.code} already exists for ${year} Sem ${semester}`, 'warning'); return; }
+    setSaving(true);
+    try {
+      await rolloverCourse(course.id, { id: genId(), year: Number(year), semester, keepRoster });
+      if (archiveOld) await setCourseArchived(course.id, true);
+      setRollover(null); await onCourseAdded(); onTimetableChanged();
+      flash(`${course.code} set up for ${year} Sem ${semester} — add the semester dates in 🗓 Timetable to plan its sessions`);
+    } catch (err) { flash('Failed: ' + err.message, 'danger'); }
+    setSaving(false);
+  };
+
+  const rolloverForm = rollover && (
+    <div style={{ marginTop: 14, paddingTop: 14, borderTop: `1px solid ${C.border}` }}>
+      <div style={{ fontWeight: 700, marginBottom: 4 }}>Set up {rollover.course.code} for another semester</div>
+      <div style={{ color: C.muted, fontSize: 12, marginBottom: 14 }}>Copies the course settings, weekly timetable and attendance policy into a new course. Sessions, semester dates and holidays start empty.</div>
+      <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 12 }}>
+        <Inp label="Academic Year" type="number" value={rollover.year} onChange={e => setRollover(r => ({ ...r, year: e.target.value }))} />
+        <Sel label="Semester" value={rollover.semester} onChange={e => setRollover(r => ({ ...r, semester: e.target.value }))} options={[{ value: '1', label: 'Semester 1' }, { value: '2', label: 'Semester 2' }, { value: 'Full Year', label: 'Full Year' }]} />
       </div>
-      {showAdd && (
-        <Card style={{ marginBottom: 24, borderColor: C.accent + '55' }}>
-          <div style={{ fontWeight: 700, marginBottom: 14 }}>New Course / Subject</div>
+      <div style={{ display: 'flex', gap: 4, alignItems: 'center', marginBottom: 8 }}>
+        <span style={{ color: C.muted, fontSize: 12, width: 110 }}>Students:</span>
+        <Pill active={!rollover.keepRoster} onClick={() => setRollover(r => ({ ...r, keepRoster: false }))}>Start empty</Pill>
+        <Pill active={rollover.keepRoster} onClick={() => setRollover(r => ({ ...r, keepRoster: true }))}>Carry over the roster</Pill>
+      </div>
+      {!rollover.course.archived_at && (
+        <div style={{ display: 'flex', gap: 4, alignItems: 'center', marginBottom: 14 }}>
+          <span style={{ color: C.muted, fontSize: 12, width: 110 }}>This course:</span>
+          <Pill active={rollover.archiveOld} onClick={() => setRollover(r => ({ ...r, archiveOld: true }))}>Archive it</Pill>
+          <Pill active={!rollover.archiveOld} onClick={() => setRollover(r => ({ ...r, archiveOld: false }))}>Keep it current</Pill>
+        </div>
+      )}
+      <div style={{ display: 'flex', gap: 10 }}><Btn onClick={runRollover} loading={saving}>Create {rollover.year} Sem {rollover.semester}</Btn><Btn variant="ghost" onClick={() => setRollover(null)}>Cancel</Btn></div>
+    </div>
+  );
+
+  return (
+    <>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 20 }}>
+        <div style={{ fontWeight: 800, fontSize: 18 }}>My Courses & Subjects<span style={{ color: C.muted, fontSize: 14, fontWeight: 400, marginLeft: 10 }}>({current.length})</span></div>
+        <Btn onClick={() => (showAdd ? closeForm() : setShowAdd(true))}>+ Add Course / Subject</Btn>
+      </div>
+      {showAdd && (
+        <Card style={{ marginBottom: 24, borderColor: C.accent + '55' }}>
+          <div style={{ fontWeight: 700, marginBottom: 14 }}>{editing ? `Edit ${courses.find(c => c.id === editing)?.code}` : 'New Course / Subject'}</div>
           <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 12 }}>
             <Inp label="Course Code *" value={form.code} error={errors.code} onChange={e => setForm(p => ({ ...p, code: e.target.value }))} placeholder="e.g. BUS301" />
             <Inp label="Course / Subject Name *" value={form.name} error={errors.name} onChange={e => setForm(p => ({ ...p, name: e.target.value }))} placeholder="e.g. Business Ethics" />
@@ -632,116 +1490,678 @@ function CoursesTab({ lecturer, courses, onCourseAdded, onStartSession, activeSe
             <Inp label="Default Venue" value={form.room} onChange={e => setForm(p => ({ ...p, room: e.target.value }))} placeholder="e.g. Lecture Hall A" />
             <Inp label="Academic Year" type="number" value={form.year} onChange={e => setForm(p => ({ ...p, year: e.target.value }))} />
             <Sel label="Semester" value={form.semester} onChange={e => setForm(p => ({ ...p, semester: e.target.value }))} options={[{ value: '1', label: 'Semester 1' }, { value: '2', label: 'Semester 2' }, { value: 'Full Year', label: 'Full Year' }]} />
-            <Inp label="Total Planned Classes" type="number" value={form.total_planned_classes} onChange={e => setForm(p => ({ ...p, total_planned_classes: e.target.value }))} />
+            <Inp label="Total Planned Classes" type="number" value={form.total_planned_classes} error={errors.total_planned_classes} onChange={e => setForm(p => ({ ...p, total_planned_classes: e.target.value }))} />
+            <Inp label="QR Refresh (seconds)" type="number" value={form.qr_rotate_seconds} error={errors.qr_rotate_seconds} onChange={e => setForm(p => ({ ...p, qr_rotate_seconds: e.target.value }))} />
+            <Inp label="Scan Grace Window (seconds)" type="number" value={form.qr_grace_seconds} error={errors.qr_grace_seconds} onChange={e => setForm(p => ({ ...p, qr_grace_seconds: e.target.value }))} />
+            <Inp label="Session Length (minutes)" type="number" value={form.session_duration_minutes} error={errors.session_duration_minutes} onChange={e => setForm(p => ({ ...p, session_duration_minutes: e.target.value }))} />
+            <Inp label="Close Check-In After (minutes)" type="number" value={form.checkin_window_minutes} error={errors.checkin_window_minutes} onChange={e => setForm(p => ({ ...p, checkin_window_minutes: e.target.value }))} placeholder="Blank = open until session ends" />
+            <Sel label="Location Check" value={form.geofence_mode} onChange={e => setForm(p => ({ ...p, geofence_mode: e.target.value }))} options={[{ value: 'flag', label: 'Flag scans outside the venue' }, { value: 'reject', label: 'Reject scans outside the venue' }, { value: 'off', label: 'Off' }]} />
+            <Inp label="Venue Radius (metres)" type="number" value={form.geofence_radius_m} error={errors.geofence_radius_m} disabled={form.geofence_mode === 'off'} onChange={e => setForm(p => ({ ...p, geofence_radius_m: e.target.value }))} />
           </div>
-          <div style={{ display: 'flex', gap: 10 }}><Btn onClick={addCourse} loading={saving}>Save Course</Btn><Btn variant="ghost" onClick={() => setShowAdd(false)}>Cancel</Btn></div>
+          <div style={{ color: C.muted, fontSize: 12, marginBottom: 14 }}>📏 Lateness, how late and excused classes count, and the risk bands come from the faculty / department attendance policy — adjust them for this course with <strong>Policy</strong>{editing ? '' : ' once it is saved'}.{editing && ' Changes apply to sessions started from now on.'}</div>
+          <div style={{ display: 'flex', gap: 10 }}><Btn onClick={saveCourse} loading={saving}>{editing ? 'Save Changes' : 'Save Course'}</Btn><Btn variant="ghost" onClick={closeForm}>Cancel</Btn></div>
         </Card>
       )}
-      {courses.length === 0 ? (
-        <Card style={{ textAlign: 'center', padding: 48 }}><div style={{ fontSize: 40, marginBottom: 12 }}>📚</div><div style={{ fontWeight: 700, marginBottom: 8 }}>No courses yet</div><div style={{ color: C.muted }}>Add your first course above.</div></Card>
+      {current.length === 0 ? (
+        <Card style={{ textAlign: 'center', padding: 48 }}><div style={{ fontSize: 40, marginBottom: 12 }}>📚</div><div style={{ fontWeight: 700, marginBottom: 8 }}>No courses yet</div><div style={{ color: C.muted }}>{archived.length ? 'Add a course above, or set up an archived one for a new semester.' : 'Add your first course above.'}</div></Card>
       ) : (
         <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 16 }}>
-          {courses.map(course => {
+          {current.map(course => {
             const isThisActive = activeSessionId && false; // we'd need to track which session is for which course
+            const planned = todayPlanned.filter(p => p.course_id === course.id && p.status === 'planned' && !p.session_id);
             return (
-              <Card key={course.id} style={{ borderColor: isThisActive ? C.green + '66' : C.border }}>
+              <Card key={course.id} style={{ borderColor: isThisActive ? C.green + '66' : C.border, ...(timetableFor === course.id || policyFor === course.id || staffFor === course.id || rollover?.course.id === course.id ? { gridColumn: '1 / -1' } : {}) }}>
                 <div style={{ marginBottom: 10 }}>
-                  <Badge color={C.accent} small>{course.code}</Badge>
+                  <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', gap: 8 }}>
+                    <div style={{ display: 'flex', gap: 6 }}>
+                      <Badge color={C.accent} small>{course.code}</Badge>
+                      {course.role !== 'owner' && <Badge color={COURSE_ROLES[course.role].color} small>{COURSE_ROLES[course.role].label}</Badge>}
+                    </div>
+                    <div style={{ display: 'flex', gap: 4, flexWrap: 'wrap', justifyContent: 'flex-end' }}>
+                      {canCourse(course, 'settings') && <Btn size="sm" variant="ghost" onClick={() => editCourse(course)}>✎ Edit</Btn>}
+                      {canCourse(course, 'manage') && <Btn size="sm" variant="ghost" onClick={() => startRollover(course)}>⧉ Next Semester</Btn>}
+                      {canCourse(course, 'manage') && <Btn size="sm" variant="ghost" onClick={() => archiveCourse(course, true)}>🗄 Archive</Btn>}
+                      <Btn size="sm" variant="ghost" onClick={() => setStaffFor(staffFor === course.id ? null : course.id)}>👥 Staff{course.staff.length > 0 && ` (${course.staff.length + 1})`}</Btn>
+                      {canCourse(course, 'settings') && <Btn size="sm" variant="ghost" onClick={() => setPolicyFor(policyFor === course.id ? null : course.id)}>📏 Policy</Btn>}
+                      {canCourse(course, 'settings') && <Btn size="sm" variant="ghost" onClick={() => setTimetableFor(timetableFor === course.id ? null : course.id)}>🗓 Timetable</Btn>}
+                    </div>
+                  </div>
                   <div style={{ fontWeight: 700, fontSize: 15, marginTop: 6 }}>{course.name}</div>
                   <div style={{ color: C.muted, fontSize: 12, marginTop: 2 }}>{course.department} · Yr {course.year} · Sem {course.semester}</div>
+                  {course.role !== 'owner' && <div style={{ color: C.muted, fontSize: 12 }}>👤 {lecturers.find(l => l.id === course.lecturer_id)?.name || course.lecturer_id}</div>}
                   {course.room && <div style={{ color: C.muted, fontSize: 12 }}>📍 {course.room}</div>}
                 </div>
+                {!activeSessionId && course.groups.length > 0 && (
+                  <div style={{ display: 'flex', gap: 4, alignItems: 'center', flexWrap: 'wrap', marginBottom: 8 }}>
+                    <span style={{ color: C.muted, fontSize: 12, marginRight: 4 }}>For:</span>
+                    <Pill active={!(groupPicks[course.id] || []).length} onClick={() => setGroupPicks(p => ({ ...p, [course.id]: [] }))}>Whole class</Pill>
+                    {course.groups.map(g => {
+                      const picked = groupPicks[course.id] || [];
+                      return <Pill key={g.id} active={picked.includes(g.id)} onClick={() => setGroupPicks(p => ({ ...p, [course.id]: picked.includes(g.id) ? picked.filter(id => id !== g.id) : [...picked, g.id] }))}>{g.name}</Pill>;
+                    })}
+                  </div>
+                )}
+                {!activeSessionId && planned.map(p => (
+                  <div key={p.id} style={{ display: 'flex', alignItems: 'center', gap: 8, padding: '8px 12px', background: C.accentGlow, border: `1px solid ${C.accent}44`, borderRadius: 8, marginBottom: 8 }}>
+                    <div style={{ flex: 1, fontSize: 13 }}>🗓 Today {p.start_time}{p.room && ` · 📍 ${p.room}`}</div>
+                    <Btn size="sm" variant="success" onClick={() => onStartSession(course, roomInputs[course.id] || p.room, p, groupPicks[course.id] || [])}>▶ Start Planned</Btn>
+                  </div>
+                ))}
                 {!activeSessionId ? (
                   <div style={{ display: 'flex', gap: 8 }}>
                     <input value={roomInputs[course.id] || ''} onChange={e => setRoomInputs(p => ({ ...p, [course.id]: e.target.value }))} placeholder={course.room || 'Venue for today'} style={{ flex: 1, padding: '8px 12px', borderRadius: 8, border: `1px solid ${C.border}`, background: C.surface, color: C.text, fontSize: 13, outline: 'none' }} />
-                    <Btn size="sm" onClick={() => onStartSession(course, roomInputs[course.id] || course.room)}>▶ Start</Btn>
+                    <Btn size="sm" onClick={() => onStartSession(course, roomInputs[course.id] || course.room, null, groupPicks[course.id] || [])}>▶ Start</Btn>
                   </div>
                 ) : (
                   <div style={{ fontSize: 12, color: C.muted }}>End the active session first</div>
                 )}
+                {staffFor === course.id && <CourseStaff course={course} lecturers={lecturers} onChanged={onCourseAdded} flash={flash} />}
+                {rollover?.course.id === course.id && rolloverForm}
+                {policyFor === course.id && <PolicyEditor scope="course" scopeKey={course.id} department={course.department} title={`Attendance policy — ${course.code}`} onSaved={onCourseAdded} flash={flash} />}
+                {timetableFor === course.id && <CourseTimetable course={course} onChanged={() => { onCourseAdded(); onTimetableChanged(); }} flash={flash} />}
               </Card>
             );
           })}
         </div>
       )}
+      {archived.length > 0 && (
+        <div style={{ marginTop: 28 }}>
+          <button onClick={() => setShowArchived(!showArchived)} style={{ background: 'none', border: 'none', color: C.muted, cursor: 'pointer', fontWeight: 700, fontSize: 13, padding: 0 }}>{showArchived ? '▾' : '▸'} Archived ({archived.length})</button>
+          {showArchived && (
+            <div style={{ display: 'grid', gap: 8, marginTop: 12 }}>
+              {archived.map(course => (
+                <Card key={course.id} style={{ padding: '12px 16px' }}>
+                  <div style={{ display: 'flex', alignItems: 'center', gap: 12 }}>
+                    <Badge color={C.muted} small>{course.code}</Badge>
+                    <div style={{ flex: 1, fontSize: 13 }}>{course.name} <span style={{ color: C.muted }}>· Yr {course.year} · Sem {course.semester} · archived {course.archived_at.slice(0, 10)}</span></div>
+                    {canCourse(course, 'manage') && <Btn size="sm" variant="ghost" onClick={() => startRollover(course)}>⧉ Next Semester</Btn>}
+                    {canCourse(course, 'manage') && <Btn size="sm" variant="ghost" onClick={() => archiveCourse(course, false)}>↩ Restore</Btn>}
+                  </div>
+                  {rollover?.course.id === course.id && rolloverForm}
+                </Card>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
     </>
   );
 }
 
-function LecturerStudentsTab({ courses, flash }) {
+// ─── Co-lecturers and tutors ─────────────────────────────────────────────────
+// Everyone on the course sees who else is; only the owner (or the admin) changes it.
+function CourseStaff({ course, lecturers, onChanged, flash }) {
+  const [pick, setPick] = useState({ lecturer_id: '', role: 'tutor' });
+  const [busy, setBusy] = useState(false);
+  const manage = canCourse(course, 'manage');
+  const nameOf = (id) => lecturers.find(l => l.id === id)?.name || id;
+  const candidates = lecturers.filter(l => l.id !== course.lecturer_id && !course.staff.some(s => s.lecturer_id === l.id));
+
+  const run = async (action, done) => {
+    setBusy(true);
+    try { await action(); await onChanged(); flash(done); }
+    catch (err) { flash('Failed: ' + err.message, 'danger'); }
+    setBusy(false);
+  };
+
+  const add = () => {
+    if (!pick.lecturer_id) { flash('Choose a lecturer to add', 'warning'); return; }
+    run(() => addCourseStaff(course.id, pick.lecturer_id, pick.role), `${nameOf(pick.lecturer_id)} added as ${COURSE_ROLES[pick.role].label.toLowerCase()}`)
+      .then(() => setPick(p => ({ ...p, lecturer_id: '' })));
+  };
+
+  const remove = (s) => {
+    if (!window.confirm(`Remove ${nameOf(s.lecturer_id)} from ${course.code}? Sessions they ran stay in the register.`)) return;
+    run(() => removeCourseStaff(course.id, s.lecturer_id), `${nameOf(s.lecturer_id)} removed`);
+  };
+
+  return (
+    <div style={{ marginTop: 16, paddingTop: 16, borderTop: `1px solid ${C.border}` }}>
+      <div style={{ fontWeight: 700, marginBottom: 4 }}>Course Staff</div>
+      <div style={{ color: C.muted, fontSize: 12, marginBottom: 12 }}>Co-lecturers can do everything except change the staff, archive the course or set up the next semester. Tutors run sessions and see the roster, register and reports.</div>
+      <div style={{ display: 'flex', alignItems: 'center', gap: 12, padding: '8px 12px', background: C.surface, borderRadius: 8, marginBottom: 6, fontSize: 13 }}>
+        <div style={{ flex: 1, fontWeight: 700 }}>{nameOf(course.lecturer_id)}</div>
+        <Badge color={COURSE_ROLES.owner.color} small>{COURSE_ROLES.owner.label}</Badge>
+      </div>
+      {course.staff.map(s => (
+        <div key={s.lecturer_id} style={{ display: 'flex', alignItems: 'center', gap: 12, padding: '8px 12px', background: C.surface, borderRadius: 8, marginBottom: 6, fontSize: 13 }}>
+          <div style={{ flex: 1, fontWeight: 700 }}>{nameOf(s.lecturer_id)}</div>
+          {manage ? (
+            <>
+              {['co_lecturer', 'tutor'].map(role => (
+                <Pill key={role} active={s.role === role} onClick={() => s.role !== role && run(() => updateCourseStaff(course.id, s.lecturer_id, role), `${nameOf(s.lecturer_id)} is now ${COURSE_ROLES[role].label.toLowerCase()}`)}>{COURSE_ROLES[role].label}</Pill>
+              ))}
+              <Btn size="sm" variant="ghost" disabled={busy} onClick={() => remove(s)}>✕</Btn>
+            </>
+          ) : <Badge color={COURSE_ROLES[s.role].color} small>{COURSE_ROLES[s.role].label}</Badge>}
+        </div>
+      ))}
+      {manage && (
+        <div style={{ display: 'grid', gridTemplateColumns: '1fr auto auto', gap: 10, alignItems: 'end', marginTop: 10 }}>
+          <Sel label="Lecturer" value={pick.lecturer_id} onChange={e => setPick(p => ({ ...p, lecturer_id: e.target.value }))}
+            options={[{ value: '', label: candidates.length ? 'Choose a lecturer…' : 'Every lecturer is on this course' }, ...candidates.map(l => ({ value: l.id, label: `${l.name}${l.department ? ` · ${l.department}` : ''}` }))]} />
+          <div style={{ display: 'flex', gap: 4, marginBottom: 14 }}>
+            {['co_lecturer', 'tutor'].map(role => <Pill key={role} active={pick.role === role} onClick={() => setPick(p => ({ ...p, role }))}>{COURSE_ROLES[role].label}</Pill>)}
+          </div>
+          <div style={{ marginBottom: 14 }}><Btn onClick={add} loading={busy}>+ Add</Btn></div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+function CourseTimetable({ course, onChanged, flash }) {
+  const [slots, setSlots] = useState([]);
+  const [planned, setPlanned] = useState([]);
+  const [range, setRange] = useState({ semester_start: course.semester_start || '', semester_end: course.semester_end || '', holidays: (course.holidays || []).join(', ') });
+  const [slot, setSlot] = useState({ day_of_week: '1', start_time: '08:00', room: '' });
+  const [errors, setErrors] = useState({});
+  const [busy, setBusy] = useState(false);
+  const today = localDate();
+
+  const load = useCallback(async () => {
+    try {
+      const [t, p] = await Promise.all([getTimetable(course.id), getPlannedSessions({ courseId: course.id })]);
+      setSlots(t); setPlanned(p);
+    } catch { flash('Failed to load timetable', 'danger'); }
+  }, [course.id, flash]);
+  useEffect(() => { load(); }, [load]);
+
+  const addSlot = async () => {
+    if (!/^\d{2}:\d{2}$/.test(slot.start_time)) { setErrors({ start_time: 'Use HH:MM' }); return; }
+    setErrors({});
+    try {
+      await addTimetableSlot({ id: genId(), course_id: course.id, day_of_week: Number(slot.day_of_week), start_time: slot.start_time, room: slot.room.trim() });
+      setSlot(p => ({ ...p, room: '' })); await load();
+    } catch (err) { flash('Failed: ' + err.message, 'danger'); }
+  };
+
+  const removeSlot = async (id) => {
+    try { await deleteTimetableSlot(id); await load(); }
+    catch (err) { flash('Failed: ' + err.message, 'danger'); }
+  };
+
+  // Saves the semester range and holidays, then rebuilds the planned sessions from the slots
+  const generate = async () => {
+    const e = {};
+    const holidays = range.holidays.split(/[\s,;]+/).filter(Boolean);
+    if (!range.semester_start) e.semester_start = 'Required';
+    if (!range.semester_end) e.semester_end = 'Required';
+    else if (range.semester_end < range.semester_start) e.semester_end = 'Must be after the start';
+    if (holidays.some(h => !/^\d{4}-\d{2}-\d{2}$/.test(h))) e.holidays = 'Use YYYY-MM-DD dates, separated by commas';
+    if (!slots.length) e.slots = 'Add at least one weekly slot';
+    setErrors(e); if (Object.keys(e).length) return;
+    setBusy(true);
+    try {
+      await updateCourse(course.id, { semester_start: range.semester_start, semester_end: range.semester_end, holidays });
+      const added = await generatePlannedSessions(course.id);
+      await load(); onChanged();
+      flash(`${added} planned session${added !== 1 ? 's' : ''} generated for ${course.code}`);
+    } catch (err) { flash('Failed: ' + err.message, 'danger'); }
+    setBusy(false);
+  };
+
+  const toggleCancelled = async (p) => {
+    try { await setPlannedSessionStatus(p.id, p.status === 'cancelled' ? 'planned' : 'cancelled'); await load(); onChanged(); }
+    catch (err) { flash('Failed: ' + err.message, 'danger'); }
+  };
+
+  const active = planned.filter(p => p.status !== 'cancelled');
+  const conducted = active.filter(p => p.session_id).length;
+  const missed = active.filter(p => !p.session_id && p.date < today);
+  const upcoming = active.filter(p => !p.session_id && p.date >= today);
+
+  return (
+    <div style={{ marginTop: 16, paddingTop: 16, borderTop: `1px solid ${C.border}` }}>
+      <div style={{ fontWeight: 700, marginBottom: 12 }}>Weekly Timetable</div>
+      {slots.length === 0 && <div style={{ color: C.muted, fontSize: 13, marginBottom: 12 }}>No weekly slots yet.</div>}
+      {slots.map(t => (
+        <div key={t.id} style={{ display: 'flex', alignItems: 'center', gap: 12, padding: '8px 12px', background: C.surface, borderRadius: 8, marginBottom: 6, fontSize: 13 }}>
+          <div style={{ fontWeight: 700, width: 100 }}>{WEEKDAYS[t.day_of_week]}</div>
+          <div style={{ width: 60 }}>{t.start_time}</div>
+          <div style={{ flex: 1, color: C.muted }}>📍 {t.room || course.room || 'TBA'}</div>
+          <Btn size="sm" variant="ghost" onClick={() => removeSlot(t.id)}>✕</Btn>
+        </div>
+      ))}
+      <div style={{ display: 'grid', gridTemplateColumns: '160px 120px 1fr auto', gap: 10, alignItems: 'end', marginTop: 10 }}>
+        <Sel label="Day" value={slot.day_of_week} onChange={e => setSlot(p => ({ ...p, day_of_week: e.target.value }))} options={WEEKDAYS.map((d, i) => ({ value: String(i), label: d }))} />
+        <Inp label="Start" type="time" value={slot.start_time} error={errors.start_time} onChange={e => setSlot(p => ({ ...p, start_time: e.target.value }))} />
+        <Inp label="Venue" value={slot.room} onChange={e => setSlot(p => ({ ...p, room: e.target.value }))} placeholder={course.room || 'Default venue'} />
+        <div style={{ marginBottom: 14 }}><Btn onClick={addSlot}>+ Add Slot</Btn></div>
+      </div>
+      {errors.slots && <Alert type="danger">{errors.slots}</Alert>}
+      <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr 2fr', gap: 10 }}>
+        <Inp label="Semester Start" type="date" value={range.semester_start} error={errors.semester_start} onChange={e => setRange(p => ({ ...p, semester_start: e.target.value }))} />
+        <Inp label="Semester End" type="date" value={range.semester_end} error={errors.semester_end} onChange={e => setRange(p => ({ ...p, semester_end: e.target.value }))} />
+        <Inp label="Holidays (no classes)" value={range.holidays} error={errors.holidays} onChange={e => setRange(p => ({ ...p, holidays: e.target.value }))} placeholder="e.g. 2025-03-21, 2025-04-18" />
+      </div>
+      <div style={{ display: 'flex', alignItems: 'center', gap: 14, marginBottom: 14 }}>
+        <Btn variant="success" onClick={generate} loading={busy}>🗓 Generate Planned Sessions</Btn>
+        <span style={{ fontSize: 12, color: C.muted }}>Regenerating keeps conducted and cancelled sessions.</span>
+      </div>
+      {planned.length > 0 && (
+        <>
+          <div style={{ display: 'flex', gap: 8, marginBottom: 10, flexWrap: 'wrap' }}>
+            <Badge color={C.blue} small>{active.length} planned</Badge>
+            <Badge color={C.green} small>{conducted} conducted</Badge>
+            <Badge color={C.red} small>{missed.length} missed</Badge>
+            <Badge color={C.muted} small>{planned.length - active.length} cancelled</Badge>
+          </div>
+          {[...missed, ...upcoming.slice(0, 8), ...planned.filter(p => p.status === 'cancelled' && p.date >= today)].map(p => (
+            <div key={p.id} style={{ display: 'flex', alignItems: 'center', gap: 12, padding: '6px 12px', background: C.surface, borderRadius: 8, marginBottom: 4, fontSize: 13, opacity: p.status === 'cancelled' ? 0.55 : 1 }}>
+              <div style={{ width: 190 }}>{WEEKDAYS[new Date(`${p.date}T00:00:00`).getDay()].slice(0, 3)} {p.date} · {p.start_time}</div>
+              <div style={{ flex: 1, color: C.muted }}>📍 {p.room || 'TBA'}</div>
+              {p.status === 'cancelled' && <Badge color={C.muted} small>Cancelled</Badge>}
+              {p.status !== 'cancelled' && p.date < today && <Badge color={C.red} small>Missed</Badge>}
+              <Btn size="sm" variant="ghost" onClick={() => toggleCancelled(p)}>{p.status === 'cancelled' ? 'Restore' : 'Cancel'}</Btn>
+            </div>
+          ))}
+          {upcoming.length > 8 && <div style={{ fontSize: 12, color: C.muted, marginTop: 6 }}>…and {upcoming.length - 8} more</div>}
+        </>
+      )}
+    </div>
+  );
+}
+
+// ─── Attendance policy editor (faculty, department or course level) ──────────
+// Blank fields inherit from the level above; the placeholder shows what that is.
+const POLICY_SCOPE_LABELS = { faculty: 'faculty default', department: 'department', course: 'course' };
+const LATE_WEIGHT_OPTIONS = [{ value: '1', label: 'Full class' }, { value: '0.75', label: 'Three quarters' }, { value: '0.5', label: 'Half a class' }, { value: '0.25', label: 'A quarter' }, { value: '0', label: 'Nothing (absent)' }];
+const EXCUSED_OPTIONS = [{ value: 'excluded', label: 'Left out of the total' }, { value: 'present', label: 'Counted as present' }, { value: 'absent', label: 'Counted as absent' }];
+
+function PolicyEditor({ scope, scopeKey = '', department = '', title, onSaved, flash }) {
+  const [rows, setRows] = useState(null);
+  const [form, setForm] = useState({});
+  const [errors, setErrors] = useState({});
+  const [saving, setSaving] = useState(false);
+
+  const load = useCallback(async () => {
+    try {
+      const all = await getAttendancePolicies();
+      const own = all.find(r => r.scope === scope && r.scope_key === scopeKey) || {};
+      setRows(all);
+      setForm(Object.fromEntries(Object.keys(DEFAULT_POLICY).map(k => [k, own[k] == null ? '' : String(own[k])])));
+    } catch { flash('Failed to load the attendance policy', 'danger'); }
+  }, [scope, scopeKey, flash]);
+  useEffect(() => { load(); }, [load]);
+
+  if (!rows) return <Spinner />;
+
+  const layer = (sc, key) => rows.find(r => r.scope === sc && r.scope_key === key);
+  const parents = scope === 'faculty' ? [] : scope === 'department' ? [layer('faculty', '')] : [layer('faculty', ''), layer('department', department)];
+  const inherited = mergePolicy(...parents);
+  const values = Object.fromEntries(Object.entries(form).map(([k, v]) => [k, v === '' ? null : k === 'excused_counts_as' ? v : Number(v)]));
+  const effective = mergePolicy(...parents, values);
+  const exists = !!layer(scope, scopeKey);
+  const set = (k, v) => setForm(p => ({ ...p, [k]: v }));
+  const hint = (k, fmt = v => v) => scope === 'faculty' ? `Default: ${fmt(DEFAULT_POLICY[k])}` : `Inherit: ${fmt(inherited[k])}`;
+  const inheritOption = (options, k) => [{ value: '', label: `${scope === 'faculty' ? 'Default' : 'Inherit'} (${options.find(o => o.value === String(inherited[k]))?.label ?? inherited[k]})` }, ...options];
+
+  const save = async () => {
+    const e = {};
+    if (values.late_after_minutes != null && values.late_after_minutes < 0) e.late_after_minutes = 'Cannot be negative';
+    if (values.absent_after_minutes != null && values.absent_after_minutes !== 0 && values.absent_after_minutes <= effective.late_after_minutes) e.absent_after_minutes = `Must be more than the late cut-off (${effective.late_after_minutes} min), or 0 for none`;
+    if (values.good_standing_pct != null && (values.good_standing_pct < 1 || values.good_standing_pct > 100)) e.good_standing_pct = 'Between 1 and 100';
+    if (effective.critical_below_pct > effective.good_standing_pct) e.critical_below_pct = `Cannot be above good standing (${effective.good_standing_pct}%)`;
+    if (values.critical_below_pct != null && values.critical_below_pct < 0) e.critical_below_pct = 'Cannot be negative';
+    setErrors(e); if (Object.keys(e).length) return;
+    setSaving(true);
+    try { await saveAttendancePolicy({ scope, scope_key: scopeKey, ...values }); await load(); flash('Attendance policy saved'); onSaved?.(); }
+    catch (err) { flash('Failed: ' + err.message, 'danger'); }
+    setSaving(false);
+  };
+
+  const reset = async () => {
+    if (!window.confirm(`Remove this ${POLICY_SCOPE_LABELS[scope]}'s own settings and inherit everything?`)) return;
+    setSaving(true);
+    try { await deleteAttendancePolicy(scope, scopeKey); await load(); flash('Now inheriting every setting', 'warning'); onSaved?.(); }
+    catch (err) { flash('Failed: ' + err.message, 'danger'); }
+    setSaving(false);
+  };
+
+  return (
+    <div style={{ marginTop: 14, paddingTop: 14, borderTop: `1px solid ${C.border}` }}>
+      {title && <div style={{ fontWeight: 700, marginBottom: 4 }}>{title}</div>}
+      <div style={{ color: C.muted, fontSize: 12, marginBottom: 14 }}>{scope === 'faculty' ? 'Applies to every course unless a department or course says otherwise.' : 'Leave a field blank to inherit it.'} Lateness applies to sessions started after a change; everything else recalculates past sessions too.</div>
+      <div style={{ display: 'grid', gridTemplateColumns: 'repeat(3, 1fr)', gap: 12 }}>
+        <Inp label="Late after (minutes)" type="number" min={0} value={form.late_after_minutes} error={errors.late_after_minutes} onChange={e => set('late_after_minutes', e.target.value)} placeholder={hint('late_after_minutes')} />
+        <Inp label="Absent from (minutes late)" type="number" min={0} value={form.absent_after_minutes} error={errors.absent_after_minutes} onChange={e => set('absent_after_minutes', e.target.value)} placeholder={hint('absent_after_minutes', v => v == null ? 'none' : v)} />
+        <Sel label="A late arrival counts as" value={form.late_weight} onChange={e => set('late_weight', e.target.value)} options={inheritOption(LATE_WEIGHT_OPTIONS, 'late_weight')} />
+        <Sel label="Excused absences are" value={form.excused_counts_as} onChange={e => set('excused_counts_as', e.target.value)} options={inheritOption(EXCUSED_OPTIONS, 'excused_counts_as')} />
+        <Inp label="Good standing at (%)" type="number" min={1} max={100} value={form.good_standing_pct} error={errors.good_standing_pct} onChange={e => set('good_standing_pct', e.target.value)} placeholder={hint('good_standing_pct')} />
+        <Inp label="Critical below (%)" type="number" min={0} max={100} value={form.critical_below_pct} error={errors.critical_below_pct} onChange={e => set('critical_below_pct', e.target.value)} placeholder={hint('critical_below_pct')} />
+      </div>
+      <div style={{ padding: '10px 14px', borderRadius: 8, background: C.surface, fontSize: 13, color: C.mutedLight, marginBottom: 14 }}>📏 {describePolicy(effective)}</div>
+      <div style={{ display: 'flex', gap: 10 }}>
+        <Btn onClick={save} loading={saving}>Save Policy</Btn>
+        {scope !== 'faculty' && exists && <Btn variant="ghost" onClick={reset} disabled={saving}>Inherit Everything</Btn>}
+      </div>
+    </div>
+  );
+}
+
+const ROSTER_STATUS = {
+  new:       { label: 'New',              color: C.green },
+  enrolled:  { label: 'Already enrolled', color: C.blue },
+  duplicate: { label: 'Duplicate',        color: C.yellow },
+  invalid:   { label: 'Invalid',          color: C.red },
+};
+const IMPORT_OUTCOME_COLORS = { Added: C.green, Updated: C.blue, Skipped: C.muted, 'Not saved': C.yellow, Failed: C.red };
+
+// Import wizard: pick the sheet and heading row, map columns, preview every row, then import
+function RosterImport({ sheets, fileName, course, enrolledNos, onDone, onCancel, flash }) {
+  const [sheetIdx, setSheetIdx] = useState(0);
+  const [headerRow, setHeaderRow] = useState(() => guessHeaderRow(sheets[0].rows));
+  const [mapping, setMapping] = useState(() => { const h = guessHeaderRow(sheets[0].rows); return guessRosterMapping(h < 0 ? null : sheets[0].rows[h]); });
+  const [filter, setFilter] = useState('');
+  const [continueOnError, setContinueOnError] = useState(false);
+  const [progress, setProgress] = useState(null); // { done, total } while importing
+  const [report, setReport] = useState(null);
+
+  const rows = sheets[sheetIdx].rows;
+  const width = Math.max(...rows.slice(0, 50).map(r => r.length));
+  const columnName = (col) => `Col ${String.fromCharCode(65 + col)}${headerRow >= 0 && rows[headerRow][col] ? ` — ${rows[headerRow][col]}` : ''}`;
+  const checked = useMemo(() => validateRoster(rosterRows(rows, headerRow, mapping), enrolledNos), [rows, headerRow, mapping, enrolledNos]);
+  const counts = Object.keys(ROSTER_STATUS).reduce((o, k) => ({ ...o, [k]: checked.filter(r => r.status === k).length }), {});
+  const importable = checked.filter(r => r.status === 'new' || r.status === 'enrolled');
+  const namesMapped = ['surname_initials', 'surname', 'full_name'].some(k => mapping[k] != null);
+
+  const pickSheet = (i) => {
+    const h = guessHeaderRow(sheets[i].rows);
+    setSheetIdx(i); setHeaderRow(h); setMapping(guessRosterMapping(h < 0 ? null : sheets[i].rows[h])); setFilter('');
+  };
+  const pickHeaderRow = (h) => { setHeaderRow(h); setMapping(guessRosterMapping(h < 0 ? null : rows[h])); };
+  const mapField = (key, value) => setMapping(m => ({ ...m, [key]: value === '' ? undefined : Number(value) }));
+
+  const runImport = async () => {
+    setProgress({ done: 0, total: importable.length });
+    try {
+      const results = await upsertManyStudents(importable.map(r => ({
+        studentNo: r.studentNo, surnameInitials: r.surnameInitials,
+        email: r.email || undefined, phone: r.phone || undefined, fullName: r.fullName || undefined, programme: r.programme || undefined,
+        group: r.group || undefined,
+      })), course.id, { continueOnError, onProgress: (done, total) => setProgress({ done, total }) });
+      const byLine = new Map(importable.map((r, i) => [r.line, results[i]]));
+      setReport(checked.map(r => {
+        const res = byLine.get(r.line);
+        const rolledBack = res?.error === 'rolled_back';
+        const outcome = !res ? 'Skipped' : rolledBack ? 'Not saved' : !res.ok ? 'Failed' : r.status === 'enrolled' ? 'Updated' : 'Added';
+        const detail = rolledBack ? 'Another row failed, so nothing was imported' : res?.error || r.problem || r.warnings.join('; ');
+        return { line: r.line, studentNo: r.studentNo, surnameInitials: r.surnameInitials, outcome, detail };
+      }));
+      const failed = results.filter(r => !r.ok && r.error !== 'rolled_back').length;
+      if (failed && !continueOnError) flash(`Nothing imported — ${failed} row${failed === 1 ? '' : 's'} failed. See the report.`, 'danger');
+      else flash(`✓ ${results.length - failed} imported${failed ? `, ${failed} failed` : ''}`, failed ? 'warning' : 'success');
+    } catch (e) { flash('Import failed: ' + e.message, 'danger'); }
+    setProgress(null);
+  };
+  const importing = !!progress;
+
+  const cell = { padding: '7px 10px', fontSize: 12, borderBottom: `1px solid ${C.border}22` };
+  const head = (h) => <th key={h} style={{ padding: '8px 10px', textAlign: 'left', fontSize: 11, fontWeight: 700, color: C.muted, textTransform: 'uppercase', borderBottom: `1px solid ${C.border}` }}>{h}</th>;
+
+  if (report) return (
+    <Card style={{ marginBottom: 20, borderColor: C.accent + '44' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 14 }}>
+        <div style={{ fontWeight: 700 }}>Import report — {fileName}</div>
+        <div style={{ display: 'flex', gap: 8 }}>
+          <Btn size="sm" variant="ghost" onClick={() => downloadImportReport(report, course)}>⬇ Download Report</Btn>
+          <Btn size="sm" onClick={onDone}>Done</Btn>
+        </div>
+      </div>
+      <div style={{ display: 'flex', gap: 8, marginBottom: 14, flexWrap: 'wrap' }}>
+        {Object.entries(IMPORT_OUTCOME_COLORS).map(([o, color]) => <Badge key={o} color={color}>{report.filter(r => r.outcome === o).length} {o}</Badge>)}
+      </div>
+      <div style={{ maxHeight: 360, overflowY: 'auto' }}>
+        <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+          <thead><tr style={{ background: C.surface }}>{['Row', 'Student No', 'Name', 'Result', 'Detail'].map(head)}</tr></thead>
+          <tbody>{report.map(r => (
+            <tr key={r.line}>
+              <td style={{ ...cell, color: C.muted }}>{r.line}</td>
+              <td style={{ ...cell, fontFamily: 'monospace' }}>{r.studentNo}</td>
+              <td style={cell}>{r.surnameInitials}</td>
+              <td style={cell}><Badge color={IMPORT_OUTCOME_COLORS[r.outcome]} small>{r.outcome}</Badge></td>
+              <td style={{ ...cell, color: C.muted }}>{r.detail}</td>
+            </tr>
+          ))}</tbody>
+        </table>
+      </div>
+    </Card>
+  );
+
+  return (
+    <Card style={{ marginBottom: 20, borderColor: C.accent + '44' }}>
+      <div style={{ fontWeight: 700, marginBottom: 4 }}>Import {fileName} into {course.code}</div>
+      <div style={{ color: C.muted, fontSize: 12, marginBottom: 14 }}>Check the columns below — nothing is saved until you import. Students already in the course get their details updated.</div>
+      <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 12 }}>
+        {sheets.length > 1 && <Sel label="Sheet" value={sheetIdx} onChange={e => pickSheet(Number(e.target.value))} options={sheets.map((sh, i) => ({ value: i, label: `${sh.name} (${sh.rows.length} rows)` }))} />}
+        <Sel label="Headings are in" value={headerRow} onChange={e => pickHeaderRow(Number(e.target.value))} options={[{ value: -1, label: 'No headings — data starts on row 1' }, ...rows.slice(0, 10).map((r, i) => ({ value: i, label: `Row ${i + 1}: ${r.filter(Boolean).join(' · ').slice(0, 60)}` }))]} />
+      </div>
+      <div style={{ display: 'grid', gridTemplateColumns: 'repeat(4, 1fr)', gap: 12 }}>
+        {ROSTER_FIELDS.map(f => (
+          <Sel key={f.key} label={f.label + (f.key === 'student_no' ? ' *' : '')} value={mapping[f.key] ?? ''} onChange={e => mapField(f.key, e.target.value)}
+            options={[{ value: '', label: '— not in file —' }, ...Array.from({ length: width }, (_, col) => ({ value: col, label: columnName(col) }))]} />
+        ))}
+      </div>
+      {!namesMapped && <div style={{ color: C.yellow, fontSize: 12, marginBottom: 12 }}>⚠ Map Surname and Initials, Surname (+ First Names) or Full Name so students get a name.</div>}
+      <div style={{ display: 'flex', gap: 4, marginBottom: 12, flexWrap: 'wrap' }}>
+        <Pill active={!filter} onClick={() => setFilter('')}>All ({checked.length})</Pill>
+        {Object.entries(ROSTER_STATUS).map(([k, { label }]) => <Pill key={k} active={filter === k} onClick={() => setFilter(k)}>{label} ({counts[k]})</Pill>)}
+      </div>
+      <div style={{ maxHeight: 360, overflowY: 'auto', marginBottom: 14, border: `1px solid ${C.border}`, borderRadius: 8 }}>
+        <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+          <thead><tr style={{ background: C.surface }}>{['Row', 'Student No', 'Surname & Initials', 'Email', 'Cell', 'Programme', 'Group', 'Status'].map(head)}</tr></thead>
+          <tbody>{checked.filter(r => !filter || r.status === filter).map(r => (
+            <tr key={r.line}>
+              <td style={{ ...cell, color: C.muted }}>{r.line}</td>
+              <td style={{ ...cell, fontFamily: 'monospace' }}>{r.studentNo}</td>
+              <td style={cell}>{r.surnameInitials}{r.fullName && <div style={{ color: C.muted, fontSize: 11 }}>{r.fullName}</div>}</td>
+              <td style={cell}>{r.email}</td>
+              <td style={cell}>{r.phone}</td>
+              <td style={cell}>{r.programme}</td>
+              <td style={cell}>{r.group}</td>
+              <td style={cell}>
+                <Badge color={ROSTER_STATUS[r.status].color} small>{ROSTER_STATUS[r.status].label}</Badge>
+                {[r.problem, ...r.warnings].filter(Boolean).map(m => <div key={m} style={{ color: r.problem === m ? C.red : C.yellow, fontSize: 11, marginTop: 3 }}>{m}</div>)}
+              </td>
+            </tr>
+          ))}</tbody>
+        </table>
+      </div>
+      <div style={{ display: 'flex', gap: 4, alignItems: 'center', marginBottom: 14 }}>
+        <span style={{ color: C.muted, fontSize: 12, marginRight: 8 }}>If a row fails to save:</span>
+        <Pill active={!continueOnError} onClick={() => setContinueOnError(false)}>Import nothing</Pill>
+        <Pill active={continueOnError} onClick={() => setContinueOnError(true)}>Import the rest</Pill>
+      </div>
+      {progress && (
+        <div style={{ marginBottom: 14 }}>
+          <div style={{ color: C.muted, fontSize: 12, marginBottom: 6 }}>{continueOnError ? `Saved ${progress.done} of ${progress.total}…` : `Saving ${progress.total} students in one go…`}</div>
+          <div style={{ height: 6, borderRadius: 3, background: C.border, overflow: 'hidden' }}><div style={{ height: '100%', width: `${progress.total ? progress.done / progress.total * 100 : 0}%`, background: C.accent, transition: 'width 0.3s' }} /></div>
+        </div>
+      )}
+      <div style={{ display: 'flex', gap: 10, alignItems: 'center' }}>
+        <Btn onClick={runImport} loading={importing} disabled={!importable.length || !namesMapped}>Import {importable.length} Student{importable.length === 1 ? '' : 's'}</Btn>
+        <Btn variant="ghost" onClick={onCancel} disabled={importing}>Cancel</Btn>
+        {counts.invalid + counts.duplicate > 0 && <span style={{ color: C.muted, fontSize: 12 }}>{counts.invalid + counts.duplicate} row{counts.invalid + counts.duplicate === 1 ? '' : 's'} will be skipped</span>}
+      </div>
+    </Card>
+  );
+}
+
+const EMPTY_MANUAL_STUDENT = { studentNo: '', surnameInitials: '', email: '', phone: '', group: '' };
+
+function LecturerStudentsTab({ courses, onGroupsChanged, flash }) {
   const [selectedCourse, setSelectedCourse] = useState(courses[0]?.id || '');
   const [students, setStudents] = useState([]);
   const [sessions, setSessions] = useState([]);
+  const [groups, setGroups] = useState([]);
+  const [groupFilter, setGroupFilter] = useState(''); // '' = everyone, 'none' = students in no group
+  const [showGroups, setShowGroups] = useState(false);
+  const [newGroup, setNewGroup] = useState('');
   const [loading, setLoading] = useState(false);
   const [uploading, setUploading] = useState(false);
   const [showManual, setShowManual] = useState(false);
-  const [manual, setManual] = useState({ studentNo: '', surnameInitials: '' });
+  const [manual, setManual] = useState(EMPTY_MANUAL_STUDENT);
   const [dragOver, setDragOver] = useState(false);
+  const [portalCode, setPortalCode] = useState(null); // { student, code } just issued
+  const [rosterFile, setRosterFile] = useState(null); // { name, sheets } waiting in the import wizard
   const fileRef = useRef();
 
   const course = courses.find(c => c.id === selectedCourse);
+  const editRoster = canCourse(course, 'roster');
 
   const load = useCallback(async () => {
     if (!selectedCourse) return;
     setLoading(true);
     try {
-      const [sts, sess] = await Promise.all([getStudentsForCourse(selectedCourse), getSessions(selectedCourse)]);
-      setStudents(sts); setSessions(sess);
+      const [sts, sess, grps] = await Promise.all([getStudentsForCourse(selectedCourse), getSessions(selectedCourse), getCourseGroups([selectedCourse])]);
+      setStudents(sts); setSessions(sess); setGroups(grps);
     } catch { flash('Failed to load students', 'danger'); }
     setLoading(false);
   }, [selectedCourse]);
 
   useEffect(() => { load(); }, [load]);
+  useEffect(() => { setGroupFilter(''); }, [selectedCourse]);
+
+  const groupName = (id) => groups.find(g => g.id === id)?.name;
+  const shown = students.filter(st => !groupFilter || (groupFilter === 'none' ? !st.group_id : st.group_id === groupFilter));
+
+  // Group changes also refresh the dashboard's courses, which the session start buttons read
+  const changeGroups = async (action, done) => {
+    try { await action(); await load(); onGroupsChanged(); if (done) flash(done); }
+    catch (e) { flash('Failed: ' + e.message, 'danger'); }
+  };
+
+  const addGroup = () => {
+    const name = newGroup.trim();
+    if (!name) return;
+    if (groups.some(g => g.name.toLowerCase() === name.toLowerCase())) { flash(`${course.code} already has a group called ${name}`, 'warning'); return; }
+    changeGroups(() => createCourseGroup({ id: genId(), course_id: selectedCourse, name }), `Group ${name} added`).then(() => setNewGroup(''));
+  };
+
+  const renameGroup = (g) => {
+    const name = window.prompt(`Rename group ${g.name} to:`, g.name)?.trim();
+    if (name && name !== g.name) changeGroups(() => renameCourseGroup(g.id, name), `Renamed to ${name}`);
+  };
+
+  const removeGroup = (g) => {
+    const members = students.filter(st => st.group_id === g.id).length;
+    if (!window.confirm(`Delete group ${g.name}?${members ? ` Its ${members} student${members === 1 ? '' : 's'} stay enrolled, in no group.` : ''}`)) return;
+    changeGroups(() => deleteCourseGroup(g.id), `Group ${g.name} deleted`);
+  };
+
+  const moveToGroup = (st, groupId) => changeGroups(() => setStudentGroup(st.id, selectedCourse, groupId));
 
   const processFile = async (file) => {
     if (!selectedCourse) { flash('Select a course first', 'warning'); return; }
     setUploading(true);
     try {
-      const parsed = await parseStudentExcel(file);
-      if (!parsed.length) { flash('No valid rows found. Check file format.', 'warning'); return; }
-      const { added, skipped } = await upsertManyStudents(parsed, selectedCourse);
-      await load();
-      flash(`✓ ${added} added${skipped ? `, ${skipped} already enrolled` : ''}`);
+      const sheets = await readRosterFile(file);
+      if (!sheets.length) flash('The file is empty. Check the file format.', 'warning');
+      else setRosterFile({ name: file.name, sheets });
     } catch (e) { flash('Error reading file: ' + e.message, 'danger'); }
     setUploading(false);
   };
 
+  const enrolledNos = useMemo(() => new Set(students.map(st => st.student_no)), [students]);
+
   const addManual = async () => {
-    if (!manual.studentNo.trim() || !manual.surnameInitials.trim()) { flash('Both fields required', 'danger'); return; }
-    try { await upsertStudentAndEnrol(manual.studentNo.trim(), manual.surnameInitials.trim(), selectedCourse); await load(); flash('Student added'); setManual({ studentNo: '', surnameInitials: '' }); } catch (e) { flash('Failed: ' + e.message, 'danger'); }
+    if (!manual.studentNo.trim() || !manual.surnameInitials.trim()) { flash('Student number and name required', 'danger'); return; }
+    if (manual.email.trim() && !manual.email.includes('@')) { flash('Check the email address', 'danger'); return; }
+    try {
+      await upsertStudentAndEnrol(manual.studentNo.trim(), manual.surnameInitials.trim(), selectedCourse, { email: manual.email, phone: manual.phone, group: groups.length ? manual.group : undefined });
+      await load(); flash('Student saved'); setManual(EMPTY_MANUAL_STUDENT);
+    } catch (e) { flash('Failed: ' + e.message, 'danger'); }
+  };
+
+  const editContact = (st) => {
+    setManual({ studentNo: st.student_no, surnameInitials: st.surname_initials, email: st.email || '', phone: st.phone || '', group: groupName(st.group_id) || '' });
+    setShowManual(true);
   };
 
   const remove = async (studentId) => {
     try { await removeStudentFromCourse(studentId, selectedCourse); await load(); } catch { flash('Failed to remove', 'danger'); }
   };
 
+  const issuePortalCode = async (student) => {
+    try { setPortalCode({ student, code: await issueStudentActivationCode(student.student_no) }); }
+    catch (e) {
+      if (e.message === 'portal_already_active') flash(`${student.surname_initials} has already activated the portal — only the admin can issue a new code`, 'warning');
+      else flash('Failed: ' + e.message, 'danger');
+    }
+  };
+
   return (
     <>
       <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 20 }}>
         <div style={{ fontWeight: 800, fontSize: 18 }}>Student Register</div>
-        <div style={{ display: 'flex', gap: 8 }}><Btn variant="ghost" size="sm" onClick={downloadStudentTemplate}>⬇ Template</Btn><Btn size="sm" onClick={() => setShowManual(!showManual)}>+ Add Manually</Btn></div>
+        <div style={{ display: 'flex', gap: 8 }}>
+          <Btn variant="ghost" size="sm" onClick={() => setShowGroups(!showGroups)}>👥 Groups{groups.length > 0 && ` (${groups.length})`}</Btn>
+          {editRoster && <><Btn variant="ghost" size="sm" onClick={downloadStudentTemplate}>⬇ Template</Btn><Btn size="sm" onClick={() => setShowManual(!showManual)}>+ Add Manually</Btn></>}
+        </div>
       </div>
       <div style={{ display: 'flex', gap: 8, marginBottom: 20, flexWrap: 'wrap' }}>
         {courses.map(c => <button key={c.id} onClick={() => setSelectedCourse(c.id)} style={{ padding: '7px 16px', borderRadius: 8, cursor: 'pointer', fontWeight: 700, fontSize: 13, border: `1px solid ${selectedCourse === c.id ? C.accent : C.border}`, background: selectedCourse === c.id ? C.accentGlow : 'transparent', color: selectedCourse === c.id ? C.accent : C.muted }}>{c.code} — {c.name}</button>)}
       </div>
       {selectedCourse && (
         <>
+          {showGroups && (
+            <Card style={{ marginBottom: 16, borderColor: C.accent + '44' }}>
+              <div style={{ fontWeight: 700, marginBottom: 4 }}>Tutorial Groups in {course?.code}</div>
+              <div style={{ color: C.muted, fontSize: 12, marginBottom: 12 }}>A session started for particular groups only counts for their members — everyone else's percentage ignores it. Students in no group attend whole-class sessions only.</div>
+              {groups.length === 0 && <div style={{ color: C.muted, fontSize: 13, marginBottom: 12 }}>No groups — every session is for the whole class.</div>}
+              {groups.map(g => (
+                <div key={g.id} style={{ display: 'flex', alignItems: 'center', gap: 12, padding: '8px 12px', background: C.surface, borderRadius: 8, marginBottom: 6, fontSize: 13 }}>
+                  <div style={{ flex: 1, fontWeight: 700 }}>{g.name}</div>
+                  <span style={{ color: C.muted }}>{students.filter(st => st.group_id === g.id).length} students</span>
+                  {editRoster && <><Btn size="sm" variant="ghost" onClick={() => renameGroup(g)}>✎</Btn><Btn size="sm" variant="ghost" onClick={() => removeGroup(g)}>✕</Btn></>}
+                </div>
+              ))}
+              {editRoster && (
+                <div style={{ display: 'grid', gridTemplateColumns: '1fr auto', gap: 10, alignItems: 'end', marginTop: 10 }}>
+                  <Inp label="New group" value={newGroup} onChange={e => setNewGroup(e.target.value)} onKeyDown={e => e.key === 'Enter' && addGroup()} placeholder="e.g. Tut A" />
+                  <div style={{ marginBottom: 14 }}><Btn onClick={addGroup}>+ Add Group</Btn></div>
+                </div>
+              )}
+            </Card>
+          )}
+          {!editRoster ? null : rosterFile ? (
+            <RosterImport key={rosterFile.name + selectedCourse} sheets={rosterFile.sheets} fileName={rosterFile.name} course={course} enrolledNos={enrolledNos} flash={flash}
+              onDone={() => { setRosterFile(null); load(); }} onCancel={() => setRosterFile(null)} />
+          ) : (
           <Card style={{ marginBottom: 20, borderColor: dragOver ? C.accent + '88' : C.border, textAlign: 'center', cursor: 'pointer' }} onClick={() => fileRef.current?.click()}>
             <div onDragOver={e => { e.preventDefault(); setDragOver(true); }} onDragLeave={() => setDragOver(false)} onDrop={e => { e.preventDefault(); setDragOver(false); processFile(e.dataTransfer.files[0]); }} style={{ padding: '20px 0' }}>
               <div style={{ fontSize: 32, marginBottom: 10 }}>{uploading ? '⟳' : '📂'}</div>
-              <div style={{ fontWeight: 700, marginBottom: 6 }}>{uploading ? 'Processing…' : 'Upload Student List (Excel)'}</div>
-              <div style={{ color: C.muted, fontSize: 13 }}>Drag & drop or click · <strong>Col A:</strong> Student Number · <strong>Col B:</strong> Surname and Initials</div>
+              <div style={{ fontWeight: 700, marginBottom: 6 }}>{uploading ? 'Reading…' : 'Upload Student List (Excel or CSV)'}</div>
+              <div style={{ color: C.muted, fontSize: 13 }}>Drag & drop or click · any column layout — you match the columns and check every row before importing</div>
             </div>
-            <input ref={fileRef} type="file" accept=".xlsx,.xls" style={{ display: 'none' }} onChange={e => { processFile(e.target.files[0]); e.target.value = ''; }} />
+            <input ref={fileRef} type="file" accept=".xlsx,.xls,.csv" style={{ display: 'none' }} onChange={e => { processFile(e.target.files[0]); e.target.value = ''; }} />
           </Card>
+          )}
           {showManual && (
             <Card style={{ marginBottom: 16, borderColor: C.accent + '44' }}>
-              <div style={{ fontWeight: 700, marginBottom: 14 }}>Add Student Manually to {course?.code}</div>
+              <div style={{ fontWeight: 700, marginBottom: 14 }}>Add or Update Student in {course?.code}</div>
               <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 12, marginBottom: 12 }}>
                 <Inp label="Student Number" value={manual.studentNo} onChange={e => setManual(p => ({ ...p, studentNo: e.target.value }))} placeholder="e.g. 20210001" />
                 <Inp label="Surname and Initials" value={manual.surnameInitials} onChange={e => setManual(p => ({ ...p, surnameInitials: e.target.value }))} placeholder="e.g. Khumalo T.S." />
+                <Inp label="Email (for attendance alerts)" type="email" value={manual.email} onChange={e => setManual(p => ({ ...p, email: e.target.value }))} placeholder="optional" />
+                <Inp label="Cell Number (for SMS alerts)" value={manual.phone} onChange={e => setManual(p => ({ ...p, phone: e.target.value }))} placeholder="optional" />
+                {groups.length > 0 && <Sel label="Tutorial Group" value={manual.group} onChange={e => setManual(p => ({ ...p, group: e.target.value }))} options={[{ value: '', label: 'No group' }, ...groups.map(g => ({ value: g.name, label: g.name }))]} />}
+              </div>
+              <div style={{ display: 'flex', gap: 10 }}><Btn onClick={addManual}>Save Student</Btn><Btn variant="ghost" onClick={() => { setShowManual(false); setManual(EMPTY_MANUAL_STUDENT); }}>Cancel</Btn></div>
+            </Card>
+          )}
+          {portalCode && (
+            <Card style={{ marginBottom: 16, borderColor: C.green + '66' }}>
+              <div style={{ display: 'flex', alignItems: 'center', gap: 16 }}>
+                <div style={{ flex: 1 }}>
+                  <div style={{ fontWeight: 700, marginBottom: 4 }}>🔑 Portal activation code for {portalCode.student.surname_initials} ({portalCode.student.student_no})</div>
+                  <div style={{ color: C.muted, fontSize: 13 }}>Give this to the student privately. It works once, within 14 days, to set their portal password — any earlier code stops working.</div>
+                </div>
+                <div style={{ fontFamily: 'monospace', fontSize: 22, fontWeight: 800, letterSpacing: 2, color: C.green }}>{portalCode.code}</div>
+                <Btn size="sm" variant="ghost" onClick={() => copyText(portalCode.code)}>📋 Copy</Btn>
+                <Btn size="sm" variant="ghost" onClick={() => setPortalCode(null)}>✕</Btn>
               </div>
-              <div style={{ display: 'flex', gap: 10 }}><Btn onClick={addManual}>Add Student</Btn><Btn variant="ghost" onClick={() => setShowManual(false)}>Cancel</Btn></div>
             </Card>
           )}
           {loading ? <Spinner /> : (
@@ -749,24 +2169,47 @@ function LecturerStudentsTab({ courses, flash }) {
               <div style={{ padding: '12px 18px', borderBottom: `1px solid ${C.border}`, display: 'flex', justifyContent: 'space-between' }}>
                 <span style={{ fontWeight: 700 }}>{course?.name}</span><Badge color={C.accent}>{students.length} enrolled</Badge>
               </div>
+              {groups.length > 0 && (
+                <div style={{ display: 'flex', gap: 4, padding: '8px 12px', borderBottom: `1px solid ${C.border}`, flexWrap: 'wrap' }}>
+                  <Pill active={!groupFilter} onClick={() => setGroupFilter('')}>Everyone</Pill>
+                  {groups.map(g => <Pill key={g.id} active={groupFilter === g.id} onClick={() => setGroupFilter(g.id)}>{g.name}</Pill>)}
+                  <Pill active={groupFilter === 'none'} onClick={() => setGroupFilter('none')}>No group</Pill>
+                </div>
+              )}
               {students.length === 0 ? <div style={{ padding: 32, textAlign: 'center', color: C.muted }}>No students yet — upload or add manually.</div> : (
                 <table style={{ width: '100%', borderCollapse: 'collapse' }}>
-                  <thead><tr style={{ background: C.surface }}>{['#', 'Student No', 'Surname & Initials', 'Present', 'Late', 'Absent', 'Att. %', 'Status', ''].map(h => <th key={h} style={{ padding: '10px 12px', textAlign: 'left', fontSize: 11, fontWeight: 700, color: C.muted, textTransform: 'uppercase', borderBottom: `1px solid ${C.border}` }}>{h}</th>)}</tr></thead>
-                  <tbody>{students.map((st, i) => {
-                    const { present, late, absent, total } = studentCourseStats(st.student_no, selectedCourse, sessions);
-                    const p = pct(present + late, Math.max(total, 1));
-                    const { label, color } = attendanceStatus(p);
+                  <thead><tr style={{ background: C.surface }}>{['#', 'Student No', 'Surname & Initials', 'Present', 'Late', 'Absent', 'Excused', 'Att. %', 'Status', ''].map(h => <th key={h} style={{ padding: '10px 12px', textAlign: 'left', fontSize: 11, fontWeight: 700, color: C.muted, textTransform: 'uppercase', borderBottom: `1px solid ${C.border}` }}>{h}</th>)}</tr></thead>
+                  <tbody>{shown.map((st, i) => {
+                    const stats = studentCourseStats(st.student_no, selectedCourse, sessionsForGroup(sessions, st.group_id), course.policy);
+                    const { present, late, absent, excused } = stats;
+                    const p = attendancePct(stats);
+                    const { label, color } = attendanceStatus(p, course.policy);
                     return (
                       <tr key={st.id} style={{ borderBottom: `1px solid ${C.border}22`, background: i % 2 ? C.surface + '40' : 'transparent' }}>
                         <td style={{ padding: '9px 12px', color: C.muted, fontSize: 12 }}>{i + 1}</td>
                         <td style={{ padding: '9px 12px', fontFamily: 'monospace', fontSize: 12, color: C.muted }}>{st.student_no}</td>
-                        <td style={{ padding: '9px 12px', fontWeight: 600 }}>{st.surname_initials}</td>
+                        <td style={{ padding: '9px 12px' }}>
+                          <div style={{ fontWeight: 600 }}>{st.surname_initials}</div>
+                          <div style={{ color: C.muted, fontSize: 11 }}>{[st.programme, st.email, st.phone].filter(Boolean).join(' · ') || 'no contact details'}</div>
+                          {groups.length > 0 && (editRoster
+                            ? <div style={{ display: 'flex', gap: 4, marginTop: 4, flexWrap: 'wrap' }}>{[{ id: null, name: 'No group' }, ...groups].map(g => (
+                                <button key={g.id || 'none'} onClick={() => (st.group_id || null) !== g.id && moveToGroup(st, g.id)} style={{ padding: '1px 8px', borderRadius: 4, cursor: 'pointer', fontSize: 10, fontWeight: 700, border: `1px solid ${(st.group_id || null) === g.id ? C.accent : C.border}`, background: (st.group_id || null) === g.id ? C.accentGlow : 'transparent', color: (st.group_id || null) === g.id ? C.accent : C.muted }}>{g.name}</button>
+                              ))}</div>
+                            : st.group_id && <div style={{ marginTop: 4 }}><Badge color={C.purple} small>{groupName(st.group_id)}</Badge></div>)}
+                        </td>
                         <td style={{ padding: '9px 12px', color: C.green, fontWeight: 700 }}>{present}</td>
                         <td style={{ padding: '9px 12px', color: C.yellow, fontWeight: 700 }}>{late}</td>
                         <td style={{ padding: '9px 12px', color: C.red, fontWeight: 700 }}>{absent}</td>
-                        <td style={{ padding: '9px 12px', minWidth: 90 }}><div style={{ fontWeight: 700, color, marginBottom: 3 }}>{p}%</div><MiniBar value={p} /></td>
+                        <td style={{ padding: '9px 12px', color: C.purple, fontWeight: 700 }}>{excused}</td>
+                        <td style={{ padding: '9px 12px', minWidth: 90 }}><div style={{ fontWeight: 700, color, marginBottom: 3 }}>{p}%</div><MiniBar value={p} policy={course.policy} /></td>
                         <td style={{ padding: '9px 12px' }}><Badge color={color} small>{label}</Badge></td>
-                        <td style={{ padding: '9px 12px' }}><button onClick={() => remove(st.id)} style={{ background: 'none', border: 'none', color: C.muted, cursor: 'pointer', fontSize: 18 }}>×</button></td>
+                        <td style={{ padding: '9px 12px', whiteSpace: 'nowrap' }}>
+                          {editRoster && <>
+                          <button onClick={() => editContact(st)} title="Edit contact details" style={{ background: 'none', border: 'none', color: C.muted, cursor: 'pointer', fontSize: 15 }}>✎</button>
+                          <button onClick={() => issuePortalCode(st)} title="Issue a student portal activation code" style={{ background: 'none', border: 'none', color: C.muted, cursor: 'pointer', fontSize: 15 }}>🔑</button>
+                          <button onClick={() => remove(st.id)} style={{ background: 'none', border: 'none', color: C.muted, cursor: 'pointer', fontSize: 18 }}>×</button>
+                          </>}
+                        </td>
                       </tr>
                     );
                   })}</tbody>
@@ -780,28 +2223,59 @@ function LecturerStudentsTab({ courses, flash }) {
   );
 }
 
-function LiveSessionTab({ sessionId, onEnd }) {
+function LiveSessionTab({ sessionId, courses, onEnd, flash }) {
   const [session, setSession] = useState(null);
   const [scans, setScans] = useState([]);
-  const [enrolledCount, setEnrolledCount] = useState(0);
+  const [enrolled, setEnrolled] = useState([]);
+  const [pending, setPending] = useState([]); // scans from numbers not enrolled in the course
+  const [pendingNames, setPendingNames] = useState({}); // pending id → name to enrol under
+  const [resolving, setResolving] = useState(null);
+  const [kioskLock, setKioskLock] = useState(null); // set while kiosk mode is running
+  const [kioskSetup, setKioskSetup] = useState(null); // { pin, confirm, error }
   const [elapsed, setElapsed] = useState('00:00');
   const [loading, setLoading] = useState(true);
+  const [checkin, setCheckin] = useState(null); // { token, expires_at }
+  const [refreshIn, setRefreshIn] = useState(0);
+  const [endsIn, setEndsIn] = useState(null); // minutes left before auto-close
 
   useEffect(() => {
     (async () => {
       try {
         const s = await getSession(sessionId);
         setSession(s); setScans(s?.scans || []);
-        const enrolled = await getStudentsForCourse(s.course_id);
-        setEnrolledCount(enrolled.length);
+        setEnrolled(await getStudentsForCourse(s.course_id));
       } catch {}
       setLoading(false);
     })();
     // Real-time scan updates
-    const unsub = subscribeToScans(sessionId, (newScan) => setScans(prev => [newScan, ...prev]));
-    return unsub;
+    const unsub = subscribeToScans(sessionId, (newScan) => setScans(prev => prev.some(sc => sc.id === newScan.id) ? prev : [newScan, ...prev]));
+    const unsubPending = subscribeToPendingScans(sessionId, setPending);
+    return () => { unsub(); unsubPending(); };
   }, [sessionId]);
 
+  // studentNo: the number as typed (enrols it under the name entered) or a suggested enrolled number
+  const acceptPending = async (p, studentNo) => {
+    const isEnrolled = enrolled.some(st => st.student_no === studentNo);
+    const name = (pendingNames[p.id] || '').trim();
+    if (!isEnrolled && !name) { flash(`Enter a surname & initials to enrol ${studentNo}`, 'warning'); return; }
+    setResolving(p.id);
+    try {
+      const scan = await acceptPendingScan(p.id, studentNo, name);
+      setPending(prev => prev.filter(x => x.id !== p.id));
+      if (scan) setScans(prev => prev.some(sc => sc.id === scan.id) ? prev : [scan, ...prev]);
+      if (!isEnrolled) { setEnrolled(await getStudentsForCourse(session.course_id)); flash(`${name} (${studentNo}) enrolled and marked ${p.status}`); }
+      else flash(scan ? `Scan credited to ${studentNo}` : `${studentNo} had already checked in — pending scan discarded`);
+    } catch (e) { flash('Failed: ' + e.message, 'danger'); }
+    setResolving(null);
+  };
+
+  const rejectPending = async (p) => {
+    setResolving(p.id);
+    try { await rejectPendingScan(p.id); setPending(prev => prev.filter(x => x.id !== p.id)); }
+    catch (e) { flash('Failed: ' + e.message, 'danger'); }
+    setResolving(null);
+  };
+
   useEffect(() => {
     if (!session) return;
     const start = new Date(`${session.date}T${session.start_time}:00`);
@@ -812,15 +2286,82 @@ function LiveSessionTab({ sessionId, onEnd }) {
     tick(); const t = setInterval(tick, 1000); return () => clearInterval(t);
   }, [session]);
 
+  // Rotating check-in token — fetch a fresh one each time the current one expires
+  useEffect(() => {
+    if (!session) return;
+    let timer, cancelled = false;
+    const refresh = async () => {
+      try {
+        const next = await issueCheckinToken(sessionId);
+        if (cancelled) return;
+        setCheckin(next);
+        timer = setTimeout(refresh, Math.max(1000, new Date(next.expires_at) - new Date()));
+      } catch { if (!cancelled) timer = setTimeout(refresh, 3000); }
+    };
+    refresh();
+    return () => { cancelled = true; clearTimeout(timer); };
+  }, [session, sessionId]);
+
+  // Auto-close at ends_at (the database refuses check-ins from then on regardless)
+  useEffect(() => {
+    if (!session?.ends_at) return;
+    const tick = () => {
+      const left = new Date(session.ends_at) - new Date();
+      setEndsIn(Math.max(0, Math.ceil(left / 60000)));
+      if (left <= 0) onEnd('expired');
+    };
+    tick(); const t = setInterval(tick, 15000); return () => clearInterval(t);
+  }, [session, onEnd]);
+
+  const startKiosk = async () => {
+    const { pin, confirm } = kioskSetup;
+    if (!/^\d{4,8}$/.test(pin)) { setKioskSetup(k => ({ ...k, error: 'PIN must be 4–8 digits' })); return; }
+    if (pin !== confirm) { setKioskSetup(k => ({ ...k, error: 'PINs do not match' })); return; }
+    setKioskSetup(null); setKioskLock(await lockKiosk(session, pin));
+  };
+
+  const extend = async (minutes) => {
+    const base = Math.max(new Date(session.ends_at || Date.now()).getTime(), Date.now());
+    try {
+      setSession({ ...session, ...await extendSession(sessionId, new Date(base + minutes * 60000).toISOString()) });
+      flash(`Session extended by ${minutes} minutes`);
+    } catch (e) { flash('Failed to extend the session: ' + e.message, 'danger'); }
+  };
+
+  const toggleOffline = async () => {
+    try {
+      setSession({ ...session, ...await setOfflineCheckins(sessionId, !session.offline_checkins) });
+      flash(session.offline_checkins ? 'Check-ins saved offline now need to reach the server within a minute' : 'Check-ins saved offline will count from when they were scanned');
+    } catch (e) { flash('Failed: ' + e.message, 'danger'); }
+  };
+
+  useEffect(() => {
+    if (!checkin) return;
+    const tick = () => setRefreshIn(Math.max(0, Math.ceil((new Date(checkin.expires_at) - new Date()) / 1000)));
+    tick(); const t = setInterval(tick, 1000); return () => clearInterval(t);
+  }, [checkin]);
+
   if (loading) return <Spinner text="Loading session…" />;
   if (!session) return <Alert type="danger">Session not found.</Alert>;
 
-  const sessionUrl = `${window.location.origin}${window.location.pathname}?session=${sessionId}`;
+  const sessionUrl = `${window.location.origin}${window.location.pathname}?session=${sessionId}${checkin ? `&t=${checkin.token}` : ''}`;
   const present = scans.filter(s => s.status === 'present').length;
   const late = scans.filter(s => s.status === 'late').length;
+  const flagged = scans.filter(s => s.location_flag).length;
+  // A session for particular tutorial groups only expects their members
+  const expected = enrolled.filter(st => sessionAppliesTo(session, st.group_id));
+  const expectedNos = new Set(expected.map(st => st.student_no));
+  const enrolledCount = expected.length;
+  const scannedExpected = scans.filter(sc => expectedNos.has(sc.student_no)).length;
+  const course = courses.find(c => c.id === session.course_id);
+  const groupNames = (course?.groups || []).filter(g => session.group_ids?.includes(g.id)).map(g => g.name);
+  const proxyFindings = detectProxyScans(scans, { closedAt: session.closed_at });
+  const proxyFlagged = proxyFlags(proxyFindings);
+  const toReview = unreviewedCount(proxyFindings);
 
   return (
     <div>
+      {kioskLock && <KioskMode session={session} pinHash={kioskLock.pin_hash} onScan={scan => !scan.pending && setScans(prev => prev.some(sc => sc.id === scan.id) ? prev : [scan, ...prev])} onExit={() => { unlockKiosk(); setKioskLock(null); }} />}
       <div style={{ display: 'flex', alignItems: 'center', gap: 10, marginBottom: 24 }}>
         <div style={{ width: 10, height: 10, borderRadius: '50%', background: C.green, boxShadow: `0 0 0 5px ${C.green}33` }} />
         <span style={{ fontWeight: 800, color: C.green, fontSize: 16 }}>LIVE SESSION</span>
@@ -830,27 +2371,102 @@ function LiveSessionTab({ sessionId, onEnd }) {
       <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 20, marginBottom: 24 }}>
         <Card style={{ textAlign: 'center' }}>
           <div style={{ fontWeight: 700, marginBottom: 4 }}>Session: {session.date} · {session.start_time} · 📍 {session.room}</div>
+          {session.group_ids?.length > 0 && <div style={{ fontSize: 12, color: C.purple }}>👥 For {groupNames.join(', ') || 'a removed group'} only</div>}
           <div style={{ display: 'inline-block', background: 'white', padding: 12, borderRadius: 14, margin: '14px 0' }}>
-            <QRCodeSVG data={sessionId} size={180} />
+            {checkin ? <QRCodeSVG data={sessionUrl} size={180} /> : <div style={{ width: 180, height: 180, display: 'flex', alignItems: 'center', justifyContent: 'center', color: C.muted }}>⟳</div>}
           </div>
+          <div style={{ fontSize: 12, color: C.mutedLight, marginBottom: 6 }}>🔄 New code in {refreshIn}s · old codes stop working after {session.qr_grace_seconds}s</div>
           <div style={{ fontSize: 11, color: C.muted, wordBreak: 'break-all', fontFamily: 'monospace', marginBottom: 10 }}>{sessionUrl}</div>
-          <Btn size="sm" variant="ghost" onClick={() => copyText(sessionUrl)}>📋 Copy Link</Btn>
+          <div style={{ display: 'flex', gap: 8, justifyContent: 'center' }}>
+            <Btn size="sm" variant="ghost" onClick={() => copyText(sessionUrl)}>📋 Copy Current Link</Btn>
+            <Btn size="sm" variant="ghost" onClick={() => setKioskSetup(kioskSetup ? null : { pin: '', confirm: '', error: '' })}>🖥 Kiosk Mode</Btn>
+          </div>
+          {kioskSetup && (
+            <div style={{ textAlign: 'left', marginTop: 16, paddingTop: 16, borderTop: `1px solid ${C.border}` }}>
+              <div style={{ fontSize: 13, color: C.muted, marginBottom: 12 }}>Turns this device into a locked check-in station for students without a phone. Choose a PIN — you will need it to leave kiosk mode.</div>
+              <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 10 }}>
+                <Inp label="Exit PIN" type="password" inputMode="numeric" value={kioskSetup.pin} onChange={e => setKioskSetup(k => ({ ...k, pin: e.target.value, error: '' }))} />
+                <Inp label="Confirm PIN" type="password" inputMode="numeric" value={kioskSetup.confirm} onChange={e => setKioskSetup(k => ({ ...k, confirm: e.target.value, error: '' }))} />
+              </div>
+              {kioskSetup.error && <Alert type="danger">{kioskSetup.error}</Alert>}
+              <Btn onClick={startKiosk} style={{ width: '100%' }}>▶ Start Kiosk</Btn>
+            </div>
+          )}
         </Card>
         <div style={{ display: 'flex', flexDirection: 'column', gap: 14 }}>
           <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 12 }}>
             <StatCard label="Present" value={present} color={C.green} />
             <StatCard label="Late" value={late} color={C.yellow} />
-            <StatCard label="Enrolled" value={enrolledCount} color={C.accent} />
-            <StatCard label="Not Yet In" value={Math.max(0, enrolledCount - scans.length)} color={C.red} />
+            <StatCard label={session.group_ids?.length ? 'In Group' : 'Enrolled'} value={enrolledCount} color={C.accent} />
+            <StatCard label="Not Yet In" value={Math.max(0, enrolledCount - scannedExpected)} color={C.red} />
+          </div>
+          <MiniBar value={scannedExpected} max={Math.max(enrolledCount, 1)} />
+          <div style={{ textAlign: 'center', fontSize: 13, color: C.muted }}>{scannedExpected} of {enrolledCount} scanned{scans.length > scannedExpected && ` (+${scans.length - scannedExpected} from other groups)`} · ⏱ LATE after {session.late_after_minutes} min{session.checkin_closes_at && ` · check-in closes ${new Date(session.checkin_closes_at).toLocaleTimeString('en-ZA', { hour: '2-digit', minute: '2-digit' })}`}</div>
+          {session.ends_at && (
+            <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'center', gap: 10, fontSize: 13, color: endsIn <= 5 ? C.yellow : C.muted }}>
+              ⏹ Ends automatically at {new Date(session.ends_at).toLocaleTimeString('en-ZA', { hour: '2-digit', minute: '2-digit' })} ({endsIn} min)
+              <Btn size="sm" variant="ghost" onClick={() => extend(15)}>+15 min</Btn>
+            </div>
+          )}
+          <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'center', gap: 10, fontSize: 13, color: session.offline_checkins ? C.yellow : C.muted }}>
+            📶 {session.offline_checkins ? 'No signal here — offline check-ins accepted' : 'Offline check-ins must sync within a minute'}
+            <Btn size="sm" variant="ghost" onClick={toggleOffline}>{session.offline_checkins ? 'Turn off' : 'No signal here'}</Btn>
           </div>
-          <MiniBar value={scans.length} max={Math.max(enrolledCount, 1)} />
-          <div style={{ textAlign: 'center', fontSize: 13, color: C.muted }}>{scans.length} of {enrolledCount} scanned · ⏱ LATE after 10 min</div>
-          <Btn variant="danger" size="lg" onClick={onEnd}>■ End Session</Btn>
+          <Btn variant="danger" size="lg" onClick={() => onEnd('manual')}>■ End Session</Btn>
         </div>
       </div>
+      {pending.length > 0 && (
+        <Card style={{ padding: 0, overflow: 'hidden', marginBottom: 20, borderColor: C.yellow + '66' }}>
+          <div style={{ padding: '12px 18px', borderBottom: `1px solid ${C.border}`, fontWeight: 700, display: 'flex', alignItems: 'center', gap: 10, color: C.yellow }}>
+            ⏳ Awaiting Review ({pending.length}) <span style={{ fontSize: 12, color: C.muted, fontWeight: 400 }}>— student numbers not enrolled in this course</span>
+          </div>
+          {pending.map(p => {
+            const similar = similarStudentNumbers(p.student_no, enrolled);
+            const busy = resolving === p.id;
+            return (
+              <div key={p.id} style={{ padding: '12px 18px', borderBottom: `1px solid ${C.border}22` }}>
+                <div style={{ display: 'flex', alignItems: 'center', gap: 12, marginBottom: 8 }}>
+                  <Badge color={p.status === 'late' ? C.yellow : C.green} small>{p.status}</Badge>
+                  <div style={{ fontFamily: 'monospace', fontWeight: 700 }}>{p.student_no}</div>
+                  {p.location_flag && <Badge color={C.red} small>{p.location_flag === 'out_of_range' ? 'Out of range' : 'No location'}</Badge>}
+                  <div style={{ fontSize: 12, color: C.muted, marginLeft: 'auto' }}>{formatDistance(p.distance_m)} · {new Date(p.scanned_at).toLocaleTimeString('en-ZA')}</div>
+                </div>
+                {similar.length > 0 && (
+                  <div style={{ display: 'flex', alignItems: 'center', gap: 8, flexWrap: 'wrap', marginBottom: 8, fontSize: 13 }}>
+                    <span style={{ color: C.yellow }}>⚠ Possible typo of:</span>
+                    {similar.map(st => {
+                      const scanned = scans.some(sc => sc.student_no === st.student_no);
+                      return <Btn key={st.id} size="sm" variant="ghost" disabled={busy} onClick={() => acceptPending(p, st.student_no)}>✓ {st.student_no} {st.surname_initials}{scanned && ' (already in)'}</Btn>;
+                    })}
+                  </div>
+                )}
+                <div style={{ display: 'flex', gap: 8 }}>
+                  {canCourse(course, 'roster') ? <>
+                  <input value={pendingNames[p.id] || ''} onChange={e => setPendingNames(prev => ({ ...prev, [p.id]: e.target.value }))} placeholder="Surname & initials, to enrol" style={{ flex: 1, padding: '6px 12px', borderRadius: 8, border: `1px solid ${C.border}`, background: C.surface, color: C.text, fontSize: 13, outline: 'none' }} />
+                  <Btn size="sm" variant="success" disabled={busy} onClick={() => acceptPending(p, p.student_no)}>Enrol & Accept</Btn>
+                  </> : <div style={{ flex: 1, fontSize: 12, color: C.muted }}>Only the course's lecturers can enrol new students.</div>}
+                  <Btn size="sm" variant="danger" disabled={busy} onClick={() => rejectPending(p)}>✕ Reject</Btn>
+                </div>
+              </div>
+            );
+          })}
+        </Card>
+      )}
+      {proxyFindings.length > 0 && (
+        <Card style={{ padding: 0, overflow: 'hidden', marginBottom: 20, borderColor: toReview ? C.red + '66' : C.border }}>
+          <div style={{ padding: '12px 18px', borderBottom: `1px solid ${C.border}`, fontWeight: 700, display: 'flex', alignItems: 'center', gap: 10, color: toReview ? C.red : C.text }}>
+            🕵 Possible Proxy Check-ins {toReview > 0 && `(${toReview} to review)`} <span style={{ fontSize: 12, color: C.muted, fontWeight: 400 }}>— look around the room before deciding</span>
+          </div>
+          <ProxyFindings findings={proxyFindings} course={course} flash={flash} onReviewed={scan => setScans(prev => prev.map(sc => sc.id === scan.id ? scan : sc))} />
+        </Card>
+      )}
       <Card style={{ padding: 0, overflow: 'hidden' }}>
         <div style={{ padding: '12px 18px', borderBottom: `1px solid ${C.border}`, fontWeight: 700, display: 'flex', alignItems: 'center', gap: 10 }}>
           Live Scan Log <span style={{ fontSize: 12, color: C.muted, fontWeight: 400 }}>— updates automatically from all devices</span>
+          <span style={{ marginLeft: 'auto', fontSize: 12, color: C.muted, fontWeight: 400 }}>
+            {session.lat == null ? '📍 Location check off — your position was unavailable' : session.geofence_mode === 'off' ? '📍 Location check off' : `📍 Venue radius ${session.geofence_radius_m} m`}
+          </span>
+          {flagged > 0 && <Badge color={C.red} small>{flagged} flagged</Badge>}
         </div>
         <div style={{ maxHeight: 300, overflowY: 'auto' }}>
           {scans.length === 0 ? <div style={{ padding: 28, textAlign: 'center', color: C.muted }}>Waiting for students to scan in…</div> : (
@@ -860,6 +2476,13 @@ function LiveSessionTab({ sessionId, onEnd }) {
                 <div style={{ fontFamily: 'monospace', fontSize: 12, color: C.muted, width: 90 }}>{sc.student_no}</div>
                 <div style={{ fontWeight: 600, flex: 1 }}>{sc.surname_initials}</div>
                 {sc.minutes_late > 0 && <span style={{ fontSize: 12, color: C.yellow }}>+{sc.minutes_late}min</span>}
+                {sc.source === 'kiosk' && <Badge color={C.purple} small>Kiosk</Badge>}
+                {session.group_ids?.length > 0 && !expectedNos.has(sc.student_no) && <Badge color={C.muted} small>Other group</Badge>}
+                {sc.synced_at && <Badge color={C.blue} small>Synced offline</Badge>}
+                {sc.location_flag && <Badge color={C.red} small>{sc.location_flag === 'out_of_range' ? 'Out of range' : 'No location'}</Badge>}
+                {proxyFlagged.has(sc.id) && !sc.review && proxyFlagged.get(sc.id).map(k => <Badge key={k} color={PROXY_KINDS[k].color} small>🕵 {PROXY_KINDS[k].label}</Badge>)}
+                {sc.review === 'proxy' && <Badge color={C.red} small>Proxy</Badge>}
+                <div style={{ fontSize: 12, color: sc.location_flag ? C.red : C.muted, width: 64, textAlign: 'right' }}>{formatDistance(sc.distance_m)}</div>
                 <div style={{ fontSize: 12, color: C.muted }}>{new Date(sc.scanned_at).toLocaleTimeString('en-ZA')}</div>
               </div>
             ))
@@ -870,50 +2493,353 @@ function LiveSessionTab({ sessionId, onEnd }) {
   );
 }
 
-function ReportsTab({ lecturer, courses, flash }) {
+// Suspected proxy check-ins (see proxy.js), each cleared or confirmed by the lecturer.
+// Confirming marks the student absent, so it needs the 'register' permission.
+function ProxyFindings({ findings, course, onReviewed, flash }) {
+  const [busy, setBusy] = useState(null);
+  const canConfirm = canCourse(course, 'register');
+
+  const review = async (sc, verdict) => {
+    setBusy(sc.id);
+    try {
+      onReviewed(await reviewScan(sc.id, verdict));
+      if (verdict === 'proxy') flash(`${sc.surname_initials} marked absent — proxy check-in`);
+    } catch (e) { flash('Failed: ' + e.message, 'danger'); }
+    setBusy(null);
+  };
+
+  return findings.map(f => {
+    const kind = PROXY_KINDS[f.kind];
+    return (
+      <div key={`${f.kind}-${f.key}-${f.scans[0].id}`} style={{ padding: '12px 18px', borderBottom: `1px solid ${C.border}22` }}>
+        <div style={{ display: 'flex', alignItems: 'center', gap: 10, marginBottom: 6, fontSize: 13 }}>
+          <Badge color={kind.color} small>{kind.label}</Badge>
+          <span style={{ color: C.muted }}>{f.scans.length} check-ins {kind.detail}{f.kind === 'shared_device' && <span style={{ fontFamily: 'monospace' }}> · device {f.key}</span>}{f.kind === 'same_position' && <span style={{ fontFamily: 'monospace' }}> · {f.key}</span>}</span>
+        </div>
+        {f.scans.map(sc => (
+          <div key={sc.id} style={{ display: 'flex', alignItems: 'center', gap: 12, padding: '4px 0', fontSize: 13 }}>
+            <div style={{ fontFamily: 'monospace', fontSize: 12, color: C.muted, width: 90 }}>{sc.student_no}</div>
+            <div style={{ fontWeight: 600, flex: 1 }}>{sc.surname_initials}</div>
+            {sc.synced_at && <Badge color={C.blue} small>Synced offline</Badge>}
+            <div style={{ fontSize: 12, color: C.muted }}>{new Date(sc.scanned_at).toLocaleTimeString('en-ZA')}</div>
+            {sc.review ? <>
+              <Badge color={sc.review === 'proxy' ? C.red : C.green} small>{sc.review === 'proxy' ? 'Not present — marked absent' : 'Genuine'}</Badge>
+              {(sc.review === 'cleared' || canConfirm) && <Btn size="sm" variant="ghost" disabled={busy === sc.id} onClick={() => review(sc, null)}>Undo</Btn>}
+            </> : <>
+              <Btn size="sm" variant="ghost" disabled={busy === sc.id} onClick={() => review(sc, 'cleared')}>✓ Genuine</Btn>
+              {canConfirm && <Btn size="sm" variant="danger" disabled={busy === sc.id} onClick={() => review(sc, 'proxy')}>✕ Not present</Btn>}
+            </>}
+          </div>
+        ))}
+      </div>
+    );
+  });
+}
+
+// A running kiosk is remembered in localStorage as the session's display details
+// and a hash of the exit PIN. The sign-in token lives there too, so reloading the
+// page or opening a new tab or window reopens the kiosk instead of the lecturer's
+// dashboard (see App); signing in again with a password clears it.
+const KIOSK_KEY = 'attendance-register.kiosk';
+
+async function hashKioskPin(sessionId, pin) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(`${sessionId}:${pin}`));
+  return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+}
+
+async function lockKiosk(session, pin) {
+  const lock = {
+    pin_hash: await hashKioskPin(session.id, pin),
+    session: { id: session.id, date: session.date, start_time: session.start_time, room: session.room },
+  };
+  try { localStorage.setItem(KIOSK_KEY, JSON.stringify(lock)); } catch {}
+  return lock;
+}
+
+function readKioskLock() {
+  try { return JSON.parse(localStorage.getItem(KIOSK_KEY)); } catch { return null; }
+}
+
+function unlockKiosk() {
+  try { localStorage.removeItem(KIOSK_KEY); } catch {}
+}
+
+// Full-screen check-in station on the lecturer's device. Students type their number
+// or scan their student card (USB/Bluetooth scanners type like a keyboard; the
+// camera is used where the browser supports BarcodeDetector). Leaving needs the PIN.
+function KioskMode({ session, pinHash, onScan, onExit }) {
+  const [studentNo, setStudentNo] = useState('');
+  const [result, setResult] = useState(null); // { tone, title, detail }
+  const [busy, setBusy] = useState(false);
+  const [unlock, setUnlock] = useState(null); // PIN being typed to exit
+  const [wrongPin, setWrongPin] = useState(false);
+  const [camera, setCamera] = useState(false);
+  const inputRef = useRef(null);
+  const videoRef = useRef(null);
+  const resetTimer = useRef(null);
+  const submitRef = useRef(null);
+
+  // Lock the screen: full screen, no back navigation, warn before closing the tab
+  useEffect(() => {
+    document.documentElement.requestFullscreen?.().catch(() => {});
+    window.history.pushState({ kiosk: true }, '');
+    const stayPut = () => window.history.pushState({ kiosk: true }, '');
+    const warn = (e) => { e.preventDefault(); e.returnValue = ''; };
+    window.addEventListener('popstate', stayPut);
+    window.addEventListener('beforeunload', warn);
+    return () => {
+      window.removeEventListener('popstate', stayPut);
+      window.removeEventListener('beforeunload', warn);
+      clearTimeout(resetTimer.current);
+      if (document.fullscreenElement) document.exitFullscreen?.().catch(() => {});
+    };
+  }, []);
+
+  const show = (r, ms = 3500) => {
+    setResult(r); setStudentNo('');
+    clearTimeout(resetTimer.current);
+    resetTimer.current = setTimeout(() => { setResult(null); inputRef.current?.focus(); }, ms);
+  };
+
+  const submit = async (raw) => {
+    const sNo = String(raw).trim();
+    if (!sNo || busy) return;
+    setBusy(true);
+    try {
+      const scan = await recordKioskScan({ session_id: session.id, student_no: sNo });
+      onScan(scan);
+      if (scan.pending) show({ tone: C.yellow, icon: '⏳', title: 'Not on the class list', detail: `${sNo} — your lecturer will review this check-in` });
+      else if (scan.already) show({ tone: C.blue, icon: 'ℹ️', title: scan.surname_initials, detail: 'Already checked in' });
+      else show({ tone: scan.status === 'late' ? C.yellow : C.green, icon: scan.status === 'late' ? '⏰' : '✅', title: scan.surname_initials, detail: scan.status === 'late' ? `Checked in — LATE (+${scan.minutes_late} min)` : 'Checked in — present' });
+    } catch (e) {
+      const detail = e.message === 'checkin_window_closed' ? 'Check-in for this session has closed' : e.message === 'session_closed' ? 'This session has ended' : 'Could not record — try again';
+      show({ tone: C.red, icon: '❌', title: sNo, detail });
+    }
+    setBusy(false);
+  };
+  submitRef.current = submit;
+
+  // Camera scanning of the student-card barcode, where supported
+  useEffect(() => {
+    if (!camera) return;
+    let stream, timer, stopped = false;
+    (async () => {
+      try {
+        const detector = new window.BarcodeDetector({ formats: ['code_128', 'code_39', 'ean_13', 'itf', 'qr_code'] });
+        stream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'user' } });
+        if (stopped) return;
+        videoRef.current.srcObject = stream; await videoRef.current.play();
+        const tick = async () => {
+          if (stopped) return;
+          const codes = await detector.detect(videoRef.current).catch(() => []);
+          if (codes.length) { setCamera(false); submitRef.current(codes[0].rawValue); return; }
+          timer = setTimeout(tick, 250);
+        };
+        tick();
+      } catch { setCamera(false); }
+    })();
+    return () => { stopped = true; clearTimeout(timer); stream?.getTracks().forEach(t => t.stop()); };
+  }, [camera]);
+
+  const tryUnlock = async () => {
+    if (await hashKioskPin(session.id, unlock) === pinHash) onExit();
+    else { setUnlock(''); setWrongPin(true); }
+  };
+
+  const canUseCamera = typeof window !== 'undefined' && 'BarcodeDetector' in window && navigator.mediaDevices;
+
+  return (
+    <div style={{ position: 'fixed', inset: 0, zIndex: 1000, background: `radial-gradient(ellipse 70% 50% at 50% -5%, ${C.accent}22, transparent), ${C.bg}`, display: 'flex', alignItems: 'center', justifyContent: 'center', padding: 24 }}>
+      <div style={{ width: '100%', maxWidth: 520, textAlign: 'center' }}>
+        <div style={{ fontSize: 13, color: C.muted }}>{FACULTY} — {INSTITUTION}</div>
+        <h1 style={{ fontSize: 30, fontWeight: 900, margin: '8px 0 4px' }}>Student Check-In</h1>
+        <div style={{ color: C.muted, marginBottom: 28 }}>📅 {session.date} · 🕐 {session.start_time} · 📍 {session.room}</div>
+        {result ? (
+          <Card style={{ padding: 40, borderColor: result.tone + '88', background: result.tone + '14' }} onClick={() => show(null, 0)}>
+            <div style={{ fontSize: 72, marginBottom: 12 }}>{result.icon}</div>
+            <div style={{ fontSize: 28, fontWeight: 900, color: result.tone, marginBottom: 8 }}>{result.title}</div>
+            <div style={{ fontSize: 18, color: C.text }}>{result.detail}</div>
+          </Card>
+        ) : camera ? (
+          <Card style={{ padding: 16 }}>
+            <video ref={videoRef} muted playsInline style={{ width: '100%', borderRadius: 10, background: '#000' }} />
+            <div style={{ color: C.muted, margin: '12px 0' }}>Hold your student card's barcode up to the camera</div>
+            <Btn variant="ghost" onClick={() => setCamera(false)}>Type my number instead</Btn>
+          </Card>
+        ) : (
+          <Card style={{ padding: 32 }}>
+            <div style={{ fontWeight: 700, fontSize: 18, marginBottom: 16 }}>Type your student number or scan your student card</div>
+            <input ref={inputRef} value={studentNo} autoFocus disabled={busy} inputMode="numeric"
+              onChange={e => setStudentNo(e.target.value)} onKeyDown={e => e.key === 'Enter' && submit(studentNo)}
+              onBlur={() => unlock === null && setTimeout(() => inputRef.current?.focus(), 100)}
+              placeholder="e.g. 20210001" style={{ ...inputStyle(false), fontSize: 28, fontFamily: 'monospace', letterSpacing: 3, textAlign: 'center', padding: 16 }} />
+            <div style={{ display: 'flex', gap: 10, marginTop: 16 }}>
+              <Btn size="lg" onClick={() => submit(studentNo)} loading={busy} style={{ flex: 1 }}>✓ Check In</Btn>
+              {canUseCamera && <Btn size="lg" variant="ghost" onClick={() => setCamera(true)}>📷 Scan Card</Btn>}
+            </div>
+          </Card>
+        )}
+      </div>
+      <div style={{ position: 'absolute', bottom: 16, right: 16, display: 'flex', gap: 8, alignItems: 'center' }}>
+        {unlock === null ? (
+          <Btn size="sm" variant="ghost" onClick={() => setUnlock('')}>🔒</Btn>
+        ) : (
+          <>
+            <input type="password" inputMode="numeric" autoFocus value={unlock} onChange={e => { setUnlock(e.target.value); setWrongPin(false); }} onKeyDown={e => e.key === 'Enter' && tryUnlock()} placeholder={wrongPin ? 'Wrong PIN' : 'Lecturer PIN'} style={{ ...inputStyle(wrongPin), width: 140 }} />
+            <Btn size="sm" onClick={tryUnlock}>Exit</Btn>
+            <Btn size="sm" variant="ghost" onClick={() => { setUnlock(null); setWrongPin(false); inputRef.current?.focus(); }}>✕</Btn>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+function ReportsTab({ lecturer, lecturers, courses, flash }) {
   const [sel, setSel] = useState(courses[0]?.id || '');
+  const [groupFilter, setGroupFilter] = useState(''); // tutorial group id, '' = everyone
   const [students, setStudents] = useState([]);
   const [sessions, setSessions] = useState([]);
+  const [planned, setPlanned] = useState([]);
+  const [notifications, setNotifications] = useState([]);
+  const [historyFor, setHistoryFor] = useState(null); // student whose notification history is shown
+  const [showProxy, setShowProxy] = useState(false);
+  const [workbook, setWorkbook] = useState(null); // { ids: { [course id]: true }, from, to }
+  const [exporting, setExporting] = useState(false);
   const [loading, setLoading] = useState(false);
   const course = courses.find(c => c.id === sel);
 
+  const loadNotifications = useCallback(() => { if (sel) getNotifications({ courseId: sel, limit: 1000 }).then(setNotifications).catch(() => {}); }, [sel]);
+
   useEffect(() => {
     if (!sel) return;
-    setLoading(true);
-    Promise.all([getStudentsForCourse(sel), getSessions(sel)]).then(([s, sess]) => { setStudents(s); setSessions(sess); }).catch(() => {}).finally(() => setLoading(false));
-  }, [sel]);
-
-  const atRisk = students.filter(st => { const { present, late, total } = studentCourseStats(st.student_no, sel, sessions); return total > 0 && pct(present + late, total) < 80; });
+    setLoading(true); setHistoryFor(null); setGroupFilter(''); setShowProxy(false);
+    Promise.all([getStudentsForCourse(sel), getSessions(sel), getPlannedSessions({ courseId: sel })]).then(([s, sess, p]) => { setStudents(s); setSessions(sess); setPlanned(p); }).catch(() => {}).finally(() => setLoading(false));
+    loadNotifications();
+  }, [sel, loadNotifications]);
+
+  const notified = (st) => notifications.filter(n => n.student_no === st.student_no);
+  const history = historyFor ? notified(historyFor) : [];
+
+  // With a generated timetable, "planned" is the real schedule; otherwise the course's planned total
+  const scheduled = planned.filter(p => p.status !== 'cancelled');
+  const missed = scheduled.filter(p => !p.session_id && p.date < localDate());
+
+  const policy = course?.policy || DEFAULT_POLICY;
+  const groups = course?.groups || [];
+  const group = groups.find(g => g.id === groupFilter);
+  const shown = group ? students.filter(st => st.group_id === group.id) : students;
+  const held = sessions.filter(s => s.status !== 'void');
+  const shownSessions = group ? sessionsForGroup(held, group.id) : held;
+  const statsFor = (st) => studentCourseStats(st.student_no, sel, sessionsForGroup(sessions, st.group_id), policy);
+  const atRisk = shown.filter(st => { const stats = statsFor(st); return stats.counted > 0 && attendancePct(stats) < policy.good_standing_pct; });
+  const nameOf = (id) => lecturers.find(l => l.id === id)?.name || id;
+  // Who ran the sessions shown, when more than one person did
+  const runBy = Object.entries(shownSessions.reduce((o, s) => ({ ...o, [s.lecturer_id]: (o[s.lecturer_id] || 0) + 1 }), {}));
+  const proxy = [...shownSessions].reverse().map(ses => ({ session: ses, findings: detectProxyScans(ses.scans, { closedAt: ses.closed_at }) })).filter(p => p.findings.length);
+  const proxyToReview = proxy.reduce((n, p) => n + unreviewedCount(p.findings), 0);
+  const lecturerOf = (c) => (c.lecturer_id === lecturer.id ? lecturer.name : nameOf(c.lecturer_id));
+  const courseLecturer = course && lecturerOf(course);
+  // A sign-in sheet is printed ahead of the next timetabled class that has not run yet
+  const nextPlanned = scheduled.find(p => !p.session_id && p.date >= localDate());
+
+  const downloadWorkbook = async () => {
+    const chosen = courses.filter(c => workbook.ids[c.id]);
+    setExporting(true);
+    try {
+      const loaded = await Promise.all(chosen.map(c => Promise.all([getStudentsForCourse(c.id), getSessions(c.id)])));
+      await exportAttendanceWorkbook(chosen, loaded.flatMap(([, sess]) => sess), Object.fromEntries(chosen.map((c, i) => [c.id, loaded[i][0]])),
+        { from: workbook.from, to: workbook.to, lecturerNameOf: lecturerOf });
+      setWorkbook(null);
+    } catch (e) { flash('Failed to build the workbook: ' + e.message, 'danger'); }
+    setExporting(false);
+  };
+  const chosenCount = workbook ? courses.filter(c => workbook.ids[c.id]).length : 0;
 
   return (
     <>
-      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 20 }}>
-        <div style={{ fontWeight: 800, fontSize: 18 }}>Attendance Reports</div>
-        <Btn variant="success" disabled={!course} onClick={async () => { if (course) await exportAttendanceExcel(course, sessions, students, lecturer.name); }}>⬇ Download Excel Register</Btn>
+      <div style={{ display: 'flex', alignItems: 'center', gap: 10, marginBottom: 20, flexWrap: 'wrap' }}>
+        <div style={{ fontWeight: 800, fontSize: 18, marginRight: 'auto' }}>Attendance Reports</div>
+        <Btn variant="ghost" disabled={!courses.length || !!workbook} onClick={() => setWorkbook({ ids: Object.fromEntries(courses.filter(c => !c.archived_at).map(c => [c.id, true])), from: '', to: '' })}>⬇ Multi-course Workbook</Btn>
+        <Btn variant="ghost" disabled={!course} onClick={() => course && printSignInSheet(course, shown, courseLecturer, { session: nextPlanned, groupName: group?.name }).catch(e => flash('Failed to build the sign-in sheet: ' + e.message, 'danger'))}>🖨 Sign-in Sheet</Btn>
+        <Btn variant="purple" disabled={!course} onClick={() => course && printAttendanceRegister(course, sessions, shown, courseLecturer, { groupName: group?.name }).catch(e => flash('Failed to build the PDF: ' + e.message, 'danger'))}>🖨 PDF Register</Btn>
+        <Btn variant="success" disabled={!course} onClick={async () => { if (course) await exportAttendanceExcel(course, sessions, shown, courseLecturer, { groupName: group?.name }); }}>⬇ Download Excel Register</Btn>
       </div>
-      <Alert type="warning"><strong>80% Policy:</strong> Students must attend 80% of all conducted sessions. Late arrivals count as present. Below 80% = flagged in Excel export.</Alert>
+      <Alert type="warning"><strong>Attendance policy:</strong> {describePolicy(policy)}. Students below {policy.good_standing_pct}% are flagged in the Excel export and the PDF register.</Alert>
+      {workbook && (
+        <Card style={{ marginBottom: 20, borderColor: C.green + '66' }}>
+          <div style={{ fontWeight: 700, marginBottom: 4 }}>⬇ Multi-course Excel workbook</div>
+          <div style={{ fontSize: 13, color: C.muted, marginBottom: 14 }}>A summary sheet with every student's totals across the courses chosen, then one colour-coded register per course. Leave the dates blank for the whole semester.</div>
+          <div style={{ display: 'flex', gap: 6, flexWrap: 'wrap', marginBottom: 14 }}>
+            {courses.map(c => <Pill key={c.id} active={!!workbook.ids[c.id]} onClick={() => setWorkbook(w => ({ ...w, ids: { ...w.ids, [c.id]: !w.ids[c.id] } }))}>{c.code}{c.archived_at && ` · ${c.year} Sem ${c.semester}`}</Pill>)}
+          </div>
+          <div style={{ display: 'grid', gridTemplateColumns: '180px 180px', gap: 14 }}>
+            <Inp label="From" type="date" value={workbook.from} onChange={e => setWorkbook(w => ({ ...w, from: e.target.value }))} />
+            <Inp label="To" type="date" value={workbook.to} onChange={e => setWorkbook(w => ({ ...w, to: e.target.value }))} />
+          </div>
+          <div style={{ display: 'flex', gap: 10 }}>
+            <Btn variant="success" onClick={downloadWorkbook} loading={exporting} disabled={!chosenCount || (workbook.from && workbook.to && workbook.from > workbook.to)}>Download ({chosenCount} course{chosenCount !== 1 ? 's' : ''})</Btn>
+            <Btn variant="ghost" onClick={() => setWorkbook(null)}>Cancel</Btn>
+          </div>
+        </Card>
+      )}
       <div style={{ display: 'flex', gap: 8, marginBottom: 20, flexWrap: 'wrap' }}>
-        {courses.map(c => <button key={c.id} onClick={() => setSel(c.id)} style={{ padding: '7px 16px', borderRadius: 8, cursor: 'pointer', fontWeight: 700, fontSize: 13, border: `1px solid ${sel === c.id ? C.accent : C.border}`, background: sel === c.id ? C.accentGlow : 'transparent', color: sel === c.id ? C.accent : C.muted }}>{c.code}</button>)}
+        {courses.map(c => <button key={c.id} onClick={() => setSel(c.id)} style={{ padding: '7px 16px', borderRadius: 8, cursor: 'pointer', fontWeight: 700, fontSize: 13, border: `1px solid ${sel === c.id ? C.accent : C.border}`, background: sel === c.id ? C.accentGlow : 'transparent', color: sel === c.id ? C.accent : C.muted }}>{c.code}{c.archived_at && <span style={{ fontWeight: 400 }}> · {c.year} Sem {c.semester} 🗄</span>}</button>)}
       </div>
       {loading ? <Spinner /> : course && (
         <>
+          {groups.length > 0 && (
+            <div style={{ display: 'flex', gap: 4, marginBottom: 16, flexWrap: 'wrap', alignItems: 'center' }}>
+              <span style={{ color: C.muted, fontSize: 12, marginRight: 4 }}>Tutorial group:</span>
+              <Pill active={!groupFilter} onClick={() => setGroupFilter('')}>Everyone</Pill>
+              {groups.map(g => <Pill key={g.id} active={groupFilter === g.id} onClick={() => setGroupFilter(g.id)}>{g.name}</Pill>)}
+            </div>
+          )}
           <div style={{ display: 'grid', gridTemplateColumns: 'repeat(4,1fr)', gap: 14, marginBottom: 20 }}>
-            <StatCard label="Enrolled" value={students.length} />
-            <StatCard label="Sessions Done" value={sessions.length} sub={`of ${course.total_planned_classes} planned`} color={C.blue} />
-            <StatCard label="At Risk" value={atRisk.length} color={C.red} sub="< 80%" />
-            <StatCard label="Good Standing" value={students.length - atRisk.length} color={C.green} />
+            <StatCard label={group ? `In ${group.name}` : 'Enrolled'} value={shown.length} />
+            <StatCard label="Sessions Done" value={shownSessions.length} sub={`of ${scheduled.length || course.total_planned_classes} planned${missed.length ? ` · ${missed.length} missed` : ''}`} color={C.blue} />
+            <StatCard label="At Risk" value={atRisk.length} color={C.red} sub={`< ${policy.good_standing_pct}%`} />
+            <StatCard label="Good Standing" value={shown.length - atRisk.length} color={C.green} />
           </div>
+          {missed.length > 0 && <Alert type="warning">🗓 {missed.length} timetabled class{missed.length !== 1 ? 'es' : ''} not conducted: {missed.slice(-5).map(p => `${p.date} ${p.start_time}`).join(', ')}{missed.length > 5 && ', …'}. Cancel them in the timetable if they were not meant to run.</Alert>}
           {atRisk.length > 0 && (
             <Card style={{ marginBottom: 20, borderColor: C.red + '44', background: C.redDim }}>
               <div style={{ fontWeight: 700, color: C.red, marginBottom: 12 }}>⚠ Intervention Required ({atRisk.length})</div>
-              {atRisk.map(st => { const { present, late, absent, total } = studentCourseStats(st.student_no, sel, sessions); const p = pct(present + late, Math.max(total, 1)); return <div key={st.id} style={{ display: 'flex', alignItems: 'center', gap: 14, padding: '8px 12px', background: C.card, borderRadius: 8, marginBottom: 6 }}><div style={{ fontFamily: 'monospace', fontSize: 12, color: C.muted, width: 90 }}>{st.student_no}</div><div style={{ fontWeight: 600, flex: 1 }}>{st.surname_initials}</div><div style={{ fontSize: 12, color: C.muted }}>P:{present} L:{late} A:{absent}</div><Badge color={p >= 60 ? C.yellow : C.red}>{p}%</Badge></div>; })}
+              {atRisk.map(st => { const stats = statsFor(st); const { present, late, absent } = stats; const p = attendancePct(stats); return <div key={st.id} style={{ display: 'flex', alignItems: 'center', gap: 14, padding: '8px 12px', background: C.card, borderRadius: 8, marginBottom: 6 }}><div style={{ fontFamily: 'monospace', fontSize: 12, color: C.muted, width: 90 }}>{st.student_no}</div><div style={{ fontWeight: 600, flex: 1 }}>{st.surname_initials}</div><div style={{ fontSize: 12, color: C.muted }}>P:{present} L:{late} A:{absent}</div><NotifiedButton count={notified(st).length} onClick={() => setHistoryFor(st)} /><Badge color={attendanceStatus(p, policy).color}>{p}%</Badge></div>; })}
+            </Card>
+          )}
+          {proxy.length > 0 && (
+            <Card style={{ padding: 0, overflow: 'hidden', marginBottom: 20, borderColor: proxyToReview ? C.red + '44' : C.border }}>
+              <div style={{ padding: '12px 18px', display: 'flex', alignItems: 'center', gap: 10, borderBottom: showProxy ? `1px solid ${C.border}` : 'none' }}>
+                <div style={{ fontWeight: 700, flex: 1, color: proxyToReview ? C.red : C.text }}>🕵 Possible Proxy Check-ins — {proxy.length} session{proxy.length !== 1 ? 's' : ''}{proxyToReview > 0 && `, ${proxyToReview} check-in${proxyToReview !== 1 ? 's' : ''} to review`}</div>
+                <Btn size="sm" variant="ghost" onClick={() => setShowProxy(v => !v)}>{showProxy ? 'Hide' : 'Review'}</Btn>
+              </div>
+              {showProxy && proxy.map(({ session: ses, findings }) => (
+                <div key={ses.id}>
+                  <div style={{ padding: '8px 18px', background: C.surface, fontSize: 12, fontWeight: 700, color: C.mutedLight }}>{ses.date} {ses.start_time} · 📍 {ses.room}{ses.status === 'active' && ' · running'}</div>
+                  <ProxyFindings findings={findings} course={course} flash={flash} onReviewed={() => getSessions(sel).then(setSessions).catch(() => {})} />
+                </div>
+              ))}
+            </Card>
+          )}
+          {historyFor && (
+            <Card style={{ marginBottom: 20 }}>
+              <div style={{ display: 'flex', alignItems: 'center', marginBottom: 12 }}>
+                <div style={{ fontWeight: 700, flex: 1 }}>🔔 Notifications — {historyFor.surname_initials} <span style={{ fontFamily: 'monospace', fontSize: 12, color: C.muted }}>{historyFor.student_no}</span></div>
+                <div style={{ color: C.muted, fontSize: 12, marginRight: 12 }}>{[historyFor.email, historyFor.phone].filter(Boolean).join(' · ') || 'No email or phone on file — add them in Students'}</div>
+                <Btn size="sm" variant="ghost" onClick={() => setHistoryFor(null)}>✕</Btn>
+              </div>
+              <NotificationList items={history} flash={flash} onChanged={loadNotifications} />
             </Card>
           )}
           <Card style={{ padding: 0, overflow: 'hidden' }}>
-            <div style={{ padding: '12px 18px', borderBottom: `1px solid ${C.border}`, fontWeight: 700 }}>Full Register — {course.name}</div>
+            <div style={{ padding: '12px 18px', borderBottom: `1px solid ${C.border}`, fontWeight: 700 }}>
+              Full Register — {course.name}{group && ` · ${group.name}`}
+              {runBy.length > 1 && <div style={{ fontSize: 12, color: C.muted, fontWeight: 400, marginTop: 2 }}>Sessions run by {runBy.map(([id, n]) => `${nameOf(id)} (${n})`).join(', ')}</div>}
+            </div>
             <table style={{ width: '100%', borderCollapse: 'collapse' }}>
-              <thead><tr style={{ background: C.surface }}>{['#', 'Student No', 'Surname & Initials', 'P', 'L', 'A', 'Total', 'Att. %', 'Status'].map(h => <th key={h} style={{ padding: '10px 12px', textAlign: 'left', fontSize: 11, fontWeight: 700, color: C.muted, textTransform: 'uppercase', borderBottom: `1px solid ${C.border}` }}>{h}</th>)}</tr></thead>
-              <tbody>{students.map((st, i) => { const { present, late, absent, total } = studentCourseStats(st.student_no, sel, sessions); const p = pct(present + late, Math.max(total, 1)); const { label, color } = attendanceStatus(p); return <tr key={st.id} style={{ borderBottom: `1px solid ${C.border}22`, background: i % 2 ? C.surface + '40' : 'transparent' }}><td style={{ padding: '9px 12px', color: C.muted }}>{i + 1}</td><td style={{ padding: '9px 12px', fontFamily: 'monospace', fontSize: 12, color: C.muted }}>{st.student_no}</td><td style={{ padding: '9px 12px', fontWeight: 600 }}>{st.surname_initials}</td><td style={{ padding: '9px 12px', color: C.green, fontWeight: 700 }}>{present}</td><td style={{ padding: '9px 12px', color: C.yellow, fontWeight: 700 }}>{late}</td><td style={{ padding: '9px 12px', color: C.red, fontWeight: 700 }}>{absent}</td><td style={{ padding: '9px 12px', color: C.muted }}>{total}</td><td style={{ padding: '9px 12px', minWidth: 90 }}><div style={{ fontWeight: 700, color, marginBottom: 3 }}>{p}%</div><MiniBar value={p} /></td><td style={{ padding: '9px 12px' }}><Badge color={color} small>{label}</Badge></td></tr>; })}</tbody>
+              <thead><tr style={{ background: C.surface }}>{['#', 'Student No', 'Surname & Initials', 'P', 'L', 'A', 'E', 'Total', 'Att. %', 'Status', ''].map(h => <th key={h} style={{ padding: '10px 12px', textAlign: 'left', fontSize: 11, fontWeight: 700, color: C.muted, textTransform: 'uppercase', borderBottom: `1px solid ${C.border}` }}>{h}</th>)}</tr></thead>
+              <tbody>{shown.map((st, i) => { const stats = statsFor(st); const { present, late, absent, excused, total } = stats; const p = attendancePct(stats); const { label, color } = attendanceStatus(p, policy); return <tr key={st.id} style={{ borderBottom: `1px solid ${C.border}22`, background: i % 2 ? C.surface + '40' : 'transparent' }}><td style={{ padding: '9px 12px', color: C.muted }}>{i + 1}</td><td style={{ padding: '9px 12px', fontFamily: 'monospace', fontSize: 12, color: C.muted }}>{st.student_no}</td><td style={{ padding: '9px 12px', fontWeight: 600 }}>{st.surname_initials}</td><td style={{ padding: '9px 12px', color: C.green, fontWeight: 700 }}>{present}</td><td style={{ padding: '9px 12px', color: C.yellow, fontWeight: 700 }}>{late}</td><td style={{ padding: '9px 12px', color: C.red, fontWeight: 700 }}>{absent}</td><td style={{ padding: '9px 12px', color: C.purple, fontWeight: 700 }}>{excused}</td><td style={{ padding: '9px 12px', color: C.muted }}>{total}</td><td style={{ padding: '9px 12px', minWidth: 90 }}><div style={{ fontWeight: 700, color, marginBottom: 3 }}>{p}%</div><MiniBar value={p} policy={policy} /></td><td style={{ padding: '9px 12px' }}><Badge color={color} small>{label}</Badge></td><td style={{ padding: '9px 12px' }}><NotifiedButton count={notified(st).length} onClick={() => setHistoryFor(st)} /></td></tr>; })}</tbody>
             </table>
           </Card>
         </>
@@ -922,56 +2848,388 @@ function ReportsTab({ lecturer, courses, flash }) {
   );
 }
 
+const NotifiedButton = ({ count, onClick }) => (
+  <button onClick={onClick} title="Notification history" style={{ background: 'none', border: 'none', cursor: 'pointer', fontSize: 12, color: count ? C.mutedLight : C.muted, opacity: count ? 1 : 0.5 }}>🔔 {count}</button>
+);
+
+const SESSION_CORRECTION_ERRORS = {
+  reason_required: 'A reason is required for every correction',
+  session_active: 'Close the session before voiding, merging or deleting it',
+  different_courses: 'Only sessions of the same course can be merged',
+  invalid_start_time: 'Start time must be HH:MM',
+  not_authorized: 'Only the lecturer who ran the session or a lecturer of the course may correct it',
+};
+
+function RegisterTab({ lecturer, courses, flash }) {
+  const [sel, setSel] = useState(courses[0]?.id || '');
+  const [groupFilter, setGroupFilter] = useState(''); // tutorial group id, '' = everyone
+  const [students, setStudents] = useState([]);
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [edit, setEdit] = useState(null);   // { session, student, status, reason, evidence }
+  const [sesEdit, setSesEdit] = useState(null); // { session, date, start_time, room, reason, mergeId }
+  const [sesHistory, setSesHistory] = useState([]);
+  const [paper, setPaper] = useState(null); // { date, start_time, room, groupId, signed: { [student_no]: true } }
+  const [saving, setSaving] = useState(false);
+  const course = courses.find(c => c.id === sel);
+
+  const load = useCallback(async () => {
+    if (!sel) return;
+    setLoading(true);
+    try {
+      const [s, sess] = await Promise.all([getStudentsForCourse(sel), getSessions(sel)]);
+      setStudents(s); setSessions([...sess].sort((a, b) => `${a.date} ${a.start_time}`.localeCompare(`${b.date} ${b.start_time}`)));
+    } catch {}
+    setLoading(false);
+  }, [sel]);
+  useEffect(() => { setEdit(null); setSesEdit(null); setPaper(null); setGroupFilter(''); load(); }, [load]);
+  useEffect(() => {
+    setSesHistory([]);
+    if (sesEdit?.session.id) getAuditLog({ entity: 'session', entityId: sesEdit.session.id }).then(setSesHistory).catch(() => {});
+  }, [sesEdit?.session.id]);
+
+  const editable = canCourse(course, 'register');
+  const groups = course?.groups || [];
+  const shown = groupFilter ? students.filter(st => st.group_id === groupFilter) : students;
+  const shownSessions = groupFilter ? sessionsForGroup(sessions, groupFilter) : sessions;
+  const groupLabel = (ses) => (ses.group_ids?.length ? ` · ${groups.filter(g => ses.group_ids.includes(g.id)).map(g => g.name).join(', ') || 'removed group'} only` : '');
+
+  const openCell = (session, student) => {
+    const { status, override } = attendanceMark(session, student.student_no, course.policy);
+    setSesEdit(null); setPaper(null);
+    setEdit({ session, student, status, reason: override?.reason || '', evidence: override?.evidence || '' });
+  };
+
+  // The lecturer who ran a session may correct it even without register rights on the course
+  const canCorrect = (ses) => editable || ses.lecturer_id === lecturer.id;
+  const openSession = (session) => {
+    setEdit(null); setPaper(null);
+    setSesEdit({ session, date: session.date, start_time: session.start_time, room: session.room || '', reason: '', mergeId: '' });
+  };
+
+  const correct = async (run, message) => {
+    if (!sesEdit.reason.trim()) { flash(SESSION_CORRECTION_ERRORS.reason_required, 'danger'); return; }
+    setSaving(true);
+    try {
+      await run();
+      flash(message);
+      setSesEdit(null); await load();
+    } catch (e) { flash(SESSION_CORRECTION_ERRORS[e.message] || e.message, 'danger'); }
+    setSaving(false);
+  };
+  const saveSession = () => correct(() => editSession(sesEdit.session.id, sesEdit), `Session of ${sesEdit.session.date} updated`);
+  const toggleVoid = () => {
+    const voided = sesEdit.session.status !== 'void';
+    correct(() => voidSession(sesEdit.session.id, voided, sesEdit.reason), voided ? 'Session voided — it no longer counts for anyone' : 'Session restored');
+  };
+  const merge = () => {
+    const duplicate = sessions.find(s => s.id === sesEdit.mergeId);
+    if (!window.confirm(`Merge the session of ${duplicate.date} ${duplicate.start_time} into this one? Its scans move here and it is deleted.`)) return;
+    correct(() => mergeSessions(sesEdit.session, duplicate.id, sesEdit.reason), `Session of ${duplicate.date} merged in`);
+  };
+  const removeSession = () => {
+    if (!window.confirm(`Delete the session of ${sesEdit.session.date} ${sesEdit.session.start_time} and its ${sesEdit.session.scans.length} scan${sesEdit.session.scans.length !== 1 ? 's' : ''}?`)) return;
+    correct(() => deleteSession(sesEdit.session.id, sesEdit.reason), 'Session deleted');
+  };
+  const mergeOptions = sesEdit ? sessions.filter(s => s.id !== sesEdit.session.id && s.status !== 'active' && canCorrect(s)) : [];
+
+  const save = async () => {
+    if (!edit.reason.trim()) { flash('A reason is required for every override', 'danger'); return; }
+    setSaving(true);
+    try {
+      await setAttendanceOverride({ session_id: edit.session.id, student_no: edit.student.student_no, status: edit.status, reason: edit.reason, evidence: edit.evidence });
+      flash(`${edit.student.surname_initials} marked ${ATTENDANCE_MARKS[edit.status].label.toLowerCase()} for ${edit.session.date}`);
+      setEdit(null); await load();
+    } catch (e) { flash(e.message, 'danger'); }
+    setSaving(false);
+  };
+
+  const removeOverride = async () => {
+    setSaving(true);
+    try {
+      await clearAttendanceOverride(edit.session.id, edit.student.student_no);
+      flash('Override removed — the scan record applies again');
+      setEdit(null); await load();
+    } catch (e) { flash(e.message, 'danger'); }
+    setSaving(false);
+  };
+
+  // A class held on a paper sign-in sheet while the network was down: the session is created after the fact
+  // with check-in already closed, everyone who signed is marked present (manual), and only then is it closed,
+  // so absence alerts go out for the right students.
+  const openPaper = () => { setEdit(null); setSesEdit(null); setPaper({ date: localDate(), start_time: '', room: course.room || '', groupId: groupFilter, signed: {} }); };
+  const paperStudents = paper ? students.filter(st => !paper.groupId || st.group_id === paper.groupId) : [];
+  const savePaper = async () => {
+    if (!paper.date || !/^\d{2}:\d{2}$/.test(paper.start_time)) { flash('Enter the date and start time of the class', 'danger'); return; }
+    const signed = paperStudents.filter(st => paper.signed[st.student_no]);
+    setSaving(true);
+    try {
+      const start = new Date(`${paper.date}T${paper.start_time}:00`);
+      const session = await createSession({
+        id: genId(), course_id: course.id, lecturer_id: lecturer.id, date: paper.date, start_time: paper.start_time, starts_at: start.toISOString(),
+        room: paper.room || course.room || 'TBA', lat: null, lng: null,
+        qr_rotate_seconds: course.qr_rotate_seconds, qr_grace_seconds: course.qr_grace_seconds,
+        geofence_radius_m: course.geofence_radius_m, geofence_mode: 'off',
+        ends_at: new Date(start.getTime() + course.session_duration_minutes * 60000).toISOString(), late_after_minutes: course.policy.late_after_minutes,
+        checkin_closes_at: new Date().toISOString(), group_ids: paper.groupId ? [paper.groupId] : [],
+      });
+      for (const st of signed) {
+        await setAttendanceOverride({ session_id: session.id, student_no: st.student_no, status: 'manual_present', reason: 'Paper sign-in sheet' });
+      }
+      await closeSession(session.id, 'paper');
+      const planned = (await getPlannedSessions({ courseId: course.id, date: paper.date }).catch(() => [])).find(p => p.start_time === paper.start_time && !p.session_id);
+      if (planned) await linkPlannedSession(planned.id, session.id).catch(() => {});
+      flash(`Paper session of ${paper.date} recorded — ${signed.length} of ${paperStudents.length} present`);
+      setPaper(null); await load();
+    } catch (e) { flash('Failed to record the paper session: ' + e.message, 'danger'); await load(); }
+    setSaving(false);
+  };
+
+  const current = edit && attendanceMark(edit.session, edit.student.student_no, course.policy);
+
+  return (
+    <>
+      <div style={{ display: 'flex', alignItems: 'center', marginBottom: 20 }}>
+        <div style={{ fontWeight: 800, fontSize: 18, flex: 1 }}>Attendance Register</div>
+        {editable && course && !paper && <Btn variant="ghost" onClick={openPaper}>📝 Paper Session</Btn>}
+      </div>
+      {editable
+        ? <Alert type="info">Click any cell to correct it — e.g. a student whose phone died, or an excused absence with a medical certificate. Click a date to fix the session itself, void it, merge a duplicate into it or delete it. Every change needs a reason and is recorded against your name.{course && ` ${describePolicy(course.policy)}.`}</Alert>
+        : <Alert type="info">As a tutor you can see the register; the course's lecturers make corrections. Sessions you ran yourself can be corrected by clicking their date.{course && ` ${describePolicy(course.policy)}.`}</Alert>}
+      <div style={{ display: 'flex', gap: 8, marginBottom: 20, flexWrap: 'wrap' }}>
+        {courses.map(c => <button key={c.id} onClick={() => setSel(c.id)} style={{ padding: '7px 16px', borderRadius: 8, cursor: 'pointer', fontWeight: 700, fontSize: 13, border: `1px solid ${sel === c.id ? C.accent : C.border}`, background: sel === c.id ? C.accentGlow : 'transparent', color: sel === c.id ? C.accent : C.muted }}>{c.code}{c.archived_at && <span style={{ fontWeight: 400 }}> · {c.year} Sem {c.semester} 🗄</span>}</button>)}
+      </div>
+      {edit && (
+        <Card style={{ marginBottom: 20, borderColor: C.accent + '66' }}>
+          <div style={{ fontWeight: 700, marginBottom: 4 }}>{edit.student.surname_initials} <span style={{ fontFamily: 'monospace', fontSize: 12, color: C.muted }}>{edit.student.student_no}</span></div>
+          <div style={{ fontSize: 13, color: C.muted, marginBottom: 14 }}>
+            {edit.session.date} {edit.session.start_time} · 📍 {edit.session.room} · {current.scan ? `Scanned ${new Date(current.scan.scanned_at).toLocaleTimeString('en-ZA')} (${current.scan.status})` : 'No scan'}
+            {current.override && ` · Override by ${current.override.set_by_name} on ${new Date(current.override.updated_at).toLocaleString('en-ZA')}`}
+          </div>
+          <div style={{ display: 'grid', gridTemplateColumns: '200px 1fr 1fr', gap: 14 }}>
+            <Sel label="Mark as" value={edit.status} onChange={e => setEdit(p => ({ ...p, status: e.target.value }))} options={Object.entries(ATTENDANCE_MARKS).map(([value, m]) => ({ value, label: m.label }))} />
+            <Inp label="Reason *" value={edit.reason} onChange={e => setEdit(p => ({ ...p, reason: e.target.value }))} placeholder="e.g. Phone battery died — seen in class" />
+            <Inp label="Evidence note" value={edit.evidence} onChange={e => setEdit(p => ({ ...p, evidence: e.target.value }))} placeholder="e.g. Medical certificate, 12 Mar" />
+          </div>
+          <div style={{ display: 'flex', gap: 10 }}>
+            <Btn onClick={save} loading={saving}>Save Override</Btn>
+            {current.override && <Btn variant="danger" onClick={removeOverride} disabled={saving}>Remove Override</Btn>}
+            <Btn variant="ghost" onClick={() => setEdit(null)}>Cancel</Btn>
+          </div>
+        </Card>
+      )}
+      {paper && (
+        <Card style={{ marginBottom: 20, borderColor: C.accent + '66' }}>
+          <div style={{ fontWeight: 700, marginBottom: 4 }}>📝 Record a paper sign-in sheet</div>
+          <div style={{ fontSize: 13, color: C.muted, marginBottom: 14 }}>For a class held while the network was down. Tick everyone who signed; they are marked present (manual) with the reason "Paper sign-in sheet" and everyone else absent.</div>
+          <div style={{ display: 'grid', gridTemplateColumns: groups.length ? '160px 110px 1fr 1fr' : '160px 110px 1fr', gap: 14 }}>
+            <Inp label="Date" type="date" value={paper.date} onChange={e => setPaper(p => ({ ...p, date: e.target.value }))} />
+            <Inp label="Start" type="time" value={paper.start_time} onChange={e => setPaper(p => ({ ...p, start_time: e.target.value }))} />
+            <Inp label="Venue" value={paper.room} onChange={e => setPaper(p => ({ ...p, room: e.target.value }))} />
+            {groups.length > 0 && <Sel label="For" value={paper.groupId} onChange={e => setPaper(p => ({ ...p, groupId: e.target.value }))} options={[{ value: '', label: 'The whole class' }, ...groups.map(g => ({ value: g.id, label: g.name }))]} />}
+          </div>
+          <div style={{ display: 'flex', alignItems: 'center', gap: 10, marginBottom: 8 }}>
+            <span style={{ fontSize: 12, fontWeight: 700, color: C.muted, textTransform: 'uppercase', flex: 1 }}>Signed — {paperStudents.filter(st => paper.signed[st.student_no]).length} of {paperStudents.length}</span>
+            <Btn size="sm" variant="ghost" onClick={() => setPaper(p => ({ ...p, signed: Object.fromEntries(paperStudents.map(st => [st.student_no, true])) }))}>All</Btn>
+            <Btn size="sm" variant="ghost" onClick={() => setPaper(p => ({ ...p, signed: {} }))}>None</Btn>
+          </div>
+          <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(240px, 1fr))', gap: 4, maxHeight: 320, overflowY: 'auto', marginBottom: 14 }}>
+            {paperStudents.map(st => (
+              <label key={st.id} style={{ display: 'flex', alignItems: 'center', gap: 8, padding: '5px 8px', borderRadius: 6, cursor: 'pointer', fontSize: 13, background: paper.signed[st.student_no] ? C.greenDim : 'transparent' }}>
+                <input type="checkbox" checked={!!paper.signed[st.student_no]} onChange={e => setPaper(p => ({ ...p, signed: { ...p.signed, [st.student_no]: e.target.checked } }))} />
+                <span style={{ fontFamily: 'monospace', fontSize: 12, color: C.muted }}>{st.student_no}</span>{st.surname_initials}
+              </label>
+            ))}
+          </div>
+          <div style={{ display: 'flex', gap: 10 }}>
+            <Btn onClick={savePaper} loading={saving}>Record Session</Btn>
+            <Btn variant="ghost" onClick={() => setPaper(null)}>Cancel</Btn>
+          </div>
+        </Card>
+      )}
+      {sesEdit && (
+        <Card style={{ marginBottom: 20, borderColor: C.accent + '66' }}>
+          <div style={{ display: 'flex', alignItems: 'center', gap: 10, marginBottom: 4 }}>
+            <div style={{ fontWeight: 700 }}>Session of {sesEdit.session.date} {sesEdit.session.start_time}</div>
+            {sesEdit.session.status === 'void' && <Badge color={C.red} small>Void</Badge>}
+          </div>
+          <div style={{ fontSize: 13, color: C.muted, marginBottom: 14 }}>
+            {sesEdit.session.scans.length} scan{sesEdit.session.scans.length !== 1 ? 's' : ''} · {(sesEdit.session.attendance_overrides || []).length} override{(sesEdit.session.attendance_overrides || []).length !== 1 ? 's' : ''}{groupLabel(sesEdit.session)}
+            {sesEdit.session.status === 'active' && ' · still running — it can be edited but not voided, merged or deleted'}
+          </div>
+          <div style={{ display: 'grid', gridTemplateColumns: '160px 110px 1fr 2fr', gap: 14 }}>
+            <Inp label="Date" type="date" value={sesEdit.date} onChange={e => setSesEdit(p => ({ ...p, date: e.target.value }))} />
+            <Inp label="Start" type="time" value={sesEdit.start_time} onChange={e => setSesEdit(p => ({ ...p, start_time: e.target.value }))} />
+            <Inp label="Venue" value={sesEdit.room} onChange={e => setSesEdit(p => ({ ...p, room: e.target.value }))} />
+            <Inp label="Reason *" value={sesEdit.reason} onChange={e => setSesEdit(p => ({ ...p, reason: e.target.value }))} placeholder="e.g. Started under the wrong date" />
+          </div>
+          <div style={{ display: 'flex', gap: 10, flexWrap: 'wrap' }}>
+            <Btn onClick={saveSession} loading={saving}>Save Changes</Btn>
+            {sesEdit.session.status !== 'active' && <>
+              <Btn variant={sesEdit.session.status === 'void' ? 'success' : 'warning'} onClick={toggleVoid} disabled={saving}>{sesEdit.session.status === 'void' ? 'Restore Session' : 'Void Session'}</Btn>
+              <Btn variant="danger" onClick={removeSession} disabled={saving}>Delete Session</Btn>
+            </>}
+            <Btn variant="ghost" onClick={() => setSesEdit(null)}>Cancel</Btn>
+          </div>
+          {mergeOptions.length > 0 && (
+            <div style={{ display: 'flex', gap: 10, alignItems: 'flex-end', marginTop: 16, paddingTop: 14, borderTop: `1px solid ${C.border}` }}>
+              <div style={{ flex: 1 }}>
+                <Sel label="Merge a duplicate into this session" value={sesEdit.mergeId} onChange={e => setSesEdit(p => ({ ...p, mergeId: e.target.value }))}
+                  options={[{ value: '', label: 'Choose the duplicate…' }, ...mergeOptions.map(s => ({ value: s.id, label: `${s.date} ${s.start_time} · ${s.room} · ${s.scans.length} scan${s.scans.length !== 1 ? 's' : ''}${s.status === 'void' ? ' · void' : ''}` }))]} />
+              </div>
+              <Btn variant="purple" onClick={merge} disabled={saving || !sesEdit.mergeId} style={{ marginBottom: 14 }}>Merge</Btn>
+            </div>
+          )}
+          {sesHistory.length > 0 && (
+            <div style={{ marginTop: 14, paddingTop: 14, borderTop: `1px solid ${C.border}` }}>
+              <div style={{ fontSize: 12, fontWeight: 700, color: C.muted, textTransform: 'uppercase', marginBottom: 8 }}>History</div>
+              {sesHistory.map(h => (
+                <div key={h.id} style={{ display: 'flex', gap: 10, alignItems: 'baseline', fontSize: 13, marginBottom: 6 }}>
+                  <Badge color={auditVerb(h.action).color} small>{auditVerb(h.action).label}</Badge>
+                  <span style={{ color: C.muted, whiteSpace: 'nowrap' }}>{new Date(h.at).toLocaleString('en-ZA')} · {h.actor_name}</span>
+                  <span style={{ flex: 1 }}>{h.reason}{auditChanges(h) && <span style={{ color: C.muted }}> — {auditChanges(h)}</span>}</span>
+                </div>
+              ))}
+            </div>
+          )}
+        </Card>
+      )}
+      {!loading && groups.length > 0 && (
+        <div style={{ display: 'flex', gap: 4, marginBottom: 16, flexWrap: 'wrap', alignItems: 'center' }}>
+          <span style={{ color: C.muted, fontSize: 12, marginRight: 4 }}>Tutorial group:</span>
+          <Pill active={!groupFilter} onClick={() => setGroupFilter('')}>Everyone</Pill>
+          {groups.map(g => <Pill key={g.id} active={groupFilter === g.id} onClick={() => setGroupFilter(g.id)}>{g.name}</Pill>)}
+        </div>
+      )}
+      {loading ? <Spinner /> : course && (
+        <Card style={{ padding: 0, overflow: 'auto' }}>
+          <div style={{ padding: '12px 18px', borderBottom: `1px solid ${C.border}`, fontWeight: 700, display: 'flex', gap: 14, alignItems: 'center', flexWrap: 'wrap' }}>
+            <span style={{ marginRight: 'auto' }}>{course.name} — {shownSessions.length} session{shownSessions.length !== 1 ? 's' : ''}</span>
+            {Object.values(ATTENDANCE_MARKS).map(m => <Badge key={m.short} color={m.color} small>{m.short} = {m.label}</Badge>)}
+            <span style={{ fontSize: 12, color: C.muted, fontWeight: 400 }}>✎ = overridden{groups.length > 0 && ' · — = session for another group'}{shownSessions.some(s => s.status === 'void') && ' · struck-out date = void session'}</span>
+          </div>
+          {shownSessions.length === 0 ? <div style={{ padding: 32, textAlign: 'center', color: C.muted }}>No sessions yet.</div> : (
+            <table style={{ borderCollapse: 'collapse', fontSize: 13 }}>
+              <thead><tr style={{ background: C.surface }}>
+                <th style={{ padding: '10px 12px', textAlign: 'left', fontSize: 11, fontWeight: 700, color: C.muted, textTransform: 'uppercase', borderBottom: `1px solid ${C.border}`, position: 'sticky', left: 0, background: C.surface }}>Student</th>
+                {shownSessions.map(ses => (
+                  <th key={ses.id} onClick={() => canCorrect(ses) && openSession(ses)} title={`${ses.date} ${ses.start_time} · ${ses.room}${groupLabel(ses)}${ses.status === 'void' ? ' · void — counts for nobody' : ''}`} style={{ padding: '10px 6px', fontSize: 11, fontWeight: 700, color: ses.status === 'void' ? C.red : ses.group_ids?.length ? C.purple : C.muted, borderBottom: `1px solid ${sesEdit?.session.id === ses.id ? C.text : C.border}`, whiteSpace: 'nowrap', cursor: canCorrect(ses) ? 'pointer' : 'default', textDecoration: ses.status === 'void' ? 'line-through' : 'none' }}>{ses.date.slice(5)}</th>
+                ))}
+              </tr></thead>
+              <tbody>{shown.map(st => (
+                <tr key={st.id} style={{ borderBottom: `1px solid ${C.border}22` }}>
+                  <td style={{ padding: '7px 12px', whiteSpace: 'nowrap', position: 'sticky', left: 0, background: C.card }}><span style={{ fontFamily: 'monospace', fontSize: 12, color: C.muted, marginRight: 8 }}>{st.student_no}</span>{st.surname_initials}</td>
+                  {shownSessions.map(ses => {
+                    if (!sessionAppliesTo(ses, st.group_id)) return <td key={ses.id} title={`Not for this student's group${groupLabel(ses)}`} style={{ padding: 3, textAlign: 'center', color: C.muted }}>—</td>;
+                    if (ses.status === 'void') return <td key={ses.id} title="Void session — counts for nobody" style={{ padding: 3, textAlign: 'center', color: C.muted, opacity: 0.4 }}>·</td>;
+                    const { status, override, tooLate } = attendanceMark(ses, st.student_no, course.policy);
+                    const m = ATTENDANCE_MARKS[status];
+                    const active = edit && edit.session.id === ses.id && edit.student.student_no === st.student_no;
+                    return (
+                      <td key={ses.id} style={{ padding: 3, textAlign: 'center' }}>
+                        <button onClick={() => editable && openCell(ses, st)} title={override ? `${m.label} — ${override.reason}` : tooLate ? `${m.label} — arrived ${ses.scans.find(sc => sc.student_no === st.student_no).minutes_late} min late` : m.label} style={{ width: 38, padding: '5px 0', borderRadius: 6, cursor: editable ? 'pointer' : 'default', fontWeight: 800, fontSize: 12, background: m.color + '22', color: m.color, border: `1px solid ${active ? C.text : m.color + '44'}` }}>{m.short}{override && '✎'}</button>
+                      </td>
+                    );
+                  })}
+                </tr>
+              ))}</tbody>
+            </table>
+          )}
+        </Card>
+      )}
+    </>
+  );
+}
+
 // ═══════════════════════════════════════════════════════════════════════════════
 // STUDENT CHECK-IN
 // ═══════════════════════════════════════════════════════════════════════════════
-function StudentScanView({ sessionId, onBack }) {
+// Why a scan queued offline was refused when it finally synced
+const QUEUED_SCAN_ERRORS = {
+  checkin_token_expired: 'The QR code had expired before your check-in reached the server.',
+  checkin_token_invalid: 'The check-in link was not valid — scan the code shown in class.',
+  checkin_token_closed: 'The session had already closed when you scanned.',
+  checkin_window_closed: 'Check-in for the session had already closed.',
+  checkin_out_of_range: 'You were too far from the venue.',
+  checkin_no_location: 'This class requires your location.',
+  checkin_sync_too_late: 'Your phone only came back online after the session had closed.',
+};
+
+function StudentScanView({ sessionId, token, onBack }) {
   const [session, setSession] = useState(null);
   const [course, setCourse] = useState(null);
   const [step, setStep] = useState('loading');
   const [studentNo, setStudentNo] = useState('');
   const [result, setResult] = useState(null);
+  const [queued, setQueued] = useState(null); // offline scan waiting to sync
+  const [offline, setOffline] = useState(false);
   const [err, setErr] = useState('');
 
   useEffect(() => {
     if (!sessionId) { setStep('no_session'); return; }
     (async () => {
       try {
-        const s = await getSession(sessionId);
+        const s = await getCheckinSession(sessionId);
         if (!s || s.status !== 'active') { setStep('no_session'); return; }
+        rememberCheckinSession(s);
         setSession(s);
-        const allCourses = await getCourses();
-        setCourse(allCourses.find(c => c.id === s.course_id));
-        setStep('enter');
-      } catch { setStep('no_session'); }
+        setCourse({ id: s.course_id, code: s.course_code, name: s.course_name });
+        const tokenState = await checkCheckinToken(sessionId, token || null);
+        setStep(tokenState === 'ok' ? 'enter' : tokenState === 'expired' ? 'expired' : tokenState === 'closed' ? 'no_session' : 'bad_token');
+      } catch (e) {
+        if (!isNetworkError(e)) { setStep('no_session'); return; }
+        // No signal — accept the scan now and let the database check the code when it syncs
+        const s = cachedCheckinSession(sessionId);
+        setSession(s || { id: sessionId });
+        if (s) setCourse({ id: s.course_id, code: s.course_code, name: s.course_name });
+        setOffline(true); setStep('enter');
+      }
     })();
-  }, [sessionId]);
+  }, [sessionId, token]);
+
+  // Follow a queued scan until it syncs (offline.js uploads it when the phone reconnects)
+  useEffect(() => {
+    if (queued?.state !== 'queued') return;
+    const follow = (queue) => {
+      const item = queue.find(q => q.session_id === queued.session_id && q.student_no === queued.student_no);
+      if (!item || item.state === 'queued') return;
+      if (item.state === 'synced') {
+        setResult(item.result); setQueued(null); setOffline(false);
+        setStep(item.result.pending ? 'pending' : !item.result.already ? 'success' : item.result.scanned_at ? 'already' : 'already_synced');
+      } else setQueued(item);
+    };
+    follow(getQueuedScans());
+    return onQueueChange(follow);
+  }, [queued]);
+
+  const saveOffline = (sNo, loc) => {
+    setQueued(queueScan({ session_id: sessionId, token, student_no: sNo, lat: loc?.lat ?? null, lng: loc?.lng ?? null }));
+    setOffline(true); setStep('queued');
+    if (navigator.onLine) syncQueuedScans();
+  };
 
   const handleScan = async () => {
     setErr('');
     const sNo = studentNo.trim();
     if (!sNo) { setErr('Please enter your student number'); return; }
-    // Check already scanned
-    const existing = (session?.scans || []).find(sc => sc.student_no === sNo);
-    if (existing) { setResult({ ...existing, alreadyDone: true }); setStep('already'); return; }
 
     setStep('verifying');
-    const doLog = async (lat, lng) => {
-      try {
-        const now = new Date().toISOString();
-        const { status, minutesLate } = getScanStatus(now, session.date, session.start_time);
-        // Look up student name
-        const allStudents = await getStudentsForCourse(session.course_id);
-        const student = allStudents.find(st => st.student_no === sNo);
-        const scan = await recordScan({ session_id: sessionId, student_no: sNo, surname_initials: student?.surname_initials || sNo, status, minutes_late: minutesLate, lat, lng });
-        setResult(scan); setStep('success');
-      } catch (e) {
-        if (e.code === '23505') { setErr('You have already scanned in for this session.'); setStep('enter'); }
-        else { setErr('Failed to record. Try again.'); setStep('enter'); }
-      }
-    };
-    if (navigator.geolocation) navigator.geolocation.getCurrentPosition(pos => doLog(pos.coords.latitude, pos.coords.longitude), () => doLog(-23.9045, 29.4688));
-    else doLog(-23.9045, 29.4688);
+    const loc = await getLocation();
+    if (offline && !navigator.onLine) { saveOffline(sNo, loc); return; }
+    try {
+      const scan = await recordScan({ session_id: sessionId, token, student_no: sNo, lat: loc?.lat ?? null, lng: loc?.lng ?? null });
+      setResult(scan); setStep(scan.pending ? 'pending' : scan.already ? 'already' : 'success');
+    } catch (e) {
+      if (isNetworkError(e)) saveOffline(sNo, loc);
+      else if (e.code === '23505') { setErr('You have already scanned in for this session.'); setStep('enter'); }
+      else if (e.message === 'checkin_token_expired') setStep('expired');
+      else if (e.message === 'checkin_token_invalid') setStep('bad_token');
+      else if (e.message === 'checkin_token_closed') setStep('no_session');
+      else if (e.message === 'checkin_window_closed') { setErr('Check-in for this session has closed. Speak to your lecturer.'); setStep('enter'); }
+      else if (e.message === 'checkin_out_of_range') { setErr(`You appear to be ${formatDistance(Number(e.details))} from the venue. Check in from inside the lecture room.`); setStep('enter'); }
+      else if (e.message === 'checkin_no_location') { setErr('This class requires your location. Allow location access in your browser and try again.'); setStep('enter'); }
+      else { setErr('Failed to record. Try again.'); setStep('enter'); }
+    }
   };
 
   const bg = `radial-gradient(ellipse 70% 50% at 50% -5%, ${C.accent}22, transparent), ${C.bg}`;
@@ -989,6 +3247,21 @@ function StudentScanView({ sessionId, onBack }) {
     </div>
   );
 
+  if (step === 'expired' || step === 'bad_token') return (
+    <div style={{ minHeight: '100vh', display: 'flex', alignItems: 'center', justifyContent: 'center', background: bg, padding: 24 }}>
+      <Card style={{ maxWidth: 400, textAlign: 'center' }}>
+        <div style={{ fontSize: 40, marginBottom: 12 }}>{step === 'expired' ? '⏳' : '🚫'}</div>
+        <div style={{ fontWeight: 700, marginBottom: 8 }}>{step === 'expired' ? 'Code expired — rescan' : 'Invalid check-in link'}</div>
+        <div style={{ color: C.muted, fontSize: 14 }}>
+          {step === 'expired'
+            ? 'The QR code you used has expired. Scan the code currently shown on the lecturer\'s screen to check in.'
+            : 'This link is not a valid check-in code. Shared or copied links do not work — scan the QR code shown in class.'}
+        </div>
+        {onBack && <div style={{ marginTop: 16 }}><Btn variant="ghost" onClick={onBack}>← Back to Login</Btn></div>}
+      </Card>
+    </div>
+  );
+
   return (
     <div style={{ minHeight: '100vh', display: 'flex', alignItems: 'center', justifyContent: 'center', background: bg, padding: 24 }}>
       <div style={{ width: '100%', maxWidth: 420 }}>
@@ -996,8 +3269,11 @@ function StudentScanView({ sessionId, onBack }) {
           <div style={{ fontSize: 12, color: C.muted }}>{FACULTY} — {INSTITUTION}</div>
           <h1 style={{ fontSize: 22, fontWeight: 900, margin: '6px 0 4px' }}>Student Check-In</h1>
           {course && <div style={{ color: C.accent, fontWeight: 700 }}>{course.code}: {course.name}</div>}
-          {session && <div style={{ color: C.muted, fontSize: 13, marginTop: 4 }}>📅 {session.date} · 🕐 {session.start_time} · 📍 {session.room}</div>}
+          {session?.date && <div style={{ color: C.muted, fontSize: 13, marginTop: 4 }}>📅 {session.date} · 🕐 {session.start_time} · 📍 {session.room}</div>}
         </div>
+        {offline && step === 'enter' && (session.offline_checkins
+          ? <Alert type="warning">📶 You're offline. Check in anyway — it is saved on this phone with the time you scanned and sent automatically when you reconnect.</Alert>
+          : <Alert type="warning">📶 You're offline. Your check-in is saved on this phone, but it only counts if it reaches the server within a minute — reconnect now or ask your lecturer.</Alert>)}
         {step === 'enter' && (
           <Card>
             <div style={{ fontWeight: 700, marginBottom: 6 }}>Enter Your Student Number</div>
@@ -1007,7 +3283,7 @@ function StudentScanView({ sessionId, onBack }) {
             </Fld>
             {err && <Alert type="danger">{err}</Alert>}
             <Btn onClick={handleScan} size="lg" style={{ width: '100%', marginTop: 4 }}>✓ Log Attendance</Btn>
-            <div style={{ marginTop: 12, padding: 10, background: C.yellowDim, borderRadius: 8, fontSize: 12, color: C.yellow, border: `1px solid ${C.yellow}33`, textAlign: 'center' }}>⏱ Arrivals after <strong>10 minutes</strong> are recorded as LATE</div>
+            {session.late_after_minutes != null && <div style={{ marginTop: 12, padding: 10, background: C.yellowDim, borderRadius: 8, fontSize: 12, color: C.yellow, border: `1px solid ${C.yellow}33`, textAlign: 'center' }}>⏱ Arrivals after <strong>{session.late_after_minutes} minutes</strong> are recorded as LATE</div>}
           </Card>
         )}
         {step === 'verifying' && <Card style={{ textAlign: 'center', padding: 48 }}><div style={{ fontSize: 40, marginBottom: 16, animation: 'spin 1s linear infinite', display: 'inline-block' }}>⟳</div><div style={{ fontWeight: 700 }}>Recording…</div><style>{`@keyframes spin{from{transform:rotate(0)}to{transform:rotate(360deg)}}`}</style></Card>}
@@ -1019,12 +3295,52 @@ function StudentScanView({ sessionId, onBack }) {
             <div style={{ fontFamily: 'monospace', color: C.muted, marginBottom: 16 }}>{result.student_no}</div>
             {result.status === 'late' && <Alert type="warning">Arrived {result.minutes_late} minute{result.minutes_late !== 1 ? 's' : ''} after session start — recorded as LATE.</Alert>}
             <div style={{ background: C.surface, borderRadius: 10, padding: 12, marginBottom: 20, fontSize: 12 }}>
-              <div style={{ color: C.muted, marginBottom: 4 }}>📍 Location captured · {new Date(result.scanned_at).toLocaleTimeString('en-ZA')}</div>
-              <div style={{ fontFamily: 'monospace', color: C.accent, fontSize: 11 }}>{result.lat?.toFixed(5)}, {result.lng?.toFixed(5)}</div>
+              {result.lat != null ? (
+                <>
+                  <div style={{ color: C.muted, marginBottom: 4 }}>📍 Location captured · {new Date(result.scanned_at).toLocaleTimeString('en-ZA')}</div>
+                  <div style={{ fontFamily: 'monospace', color: C.accent, fontSize: 11 }}>{result.lat.toFixed(5)}, {result.lng.toFixed(5)}{result.distance_m != null && ` · ${formatDistance(result.distance_m)} from venue`}</div>
+                </>
+              ) : (
+                <div style={{ color: C.muted }}>📍 Location not shared · {new Date(result.scanned_at).toLocaleTimeString('en-ZA')}</div>
+              )}
+              {result.location_flag && <div style={{ color: C.yellow, marginTop: 6 }}>⚠ Flagged for your lecturer to review ({result.location_flag === 'out_of_range' ? 'outside the venue' : 'no location'})</div>}
             </div>
             <Btn variant="ghost" onClick={() => { setStep('enter'); setStudentNo(''); setResult(null); }} style={{ width: '100%' }}>Done</Btn>
           </Card>
         )}
+        {step === 'queued' && queued && (
+          <Card style={{ textAlign: 'center', borderColor: (queued.state === 'failed' ? C.red : C.blue) + '66' }}>
+            <div style={{ fontSize: 48, marginBottom: 12 }}>{queued.state === 'failed' ? '❌' : '📶'}</div>
+            <div style={{ fontWeight: 800, fontSize: 18, color: queued.state === 'failed' ? C.red : C.blue, marginBottom: 8 }}>{queued.state === 'failed' ? 'Check-In Not Accepted' : 'Saved — Waiting for Signal'}</div>
+            <div style={{ fontFamily: 'monospace', fontSize: 18, marginBottom: 8 }}>{queued.student_no}</div>
+            <div style={{ color: C.muted, fontSize: 13, marginBottom: 16 }}>Scanned at {new Date(queued.captured_at).toLocaleTimeString('en-ZA')}</div>
+            {queued.state === 'failed' ? (
+              <>
+                <Alert type="danger">{QUEUED_SCAN_ERRORS[queued.error] || 'Your check-in could not be recorded.'} Speak to your lecturer.</Alert>
+                <Btn variant="ghost" onClick={() => { dismissQueuedScan(queued.session_id, queued.student_no); setQueued(null); setStep('enter'); setStudentNo(''); }} style={{ width: '100%' }}>OK</Btn>
+              </>
+            ) : (
+              <div style={{ color: C.muted, fontSize: 14 }}>Your attendance is stored on this phone and will be sent as soon as you are back online — lateness is worked out from the time above. You can close this page; it syncs next time you open the app.</div>
+            )}
+          </Card>
+        )}
+        {step === 'already_synced' && result && (
+          <Card style={{ textAlign: 'center', borderColor: C.blue + '66' }}>
+            <div style={{ fontSize: 48, marginBottom: 12 }}>ℹ️</div>
+            <div style={{ fontWeight: 700, fontSize: 16, marginBottom: 8 }}>Already Checked In</div>
+            <div style={{ color: C.muted, fontSize: 14 }}>{result.student_no} was already on the register for this session.</div>
+          </Card>
+        )}
+        {step === 'pending' && result && (
+          <Card style={{ textAlign: 'center', borderColor: C.yellow + '66' }}>
+            <div style={{ fontSize: 48, marginBottom: 12 }}>⏳</div>
+            <div style={{ fontWeight: 800, fontSize: 18, color: C.yellow, marginBottom: 8 }}>Waiting for Your Lecturer</div>
+            <div style={{ fontFamily: 'monospace', fontSize: 18, marginBottom: 12 }}>{result.student_no}</div>
+            <div style={{ color: C.muted, fontSize: 14, marginBottom: 16 }}>This student number is not on the class list for {course?.code}. Your check-in has been sent to your lecturer, who will accept or reject it.</div>
+            <Alert type="warning">Did you mistype your number? Check in again with the correct one.</Alert>
+            <Btn variant="ghost" onClick={() => { setStep('enter'); setStudentNo(''); setResult(null); }} style={{ width: '100%' }}>Re-enter Student Number</Btn>
+          </Card>
+        )}
         {step === 'already' && result && (
           <Card style={{ textAlign: 'center', borderColor: C.blue + '66' }}>
             <div style={{ fontSize: 48, marginBottom: 12 }}>ℹ️</div>
@@ -1040,25 +3356,106 @@ function StudentScanView({ sessionId, onBack }) {
   );
 }
 
+// ═══════════════════════════════════════════════════════════════════════════════
+// STUDENT PORTAL — the signed-in student's own attendance, read via get_my_attendance()
+// ═══════════════════════════════════════════════════════════════════════════════
+function StudentPortal({ student, onLogout }) {
+  const [records, setRecords] = useState(null); // [{ course, sessions }]
+  const [open, setOpen] = useState(null); // course id showing per-session detail
+  const [err, setErr] = useState('');
+
+  useEffect(() => {
+    getMyAttendance().then(setRecords).catch(() => { setErr('Could not load your attendance. Try again later.'); setRecords([]); });
+  }, []);
+
+  if (!records) return <Shell role={student.surname_initials} onLogout={onLogout}><Spinner text="Loading your attendance…" /></Shell>;
+
+  return (
+    <Shell role={`${student.surname_initials} · ${student.student_no}`} onLogout={onLogout}>
+      <div style={{ fontWeight: 800, fontSize: 18, marginBottom: 20 }}>My Attendance</div>
+      {err && <Alert type="danger">{err}</Alert>}
+      <Alert type="warning">Each course has its own <strong>attendance policy</strong>, shown under the course name.</Alert>
+      {records.length === 0 && !err && <Card style={{ textAlign: 'center', padding: 48, color: C.muted }}>You are not enrolled in any courses yet.</Card>}
+      {records.map(({ course, sessions }) => {
+        const policy = course.policy || DEFAULT_POLICY;
+        const stats = studentCourseStats(student.student_no, course.id, sessions, policy);
+        const p = attendancePct(stats);
+        const { label, color } = attendanceStatus(p, policy);
+        return (
+          <Card key={course.id} style={{ marginBottom: 16, borderColor: stats.counted && p < policy.good_standing_pct ? C.red + '44' : C.border }}>
+            <div style={{ display: 'flex', alignItems: 'center', gap: 16 }}>
+              <div style={{ flex: 1 }}>
+                <Badge color={C.accent} small>{course.code}</Badge>
+                <div style={{ fontWeight: 700, fontSize: 15, marginTop: 6 }}>{course.name}</div>
+                <div style={{ color: C.muted, fontSize: 12, marginTop: 2 }}>Yr {course.year} · Sem {course.semester} · {stats.total} of {course.total_planned_classes} classes held</div>
+                <div style={{ color: C.muted, fontSize: 11, marginTop: 4 }}>📏 {describePolicy(policy)}</div>
+              </div>
+              <div style={{ display: 'flex', gap: 14, fontSize: 13 }}>
+                <span style={{ color: C.green, fontWeight: 700 }}>P {stats.present}</span>
+                <span style={{ color: C.yellow, fontWeight: 700 }}>L {stats.late}</span>
+                <span style={{ color: C.red, fontWeight: 700 }}>A {stats.absent}</span>
+                <span style={{ color: C.purple, fontWeight: 700 }}>E {stats.excused}</span>
+              </div>
+              <div style={{ width: 120 }}><div style={{ fontWeight: 800, fontSize: 20, color, marginBottom: 4 }}>{stats.counted ? `${p}%` : '—'}</div><MiniBar value={stats.counted ? p : 0} policy={policy} /></div>
+              {stats.counted > 0 && <Badge color={color}>{label}</Badge>}
+              <Btn size="sm" variant="ghost" onClick={() => setOpen(open === course.id ? null : course.id)}>{open === course.id ? 'Hide' : 'Sessions'}</Btn>
+            </div>
+            {open === course.id && (
+              <div style={{ marginTop: 16, paddingTop: 12, borderTop: `1px solid ${C.border}` }}>
+                {sessions.length === 0 ? <div style={{ color: C.muted, fontSize: 13 }}>No classes held yet.</div> : [...sessions].reverse().map(ses => {
+                  const { status, scan, override, tooLate } = attendanceMark(ses, student.student_no, policy);
+                  const m = ATTENDANCE_MARKS[status];
+                  return (
+                    <div key={ses.id} style={{ display: 'flex', alignItems: 'center', gap: 12, padding: '7px 10px', borderRadius: 8, background: C.surface, marginBottom: 4, fontSize: 13 }}>
+                      <div style={{ width: 150, fontFamily: 'monospace', color: C.mutedLight }}>{ses.date} {ses.start_time}</div>
+                      <div style={{ flex: 1, color: C.muted }}>📍 {ses.room}</div>
+                      {(status === 'late' || tooLate) && scan && <span style={{ color: C.yellow, fontSize: 12 }}>+{scan.minutes_late} min{tooLate && ' — too late to count'}</span>}
+                      {override && <span style={{ color: C.muted, fontSize: 12 }} title={override.reason}>✎ {override.reason}</span>}
+                      <Badge color={m.color} small>{m.label}</Badge>
+                    </div>
+                  );
+                })}
+              </div>
+            )}
+          </Card>
+        );
+      })}
+    </Shell>
+  );
+}
+
 // ═══════════════════════════════════════════════════════════════════════════════
 // ROOT APP — boot sequence: check Supabase → first run or login
 // ═══════════════════════════════════════════════════════════════════════════════
 export default function App() {
   const [bootState, setBootState] = useState('loading'); // loading | no_config | ready | error
-  const [adminConfig, setAdminConfig] = useState(null);
   const [user, setUser] = useState(null);
   const [sessionParam, setSessionParam] = useState(null);
+  const [tokenParam, setTokenParam] = useState(null);
+  const [kiosk, setKiosk] = useState(readKioskLock); // a kiosk running in this browser, from before a reload or in another tab
+
+  // Upload check-ins that were saved offline, from whichever screen is open
+  useEffect(() => startScanSync(), []);
+
+  // A kiosk started or left in another tab of this browser locks or unlocks this one too
+  useEffect(() => {
+    const onStorage = (e) => { if (e.key === KIOSK_KEY) setKiosk(readKioskLock()); };
+    window.addEventListener('storage', onStorage);
+    return () => window.removeEventListener('storage', onStorage);
+  }, []);
 
   useEffect(() => {
     const params = new URLSearchParams(window.location.search);
     const sid = params.get('session');
-    if (sid) { setSessionParam(sid); return; }
+    if (sid) { setSessionParam(sid); setTokenParam(params.get('t')); return; }
 
     (async () => {
       try {
-        const config = await getAdminConfig();
-        if (!config || !config.initialized) { setBootState('no_config'); }
-        else { setAdminConfig(config); setBootState('ready'); }
+        if (!await isAdminInitialized()) { setBootState('no_config'); return; }
+        // A stored session token survives reloads; an expired one is simply discarded
+        const auth = await restoreLogin().catch(() => null);
+        if (auth) setUser(auth.role === 'lecturer' ? { role: 'lecturer', lecturer: auth.lecturer } : auth.role === 'student' ? { role: 'student', student: auth.student } : { role: 'admin' });
+        setBootState('ready');
       } catch (err) {
         console.error(err);
         setBootState('error');
@@ -1067,7 +3464,7 @@ export default function App() {
   }, []);
 
   // QR scan entry point
-  if (sessionParam) return <StudentScanView sessionId={sessionParam} onBack={() => { setSessionParam(null); window.history.replaceState({}, '', window.location.pathname); }} />;
+  if (sessionParam) return <StudentScanView sessionId={sessionParam} token={tokenParam} onBack={() => { setSessionParam(null); window.history.replaceState({}, '', window.location.pathname); }} />;
 
   if (bootState === 'loading') return (
     <div style={{ minHeight: '100vh', background: C.bg, display: 'flex', alignItems: 'center', justifyContent: 'center' }}>
@@ -1094,12 +3491,17 @@ export default function App() {
     </div>
   );
 
-  if (bootState === 'no_config') return <FirstRunSetup onComplete={async () => { const config = await getAdminConfig(); setAdminConfig(config); setBootState('ready'); }} />;
+  if (bootState === 'no_config') return <FirstRunSetup onComplete={() => setBootState('ready')} />;
+
+  const signOut = async () => { try { await logout(); } catch {} setUser(null); };
 
-  if (!user) return <LoginScreen adminConfig={adminConfig} onLogin={u => { setUser(u); if (u.role === 'admin') setAdminConfig(adminConfig); }} />;
-  if (user.role === 'admin') return <AdminDashboard adminConfig={adminConfig} onLogout={() => setUser(null)} />;
-  if (user.role === 'lecturer') return <LecturerDashboard lecturer={user.lecturer} onLogout={() => setUser(null)} />;
-  if (user.role === 'student') return <StudentScanView sessionId={null} onBack={() => setUser(null)} />;
+  if (!user) return <LoginScreen onLogin={u => { unlockKiosk(); setKiosk(null); setUser(u); }} />;
+  if (user.role === 'lecturer' && kiosk) {
+    return <KioskMode session={kiosk.session} pinHash={kiosk.pin_hash} onScan={() => {}} onExit={() => { unlockKiosk(); setKiosk(null); }} />;
+  }
+  if (user.role === 'admin') return <AdminDashboard onLogout={signOut} />;
+  if (user.role === 'lecturer') return <LecturerDashboard lecturer={user.lecturer} onLogout={signOut} />;
+  if (user.role === 'student') return <StudentPortal student={user.student} onLogout={signOut} />;
 
   return null;
 }
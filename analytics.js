@@ -0,0 +1,161 @@
+// ─── analytics.js — faculty-wide attendance figures for the admin ─────────────
+// Everything is worked out in the browser from getAllSessions (with scans and
+// overrides) and the enrolments, using each course's attendance policy, so the
+// numbers match the lecturer's register and the Excel export. A session for
+// particular tutorial groups only counts for their members.
+import { DEFAULT_POLICY, attendanceMark, attendanceStatus, pct, sessionAppliesTo } from './helpers';
+
+// How much one student's mark adds to the numerator and denominator of a percentage
+function markWeight(status, policy) {
+  if (status === 'excused') {
+    if (policy.excused_counts_as === 'excluded') return { attended: 0, counted: 0 };
+    return { attended: policy.excused_counts_as === 'present' ? 1 : 0, counted: 1 };
+  }
+  if (status === 'late') return { attended: policy.late_weight, counted: 1 };
+  return { attended: status === 'absent' ? 0 : 1, counted: 1 };
+}
+
+// 'YYYY-MM-DD' of the Monday the date falls in
+export function weekOf(date) {
+  const d = new Date(`${date}T00:00:00`);
+  d.setDate(d.getDate() - ((d.getDay() + 6) % 7));
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+const tally = () => ({ attended: 0, counted: 0, sessions: 0 });
+const add = (t, w) => { t.attended += w.attended; t.counted += w.counted; };
+const withPct = (t) => ({ ...t, pct: pct(t.attended, t.counted) });
+const bump = (map, key, init) => { if (!map.has(key)) map.set(key, init()); return map.get(key); };
+
+// filters: { department, lecturerId, year, semester, from, to } — blank = everything.
+// enrolments: [{ course_id, group_id, students: { student_no, surname_initials } }]
+// policies: { [course id]: merged policy }
+export function buildAnalytics({ sessions, courses, lecturers, enrolments, policies = {}, filters = {} }) {
+  const { department, lecturerId, year, semester, from, to } = filters;
+  const shown = courses.filter(c =>
+    (!department || c.department === department) && (!lecturerId || c.lecturer_id === lecturerId) &&
+    (!year || String(c.year) === String(year)) && (!semester || String(c.semester) === String(semester)));
+  const shownIds = new Set(shown.map(c => c.id));
+  const closed = sessions.filter(s => s.status === 'closed' && shownIds.has(s.course_id) && (!from || s.date >= from) && (!to || s.date <= to));
+
+  const roster = new Map(); // course id → [{ student_no, surname_initials, group_id }]
+  enrolments.forEach(e => { if (e.students && shownIds.has(e.course_id)) bump(roster, e.course_id, () => []).push({ ...e.students, group_id: e.group_id }); });
+
+  const overall = tally();
+  const byCourse = new Map(shown.map(c => [c.id, { ...tally(), students: new Map(), sessionList: [] }]));
+  const byWeek = new Map(), byDepartment = new Map(), byLecturer = new Map(), byHour = new Map();
+
+  closed.forEach(session => {
+    const course = shown.find(c => c.id === session.course_id);
+    const policy = policies[course.id] || DEFAULT_POLICY;
+    const ct = byCourse.get(course.id);
+    const st = tally();
+    (roster.get(course.id) || []).filter(student => sessionAppliesTo(session, student.group_id)).forEach(student => {
+      const w = markWeight(attendanceMark(session, student.student_no, policy).status, policy);
+      add(st, w);
+      add(bump(ct.students, student.student_no, () => ({ ...tally(), studentNo: student.student_no, surnameInitials: student.surname_initials, groupId: student.group_id })), w);
+    });
+    const day = new Date(`${session.date}T00:00:00`).getDay();
+    const hour = parseInt(session.start_time, 10);
+    [overall, ct, bump(byWeek, weekOf(session.date), tally), bump(byDepartment, course.department || '—', tally),
+      bump(byLecturer, session.lecturer_id, tally), bump(byHour, `${day}-${hour}`, tally)].forEach(t => { add(t, st); t.sessions++; });
+    ct.sessionList.push({ session, ...withPct(st) });
+  });
+
+  const compliance = { good: 0, atRisk: 0, critical: 0, total: 0 };
+  const courseRows = shown.map(course => {
+    const ct = byCourse.get(course.id);
+    const policy = policies[course.id] || DEFAULT_POLICY;
+    const students = (roster.get(course.id) || []).map(s => withPct(ct.students.get(s.student_no) || { ...tally(), studentNo: s.student_no, surnameInitials: s.surname_initials, groupId: s.group_id }));
+    const bands = { good: 0, atRisk: 0, critical: 0 };
+    students.filter(s => s.counted > 0).forEach(s => {
+      const band = { 'Good Standing': 'good', 'At Risk': 'atRisk', Critical: 'critical' }[attendanceStatus(s.pct, policy).label];
+      bands[band]++; compliance[band]++; compliance.total++;
+    });
+    return {
+      course, policy, lecturer: lecturers.find(l => l.id === course.lecturer_id), ...withPct(ct), ...bands,
+      students: students.sort((a, b) => a.pct - b.pct || a.studentNo.localeCompare(b.studentNo)),
+      sessionList: ct.sessionList.sort((a, b) => (a.session.date + a.session.start_time).localeCompare(b.session.date + b.session.start_time)),
+    };
+  });
+
+  const hours = [...byHour.keys()].map(k => Number(k.split('-')[1]));
+  return {
+    overall: { ...withPct(overall), courses: shown.length },
+    compliance,
+    courses: courseRows,
+    worst: courseRows.filter(c => c.counted > 0).sort((a, b) => a.pct - b.pct).slice(0, 5),
+    weeks: [...byWeek].map(([week, t]) => ({ week, ...withPct(t) })).sort((a, b) => a.week.localeCompare(b.week)),
+    departments: [...byDepartment].map(([name, t]) => ({ name, ...withPct(t) })).sort((a, b) => a.pct - b.pct),
+    lecturers: [...byLecturer].map(([id, t]) => ({ id, name: lecturers.find(l => l.id === id)?.name || id, ...withPct(t) })).sort((a, b) => a.pct - b.pct),
+    heatmap: {
+      days: [1, 2, 3, 4, 5, 6, 0].filter(d => [...byHour.keys()].some(k => k.startsWith(`${d}-`))),
+      hours: hours.length ? Array.from({ length: Math.max(...hours) - Math.min(...hours) + 1 }, (_, i) => Math.min(...hours) + i) : [],
+      cell: (day, hour) => (byHour.has(`${day}-${hour}`) ? withPct(byHour.get(`${day}-${hour}`)) : null),
+    },
+  };
+}
+
+// ─── One student across all their courses ─────────────────────────────────────
+
+// Runs of consecutive absences in sessions ordered oldest first.
+// → { current, longest, longestFrom, longestTo } (dates of the longest run)
+export function absenceStreaks(marks) {
+  let run = 0, runFrom = null, longest = 0, longestFrom = null, longestTo = null;
+  marks.forEach(({ session, status }) => {
+    if (status === 'absent') {
+      if (!run) runFrom = session.date;
+      run++;
+      if (run > longest) { longest = run; longestFrom = runFrom; longestTo = session.date; }
+    } else if (status !== 'excused') run = 0; // an excused absence neither breaks nor extends a run
+  });
+  return { current: run, longest, longestFrom, longestTo };
+}
+
+// enrolledCourseIds: the courses the student is in; groupOf: { [course id]: their tutorial group id };
+// sessions: getAllSessions()
+export function studentProfile({ studentNo, enrolledCourseIds, groupOf = {}, sessions, courses, lecturers, policies = {} }) {
+  const overall = tally();
+  const lateByDay = new Map(); // weekday → { late, sessions }
+  const timeline = [];
+  const courseRows = enrolledCourseIds.map(id => courses.find(c => c.id === id)).filter(Boolean).map(course => {
+    const policy = policies[course.id] || DEFAULT_POLICY;
+    const marks = sessions
+      .filter(s => s.course_id === course.id && s.status === 'closed' && sessionAppliesTo(s, groupOf[course.id]))
+      .sort((a, b) => (a.date + a.start_time).localeCompare(b.date + b.start_time))
+      .map(session => ({ session, course, ...attendanceMark(session, studentNo, policy) }));
+    const t = tally();
+    const lateMinutes = []; // only check-ins carry minutes; a late set on the register has none
+    let lates = 0;
+    marks.forEach(m => {
+      add(t, markWeight(m.status, policy));
+      const day = bump(lateByDay, new Date(`${m.session.date}T00:00:00`).getDay(), () => ({ late: 0, sessions: 0 }));
+      day.sessions++;
+      if (m.status === 'late' || m.tooLate) {
+        day.late++;
+        lates++;
+        if (m.scan) lateMinutes.push(m.scan.minutes_late || 0);
+      }
+    });
+    add(overall, t);
+    timeline.push(...marks);
+    const p = pct(t.attended, t.counted);
+    return {
+      course, policy, lecturer: lecturers.find(l => l.id === course.lecturer_id), marks, ...t, sessions: marks.length, pct: p,
+      standing: t.counted ? attendanceStatus(p, policy) : null,
+      lates, lateMinutes,
+      avgMinutesLate: lateMinutes.length ? Math.round(lateMinutes.reduce((x, y) => x + y, 0) / lateMinutes.length) : 0,
+      streaks: absenceStreaks(marks),
+    };
+  });
+  const lates = courseRows.reduce((n, c) => n + c.lates, 0);
+  const lateMinutes = courseRows.flatMap(c => c.lateMinutes);
+  return {
+    overall: withPct(overall),
+    courses: courseRows.sort((a, b) => a.pct - b.pct),
+    timeline: timeline.sort((a, b) => (b.session.date + b.session.start_time).localeCompare(a.session.date + a.session.start_time)),
+    lates,
+    avgMinutesLate: lateMinutes.length ? Math.round(lateMinutes.reduce((x, y) => x + y, 0) / lateMinutes.length) : 0,
+    lateByWeekday: [1, 2, 3, 4, 5, 6, 0].filter(d => lateByDay.has(d)).map(day => ({ day, ...lateByDay.get(day) })),
+  };
+}
@@ -0,0 +1,104 @@
+// ─── analytics.test.js — absence streaks and the cross-course student profile ─
+import { absenceStreaks, studentProfile } from './analytics';
+import { DEFAULT_POLICY } from './helpers';
+
+const STUDENT = '20210001';
+
+// A closed session on `date` (a Monday unless said otherwise) with this student's
+// scan and/or register override
+function session(id, date, { scan, override, course_id = 'c1', ...rest } = {}) {
+  return {
+    id, course_id, date, start_time: '08:00', status: 'closed', ...rest,
+    scans: scan ? [{ student_no: STUDENT, ...scan }] : [],
+    attendance_overrides: override ? [{ student_no: STUDENT, status: override }] : [],
+  };
+}
+
+const mark = (date, status) => ({ session: { date }, status });
+
+describe('absenceStreaks', () => {
+  it('finds the longest run and the one still going', () => {
+    const streaks = absenceStreaks([
+      mark('2026-02-02', 'absent'), mark('2026-02-03', 'absent'), mark('2026-02-04', 'absent'),
+      mark('2026-02-05', 'present'),
+      mark('2026-02-06', 'absent'), mark('2026-02-09', 'absent'),
+    ]);
+    expect(streaks).toEqual({ current: 2, longest: 3, longestFrom: '2026-02-02', longestTo: '2026-02-04' });
+  });
+
+  it('neither breaks nor extends a run at an excused absence', () => {
+    const streaks = absenceStreaks([mark('2026-02-02', 'absent'), mark('2026-02-03', 'excused'), mark('2026-02-04', 'absent')]);
+    expect(streaks).toEqual({ current: 2, longest: 2, longestFrom: '2026-02-02', longestTo: '2026-02-04' });
+  });
+
+  it('is all zero without absences', () => {
+    expect(absenceStreaks([])).toEqual({ current: 0, longest: 0, longestFrom: null, longestTo: null });
+    expect(absenceStreaks([mark('2026-02-02', 'late'), mark('2026-02-03', 'manual_present')]).longest).toBe(0);
+  });
+});
+
+describe('studentProfile', () => {
+  const courses = [
+    { id: 'c1', code: 'ACC101', lecturer_id: 'l1' },
+    { id: 'c2', code: 'ECO101', lecturer_id: 'l1' },
+  ];
+  const lecturers = [{ id: 'l1', name: 'Dr Mokoena' }];
+  const profile = (sessions, extra = {}) => studentProfile({ studentNo: STUDENT, enrolledCourseIds: ['c1', 'c2'], sessions, courses, lecturers, ...extra });
+
+  it('counts a late set on the register, with no check-in, without averaging it in', () => {
+    const p = profile([
+      session('s1', '2026-02-02', { scan: { status: 'late', minutes_late: 12 } }),
+      session('s2', '2026-02-09', { override: 'late' }),
+      session('s3', '2026-02-16', { scan: { status: 'present', minutes_late: 0 } }),
+    ]);
+    const acc = p.courses.find(c => c.course.id === 'c1');
+    expect(acc.lates).toBe(2);
+    expect(acc.avgMinutesLate).toBe(12);
+    expect(p.lates).toBe(2);
+    expect(p.avgMinutesLate).toBe(12);
+    expect(p.lateByWeekday).toEqual([{ day: 1, late: 2, sessions: 3 }]);
+  });
+
+  it('counts a check-in past the absent cut-off as late on the weekday chart but absent in the totals', () => {
+    const policy = { ...DEFAULT_POLICY, absent_after_minutes: 30 };
+    const p = profile([session('s1', '2026-02-03', { scan: { status: 'late', minutes_late: 40 } })], { policies: { c1: policy } });
+    const acc = p.courses.find(c => c.course.id === 'c1');
+    expect(acc).toMatchObject({ attended: 0, counted: 1 });
+    expect(acc.lates).toBe(1);
+    expect(acc.avgMinutesLate).toBe(40);
+    expect(p.lateByWeekday).toEqual([{ day: 2, late: 1, sessions: 1 }]);
+  });
+
+  it('leaves out open and void sessions and those for another tutorial group', () => {
+    const p = profile([
+      session('s1', '2026-02-02', { scan: { status: 'present' } }),
+      session('s2', '2026-02-03', { status: 'active' }),
+      session('s3', '2026-02-04', { status: 'void' }),
+      session('s4', '2026-02-05', { group_ids: ['g2'] }),
+      session('s5', '2026-02-06', { group_ids: ['g1'] }),
+    ], { groupOf: { c1: 'g1' } });
+    expect(p.timeline.map(m => m.session.id)).toEqual(['s5', 's1']);
+    expect(p.overall).toMatchObject({ attended: 1, counted: 2, pct: 50 });
+  });
+
+  it('lists courses weakest first with their standing and streaks', () => {
+    const p = profile([
+      session('a1', '2026-02-02', { scan: { status: 'present' } }),
+      session('a2', '2026-02-09', { scan: { status: 'present' } }),
+      session('e1', '2026-02-03', { course_id: 'c2' }),
+      session('e2', '2026-02-10', { course_id: 'c2' }),
+      session('e3', '2026-02-17', { course_id: 'c2', override: 'excused' }),
+    ]);
+    expect(p.courses.map(c => [c.course.code, c.pct])).toEqual([['ECO101', 0], ['ACC101', 100]]);
+    expect(p.courses[0].standing.label).toBe('Critical');
+    expect(p.courses[0].streaks).toMatchObject({ current: 2, longest: 2 });
+    expect(p.courses[0].lecturer.name).toBe('Dr Mokoena');
+    expect(p.courses[1].standing.label).toBe('Good Standing');
+  });
+
+  it('has no standing for a course with nothing counted yet', () => {
+    const p = profile([]);
+    expect(p.courses.every(c => c.standing === null && c.sessions === 0)).toBe(true);
+    expect(p.avgMinutesLate).toBe(0);
+  });
+});
@@ -1,100 +1,388 @@
 // ─── excel.js ─────────────────────────────────────────────────────────────────
+import { DEFAULT_POLICY, describePolicy, attendanceMark, studentCourseStats, attendancePct, attendanceStatus, sessionAppliesTo, sessionsForGroup, localDate, pct, FACULTY, INSTITUTION } from './helpers';
 
-export async function parseStudentExcel(file) {
-  const XLSX = await import('xlsx');
-  return new Promise((resolve, reject) => {
-    const reader = new FileReader();
-    reader.onload = (e) => {
-      try {
-        const data = new Uint8Array(e.target.result);
-        const wb = XLSX.read(data, { type: 'array' });
-        const sheet = wb.Sheets[wb.SheetNames[0]];
-        const rows = XLSX.utils.sheet_to_json(sheet, { header: 1, defval: '' });
-        const students = [];
-        rows.forEach((row, i) => {
-          if (i === 0 && isNaN(Number(String(row[0]).trim()))) return;
-          const studentNo = String(row[0] || '').trim();
-          const surnameInitials = String(row[1] || '').trim();
-          if (studentNo && surnameInitials) students.push({ studentNo, surnameInitials });
-        });
-        resolve(students);
-      } catch (err) { reject(err); }
-    };
-    reader.onerror = reject;
-    reader.readAsArrayBuffer(file);
-  });
+const HEADER = `${FACULTY} — ${INSTITUTION}`;
+
+// Every export reads and writes through xlsx-js-style: the same API as the
+// community SheetJS build, but it keeps cell styles when writing (the
+// multi-course workbook colours its cells). Loaded on first use.
+const loadXLSX = () => import('xlsx-js-style');
+
+// One student's mark at one session as written in a register cell
+function markText(session, st, policy) {
+  if (!sessionAppliesTo(session, st.group_id)) return '—';
+  const { status, scan, tooLate } = attendanceMark(session, st.student_no, policy);
+  if (tooLate) return `ABS (+${scan.minutes_late}min)`;
+  switch (status) {
+    case 'late': return scan ? `LATE (+${scan.minutes_late}min)` : 'LATE';
+    case 'manual_present': return 'P (manual)';
+    case 'excused': return 'EXC';
+    case 'absent': return 'ABS';
+    default: return 'P';
+  }
 }
 
-export async function exportAttendanceExcel(course, sessions, students, lecturerName) {
-  const XLSX = await import('xlsx');
-  const courseSessions = sessions.filter(s => s.course_id === course.id);
+const MARK_KEY = 'P = present · P (manual) = marked present by lecturer · LATE · EXC = excused · ABS = absent · ABS (+n min) = arrived after the absent cut-off · — = session for another tutorial group';
+
+// students carry group_id; course.groups (when set) names the tutorial groups.
+// groupName: the group the register was filtered to, for the heading.
+export async function exportAttendanceExcel(course, sessions, students, lecturerName, { groupName } = {}) {
+  const XLSX = await loadXLSX();
+  const policy = course.policy || DEFAULT_POLICY;
+  const groups = course.groups || [];
+  const courseSessions = sessions.filter(s => s.course_id === course.id && s.status !== 'void');
   courseSessions.sort((a, b) => new Date(a.date) - new Date(b.date));
+  const groupCol = groups.length ? [''] : [];
+  const groupOf = (st) => (groups.length ? [groups.find(g => g.id === st.group_id)?.name || '—'] : []);
 
   const headerRows = [
     ['ATTENDANCE REGISTER'],
-    ['Faculty of Management Sciences — Polokwane'],
+    [HEADER],
     [`Course: ${course.name} (${course.code})`],
     [`Department: ${course.department}`],
     [`Lecturer: ${lecturerName}`],
     [`Year: ${course.year} | Semester: ${course.semester}`],
     [`Total Planned Classes: ${course.total_planned_classes}`],
-    ['Policy: Students must maintain at least 80% attendance'],
+    ...(groupName ? [[`Tutorial Group: ${groupName}`]] : []),
+    [`Policy: ${describePolicy(policy)}`],
     [`Generated: ${new Date().toLocaleString('en-ZA')}`],
     [],
-    ['Student No', 'Surname & Initials',
+    ['Student No', 'Surname & Initials', ...groupCol.map(() => 'Group'),
       ...courseSessions.map(s => `${s.date}\n${s.start_time}`),
-      'Present', 'Late', 'Absent', 'Total Sessions', 'Attendance %', 'Status', 'AT RISK (80% Policy)'],
+      'Present', 'Late', 'Absent', 'Excused', 'Total Sessions', 'Attendance %', 'Status', `AT RISK (<${policy.good_standing_pct}%)`],
   ];
 
-  const dataRows = students.map(st => {
-    let present = 0, late = 0, absent = 0;
-    const cells = courseSessions.map(session => {
-      const scan = (session.scans || []).find(sc => sc.student_no === st.student_no);
-      if (!scan) { absent++; return 'ABS'; }
-      if (scan.status === 'late') { late++; return `LATE (+${scan.minutes_late}min)`; }
-      present++; return 'P';
-    });
-    const total = courseSessions.length;
-    const attPct = total === 0 ? 0 : Math.round(((present + late) / total) * 100);
-    const status = attPct >= 80 ? 'Good Standing' : attPct >= 60 ? 'At Risk' : 'Critical';
-    const atRisk = attPct < 80 ? 'YES — INTERVENTION NEEDED' : 'No';
-    return [st.student_no, st.surname_initials, ...cells, present, late, absent, total, `${attPct}%`, status, atRisk];
+  const stats = students.map(st => studentCourseStats(st.student_no, course.id, sessionsForGroup(courseSessions, st.group_id), policy));
+  const dataRows = students.map((st, i) => {
+    const { present, late, absent, excused, total } = stats[i];
+    const attPct = total === 0 ? 0 : attendancePct(stats[i]);
+    const atRisk = attPct < policy.good_standing_pct ? 'YES — INTERVENTION NEEDED' : 'No';
+    return [st.student_no, st.surname_initials, ...groupOf(st), ...courseSessions.map(s => markText(s, st, policy)),
+      present, late, absent, excused, total, `${attPct}%`, attendanceStatus(attPct, policy).label, atRisk];
   });
 
   const summaryRows = [
     [],
     ['SUMMARY'],
     ['Total Students', students.length],
-    ['Students At Risk (<80%)', dataRows.filter(r => r[r.length - 1] !== 'No').length],
+    [`Students At Risk (<${policy.good_standing_pct}%)`, dataRows.filter(r => r[r.length - 1] !== 'No').length],
     ['Sessions Conducted', courseSessions.length],
     ['Class Average', dataRows.length > 0
       ? Math.round(dataRows.reduce((sum, r) => sum + parseInt(r[r.length - 3]), 0) / dataRows.length) + '%'
       : 'N/A'],
+    [],
+    ['KEY', MARK_KEY],
+    ['Lecturer overrides in this register', courseSessions.reduce((n, s) => n + (s.attendance_overrides || []).length, 0)],
   ];
 
   const allRows = [...headerRows, ...dataRows, ...summaryRows];
   const ws = XLSX.utils.aoa_to_sheet(allRows);
   ws['!cols'] = [
-    { wch: 14 }, { wch: 26 },
+    { wch: 14 }, { wch: 26 }, ...groupCol.map(() => ({ wch: 12 })),
     ...courseSessions.map(() => ({ wch: 14 })),
-    { wch: 10 }, { wch: 10 }, { wch: 10 }, { wch: 16 }, { wch: 14 }, { wch: 16 }, { wch: 28 },
+    { wch: 10 }, { wch: 10 }, { wch: 10 }, { wch: 10 }, { wch: 16 }, { wch: 14 }, { wch: 16 }, { wch: 28 },
   ];
   const wb = XLSX.utils.book_new();
   XLSX.utils.book_append_sheet(wb, ws, 'Attendance Register');
   XLSX.writeFile(wb, `Attendance_${course.code}_${course.name.replace(/\s+/g, '_')}.xlsx`);
 }
 
+// ─── Several courses in one workbook ──────────────────────────────────────────
+// A summary sheet, then one register sheet per course, coloured by mark and
+// standing.
+
+const MARK_FILLS = { // fill, font
+  present:        ['C6EFCE', '006100'],
+  manual_present: ['DDEBF7', '1F4E79'],
+  late:           ['FFEB9C', '9C5700'],
+  excused:        ['E4DFEC', '5B3F8C'],
+  absent:         ['FFC7CE', '9C0006'],
+};
+const BAND_FILLS = { 'Good Standing': MARK_FILLS.present, 'At Risk': MARK_FILLS.late, Critical: MARK_FILLS.absent };
+const AT_RISK_ROW = 'FCE4E4';
+const fill = ([bg, fg], bold = false) => ({ fill: { patternType: 'solid', fgColor: { rgb: bg } }, font: { color: { rgb: fg }, bold } });
+const BOLD = { font: { bold: true } };
+
+// Excel sheet names: at most 31 characters, none of : \ / ? * [ ], and unique
+function sheetName(course, taken) {
+  const clean = (text) => text.replace(/[:\\/?*[\]]/g, ' ').slice(0, 31);
+  let name = clean(course.code);
+  if (taken.has(name)) name = clean(`${course.code} ${course.year} S${course.semester}`);
+  for (let n = 2; taken.has(name); n++) name = clean(`${course.code} (${n})`);
+  taken.add(name);
+  return name;
+}
+
+// courses: those to include, each with its policy (and groups, for the Group column).
+// sessions: their sessions with scans and overrides; rosters: { [course id]: students with group_id }.
+// from / to: 'YYYY-MM-DD' bounds on the session date, blank = no bound. lecturerNameOf: course → name.
+export async function exportAttendanceWorkbook(courses, sessions, rosters, { from, to, lecturerNameOf = () => '' } = {}) {
+  const XLSX = await loadXLSX();
+  const style = (ws, r, c, s) => { const ref = XLSX.utils.encode_cell({ r, c }); if (ws[ref]) ws[ref].s = s; };
+  const period = from || to ? `${from || 'start'} to ${to || 'today'}` : 'All sessions';
+  const generated = `Generated: ${new Date().toLocaleString('en-ZA')}`;
+  const wb = XLSX.utils.book_new();
+  const taken = new Set(['Summary']);
+  const courseRows = [];
+  const totals = new Map(); // student no → { surnameInitials, byCourse: { [course id]: stats }, ... }
+
+  const sheets = courses.map(course => {
+    const name = sheetName(course, taken);
+    const policy = course.policy || DEFAULT_POLICY;
+    const groups = course.groups || [];
+    const students = rosters[course.id] || [];
+    const courseSessions = sessions
+      .filter(s => s.course_id === course.id && s.status !== 'void' && (!from || s.date >= from) && (!to || s.date <= to))
+      .sort((a, b) => `${a.date} ${a.start_time}`.localeCompare(`${b.date} ${b.start_time}`));
+    const groupCol = groups.length ? ['Group'] : [];
+    const stats = students.map(st => studentCourseStats(st.student_no, course.id, sessionsForGroup(courseSessions, st.group_id), policy));
+    const pcts = stats.map(s => (s.total === 0 ? 0 : attendancePct(s)));
+    const below = pcts.filter((p, i) => stats[i].total > 0 && p < policy.good_standing_pct).length;
+    const classAverage = pcts.length ? Math.round(pcts.reduce((a, b) => a + b, 0) / pcts.length) : 0;
+
+    const head = [
+      [`ATTENDANCE REGISTER — ${course.code}`],
+      [HEADER],
+      [`Course: ${course.name} (${course.code}) · ${course.department}`],
+      [`Lecturer: ${lecturerNameOf(course)}`],
+      [`Year: ${course.year} | Semester: ${course.semester} | Period: ${period}`],
+      [`Policy: ${describePolicy(policy)}`],
+      [generated],
+      [],
+      ['Student No', 'Surname & Initials', ...groupCol, ...courseSessions.map(s => `${s.date}\n${s.start_time}`),
+        'Present', 'Late', 'Absent', 'Excused', 'Total Sessions', 'Attendance %', 'Status'],
+    ];
+    const first = head.length; // row index of the first student
+    const lead = 2 + groupCol.length; // columns before the sessions
+    const rows = students.map((st, i) => {
+      const { present, late, absent, excused, total } = stats[i];
+      return [st.student_no, st.surname_initials, ...(groups.length ? [groups.find(g => g.id === st.group_id)?.name || '—'] : []),
+        ...courseSessions.map(s => markText(s, st, policy)),
+        present, late, absent, excused, total, `${pcts[i]}%`, attendanceStatus(pcts[i], policy).label];
+    });
+    const sum = (k) => stats.reduce((n, s) => n + s[k], 0);
+    const ws = XLSX.utils.aoa_to_sheet([
+      ...head, ...rows,
+      ['TOTAL', `${students.length} students`, ...groupCol.map(() => ''), ...courseSessions.map(s => `${students.filter(st => sessionAppliesTo(s, st.group_id) && ['present', 'manual_present', 'late'].includes(attendanceMark(s, st.student_no, policy).status)).length} in`),
+        sum('present'), sum('late'), sum('absent'), sum('excused'), courseSessions.length, `${classAverage}%`, `${below} below ${policy.good_standing_pct}%`],
+      [],
+      ['KEY', MARK_KEY],
+    ]);
+
+    head[head.length - 1].forEach((_, c) => style(ws, first - 1, c, BOLD));
+    style(ws, 0, 0, { font: { bold: true, sz: 14 } });
+    students.forEach((st, i) => {
+      const r = first + i;
+      const atRisk = stats[i].total > 0 && pcts[i] < policy.good_standing_pct;
+      for (let c = 0; c < lead; c++) style(ws, r, c, atRisk ? { fill: { patternType: 'solid', fgColor: { rgb: AT_RISK_ROW } }, font: { bold: c === 1 } } : {});
+      courseSessions.forEach((s, j) => {
+        if (!sessionAppliesTo(s, st.group_id)) { style(ws, r, lead + j, { font: { color: { rgb: '999999' } }, alignment: { horizontal: 'center' } }); return; }
+        style(ws, r, lead + j, { ...fill(MARK_FILLS[attendanceMark(s, st.student_no, policy).status]), alignment: { horizontal: 'center' } });
+      });
+      const end = lead + courseSessions.length;
+      for (let c = end; c < end + 5; c++) style(ws, r, c, atRisk ? { fill: { patternType: 'solid', fgColor: { rgb: AT_RISK_ROW } } } : {});
+      if (stats[i].total > 0) [end + 5, end + 6].forEach(c => style(ws, r, c, fill(BAND_FILLS[attendanceStatus(pcts[i], policy).label], true)));
+    });
+    const totalRow = first + students.length;
+    for (let c = 0; c < lead + courseSessions.length + 7; c++) style(ws, totalRow, c, { font: { bold: true }, border: { top: { style: 'thin', color: { rgb: '000000' } } } });
+    ws['!cols'] = [{ wch: 14 }, { wch: 26 }, ...groupCol.map(() => ({ wch: 12 })), ...courseSessions.map(() => ({ wch: 14 })),
+      { wch: 10 }, { wch: 10 }, { wch: 10 }, { wch: 10 }, { wch: 16 }, { wch: 14 }, { wch: 18 }];
+
+    courseRows.push([course.code, course.name, lecturerNameOf(course), course.department, `${course.year} S${course.semester}`,
+      courseSessions.length, students.length, `${classAverage}%`, below]);
+    students.forEach((st, i) => {
+      if (!totals.has(st.student_no)) totals.set(st.student_no, { surnameInitials: st.surname_initials, byCourse: {}, belowIn: [] });
+      const t = totals.get(st.student_no);
+      t.byCourse[course.id] = { ...stats[i], pct: pcts[i], band: attendanceStatus(pcts[i], policy).label };
+      if (stats[i].total > 0 && pcts[i] < policy.good_standing_pct) t.belowIn.push(name);
+    });
+    return { name, ws };
+  });
+
+  // Summary: one row per course, then one totals row per student across every course they are in
+  const students = [...totals].sort((a, b) => a[1].surnameInitials.localeCompare(b[1].surnameInitials));
+  const courseHead = ['Code', 'Course', 'Lecturer', 'Department', 'Year', 'Sessions', 'Students', 'Class Average', 'Below Policy'];
+  const studentHead = ['Student No', 'Surname & Initials', ...sheets.map(sh => `${sh.name} %`), 'Sessions', 'Present', 'Late', 'Absent', 'Excused', 'Overall %', 'Below Policy In'];
+  const head = [
+    ['ATTENDANCE WORKBOOK'],
+    [HEADER],
+    [`Period: ${period} · ${courses.length} course${courses.length !== 1 ? 's' : ''}`],
+    [generated],
+    [],
+    ['COURSES'],
+    courseHead,
+  ];
+  const studentStart = head.length + courseRows.length + 3; // row index of the first student
+  const studentRows = students.map(([no, t]) => {
+    const all = Object.values(t.byCourse);
+    const sum = (k) => all.reduce((n, s) => n + s[k], 0);
+    return [no, t.surnameInitials, ...courses.map(c => (t.byCourse[c.id] ? `${t.byCourse[c.id].pct}%` : '')),
+      sum('total'), sum('present'), sum('late'), sum('absent'), sum('excused'), `${pct(sum('attended'), Math.max(sum('counted'), 1))}%`, t.belowIn.join(', ')];
+  });
+  const ws = XLSX.utils.aoa_to_sheet([...head, ...courseRows, [], ['STUDENTS — TOTALS ACROSS COURSES'], studentHead, ...studentRows]);
+  style(ws, 0, 0, { font: { bold: true, sz: 14 } });
+  [head.length - 2, studentStart - 2].forEach(r => style(ws, r, 0, BOLD));
+  courseHead.forEach((_, c) => style(ws, head.length - 1, c, BOLD));
+  studentHead.forEach((_, c) => style(ws, studentStart - 1, c, BOLD));
+  courseRows.forEach((row, i) => { if (row[8] > 0) style(ws, head.length + i, 8, fill(MARK_FILLS.absent, true)); });
+  students.forEach(([, t], i) => {
+    const r = studentStart + i;
+    if (t.belowIn.length) [0, 1, studentHead.length - 1].forEach(c => style(ws, r, c, { fill: { patternType: 'solid', fgColor: { rgb: AT_RISK_ROW } }, font: { bold: c !== 0 } }));
+    courses.forEach((c, j) => { const s = t.byCourse[c.id]; if (s && s.total > 0) style(ws, r, 2 + j, fill(BAND_FILLS[s.band])); });
+  });
+  ws['!cols'] = [{ wch: 14 }, { wch: 30 }, ...courses.map(() => ({ wch: 12 })), { wch: 10 }, { wch: 10 }, { wch: 10 }, { wch: 10 }, { wch: 10 }, { wch: 12 }, { wch: 30 }];
+
+  XLSX.utils.book_append_sheet(wb, ws, 'Summary');
+  sheets.forEach(({ name, ws: sheet }) => XLSX.utils.book_append_sheet(wb, sheet, name));
+  XLSX.writeFile(wb, `Attendance_${courses.length === 1 ? courses[0].code : `${courses.length}_Courses`}_${from || to ? `${from || 'start'}_to_${to || localDate()}` : localDate()}.xlsx`);
+}
+
 export async function downloadStudentTemplate() {
-  const XLSX = await import('xlsx');
+  const XLSX = await loadXLSX();
   const rows = [
-    ['Student Number', 'Surname and Initials'],
-    ['20210001', 'Khumalo T.S.'],
-    ['20210002', 'Sithole L.R.'],
-    ['20210003', 'Mokoena N.P.'],
+    ['Student Number', 'Surname and Initials', 'Email (optional)', 'Cell Number (optional)', 'Programme (optional)', 'Group (optional)'],
+    ['20210001', 'Khumalo T.S.', '20210001@students.example.ac.za', '0821234567', 'BCom Accounting', 'Tut A'],
+    ['20210002', 'Sithole L.R.', '', '', '', 'Tut B'],
+    ['20210003', 'Mokoena N.P.', '', '', '', ''],
   ];
   const ws = XLSX.utils.aoa_to_sheet(rows);
-  ws['!cols'] = [{ wch: 18 }, { wch: 30 }];
+  ws['!cols'] = [{ wch: 18 }, { wch: 30 }, { wch: 32 }, { wch: 22 }, { wch: 24 }, { wch: 16 }];
   const wb = XLSX.utils.book_new();
   XLSX.utils.book_append_sheet(wb, ws, 'Students');
   XLSX.writeFile(wb, 'Student_Upload_Template.xlsx');
 }
+
+// ─── Roster import ────────────────────────────────────────────────────────────
+// The import wizard in LecturerStudentsTab: read every sheet, guess which row
+// holds the headings and which column is which, let the lecturer correct that,
+// then check every row before anything is written.
+
+export const ROSTER_FIELDS = [
+  { key: 'student_no',       label: 'Student Number',       match: /stud(ent)?\.?\s*(no|num|number|#)|^student\s*id$|^id$/i },
+  { key: 'surname_initials', label: 'Surname and Initials', match: /initials/i },
+  { key: 'surname',          label: 'Surname',              match: /^(surname|last\s*name|family\s*name)$/i },
+  { key: 'first_names',      label: 'First Names',          match: /first\s*names?|given\s*names?|forenames?/i },
+  { key: 'full_name',        label: 'Full Name',            match: /full\s*name|^name$|student\s*name/i },
+  { key: 'email',            label: 'Email',                match: /e-?mail/i },
+  { key: 'phone',            label: 'Cell Number',          match: /cell|phone|mobile/i },
+  { key: 'programme',        label: 'Programme',            match: /programme|program|qualification|degree/i },
+  { key: 'group',            label: 'Tutorial Group',       match: /group|section|tut(orial)?/i },
+];
+
+export const STUDENT_NO_PATTERN = /^\d{5,12}$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// → [{ name, rows: [[cell text]] }] for every non-empty sheet of an .xlsx, .xls or .csv file
+export async function readRosterFile(file) {
+  const XLSX = await loadXLSX();
+  const isCsv = /\.csv$/i.test(file.name) || file.type === 'text/csv';
+  const wb = isCsv
+    ? XLSX.read(await file.text(), { type: 'string' })
+    : XLSX.read(new Uint8Array(await file.arrayBuffer()), { type: 'array' });
+  return wb.SheetNames.map(name => ({
+    name,
+    // raw: false gives the cell text as shown, so 20210001 does not turn into 2.02E+07
+    rows: XLSX.utils.sheet_to_json(wb.Sheets[name], { header: 1, defval: '', raw: false, blankrows: false })
+      .map(row => row.map(cell => String(cell ?? '').trim())),
+  })).filter(sheet => sheet.rows.length);
+}
+
+// Index of the headings row among the first 10, or -1 when the sheet starts with data
+export function guessHeaderRow(rows) {
+  return rows.slice(0, 10).findIndex(row => {
+    const hits = ROSTER_FIELDS.filter(f => row.some(cell => f.match.test(cell))).length;
+    return hits >= 2 || row.some(cell => ROSTER_FIELDS[0].match.test(cell));
+  });
+}
+
+// → { [field key]: column index }. Without headings, assume the template's layout.
+export function guessRosterMapping(headers) {
+  if (!headers) return { student_no: 0, surname_initials: 1, email: 2, phone: 3, programme: 4, group: 5 };
+  const mapping = {};
+  headers.forEach((cell, col) => {
+    const field = ROSTER_FIELDS.find(f => mapping[f.key] == null && f.match.test(cell));
+    if (field) mapping[field.key] = col;
+  });
+  return mapping;
+}
+
+// "Khumalo" + "Thabo Sipho" → "Khumalo T.S."
+export function surnameWithInitials(surname, firstNames) {
+  const initials = String(firstNames || '').split(/[\s-]+/).filter(Boolean).map(w => w[0].toUpperCase() + '.').join('');
+  return [String(surname || '').trim(), initials].filter(Boolean).join(' ');
+}
+
+// "Khumalo, Thabo Sipho" or "Thabo Sipho Khumalo" → { surname, firstNames }
+function splitFullName(full) {
+  if (full.includes(',')) { const [surname, ...rest] = full.split(','); return { surname: surname.trim(), firstNames: rest.join(' ').trim() }; }
+  const words = full.split(/\s+/).filter(Boolean);
+  return { surname: words.pop() || '', firstNames: words.join(' ') };
+}
+
+// Rows after the headings → [{ line, studentNo, surnameInitials, fullName, email, phone, programme, group }]
+export function rosterRows(rows, headerRow, mapping) {
+  const cell = (row, key) => (mapping[key] == null ? '' : String(row[mapping[key]] ?? '').trim());
+  return rows.slice(headerRow + 1).map((row, i) => {
+    const fullName = cell(row, 'full_name') || [cell(row, 'first_names'), cell(row, 'surname')].filter(Boolean).join(' ');
+    const split = cell(row, 'surname') ? { surname: cell(row, 'surname'), firstNames: cell(row, 'first_names') } : splitFullName(cell(row, 'full_name'));
+    return {
+      line: headerRow + i + 2, // as numbered in the spreadsheet
+      studentNo: cell(row, 'student_no').replace(/\s+/g, ''),
+      surnameInitials: cell(row, 'surname_initials') || surnameWithInitials(split.surname, split.firstNames),
+      fullName, email: cell(row, 'email'), phone: cell(row, 'phone'), programme: cell(row, 'programme'), group: cell(row, 'group'),
+    };
+  }).filter(r => r.studentNo || r.surnameInitials);
+}
+
+// Adds { status, problem, warnings } to each row:
+// 'new' | 'enrolled' (already in the course — details are updated) | 'duplicate' | 'invalid'
+export function validateRoster(rows, enrolledNos) {
+  const seen = new Map();
+  return rows.map(r => {
+    const warnings = [];
+    let { email } = r;
+    if (email && !EMAIL_PATTERN.test(email)) { warnings.push(`Email "${email}" looks wrong — not imported`); email = ''; }
+    const row = { ...r, email, warnings };
+    if (!STUDENT_NO_PATTERN.test(r.studentNo)) return { ...row, status: 'invalid', problem: r.studentNo ? `Malformed student number "${r.studentNo}"` : 'No student number' };
+    if (!r.surnameInitials) return { ...row, status: 'invalid', problem: 'No name' };
+    if (seen.has(r.studentNo)) return { ...row, status: 'duplicate', problem: `Same student number as row ${seen.get(r.studentNo)}` };
+    seen.set(r.studentNo, r.line);
+    return { ...row, status: enrolledNos.has(r.studentNo) ? 'enrolled' : 'new' };
+  });
+}
+
+// report: [{ line, studentNo, surnameInitials, outcome, detail }]
+export async function downloadImportReport(report, course) {
+  const XLSX = await loadXLSX();
+  const ws = XLSX.utils.aoa_to_sheet([
+    ['Row', 'Student Number', 'Surname and Initials', 'Result', 'Detail'],
+    ...report.map(r => [r.line, r.studentNo, r.surnameInitials, r.outcome, r.detail || '']),
+  ]);
+  ws['!cols'] = [{ wch: 6 }, { wch: 16 }, { wch: 28 }, { wch: 12 }, { wch: 50 }];
+  const wb = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(wb, ws, 'Import Report');
+  XLSX.writeFile(wb, `Import_Report_${course.code}.xlsx`);
+}
+
+// ─── Audit log ────────────────────────────────────────────────────────────────
+// entries: rows from getAuditLog(); courses give the course code column.
+// filterText: how the list was filtered, for the heading.
+export async function exportAuditLogExcel(entries, courses = [], { filterText } = {}) {
+  const XLSX = await loadXLSX();
+  const courseCode = (id) => courses.find(c => c.id === id)?.code || id || '';
+  const json = (v) => (v ? JSON.stringify(v).slice(0, 32000) : ''); // an Excel cell holds at most 32,767 characters
+  const ws = XLSX.utils.aoa_to_sheet([
+    ['AUDIT LOG'],
+    [HEADER],
+    ...(filterText ? [[`Filter: ${filterText}`]] : []),
+    [`Generated: ${new Date().toLocaleString('en-ZA')} · ${entries.length} entries`],
+    [],
+    ['When', 'Actor', 'Role', 'Name', 'Action', 'Record', 'Course', 'Reason', 'Device', 'Browser', 'Before', 'After'],
+    ...entries.map(e => [new Date(e.at).toLocaleString('en-ZA'), e.actor, e.actor_role, e.actor_name, e.action, e.entity_id,
+      courseCode(e.course_id), e.reason, e.device || '', e.user_agent || '', json(e.before), json(e.after)]),
+  ]);
+  ws['!cols'] = [{ wch: 20 }, { wch: 14 }, { wch: 10 }, { wch: 24 }, { wch: 20 }, { wch: 28 }, { wch: 12 }, { wch: 30 }, { wch: 12 }, { wch: 30 }, { wch: 50 }, { wch: 50 }];
+  const wb = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(wb, ws, 'Audit Log');
+  XLSX.writeFile(wb, `Audit_Log_${localDate()}.xlsx`);
+}
@@ -0,0 +1,92 @@
+// ─── excel.test.js — reading a roster sheet into rows to import ──────────────
+import { guessHeaderRow, guessRosterMapping, rosterRows, surnameWithInitials, validateRoster } from './excel';
+
+describe('guessHeaderRow', () => {
+  it('skips title rows above the headings', () => {
+    expect(guessHeaderRow([
+      ['ACC101 class list 2026'],
+      [''],
+      ['Stud No', 'Surname', 'First Names', 'E-mail'],
+      ['20210001', 'Khumalo', 'Thabo', 'thabo@example.com'],
+    ])).toBe(2);
+  });
+
+  it('is -1 when the sheet starts with data', () => {
+    expect(guessHeaderRow([['20210001', 'Khumalo T.'], ['20210002', 'Nkosi L.']])).toBe(-1);
+  });
+});
+
+describe('guessRosterMapping', () => {
+  it('matches common headings to fields, each field once', () => {
+    expect(guessRosterMapping(['Student Number', 'Surname', 'First Names', 'Email Address', 'Cell', 'Qualification', 'Tut Group', 'Email 2'])).toEqual({
+      student_no: 0, surname: 1, first_names: 2, email: 3, phone: 4, programme: 5, group: 6,
+    });
+  });
+
+  it('prefers "Surname and Initials" over a plain surname', () => {
+    expect(guessRosterMapping(['Student ID', 'Surname & Initials'])).toEqual({ student_no: 0, surname_initials: 1 });
+  });
+
+  it("assumes the template's layout without headings", () => {
+    expect(guessRosterMapping(null)).toEqual({ student_no: 0, surname_initials: 1, email: 2, phone: 3, programme: 4, group: 5 });
+  });
+});
+
+describe('surnameWithInitials', () => {
+  it('builds initials from every first name', () => {
+    expect(surnameWithInitials('Khumalo', 'Thabo Sipho')).toBe('Khumalo T.S.');
+    expect(surnameWithInitials('Nkosi', 'lerato-mpho')).toBe('Nkosi L.M.');
+    expect(surnameWithInitials(' Dube ', '')).toBe('Dube');
+  });
+});
+
+describe('rosterRows', () => {
+  it('reads the mapped columns and numbers rows as the spreadsheet does', () => {
+    const rows = [
+      ['Class list'],
+      ['Student No', 'Surname', 'First Names', 'Email'],
+      ['2021 0001', 'Khumalo', 'Thabo Sipho', 'thabo@example.com'],
+      ['', '', '', ''],
+      ['20210002', 'Nkosi', 'Lerato', ''],
+    ];
+    const mapping = guessRosterMapping(rows[1]);
+    expect(rosterRows(rows, 1, mapping)).toEqual([
+      { line: 3, studentNo: '20210001', surnameInitials: 'Khumalo T.S.', fullName: 'Thabo Sipho Khumalo', email: 'thabo@example.com', phone: '', programme: '', group: '' },
+      { line: 5, studentNo: '20210002', surnameInitials: 'Nkosi L.', fullName: 'Lerato Nkosi', email: '', phone: '', programme: '', group: '' },
+    ]);
+  });
+
+  it('splits a full name written either way round', () => {
+    const mapping = { student_no: 0, full_name: 1 };
+    const rows = rosterRows([['20210001', 'Khumalo, Thabo Sipho'], ['20210002', 'Lerato Nkosi']], -1, mapping);
+    expect(rows.map(r => [r.line, r.surnameInitials])).toEqual([[1, 'Khumalo T.S.'], [2, 'Nkosi L.']]);
+  });
+});
+
+describe('validateRoster', () => {
+  const row = (line, studentNo, surnameInitials = 'Khumalo T.', email = '') => ({ line, studentNo, surnameInitials, email });
+
+  it('sorts rows into new, enrolled, duplicate and invalid', () => {
+    const checked = validateRoster([
+      row(2, '20210001'),
+      row(3, '20210002'),
+      row(4, '20210001'),
+      row(5, '2021-01'),
+      row(6, ''),
+      row(7, '20210003', ''),
+    ], new Set(['20210002']));
+    expect(checked.map(r => [r.line, r.status, r.problem])).toEqual([
+      [2, 'new', undefined],
+      [3, 'enrolled', undefined],
+      [4, 'duplicate', 'Same student number as row 2'],
+      [5, 'invalid', 'Malformed student number "2021-01"'],
+      [6, 'invalid', 'No student number'],
+      [7, 'invalid', 'No name'],
+    ]);
+  });
+
+  it('drops a malformed email with a warning but keeps the row', () => {
+    const [checked] = validateRoster([row(2, '20210001', 'Khumalo T.', 'thabo@example')], new Set());
+    expect(checked).toMatchObject({ status: 'new', email: '', warnings: ['Email "thabo@example" looks wrong — not imported'] });
+  });
+});
@@ -39,29 +39,177 @@ export function pct(attended, total) {
   return total === 0 ? 0 : Math.round((attended / total) * 100);
 }
 
-export function attendanceStatus(p) {
-  if (p >= 80) return { label: 'Good Standing', color: '#00D68F' };
-  if (p >= 60) return { label: 'At Risk', color: '#FFB800' };
+// ─── Attendance policy ────────────────────────────────────────────────────────
+// Set at faculty, department and course level (attendance_policies in
+// supabase-schema.sql); course_policy() there merges the levels over these
+// defaults, and every course loaded by the app carries the result as `policy`.
+export const DEFAULT_POLICY = {
+  late_after_minutes: 10,        // arriving later than this is late (fixed per session when it starts)
+  absent_after_minutes: null,    // arriving this late counts as absent; null = never
+  late_weight: 1,                // share of a class a late arrival earns: 1 = full, 0.5 = half
+  excused_counts_as: 'excluded', // 'excluded' (left out of the total) | 'present' | 'absent'
+  good_standing_pct: 80,         // at or above: good standing
+  critical_below_pct: 60,        // below: critical; in between: at risk
+};
+
+// DEFAULT_POLICY overlaid with each layer's non-null fields, as course_policy()
+// does in the database. An absent_after_minutes of 0 means no cut-off.
+export function mergePolicy(...layers) {
+  const merged = { ...DEFAULT_POLICY };
+  layers.filter(Boolean).forEach(layer => Object.keys(DEFAULT_POLICY).forEach(k => { if (layer[k] != null) merged[k] = k === 'late_weight' ? Number(layer[k]) : layer[k]; }));
+  if (merged.absent_after_minutes === 0) merged.absent_after_minutes = null;
+  return merged;
+}
+
+// One-line summary of a policy for reports, exports and the student portal
+export function describePolicy(policy = DEFAULT_POLICY) {
+  const late = policy.late_weight === 1 ? 'late arrivals count as present'
+    : policy.late_weight === 0 ? 'late arrivals do not count'
+    : `late arrivals count as ${policy.late_weight === 0.5 ? 'half' : `${Math.round(policy.late_weight * 100)}%`} of a class`;
+  const excused = { excluded: 'excused absences are left out of the total', present: 'excused absences count as present', absent: 'excused absences count as absent' }[policy.excused_counts_as];
+  return [
+    `At least ${policy.good_standing_pct}% attendance required (below ${policy.critical_below_pct}% is critical)`,
+    `late after ${policy.late_after_minutes} min`,
+    policy.absent_after_minutes != null && `absent from ${policy.absent_after_minutes} min late`,
+    late, excused,
+  ].filter(Boolean).join(' · ');
+}
+
+export function attendanceStatus(p, policy = DEFAULT_POLICY) {
+  if (p >= policy.good_standing_pct) return { label: 'Good Standing', color: '#00D68F' };
+  if (p >= policy.critical_below_pct) return { label: 'At Risk', color: '#FFB800' };
   return { label: 'Critical', color: '#FF4D6D' };
 }
 
-export function getScanStatus(scanTime, sessionDate, sessionStartTime) {
-  const start = new Date(`${sessionDate}T${sessionStartTime}:00`);
-  const diff = (new Date(scanTime) - start) / 60000;
-  return { status: diff <= 10 ? 'present' : 'late', minutesLate: Math.max(0, Math.round(diff)) };
+// Resolves to { lat, lng } or null when location is denied or unavailable — never a made-up position
+export function getLocation(timeoutMs = 10000) {
+  return new Promise(resolve => {
+    if (!navigator.geolocation) { resolve(null); return; }
+    navigator.geolocation.getCurrentPosition(
+      pos => resolve({ lat: pos.coords.latitude, lng: pos.coords.longitude }),
+      () => resolve(null),
+      { enableHighAccuracy: true, timeout: timeoutMs, maximumAge: 30000 },
+    );
+  });
+}
+
+export function formatDistance(m) {
+  if (m == null) return '—';
+  return m < 1000 ? `${Math.round(m)} m` : `${(m / 1000).toFixed(1)} km`;
+}
+
+// A session left running past its end time (or long after it started) — most likely forgotten
+export function isStaleSession(session, maxHours = 4) {
+  if (session.ends_at) return new Date() > new Date(session.ends_at);
+  const start = new Date(`${session.date}T${session.start_time}:00`);
+  return (new Date() - start) / 3600000 > maxHours;
+}
+
+// Enrolled students whose number is within maxEdits typos of studentNo, closest first.
+// A swapped pair of digits counts as one typo.
+export function similarStudentNumbers(studentNo, students, maxEdits = 2) {
+  const a = String(studentNo);
+  const distance = (b) => {
+    const d = Array.from({ length: a.length + 1 }, (_, i) => [i, ...Array(b.length).fill(0)]);
+    for (let j = 1; j <= b.length; j++) d[0][j] = j;
+    for (let i = 1; i <= a.length; i++) {
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+        if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+    return d[a.length][b.length];
+  };
+  return students
+    .map(st => ({ student: st, edits: distance(st.student_no) }))
+    .filter(m => m.edits > 0 && m.edits <= maxEdits)
+    .sort((x, y) => x.edits - y.edits)
+    .slice(0, 3)
+    .map(m => m.student);
+}
+
+// Named on every screen, export and printout
+export const FACULTY = 'Faculty of Management Sciences';
+export const INSTITUTION = 'Polokwane';
+
+export const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// 'YYYY-MM-DD' in the device's time zone (toISOString() would give the UTC date)
+export function localDate(d = new Date()) {
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
 }
 
-// Compute per-student stats from sessions+scans arrays (both already loaded)
-export function studentCourseStats(studentNo, courseId, sessions) {
-  const cs = sessions.filter(s => s.course_id === courseId);
-  let present = 0, late = 0, absent = 0;
+// How a student's attendance at one session is shown and counted. Overrides
+// (set by the lecturer in the register) win over what the scan says.
+export const ATTENDANCE_MARKS = {
+  present:        { label: 'Present',           short: 'P',  color: '#00D68F' },
+  manual_present: { label: 'Present (manual)',  short: 'M',  color: '#38BDF8' },
+  late:           { label: 'Late',              short: 'L',  color: '#FFB800' },
+  excused:        { label: 'Excused',           short: 'E',  color: '#A78BFA' },
+  absent:         { label: 'Absent',            short: 'A',  color: '#FF4D6D' },
+};
+
+// → { status, scan, override, tooLate } for one student in one session.
+// A scan past the policy's absent_after_minutes is 'absent' with tooLate set.
+export function attendanceMark(session, studentNo, policy = DEFAULT_POLICY) {
+  const scan = (session.scans || []).find(sc => sc.student_no === studentNo) || null;
+  const override = (session.attendance_overrides || []).find(o => o.student_no === studentNo) || null;
+  const tooLate = !override && !!scan && scan.status === 'late' && policy.absent_after_minutes != null && scan.minutes_late >= policy.absent_after_minutes;
+  const status = override ? override.status : tooLate ? 'absent' : scan ? (scan.status === 'late' ? 'late' : 'present') : 'absent';
+  return { status, scan, override, tooLate };
+}
+
+// Compute per-student stats from sessions+scans arrays (both already loaded).
+// `present` includes manual_present (also counted on its own as `manual`).
+// `attended` and `counted` (the percentage's numerator and denominator) follow
+// the policy's late weight and excused rule, so `attended` may be fractional.
+// Void sessions count for nobody.
+export function studentCourseStats(studentNo, courseId, sessions, policy = DEFAULT_POLICY) {
+  const cs = sessions.filter(s => s.course_id === courseId && s.status !== 'void');
+  let present = 0, late = 0, absent = 0, excused = 0, manual = 0;
   cs.forEach(session => {
-    const scan = (session.scans || []).find(sc => sc.student_no === studentNo);
-    if (!scan) absent++;
-    else if (scan.status === 'late') late++;
-    else present++;
+    const { status } = attendanceMark(session, studentNo, policy);
+    if (status === 'late') late++;
+    else if (status === 'absent') absent++;
+    else if (status === 'excused') excused++;
+    else { present++; if (status === 'manual_present') manual++; }
   });
-  return { total: cs.length, present, late, absent };
+  const excusedAttended = policy.excused_counts_as === 'present' ? excused : 0;
+  const excusedCounted = policy.excused_counts_as === 'excluded' ? 0 : excused;
+  return {
+    total: cs.length, present, late, absent, excused, manual,
+    attended: present + late * policy.late_weight + excusedAttended,
+    counted: cs.length - excused + excusedCounted,
+  };
+}
+
+export function attendancePct(stats) {
+  return pct(stats.attended, Math.max(stats.counted, 1));
+}
+
+// What each kind of course staff may do — keep in step with can_course() in supabase-schema.sql.
+// view: see the course, roster, register and reports · run: start and close sessions
+// roster: enrol, group and import students · register: correct attendance marks
+// settings: edit details, timetable and policy · manage: staff, archive, new semester
+export const COURSE_ROLES = {
+  owner:       { label: 'Lecturer',    color: '#1B6EF3', can: ['view', 'run', 'roster', 'register', 'settings', 'manage'] },
+  co_lecturer: { label: 'Co-lecturer', color: '#38BDF8', can: ['view', 'run', 'roster', 'register', 'settings'] },
+  tutor:       { label: 'Tutor',       color: '#A78BFA', can: ['view', 'run'] },
+};
+
+// course.role is set when the lecturer app loads its courses; the admin's courses have none and may do everything
+export function canCourse(course, permission) {
+  return !course?.role || !!COURSE_ROLES[course.role]?.can.includes(permission);
+}
+
+// A session with no group_ids is for the whole class; otherwise only the listed tutorial groups attend
+export function sessionAppliesTo(session, groupId) {
+  return !session.group_ids?.length || session.group_ids.includes(groupId);
+}
+
+export function sessionsForGroup(sessions, groupId) {
+  return sessions.filter(s => sessionAppliesTo(s, groupId));
 }
 
 export function copyText(text) {
@@ -72,3 +220,8 @@ export function copyText(text) {
     document.execCommand('copy'); document.body.removeChild(t);
   }
 }
+
+// For names and notes written into print windows with document.write
+export function escapeHtml(text) {
+  return String(text ?? '').replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]));
+}
@@ -0,0 +1,72 @@
+// ─── helpers.test.js — attendance policy merging and the figures it drives ───
+import { DEFAULT_POLICY, mergePolicy, describePolicy, attendanceMark, studentCourseStats, attendancePct } from './helpers';
+
+describe('mergePolicy', () => {
+  it('is the defaults without any layer', () => {
+    expect(mergePolicy()).toEqual(DEFAULT_POLICY);
+    expect(mergePolicy(null, undefined)).toEqual(DEFAULT_POLICY);
+  });
+
+  it('lets each later layer override the non-null fields of the ones before', () => {
+    const faculty = { good_standing_pct: 75, late_after_minutes: 15, excused_counts_as: null };
+    const department = { good_standing_pct: 70, critical_below_pct: null };
+    const course = { late_after_minutes: 5, excused_counts_as: 'present' };
+    expect(mergePolicy(faculty, department, course)).toEqual({
+      ...DEFAULT_POLICY, good_standing_pct: 70, late_after_minutes: 5, excused_counts_as: 'present',
+    });
+  });
+
+  it('reads late_weight as a number, as numeric columns arrive as strings', () => {
+    expect(mergePolicy({ late_weight: '0.50' }).late_weight).toBe(0.5);
+  });
+
+  it('treats an absent cut-off of 0 as none', () => {
+    expect(mergePolicy({ absent_after_minutes: 30 }, { absent_after_minutes: 0 }).absent_after_minutes).toBeNull();
+    expect(mergePolicy({ absent_after_minutes: 30 }, { absent_after_minutes: null }).absent_after_minutes).toBe(30);
+  });
+
+  it('ignores fields that are not part of a policy', () => {
+    expect(mergePolicy({ id: 'p1', level: 'faculty', department: 'Accounting' })).toEqual(DEFAULT_POLICY);
+  });
+});
+
+describe('describePolicy', () => {
+  it('spells out every rule', () => {
+    expect(describePolicy(mergePolicy({ absent_after_minutes: 30, late_weight: 0.5, excused_counts_as: 'absent' }))).toBe(
+      'At least 80% attendance required (below 60% is critical) · late after 10 min · absent from 30 min late'
+      + ' · late arrivals count as half of a class · excused absences count as absent');
+  });
+});
+
+describe('attendance under a policy', () => {
+  const session = (id, scan, override) => ({
+    id, course_id: 'c1', status: 'closed',
+    scans: scan ? [{ student_no: '1001', ...scan }] : [],
+    attendance_overrides: override ? [{ student_no: '1001', status: override }] : [],
+  });
+  const sessions = [
+    session('s1', { status: 'present', minutes_late: 0 }),
+    session('s2', { status: 'late', minutes_late: 12 }),
+    session('s3', { status: 'late', minutes_late: 45 }),
+    session('s4', null, 'excused'),
+    session('s5', null, 'manual_present'),
+    { ...session('s6', { status: 'present' }), status: 'void' },
+  ];
+
+  it('marks a check-in past the absent cut-off as absent unless the register says otherwise', () => {
+    const policy = mergePolicy({ absent_after_minutes: 30 });
+    expect(attendanceMark(sessions[2], '1001', policy)).toMatchObject({ status: 'absent', tooLate: true });
+    expect(attendanceMark({ ...sessions[2], attendance_overrides: [{ student_no: '1001', status: 'late' }] }, '1001', policy)).toMatchObject({ status: 'late', tooLate: false });
+    expect(attendanceMark(sessions[2], '1001')).toMatchObject({ status: 'late', tooLate: false });
+  });
+
+  it('weights late arrivals and excused absences as the policy says', () => {
+    const stats = studentCourseStats('1001', 'c1', sessions, mergePolicy({ late_weight: 0.5, absent_after_minutes: 30 }));
+    expect(stats).toEqual({ total: 5, present: 2, late: 1, absent: 1, excused: 1, manual: 1, attended: 2.5, counted: 4 });
+    expect(attendancePct(stats)).toBe(63);
+
+    const strict = studentCourseStats('1001', 'c1', sessions, mergePolicy({ late_weight: 0, excused_counts_as: 'absent' }));
+    expect(strict).toMatchObject({ late: 2, absent: 0, attended: 2, counted: 5 });
+    expect(studentCourseStats('1001', 'c1', sessions, mergePolicy({ excused_counts_as: 'present' }))).toMatchObject({ attended: 5, counted: 5 });
+  });
+});
@@ -0,0 +1,90 @@
+// ─── notify.js — delivers queued at-risk notifications ───────────────────────
+// The database queues a message whenever a closed session pushes a student
+// below 80% or 60% (see queue_attendance_alerts in supabase-schema.sql). The
+// signed-in admin and lecturer apps pick the queue up and hand each message to
+// the transport chosen in the admin Notifications tab.
+import { getNotificationDelivery, signWebhookBody, getNotificationTemplates, claimNotifications, finishNotification } from './supabase';
+
+// "{{course_code}}" → vars.course_code; unknown placeholders are left as they are
+export function renderTemplate(text, vars = {}) {
+  return String(text || '').replace(/\{\{\s*(\w+)\s*\}\}/g, (m, key) => (vars[key] ?? m));
+}
+
+// ─── Transports ───────────────────────────────────────────────────────────────
+// A transport gets { id, kind, channel, to, subject, body, vars } and the
+// notification settings. Resolving means sent; throwing puts the message back
+// in the queue (up to 5 attempts).
+
+const transports = {
+  // Sends nothing: logs the message and records it as sent, so templates and
+  // thresholds can be tried out before a real transport is set up
+  stub: async (message) => {
+    console.info(`[notify:stub] ${message.channel} → ${message.to}\n${message.subject ? message.subject + '\n\n' : ''}${message.body}`);
+  },
+
+  // POSTs the message as JSON to a relay that does the actual emailing / SMS
+  // (an SMTP relay, Zapier, an SMS gateway…). Browsers cannot speak SMTP.
+  // With a secret set, X-Webhook-Signature carries "sha256=<hex HMAC of the body>";
+  // the database signs, so the secret never reaches a browser.
+  webhook: async (message, settings) => {
+    if (!settings.webhook_url) throw new Error('No webhook URL configured');
+    const body = JSON.stringify(message);
+    const signature = settings.has_webhook_secret ? await signWebhookBody(message.id, body) : null;
+    const res = await fetch(settings.webhook_url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...(signature ? { 'X-Webhook-Signature': `sha256=${signature}` } : {}) },
+      body,
+    });
+    if (!res.ok) throw new Error(`Webhook answered ${res.status} ${res.statusText}`.trim());
+  },
+};
+
+export function registerTransport(name, send) {
+  transports[name] = send;
+}
+
+export function transportNames() {
+  return Object.keys(transports);
+}
+
+// ─── Dispatch ─────────────────────────────────────────────────────────────────
+
+let dispatching = null;
+
+// Delivers one batch of queued notifications the caller may see; resolves to how many were sent
+export function dispatchNotifications() {
+  if (!dispatching) dispatching = doDispatch().finally(() => { dispatching = null; });
+  return dispatching;
+}
+
+async function doDispatch() {
+  const settings = await getNotificationDelivery();
+  const send = settings?.enabled && transports[settings.transport];
+  if (!send) return 0;
+  const batch = await claimNotifications(20);
+  if (!batch.length) return 0;
+  const templates = await getNotificationTemplates();
+  let sent = 0;
+  for (const n of batch) {
+    const tpl = templates.find(t => t.kind === n.kind && t.channel === n.channel);
+    const subject = renderTemplate(tpl?.subject, n.vars);
+    const body = renderTemplate(tpl?.body, n.vars);
+    try {
+      if (!tpl) throw new Error(`No ${n.channel} template for ${n.kind}`);
+      await send({ id: n.id, kind: n.kind, channel: n.channel, to: n.to_address, subject, body, vars: n.vars }, settings);
+      await finishNotification(n.id, { ok: true, subject, body, transport: settings.transport });
+      sent++;
+    } catch (e) {
+      await finishNotification(n.id, { ok: false, subject, body, transport: settings.transport, error: e.message }).catch(() => {});
+    }
+  }
+  return sent;
+}
+
+// Dispatches now and every intervalMs; returns a function that stops it
+export function startNotificationDispatch(intervalMs = 60000) {
+  const run = () => { dispatchNotifications().catch(e => console.warn('Notification dispatch failed', e.message)); };
+  run();
+  const t = setInterval(run, intervalMs);
+  return () => clearInterval(t);
+}
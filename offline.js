@@ -0,0 +1,105 @@
+// ─── offline.js — check-ins captured without a connection ────────────────────
+// Lecture halls often have no signal. A scan that cannot reach the database is
+// kept in localStorage with the time it was taken and uploaded once the phone
+// is back online. The database only judges the token, check-in window and
+// lateness by that capture time in sessions the lecturer has marked as having
+// no signal (offline_checkins); otherwise the upload time counts (see record_scan
+// in supabase-schema.sql).
+import { recordScan } from './supabase';
+
+const QUEUE_KEY = 'attendance-register.scan-queue';
+const SESSIONS_KEY = 'attendance-register.checkin-sessions';
+const KEEP_DONE_MS = 24 * 3600 * 1000; // synced / failed entries stay visible this long
+
+const read = (key, fallback) => {
+  try { return JSON.parse(localStorage.getItem(key)) ?? fallback; } catch { return fallback; }
+};
+const write = (key, value) => {
+  try { localStorage.setItem(key, JSON.stringify(value)); } catch {}
+};
+
+// True when the request never reached the server (as opposed to being rejected by it)
+export function isNetworkError(e) {
+  if (typeof navigator !== 'undefined' && navigator.onLine === false) return true;
+  return /failed to fetch|networkerror|load failed|network request failed|fetch failed/i.test(e?.message || String(e || ''));
+}
+
+// ─── Session details, so the check-in page still renders offline ──────────────
+
+export function rememberCheckinSession(session) {
+  const all = read(SESSIONS_KEY, {});
+  all[session.id] = { ...session, cached_at: new Date().toISOString() };
+  const recent = Object.values(all).sort((a, b) => b.cached_at.localeCompare(a.cached_at)).slice(0, 20);
+  write(SESSIONS_KEY, Object.fromEntries(recent.map(s => [s.id, s])));
+}
+
+export function cachedCheckinSession(sessionId) {
+  return read(SESSIONS_KEY, {})[sessionId] || null;
+}
+
+// ─── Queue ────────────────────────────────────────────────────────────────────
+// Entries: { session_id, token, student_no, lat, lng, captured_at, state, result?, error?, done_at? }
+// state: 'queued' | 'synced' | 'failed'
+
+const listeners = new Set();
+const save = (queue) => { write(QUEUE_KEY, queue); listeners.forEach(fn => fn(queue)); };
+const sameScan = (a, b) => a.session_id === b.session_id && a.student_no === b.student_no;
+
+export function getQueuedScans() {
+  const cutoff = Date.now() - KEEP_DONE_MS;
+  return read(QUEUE_KEY, []).filter(q => q.state === 'queued' || new Date(q.done_at).getTime() > cutoff);
+}
+
+export function onQueueChange(fn) {
+  listeners.add(fn);
+  return () => listeners.delete(fn);
+}
+
+// One entry per session and student number — scanning again keeps the first capture time
+export function queueScan({ session_id, token, student_no, lat, lng }) {
+  const queue = getQueuedScans();
+  const existing = queue.find(q => sameScan(q, { session_id, student_no }) && q.state !== 'failed');
+  if (existing) return existing;
+  const item = { session_id, token, student_no, lat, lng, captured_at: new Date().toISOString(), state: 'queued' };
+  save([...queue.filter(q => !sameScan(q, item)), item]);
+  return item;
+}
+
+export function dismissQueuedScan(sessionId, studentNo) {
+  save(getQueuedScans().filter(q => !sameScan(q, { session_id: sessionId, student_no: studentNo })));
+}
+
+let syncing = null;
+
+// Uploads every queued scan; stops at the first network failure and leaves the rest queued.
+// Already-recorded scans count as synced, so retrying is always safe.
+export function syncQueuedScans() {
+  if (!syncing) syncing = doSync().finally(() => { syncing = null; });
+  return syncing;
+}
+
+async function doSync() {
+  for (const item of getQueuedScans().filter(q => q.state === 'queued')) {
+    let update;
+    try {
+      const result = await recordScan({
+        session_id: item.session_id, token: item.token, student_no: item.student_no,
+        lat: item.lat, lng: item.lng, captured_at: item.captured_at,
+      });
+      update = { state: 'synced', result };
+    } catch (e) {
+      if (isNetworkError(e)) return;
+      update = e.code === '23505' ? { state: 'synced', result: { student_no: item.student_no, already: true } } : { state: 'failed', error: e.message };
+    }
+    save(getQueuedScans().map(q => sameScan(q, item) && q.state === 'queued' ? { ...q, ...update, done_at: new Date().toISOString() } : q));
+  }
+}
+
+// Syncs now, whenever the device comes back online, and every intervalMs while scans are waiting
+export function startScanSync(intervalMs = 30000) {
+  const run = () => { if (getQueuedScans().some(q => q.state === 'queued')) syncQueuedScans(); };
+  run();
+  window.addEventListener('online', run);
+  const t = setInterval(run, intervalMs);
+  return () => { window.removeEventListener('online', run); clearInterval(t); };
+}
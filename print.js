@@ -0,0 +1,168 @@
+// ─── print.js — PDF register and sign-in sheets ──────────────────────────────
+// Builds the PDF in the browser with jsPDF (loaded on first use, like the
+// spreadsheet library in excel.js) and downloads it, ready to print or file.
+// Nothing leaves the browser.
+import { DEFAULT_POLICY, describePolicy, attendanceMark, studentCourseStats, attendancePct, attendanceStatus, sessionAppliesTo, sessionsForGroup, ATTENDANCE_MARKS, localDate, FACULTY, INSTITUTION } from './helpers';
+
+const HEADER = `${FACULTY} — ${INSTITUTION}`;
+const SESSIONS_PER_PAGE = 18; // register columns that fit across landscape A4
+const MARGIN = 12; // mm
+
+const INK = [17, 17, 17];
+const MUTED = [85, 85, 85];
+const RED = [200, 16, 46];
+const MARK_COLORS = { P: [10, 122, 79], M: [10, 122, 79], L: [166, 108, 0], A: RED, E: [107, 79, 187] };
+
+// The PDF's built-in fonts only cover Latin-1: dashes, arrows and curly quotes
+// become their plain forms, anything else outside it a '?'
+const plain = (v) => String(v ?? '')
+  .replace(/[–—]/g, '-').replace(/→/g, '->').replace(/[‘’]/g, "'").replace(/[“”]/g, '"').replace(/…/g, '...')
+  .replace(/[^\n -ÿ]/g, '?');
+
+async function newPdf(orientation) {
+  const [{ jsPDF }, { default: autoTable }] = await Promise.all([import('jspdf'), import('jspdf-autotable')]);
+  const doc = new jsPDF({ orientation, unit: 'mm', format: 'a4' });
+  doc.setFont('helvetica');
+  const table = (y, { styles, ...options }) => {
+    autoTable(doc, {
+      startY: y, margin: MARGIN, theme: 'grid',
+      styles: { font: 'helvetica', fontSize: 8, cellPadding: 1.2, textColor: INK, lineColor: [136, 136, 136], lineWidth: 0.2, ...styles },
+      headStyles: { fillColor: [238, 238, 238], textColor: INK, fontSize: 7.5 },
+      ...options,
+    });
+    return doc.lastAutoTable.finalY;
+  };
+  return { doc, table };
+}
+
+// Title, faculty line and the "Label: value" pairs, wrapped to the page; returns the next y
+function heading(doc, title, meta) {
+  const width = doc.internal.pageSize.getWidth() - 2 * MARGIN;
+  let y = MARGIN + 4;
+  doc.setFont('helvetica', 'bold').setFontSize(14).setTextColor(...INK).text(title, MARGIN, y);
+  y += 5;
+  doc.setFont('helvetica', 'normal').setFontSize(10).setTextColor(...MUTED).text(plain(HEADER), MARGIN, y);
+  y += 5;
+  doc.setFontSize(8.5).setTextColor(...INK);
+  const lines = doc.splitTextToSize(meta.filter(Boolean).map(([label, value]) => plain(`${label}: ${value}`)).join('     '), width);
+  doc.text(lines, MARGIN, y);
+  return y + lines.length * 3.8 + 1;
+}
+
+function note(doc, text, y) {
+  const lines = doc.splitTextToSize(plain(text), doc.internal.pageSize.getWidth() - 2 * MARGIN);
+  doc.setFont('helvetica', 'normal').setFontSize(7.5).setTextColor(...MUTED).text(lines, MARGIN, y);
+  return y + lines.length * 3.4 + 1;
+}
+
+// Lines to sign on, side by side: labels under each
+function signatureLines(doc, labels, y) {
+  const gap = 12;
+  const width = (doc.internal.pageSize.getWidth() - 2 * MARGIN - gap * (labels.length - 1)) / labels.length;
+  doc.setDrawColor(...INK).setLineWidth(0.3).setFont('helvetica', 'normal').setFontSize(8.5).setTextColor(...INK);
+  labels.forEach((label, i) => {
+    const x = MARGIN + i * (width + gap);
+    doc.line(x, y, x + width, y);
+    doc.text(plain(label), x, y + 4);
+  });
+  return y + 10;
+}
+
+// Moves to a new page when fewer than `needed` mm are left
+function room(doc, y, needed) {
+  if (y + needed <= doc.internal.pageSize.getHeight() - MARGIN) return y;
+  doc.addPage();
+  return MARGIN + 4;
+}
+
+const chunk = (list, size) => Array.from({ length: Math.max(1, Math.ceil(list.length / size)) }, (_, i) => list.slice(i * size, (i + 1) * size));
+
+// Same arguments as exportAttendanceExcel: students carry group_id; course.groups
+// (when set) names the tutorial groups; groupName is the group the list was filtered to.
+export async function printAttendanceRegister(course, sessions, students, lecturerName, { groupName } = {}) {
+  const { doc, table } = await newPdf('landscape');
+  const policy = course.policy || DEFAULT_POLICY;
+  const courseSessions = sessions.filter(s => s.course_id === course.id && s.status !== 'void')
+    .sort((a, b) => `${a.date} ${a.start_time}`.localeCompare(`${b.date} ${b.start_time}`));
+  const stats = students.map(st => studentCourseStats(st.student_no, course.id, sessionsForGroup(courseSessions, st.group_id), policy));
+  const pcts = stats.map(s => (s.total === 0 ? 0 : attendancePct(s)));
+  const atRisk = pcts.filter((p, i) => stats[i].total > 0 && p < policy.good_standing_pct).length;
+
+  const meta = [
+    ['Course', `${course.name} (${course.code})`], ['Department', course.department], ['Lecturer', lecturerName],
+    ['Year', `${course.year} · Semester ${course.semester}`], groupName && ['Tutorial group', groupName],
+    ['Printed', new Date().toLocaleString('en-ZA')],
+  ];
+  const student = (st, n) => [n + 1, plain(st.student_no), plain(st.surname_initials)];
+
+  const mark = (session, st) => {
+    if (!sessionAppliesTo(session, st.group_id)) return { content: '-', styles: { textColor: [170, 170, 170] } };
+    const { status, override } = attendanceMark(session, st.student_no, policy);
+    const short = ATTENDANCE_MARKS[status].short;
+    return { content: short + (override ? '*' : ''), styles: { textColor: MARK_COLORS[short] || INK, fontStyle: 'bold' } };
+  };
+
+  chunk(courseSessions, SESSIONS_PER_PAGE).forEach((part, i, all) => {
+    if (i > 0) doc.addPage();
+    let y = heading(doc, 'ATTENDANCE REGISTER', meta);
+    if (all.length > 1) y = note(doc, `Sessions ${i * SESSIONS_PER_PAGE + 1}-${i * SESSIONS_PER_PAGE + part.length} of ${courseSessions.length}`, y);
+    table(y, {
+      head: [['#', 'Student No', 'Surname & Initials', ...part.map(s => `${s.date.slice(5)}\n${s.start_time}`)]],
+      body: students.map((st, n) => [...student(st, n), ...part.map(s => mark(s, st))]),
+      columnStyles: Object.fromEntries(part.map((_, c) => [c + 3, { halign: 'center', cellWidth: 11 }])),
+    });
+  });
+
+  doc.addPage();
+  let y = heading(doc, 'ATTENDANCE REGISTER', meta);
+  y = table(y, {
+    head: [['#', 'Student No', 'Surname & Initials', 'Present', 'Late', 'Absent', 'Excused', 'Sessions', 'Attendance', 'Status']],
+    body: students.map((st, n) => {
+      const { present, late, absent, excused, total } = stats[n];
+      const { label } = attendanceStatus(pcts[n], policy);
+      const risk = total > 0 && pcts[n] < policy.good_standing_pct;
+      return [...student(st, n), present, late, absent, excused, total, `${pcts[n]}%`,
+        { content: plain(label), styles: risk ? { textColor: RED, fontStyle: 'bold' } : {} }];
+    }),
+  });
+  y = table(y + 3, {
+    tableWidth: 'wrap',
+    body: [[
+      { content: 'Students', styles: { fontStyle: 'bold' } }, students.length,
+      { content: 'Sessions conducted', styles: { fontStyle: 'bold' } }, `${courseSessions.length} of ${course.total_planned_classes} planned`,
+      { content: 'Class average', styles: { fontStyle: 'bold' } }, `${pcts.length ? Math.round(pcts.reduce((a, b) => a + b, 0) / pcts.length) : 0}%`,
+      { content: `Below ${policy.good_standing_pct}%`, styles: { fontStyle: 'bold' } }, atRisk,
+    ]],
+  });
+  y = room(doc, y + 3, 40);
+  y = note(doc, `${Object.values(ATTENDANCE_MARKS).map(m => `${m.short} = ${m.label}`).join(' · ')} · * = corrected by the lecturer · - = session for another tutorial group`, y);
+  y = note(doc, `Policy: ${describePolicy(policy)}`, y);
+  y = signatureLines(doc, [`Lecturer: ${lecturerName}`, 'Signature', 'Date'], y + 14);
+  signatureLines(doc, ['Head of Department', 'Signature', 'Date'], y + 10);
+
+  doc.save(`Attendance_Register_${course.code}${groupName ? `_${groupName.replace(/\s+/g, '_')}` : ''}_${localDate()}.pdf`);
+}
+
+// A paper sheet for a class held without the network. session: { date, start_time, room }
+// where known (blank lines otherwise); students: those expected, sorted by the caller.
+export async function printSignInSheet(course, students, lecturerName, { session = {}, groupName, blankRows = 10 } = {}) {
+  const { doc, table } = await newPdf('portrait');
+  const blank = (v) => v || '____________';
+  const rows = [...students.map(st => [st.student_no, st.surname_initials]), ...Array.from({ length: blankRows }, () => ['', ''])];
+  let y = heading(doc, 'SIGN-IN SHEET', [
+    ['Course', `${course.name} (${course.code})`], ['Lecturer', lecturerName], groupName && ['Tutorial group', groupName],
+    ['Date', blank(session.date)], ['Start', blank(session.start_time)], ['Venue', blank(session.room)],
+  ]);
+  y = table(y, {
+    head: [['#', 'Student No', 'Surname & Initials', 'Signature', 'Time in']],
+    body: rows.map(([no, name], i) => [i + 1, plain(no), plain(name), '', '']),
+    styles: { fontSize: 9, minCellHeight: 8, valign: 'middle' },
+    columnStyles: { 0: { cellWidth: 10 }, 3: { cellWidth: 70 }, 4: { cellWidth: 22 } },
+  });
+  y = room(doc, y + 3, 30);
+  y = note(doc, 'Sign only for yourself. Students not listed: write your student number and name in an empty row.', y);
+  y = note(doc, 'Lecturer: record this class afterwards under Register → Paper Session.', y);
+  signatureLines(doc, ['Lecturer signature', 'Date'], y + 14);
+
+  doc.save(`Sign_In_Sheet_${course.code}_${session.date || localDate()}.pdf`);
+}
@@ -0,0 +1,90 @@
+// ─── proxy.js — spotting check-ins made on someone else's behalf ─────────────
+// Buddy scanning: one student's phone checking in friends who are not there.
+// Worked out in the browser from a session's scans (each carries the device_id
+// and device_print of the browser that checked in, see record_scan in
+// supabase-schema.sql and devicePrint in supabase.js).
+// Kiosk check-ins all come from the lecturer's device by design and are left
+// out. A finding is a reason to look, not proof — the lecturer decides.
+
+// Where versions of the app before the geofence recorded every student whose
+// location was unavailable. A scan at this exact spot did not come from GPS.
+export const FALLBACK_COORDINATE = { lat: -23.9045, lng: 29.4688 };
+
+export const PROXY_KINDS = {
+  shared_device:      { label: 'Same device',       color: '#FF4D6D', detail: 'checked in from the same phone or browser' },
+  same_print:         { label: 'Look-alike device', color: '#FF8A3D', detail: 'from identical-looking browsers within seconds of each other (a private tab or cleared data?)' },
+  same_position:      { label: 'Identical position', color: '#FFB800', detail: 'identical GPS position within seconds of each other' },
+  fallback_position:  { label: 'Default position',   color: '#A78BFA', detail: "at the app's old stand-in coordinate, not a real GPS fix" },
+  synced_after_close: { label: 'Uploaded after class', color: '#38BDF8', detail: 'queued offline and only uploaded after the session closed, timed by the phone' },
+};
+
+const sameSpot = (sc, spot, tolerance) => Math.abs(sc.lat - spot.lat) < tolerance && Math.abs(sc.lng - spot.lng) < tolerance;
+
+// Splits time-ordered scans into runs whose neighbours are at most withinSeconds apart
+function runsWithin(scans, withinSeconds) {
+  const runs = [];
+  scans.forEach(sc => {
+    const run = runs[runs.length - 1];
+    if (run && (new Date(sc.scanned_at) - new Date(run[run.length - 1].scanned_at)) / 1000 <= withinSeconds) run.push(sc);
+    else runs.push([sc]);
+  });
+  return runs;
+}
+
+// → [{ kind, key, scans }] for one session, scans oldest first within each finding.
+// withinSeconds: how close in time identical positions or look-alike devices must be to count.
+// closedAt: the session's closed_at, when it has closed.
+export function detectProxyScans(scans, { withinSeconds = 60, closedAt } = {}) {
+  const qr = (scans || []).filter(sc => sc.source !== 'kiosk').sort((a, b) => new Date(a.scanned_at) - new Date(b.scanned_at));
+  const located = qr.filter(sc => sc.lat != null && sc.lng != null);
+  const findings = [];
+
+  const byDevice = new Map();
+  qr.filter(sc => sc.device_id).forEach(sc => { if (!byDevice.has(sc.device_id)) byDevice.set(sc.device_id, []); byDevice.get(sc.device_id).push(sc); });
+  byDevice.forEach((group, device) => {
+    if (new Set(group.map(sc => sc.student_no)).size > 1) findings.push({ kind: 'shared_device', key: device, scans: group });
+  });
+
+  // Popular phones share a print, so a match only counts when the check-ins come
+  // in quick succession from more than one device id — one phone reopened in a
+  // private tab, say
+  const byPrint = new Map();
+  qr.filter(sc => sc.device_print).forEach(sc => { if (!byPrint.has(sc.device_print)) byPrint.set(sc.device_print, []); byPrint.get(sc.device_print).push(sc); });
+  byPrint.forEach((group, print) => runsWithin(group, withinSeconds).forEach(run => {
+    if (new Set(run.map(sc => sc.device_id)).size > 1 && new Set(run.map(sc => sc.student_no)).size > 1) findings.push({ kind: 'same_print', key: print, scans: run });
+  }));
+
+  const fallback = located.filter(sc => sameSpot(sc, FALLBACK_COORDINATE, 0.0001));
+  if (fallback.length) findings.push({ kind: 'fallback_position', key: `${FALLBACK_COORDINATE.lat},${FALLBACK_COORDINATE.lng}`, scans: fallback });
+
+  // Two phones a metre apart still differ in the sixth decimal; an identical
+  // reading means one phone's cached fix was used for both check-ins
+  const byPosition = new Map();
+  located.filter(sc => !fallback.includes(sc)).forEach(sc => {
+    const key = `${sc.lat.toFixed(6)},${sc.lng.toFixed(6)}`;
+    if (!byPosition.has(key)) byPosition.set(key, []);
+    byPosition.get(key).push(sc);
+  });
+  byPosition.forEach((group, key) => runsWithin(group, withinSeconds).forEach(run => {
+    if (run.length > 1) findings.push({ kind: 'same_position', key, scans: run });
+  }));
+
+  // A check-in queued offline keeps the time the phone says it was scanned; one
+  // that only arrived once the class was over may be a forwarded photo of the code
+  const afterClose = closedAt ? qr.filter(sc => sc.synced_at && new Date(sc.synced_at) > new Date(closedAt)) : [];
+  if (afterClose.length) findings.push({ kind: 'synced_after_close', key: 'synced', scans: afterClose });
+
+  return findings;
+}
+
+// scan id → [kinds] for every scan in a finding
+export function proxyFlags(findings) {
+  const flags = new Map();
+  findings.forEach(f => f.scans.forEach(sc => flags.set(sc.id, [...new Set([...(flags.get(sc.id) || []), f.kind])])));
+  return flags;
+}
+
+// Flagged scans the lecturer has not yet cleared or confirmed
+export function unreviewedCount(findings) {
+  return [...new Set(findings.flatMap(f => f.scans.filter(sc => !sc.review).map(sc => sc.id)))].length;
+}
@@ -0,0 +1,78 @@
+// ─── proxy.test.js — detectProxyScans on made-up sessions ────────────────────
+import { detectProxyScans, proxyFlags, unreviewedCount, FALLBACK_COORDINATE } from './proxy';
+
+// Scans `seconds` after 08:00 on one day; positions a few metres apart unless given
+let nextId = 0;
+function scan(student_no, seconds, extra = {}) {
+  nextId++;
+  return {
+    id: `sc${nextId}`, student_no, source: 'qr',
+    scanned_at: new Date(Date.UTC(2026, 1, 2, 6, 0, seconds)).toISOString(),
+    lat: -23.88 + nextId * 0.00003, lng: 29.73 + nextId * 0.00003,
+    device_id: `dev-${student_no}`, device_print: `print-${student_no}`,
+    ...extra,
+  };
+}
+
+const kinds = (findings) => findings.map(f => f.kind).sort();
+
+describe('detectProxyScans', () => {
+  it('finds nothing in an ordinary class', () => {
+    expect(detectProxyScans([scan('1001', 0), scan('1002', 5), scan('1003', 9)])).toEqual([]);
+    expect(detectProxyScans(undefined)).toEqual([]);
+  });
+
+  it('flags one device checking in several students, however far apart in time', () => {
+    const a = scan('1001', 0, { device_id: 'phone' });
+    const b = scan('1002', 1800, { device_id: 'phone' });
+    const findings = detectProxyScans([b, a, scan('1003', 10)]);
+    expect(findings).toEqual([{ kind: 'shared_device', key: 'phone', scans: [a, b] }]);
+  });
+
+  it('only flags a shared print in quick succession from more than one device', () => {
+    const quick = [scan('1001', 0, { device_print: 'iphone' }), scan('1002', 20, { device_print: 'iphone' })];
+    const slow = [scan('1003', 600, { device_print: 'iphone' }), scan('1004', 1200, { device_print: 'iphone' })];
+    const findings = detectProxyScans([...quick, ...slow]);
+    expect(findings).toEqual([{ kind: 'same_print', key: 'iphone', scans: quick }]);
+  });
+
+  it('flags identical positions close together and the old stand-in coordinate', () => {
+    const same = [scan('1001', 0, { lat: -23.881234, lng: 29.731234 }), scan('1002', 30, { lat: -23.881234, lng: 29.731234 })];
+    const later = scan('1003', 900, { lat: -23.881234, lng: 29.731234 });
+    const fallback = scan('1004', 40, { ...FALLBACK_COORDINATE });
+    const findings = detectProxyScans([...same, later, fallback]);
+    expect(kinds(findings)).toEqual(['fallback_position', 'same_position']);
+    expect(findings.find(f => f.kind === 'same_position').scans).toEqual(same);
+    expect(findings.find(f => f.kind === 'fallback_position').scans).toEqual([fallback]);
+  });
+
+  it('flags offline check-ins that only arrived after the session closed', () => {
+    const closedAt = new Date(Date.UTC(2026, 1, 2, 7, 0)).toISOString();
+    const inClass = scan('1001', 0, { synced_at: new Date(Date.UTC(2026, 1, 2, 6, 10)).toISOString() });
+    const afterwards = scan('1002', 5, { synced_at: new Date(Date.UTC(2026, 1, 2, 7, 20)).toISOString() });
+    const scans = [inClass, afterwards, scan('1003', 10)];
+    expect(detectProxyScans(scans, { closedAt })).toEqual([{ kind: 'synced_after_close', key: 'synced', scans: [afterwards] }]);
+    expect(detectProxyScans(scans)).toEqual([]);
+  });
+
+  it('leaves kiosk check-ins out', () => {
+    const kiosk = [scan('1001', 0, { source: 'kiosk', device_id: 'lecturer' }), scan('1002', 10, { source: 'kiosk', device_id: 'lecturer' })];
+    expect(detectProxyScans(kiosk)).toEqual([]);
+  });
+
+  it('widens or narrows the time limit with withinSeconds', () => {
+    const pair = [scan('1001', 0, { lat: -23.9, lng: 29.7 }), scan('1002', 90, { lat: -23.9, lng: 29.7 })];
+    expect(detectProxyScans(pair)).toEqual([]);
+    expect(kinds(detectProxyScans(pair, { withinSeconds: 120 }))).toEqual(['same_position']);
+  });
+});
+
+describe('proxyFlags and unreviewedCount', () => {
+  it('lists every kind per scan and counts each unreviewed scan once', () => {
+    const a = scan('1001', 0, { device_id: 'phone', lat: -23.9, lng: 29.7 });
+    const b = scan('1002', 5, { device_id: 'phone', lat: -23.9, lng: 29.7, review: 'cleared' });
+    const findings = detectProxyScans([a, b]);
+    expect(proxyFlags(findings).get(a.id).sort()).toEqual(['same_position', 'shared_device']);
+    expect(unreviewedCount(findings)).toBe(1);
+  });
+});
@@ -0,0 +1,337 @@
+// ─── qrcode.js — QR Code Model 2 encoder (ISO/IEC 18004) ────────────────────
+// Byte-mode only: every check-in URL is encoded as UTF-8 bytes. The encoder
+// picks the smallest version that fits, boosts the error-correction level when
+// that costs nothing, and chooses the mask with the lowest penalty score.
+
+const ECC_LEVELS = {
+  L: { ordinal: 0, formatBits: 1 },
+  M: { ordinal: 1, formatBits: 0 },
+  Q: { ordinal: 2, formatBits: 3 },
+  H: { ordinal: 3, formatBits: 2 },
+};
+
+// Indexed by [ecc ordinal][version]; index 0 is unused.
+const ECC_CODEWORDS_PER_BLOCK = [
+  [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+  [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+];
+const NUM_ECC_BLOCKS = [
+  [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+  [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+  [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+  [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81],
+];
+
+const MASKS = [
+  (r, c) => (r + c) % 2 === 0,
+  (r) => r % 2 === 0,
+  (r, c) => c % 3 === 0,
+  (r, c) => (r + c) % 3 === 0,
+  (r, c) => (Math.floor(r / 2) + Math.floor(c / 3)) % 2 === 0,
+  (r, c) => ((r * c) % 2) + ((r * c) % 3) === 0,
+  (r, c) => (((r * c) % 2) + ((r * c) % 3)) % 2 === 0,
+  (r, c) => (((r + c) % 2) + ((r * c) % 3)) % 2 === 0,
+];
+
+// ─── Capacity ─────────────────────────────────────────────────────────────────
+function rawDataModules(ver) {
+  let result = (16 * ver + 128) * ver + 64;
+  if (ver >= 2) {
+    const numAlign = Math.floor(ver / 7) + 2;
+    result -= (25 * numAlign - 10) * numAlign - 55;
+    if (ver >= 7) result -= 36;
+  }
+  return result;
+}
+
+function dataCodewords(ver, ecc) {
+  const o = ECC_LEVELS[ecc].ordinal;
+  return Math.floor(rawDataModules(ver) / 8) - ECC_CODEWORDS_PER_BLOCK[o][ver] * NUM_ECC_BLOCKS[o][ver];
+}
+
+function alignmentPositions(ver) {
+  if (ver === 1) return [];
+  const numAlign = Math.floor(ver / 7) + 2;
+  const step = ver === 32 ? 26 : Math.ceil((ver * 4 + 4) / (numAlign * 2 - 2)) * 2;
+  const result = [6];
+  for (let pos = ver * 4 + 10; result.length < numAlign; pos -= step) result.splice(1, 0, pos);
+  return result;
+}
+
+// ─── Reed–Solomon over GF(256), polynomial 0x11D ─────────────────────────────
+function gfMul(x, y) {
+  let z = 0;
+  for (let i = 7; i >= 0; i--) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11d);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z;
+}
+
+function rsDivisor(degree) {
+  const result = new Array(degree).fill(0);
+  result[degree - 1] = 1;
+  let root = 1;
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < degree; j++) {
+      result[j] = gfMul(result[j], root);
+      if (j + 1 < degree) result[j] ^= result[j + 1];
+    }
+    root = gfMul(root, 0x02);
+  }
+  return result;
+}
+
+function rsRemainder(data, divisor) {
+  const result = divisor.map(() => 0);
+  for (const b of data) {
+    const factor = b ^ result.shift();
+    result.push(0);
+    divisor.forEach((coef, i) => { result[i] ^= gfMul(coef, factor); });
+  }
+  return result;
+}
+
+// Split data into blocks, append ECC to each, then interleave.
+function addEccAndInterleave(data, ver, ecc) {
+  const o = ECC_LEVELS[ecc].ordinal;
+  const numBlocks = NUM_ECC_BLOCKS[o][ver];
+  const blockEccLen = ECC_CODEWORDS_PER_BLOCK[o][ver];
+  const rawCodewords = Math.floor(rawDataModules(ver) / 8);
+  const numShortBlocks = numBlocks - (rawCodewords % numBlocks);
+  const shortBlockLen = Math.floor(rawCodewords / numBlocks);
+
+  const blocks = [];
+  const divisor = rsDivisor(blockEccLen);
+  for (let i = 0, k = 0; i < numBlocks; i++) {
+    const dat = data.slice(k, k + shortBlockLen - blockEccLen + (i < numShortBlocks ? 0 : 1));
+    k += dat.length;
+    const block = dat.concat(rsRemainder(dat, divisor));
+    if (i < numShortBlocks) block.splice(dat.length, 0, null); // pad so columns line up
+    blocks.push(block);
+  }
+
+  const result = [];
+  for (let i = 0; i < blocks[0].length; i++) {
+    blocks.forEach(block => { if (block[i] !== null) result.push(block[i]); });
+  }
+  return result;
+}
+
+// ─── Data encoding ────────────────────────────────────────────────────────────
+function toUtf8Bytes(text) {
+  return Array.from(new TextEncoder().encode(text));
+}
+
+function buildCodewords(bytes, ver, ecc) {
+  const bits = [];
+  const append = (val, len) => { for (let i = len - 1; i >= 0; i--) bits.push((val >>> i) & 1); };
+  append(0x4, 4); // byte mode indicator
+  append(bytes.length, ver <= 9 ? 8 : 16);
+  bytes.forEach(b => append(b, 8));
+
+  const capacityBits = dataCodewords(ver, ecc) * 8;
+  append(0, Math.min(4, capacityBits - bits.length));
+  append(0, (8 - (bits.length % 8)) % 8);
+  for (let pad = 0xec; bits.length < capacityBits; pad ^= 0xec ^ 0x11) append(pad, 8);
+
+  const codewords = [];
+  for (let i = 0; i < bits.length; i += 8) codewords.push(bits.slice(i, i + 8).reduce((a, b) => (a << 1) | b, 0));
+  return codewords;
+}
+
+// ─── Matrix construction ──────────────────────────────────────────────────────
+function getBit(x, i) { return ((x >>> i) & 1) !== 0; }
+
+function bchFormatBits(ecc, mask) {
+  const data = (ECC_LEVELS[ecc].formatBits << 3) | mask;
+  let rem = data;
+  for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+  return ((data << 10) | rem) ^ 0x5412;
+}
+
+function bchVersionBits(ver) {
+  let rem = ver;
+  for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1f25);
+  return (ver << 12) | rem;
+}
+
+function newMatrix(ver) {
+  const size = ver * 4 + 17;
+  const grid = () => Array.from({ length: size }, () => new Array(size).fill(false));
+  return { size, modules: grid(), reserved: grid() };
+}
+
+function setFn(m, r, c, dark) { m.modules[r][c] = dark; m.reserved[r][c] = true; }
+
+function drawFunctionPatterns(m, ver) {
+  const { size } = m;
+  for (let i = 0; i < size; i++) { setFn(m, 6, i, i % 2 === 0); setFn(m, i, 6, i % 2 === 0); }
+
+  [[3, 3], [3, size - 4], [size - 4, 3]].forEach(([cr, cc]) => {
+    for (let dr = -4; dr <= 4; dr++) for (let dc = -4; dc <= 4; dc++) {
+      const r = cr + dr, c = cc + dc;
+      if (r < 0 || r >= size || c < 0 || c >= size) continue;
+      const dist = Math.max(Math.abs(dr), Math.abs(dc));
+      setFn(m, r, c, dist !== 2 && dist !== 4);
+    }
+  });
+
+  const align = alignmentPositions(ver);
+  const n = align.length;
+  align.forEach((ar, i) => align.forEach((ac, j) => {
+    if ((i === 0 && j === 0) || (i === 0 && j === n - 1) || (i === n - 1 && j === 0)) return;
+    for (let dr = -2; dr <= 2; dr++) for (let dc = -2; dc <= 2; dc++) {
+      setFn(m, ar + dr, ac + dc, Math.max(Math.abs(dr), Math.abs(dc)) !== 1);
+    }
+  }));
+
+  drawFormatBits(m, 'L', 0); // placeholder, reserves the area
+  if (ver >= 7) {
+    const bits = bchVersionBits(ver);
+    for (let i = 0; i < 18; i++) {
+      const dark = getBit(bits, i);
+      const a = size - 11 + (i % 3), b = Math.floor(i / 3);
+      setFn(m, b, a, dark);
+      setFn(m, a, b, dark);
+    }
+  }
+}
+
+function drawFormatBits(m, ecc, mask) {
+  const { size } = m;
+  const bits = bchFormatBits(ecc, mask);
+  for (let i = 0; i <= 5; i++) setFn(m, i, 8, getBit(bits, i));
+  setFn(m, 7, 8, getBit(bits, 6));
+  setFn(m, 8, 8, getBit(bits, 7));
+  setFn(m, 8, 7, getBit(bits, 8));
+  for (let i = 9; i < 15; i++) setFn(m, 8, 14 - i, getBit(bits, i));
+  for (let i = 0; i < 8; i++) setFn(m, 8, size - 1 - i, getBit(bits, i));
+  for (let i = 8; i < 15; i++) setFn(m, size - 15 + i, 8, getBit(bits, i));
+  setFn(m, size - 8, 8, true); // the always-dark module
+}
+
+// Zig-zag placement: two-column strips from the right, skipping the timing column.
+function drawCodewords(m, codewords) {
+  const { size } = m;
+  let i = 0;
+  const totalBits = codewords.length * 8;
+  for (let right = size - 1; right >= 1; right -= 2) {
+    if (right === 6) right = 5;
+    for (let vert = 0; vert < size; vert++) {
+      for (let j = 0; j < 2; j++) {
+        const c = right - j;
+        const upward = ((right + 1) & 2) === 0;
+        const r = upward ? size - 1 - vert : vert;
+        if (m.reserved[r][c] || i >= totalBits) continue;
+        m.modules[r][c] = getBit(codewords[i >>> 3], 7 - (i & 7));
+        i++;
+      }
+    }
+  }
+}
+
+function applyMask(m, mask) {
+  const fn = MASKS[mask];
+  for (let r = 0; r < m.size; r++) for (let c = 0; c < m.size; c++) {
+    if (!m.reserved[r][c] && fn(r, c)) m.modules[r][c] = !m.modules[r][c];
+  }
+}
+
+// ─── Mask penalty (N1=3, N2=3, N3=40, N4=10) ────────────────────────────────
+function finderLikeCount(line) {
+  // n:n:3n:n:n dark/light/dark/light/dark with 4n light on one side; the border counts as light
+  const runs = [line.length];
+  let dark = false;
+  line.forEach(v => {
+    if (v === dark) runs[runs.length - 1]++;
+    else { runs.push(1); dark = v; }
+  });
+  if (dark) runs.push(line.length);
+  else runs[runs.length - 1] += line.length;
+
+  let count = 0;
+  for (let i = 6; i < runs.length; i += 2) {
+    const n = runs[i - 1];
+    const core = runs[i - 2] === n && runs[i - 3] === n * 3 && runs[i - 4] === n && runs[i - 5] === n;
+    if (core && runs[i] >= n * 4 && runs[i - 6] >= n) count++;
+    if (core && runs[i - 6] >= n * 4 && runs[i] >= n) count++;
+  }
+  return count;
+}
+
+function linePenalty(line) {
+  let score = 0, run = 1;
+  for (let i = 1; i <= line.length; i++) {
+    if (i < line.length && line[i] === line[i - 1]) run++;
+    else { if (run >= 5) score += 3 + (run - 5); run = 1; }
+  }
+  return score + finderLikeCount(line) * 40;
+}
+
+function penaltyScore(m) {
+  const { size, modules } = m;
+  let score = 0;
+  for (let r = 0; r < size; r++) score += linePenalty(modules[r]);
+  for (let c = 0; c < size; c++) score += linePenalty(modules.map(row => row[c]));
+
+  for (let r = 0; r < size - 1; r++) for (let c = 0; c < size - 1; c++) {
+    const v = modules[r][c];
+    if (v === modules[r][c + 1] && v === modules[r + 1][c] && v === modules[r + 1][c + 1]) score += 3;
+  }
+
+  const dark = modules.reduce((sum, row) => sum + row.filter(Boolean).length, 0);
+  const total = size * size;
+  score += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+  return score;
+}
+
+// ─── Public API ───────────────────────────────────────────────────────────────
+
+/**
+ * Encode text as a QR code.
+ * @param {string} text
+ * @param {{ ecc?: 'L'|'M'|'Q'|'H', minVersion?: number, maxVersion?: number, mask?: number, boostEcc?: boolean }} [opts]
+ * @returns {{ version: number, ecc: string, mask: number, size: number, modules: boolean[][] }}
+ *   modules[row][col] is true for a dark module. No quiet zone is included.
+ */
+export function encodeQR(text, { ecc = 'M', minVersion = 1, maxVersion = 40, mask = -1, boostEcc = true } = {}) {
+  if (!ECC_LEVELS[ecc]) throw new Error(`Unknown error-correction level: ${ecc}`);
+  const bytes = toUtf8Bytes(text);
+
+  let ver = minVersion;
+  for (; ver <= maxVersion; ver++) {
+    const usedBits = 4 + (ver <= 9 ? 8 : 16) + bytes.length * 8;
+    if (usedBits <= dataCodewords(ver, ecc) * 8) break;
+  }
+  if (ver > maxVersion) throw new Error('Data too long for a QR code');
+
+  let level = ecc;
+  if (boostEcc) {
+    ['M', 'Q', 'H'].forEach(next => {
+      const usedBits = 4 + (ver <= 9 ? 8 : 16) + bytes.length * 8;
+      if (ECC_LEVELS[next].ordinal > ECC_LEVELS[level].ordinal && usedBits <= dataCodewords(ver, next) * 8) level = next;
+    });
+  }
+
+  const m = newMatrix(ver);
+  drawFunctionPatterns(m, ver);
+  drawCodewords(m, addEccAndInterleave(buildCodewords(bytes, ver, level), ver, level));
+
+  let chosen = mask;
+  if (chosen < 0) {
+    let best = Infinity;
+    for (let k = 0; k < 8; k++) {
+      applyMask(m, k); drawFormatBits(m, level, k);
+      const score = penaltyScore(m);
+      if (score < best) { best = score; chosen = k; }
+      applyMask(m, k); // XOR again to undo
+    }
+  }
+  applyMask(m, chosen);
+  drawFormatBits(m, level, chosen);
+
+  return { version: ver, ecc: level, mask: chosen, size: m.size, modules: m.modules };
+}
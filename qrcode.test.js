@@ -0,0 +1,192 @@
+/**
+ * @jest-environment node
+ */
+// (jsdom has no TextEncoder, which encodeQR uses for UTF-8)
+// ─── qrcode.test.js — encodeQR against reference module matrices ─────────────
+// The matrices below were produced by an independent encoder (node-qrcode 1.5,
+// byte mode, fixed version and mask) and are compared module for module.
+// '#' is a dark module; rows run top to bottom, without the quiet zone.
+import { encodeQR } from './qrcode';
+
+const VECTORS = [
+  {
+    text: 'HELLO WORLD', version: 1, ecc: 'Q', mask: 2,
+    rows: [
+      '#######.####..#######',
+      '#.....#..####.#.....#',
+      '#.###.#..##...#.###.#',
+      '#.###.#...#.#.#.###.#',
+      '#.###.#.#.#.#.#.###.#',
+      '#.....#.##.##.#.....#',
+      '#######.#.#.#.#######',
+      '.....................',
+      '.#######.##.#..##...#',
+      '#####..#.#.#####.##..',
+      '..###.#.#..####..###.',
+      '.#.##...####.#..###..',
+      '.##...#..#.#.#....#.#',
+      '........####.....#...',
+      '#######.#.#...#...##.',
+      '#.....#.###..#.#.####',
+      '#.###.#.#...#..#..#.#',
+      '#.###.#.#.#.######...',
+      '#.###.#.##..#..#..#..',
+      '#.....#.#...##..###..',
+      '#######..#.##...#.##.',
+    ],
+  },
+  {
+    text: 'Hello, world! 123', version: 2, ecc: 'M', mask: 5,
+    rows: [
+      '#######..####.###.#######',
+      '#.....#.#...###.#.#.....#',
+      '#.###.#.#.##.#....#.###.#',
+      '#.###.#.#.#.......#.###.#',
+      '#.###.#..#.#......#.###.#',
+      '#.....#...........#.....#',
+      '#######.#.#.#.#.#.#######',
+      '........##....##.........',
+      '#.....#.#.###..####..###.',
+      '#.####.####.##.###.###...',
+      '....#.#..#.######.####.##',
+      '.#.#.#...#####.....###.##',
+      '.###..###..###.#..##.#..#',
+      '#.####.#.##....#...#.##..',
+      '#.....#.#.###..#.#.###.##',
+      '#.###..#..##....#.#####.#',
+      '#..##.#.##.#...########..',
+      '........###.###.#...###.#',
+      '#######....#....#.#.#...#',
+      '#.....#.....##..#...#..##',
+      '#.###.#...#.#.#########.#',
+      '#.###.#..##...######.#.##',
+      '#.###.#..#.##..#...#.#..#',
+      '#.....#....#..#.###.....#',
+      '#######.###..#########..#',
+    ],
+  },
+  {
+    text: 'Ünïcødé — café', version: 3, ecc: 'Q', mask: 4,
+    rows: [
+      '#######..#.####.##.##.#######',
+      '#.....#..#....#.#.##..#.....#',
+      '#.###.#.###.##.####...#.###.#',
+      '#.###.#..###..........#.###.#',
+      '#.###.#.#...#...###.#.#.###.#',
+      '#.....#.####..##.#....#.....#',
+      '#######.#.#.#.#.#.#.#.#######',
+      '..........##...##..#.........',
+      '.#..#.#.#...#...#..###.##.#..',
+      '.##.#..#######....##...#.###.',
+      '.#..###..##..#.#.#.#.#####.#.',
+      '###.#...####.####..##...##...',
+      '.###.##..###..####..###..#...',
+      '.##.#.....##..###.##...##...#',
+      '..###.#...#.####.#.#.##.#...#',
+      '###.#...####.##..##.#.#.##...',
+      '.######..####.....##....##...',
+      '##.......#..#...#..###..#.#..',
+      '..###.#.###.##..#...###...#..',
+      '..##.#...##..#.........####.#',
+      '##...###.#.#####..##########.',
+      '........#..##..#.####...#...#',
+      '#######........##.###.#.#.#.#',
+      '#.....#...#.#.##...##...#####',
+      '#.###.#.##..#...#..########..',
+      '#.###.#....#......###.#..###.',
+      '#.###.#..#..##.#.#..#..######',
+      '#.....#.####.#.##.......#.###',
+      '#######..#...#..#.#...#.##.#.',
+    ],
+  },
+  {
+    text: 'https://attendance.example.ac.za/?session=K7PX2M9QRT&t=8f3a91c2', version: 7, ecc: 'H', mask: 7,
+    rows: [
+      '#######.#....###.#######.#.#.##.##..#.#######',
+      '#.....#.###.###.##..####...#####...#..#.....#',
+      '#.###.#..####..#..#....###...####..#..#.###.#',
+      '#.###.#.######.#..#..#.#.#.#.#.#...##.#.###.#',
+      '#.###.#.####.##.##..#####..#.##..####.#.###.#',
+      '#.....#.####.#...#.##...####..####....#.....#',
+      '#######.#.#.#.#.#.#.#.#.#.#.#.#.#.#.#.#######',
+      '.........#.#..##....#...###.##.#...#.........',
+      '...#..#..#...###.##.######.....#.#..#..###.##',
+      '....#...##.#.#.#.##.##...#..#....#...#.....##',
+      '..#..###.##.###..##...#.##...#.#..#.#..##.#.#',
+      '.##....#..###..#....######.##........###....#',
+      '.###..##....##.####.#.#.###.#######...###....',
+      '#####...##..#.##.####...##.....#..##.#..###.#',
+      '.#.#..#...###...##.#.##.#..##.##.#..####.##..',
+      '#.#.#..###....#.#..#.#.##.##.#..#.##.#.##....',
+      '#####.#..#...#..#..##.#..#......###......#..#',
+      '....##..#.###.#.##....#...##....##.#..#.##.#.',
+      '##.#.##..##..######.#.##...##.##.#......#.###',
+      '.###.#..#.##.##..#....##.###..####..####....#',
+      '.##.#########...#.#########..#.#..########.##',
+      '##..#...#.##...###.##...#...#.##.#..#...#.###',
+      '#.###.#.###..##..##.#.#.#..##.#.###.#.#.#...#',
+      '.#.##...##.#....#...#...###.#.##.#..#...##...',
+      '###.#########.#.##..######...#.####.#####..#.',
+      '..##...#...##...#.#....###...#.#.##...#.#.##.',
+      '####..#######..##.#..##...#..#...#...#.....#.',
+      '..####.#...####.##.#.#.#.###.#..#.#...#.#..##',
+      '##....#..#..#.#.#..#.#..#..#.######.##.##..##',
+      '.....#...#.#.#.#.##...#..####...#..##....#.#.',
+      '....#.####.#.#..##.#..#.#..#...#......#.#..##',
+      '#.###...##..#.#.###..#####...#..##.####.#..##',
+      '#...###.###...###...#.#.##.##..#..##..##.....',
+      '##.###.#.####.#.#...#.#......#..#...##.#...##',
+      '....#.#..##...#..##.#..#.##.#..##.#.#.#...#.#',
+      '.####....#......##....#.#.#..#.#..####...#.##',
+      '#..##.#.##..#.#.##..######.#.#####..######.#.',
+      '........###.#.#..####...##..#.##..###...##..#',
+      '#######...##..#..####.#.###...#..#..#.#.#.##.',
+      '#.....#...####.##..##...###...#.##.##...#....',
+      '#.###.#...####....#.#####.##.##.#.#######...#',
+      '#.###.#.######...###########..#.#...###.#....',
+      '#.###.#..###..#...##..#..#...##.#.#.##..###.#',
+      '#.....#...#.#.#.....##......#..###.....#.....',
+      '#######..#.####..##.......###.#..##.####.#.#.',
+    ],
+  },
+];
+
+const render = (modules) => modules.map(row => row.map(dark => (dark ? '#' : '.')).join(''));
+
+describe('encodeQR', () => {
+  VECTORS.forEach(({ text, version, ecc, mask, rows }) => {
+    it(`matches the reference for "${text}" at version ${version}-${ecc}, mask ${mask}`, () => {
+      const qr = encodeQR(text, { ecc, minVersion: version, maxVersion: version, mask, boostEcc: false });
+      expect(qr.size).toBe(version * 4 + 17);
+      expect(render(qr.modules)).toEqual(rows);
+    });
+  });
+
+  it('picks the smallest version that holds the data', () => {
+    expect(encodeQR('HELLO WORLD', { ecc: 'Q', boostEcc: false }).version).toBe(1);
+    expect(encodeQR('Ünïcødé — café', { ecc: 'Q', boostEcc: false }).version).toBe(3);
+    expect(encodeQR(VECTORS[3].text, { ecc: 'H', boostEcc: false }).version).toBe(7);
+    expect(encodeQR(VECTORS[3].text, { ecc: 'M', boostEcc: false }).version).toBe(5); // 64 bytes; 4-M holds 62
+  });
+
+  it('raises the error-correction level when the version has room for it', () => {
+    const qr = encodeQR('HELLO WORLD', { ecc: 'L' });
+    expect(qr.version).toBe(1);
+    expect(qr.ecc).toBe('Q');
+  });
+
+  it('encodes a full check-in URL', () => {
+    const url = 'https://attendance.example.ac.za/?session=K7PX2M9QRT&t=8f3a91c2d4e5f60718293a4b5c6d7e8f';
+    const qr = encodeQR(url);
+    expect(qr.size).toBe(qr.version * 4 + 17);
+    expect(qr.mask).toBeGreaterThanOrEqual(0);
+    expect(qr.mask).toBeLessThan(8);
+    // Forcing that mask reproduces the same symbol
+    expect(render(encodeQR(url, { ecc: qr.ecc, minVersion: qr.version, maxVersion: qr.version, mask: qr.mask, boostEcc: false }).modules)).toEqual(render(qr.modules));
+  });
+
+  it('rejects unknown levels and data that cannot fit', () => {
+    expect(() => encodeQR('x', { ecc: 'Z' })).toThrow('Unknown error-correction level');
+    expect(() => encodeQR('x'.repeat(200), { maxVersion: 5 })).toThrow('Data too long');
+  });
+});
@@ -13,7 +13,7 @@
 create table if not exists admin_config (
   id          integer primary key default 1,
   username    text not null default 'admin',
-  password    text not null,
+  password_hash text not null,                 -- bcrypt, set by setup_admin()
   initialized boolean not null default false,
   created_at  timestamptz default now(),
   updated_at  timestamptz default now(),
@@ -27,11 +27,17 @@ create table if not exists lecturers (
   name        text not null,
   email       text not null unique,
   department  text not null default '',
-  passwords   text[] not null default '{}',   -- array of 5 passwords
   created_at  timestamptz default now(),
   updated_at  timestamptz default now()
 );
 
+-- Kept apart from lecturers so no policy ever exposes them
+create table if not exists lecturer_credentials (
+  lecturer_id     text primary key references lecturers(id) on delete cascade,
+  password_hashes text[] not null default '{}',  -- bcrypt hashes of the 5 passwords
+  updated_at      timestamptz default now()
+);
+
 -- ─── Courses ─────────────────────────────────────────────────────────────────
 create table if not exists courses (
   id                    text primary key,
@@ -43,15 +49,48 @@ create table if not exists courses (
   semester              text not null default '1',
   total_planned_classes integer not null default 40,
   room                  text not null default '',
+  qr_rotate_seconds     integer not null default 20,   -- check-in QR refresh interval
+  qr_grace_seconds      integer not null default 40,   -- how long an old QR code stays valid
+  geofence_radius_m     integer not null default 150,  -- max distance from the lecturer's position
+  geofence_mode         text not null default 'flag',  -- 'off' | 'flag' | 'reject'
+  session_duration_minutes integer not null default 90, -- sessions close automatically after this
+  checkin_window_minutes integer,                      -- check-in closes this long after start; null = until the session ends
+  semester_start        date,                          -- timetable range for generate_planned_sessions()
+  semester_end          date,
+  holidays              date[] not null default '{}',  -- no planned sessions on these dates
+  archived_at           timestamptz,                   -- set when the course is finished; its sessions stay
   created_at            timestamptz default now(),
   updated_at            timestamptz default now()
 );
 
+-- ─── Course staff (besides the owner in courses.lecturer_id) ─────────────────
+-- What each role may do is decided by can_course() below.
+create table if not exists course_staff (
+  course_id   text not null references courses(id) on delete cascade,
+  lecturer_id text not null references lecturers(id) on delete cascade,
+  role        text not null check (role in ('co_lecturer', 'tutor')),
+  added_at    timestamptz default now(),
+  primary key (course_id, lecturer_id)
+);
+
+-- ─── Tutorial groups / class sections within a course ────────────────────────
+create table if not exists course_groups (
+  id          text primary key,
+  course_id   text not null references courses(id) on delete cascade,
+  name        text not null,
+  created_at  timestamptz default now(),
+  unique (course_id, name)
+);
+
 -- ─── Students ─────────────────────────────────────────────────────────────────
 create table if not exists students (
   id                text primary key,
   student_no        text not null unique,
   surname_initials  text not null,
+  email             text not null default '',  -- for at-risk notifications; blank = none on file
+  phone             text not null default '',
+  full_name         text not null default '',  -- as given on the imported roster
+  programme         text not null default '',
   created_at        timestamptz default now()
 );
 
@@ -59,6 +98,7 @@ create table if not exists students (
 create table if not exists enrolments (
   student_id  text not null references students(id) on delete cascade,
   course_id   text not null references courses(id) on delete cascade,
+  group_id    text references course_groups(id) on delete set null,  -- null = in no group
   enrolled_at timestamptz default now(),
   primary key (student_id, course_id)
 );
@@ -73,7 +113,19 @@ create table if not exists sessions (
   room        text not null default '',
   lat         double precision,
   lng         double precision,
-  status      text not null default 'active',  -- 'active' | 'closed'
+  status      text not null default 'active',  -- 'active' | 'closed' | 'void' (left out of every percentage)
+  ends_at     timestamptz,                     -- auto-close time, fixed when the session starts
+  checkin_closes_at timestamptz,               -- null = check-in open until the session closes
+  late_after_minutes integer not null default 10,
+  starts_at   timestamptz,                     -- the start as the lecturer's device read date + start_time; lateness is judged from it
+  offline_checkins boolean not null default false, -- the lecturer reports no signal in the room: scans queued offline keep their capture time
+  closed_at   timestamptz,
+  close_reason text,                           -- 'manual' | 'expired' | 'paper' (recorded from a paper sign-in sheet)
+  qr_rotate_seconds integer not null default 20,
+  qr_grace_seconds  integer not null default 40,
+  geofence_radius_m integer not null default 150,
+  geofence_mode     text not null default 'flag',
+  group_ids   text[] not null default '{}',    -- the groups this session is for; empty = the whole course
   created_at  timestamptz default now()
 );
 
@@ -87,39 +139,1678 @@ create table if not exists scans (
   minutes_late    integer not null default 0,
   lat             double precision,
   lng             double precision,
-  scanned_at      timestamptz default now(),
+  distance_m      double precision,            -- from the session's lat/lng, null if unknown
+  location_flag   text,                        -- null | 'out_of_range' | 'no_location'
+  scanned_at      timestamptz default now(),   -- when the student checked in, even if offline
+  synced_at       timestamptz,                 -- set when the scan was queued offline and uploaded later
+  source          text not null default 'qr',  -- 'qr' (student's phone) | 'kiosk' (lecturer's device)
+  device_id       text,                        -- the checking-in browser's device id (x-device-id header)
+  device_print    text,                        -- hash of the browser's traits (x-device-print header), survives a private tab
+  review          text,                        -- null | 'cleared' | 'proxy': the lecturer's verdict on a suspected proxy check-in
+  reviewed_by     text,
+  reviewed_at     timestamptz,
   unique (session_id, student_no)              -- one scan per student per session
 );
 
--- ─── Row Level Security (RLS) — allow anon key full access ───────────────────
--- Since we do our own auth (not Supabase Auth), we allow the anon key to
--- read/write everything. The app enforces its own login.
+-- ─── Pending scans (student number not enrolled in the course) ───────────────
+-- Held for the lecturer to accept (and enrol) or reject from the live session.
+create table if not exists pending_scans (
+  id              bigint generated always as identity primary key,
+  session_id      text not null references sessions(id) on delete cascade,
+  student_no      text not null,               -- exactly as typed
+  status          text not null,               -- 'present' | 'late'
+  minutes_late    integer not null default 0,
+  lat             double precision,
+  lng             double precision,
+  distance_m      double precision,
+  location_flag   text,
+  scanned_at      timestamptz default now(),
+  synced_at       timestamptz,
+  source          text not null default 'qr',
+  device_id       text,
+  device_print    text,
+  unique (session_id, student_no)
+);
+
+-- ─── Attendance overrides (set by the lecturer in the register) ──────────────
+-- One per student per session; wins over whatever the scan says.
+create table if not exists attendance_overrides (
+  session_id  text not null references sessions(id) on delete cascade,
+  student_no  text not null,
+  status      text not null check (status in ('present', 'late', 'absent', 'excused', 'manual_present')),
+  reason      text not null,
+  evidence    text not null default '',        -- e.g. "Medical certificate, Dr Nkosi, 12 Mar"
+  set_by      text not null,                   -- lecturer id, or 'admin'
+  set_by_name text not null default '',
+  created_at  timestamptz default now(),
+  updated_at  timestamptz default now(),
+  primary key (session_id, student_no)
+);
+
+-- ─── Attendance policies ──────────────────────────────────────────────────────
+-- One row per level. Blank (null) fields inherit from the level above:
+-- course → its department → faculty → the defaults in course_policy().
+create table if not exists attendance_policies (
+  scope                text not null check (scope in ('faculty', 'department', 'course')),
+  scope_key            text not null default '',    -- '' | department name | course id
+  late_after_minutes   integer check (late_after_minutes >= 0),
+  absent_after_minutes integer check (absent_after_minutes >= 0),  -- 0 = no cut-off
+  late_weight          numeric check (late_weight between 0 and 1),
+  excused_counts_as    text check (excused_counts_as in ('excluded', 'present', 'absent')),
+  good_standing_pct    integer check (good_standing_pct between 1 and 100),
+  critical_below_pct   integer check (critical_below_pct between 0 and 100),
+  updated_at           timestamptz default now(),
+  primary key (scope, scope_key),
+  check (critical_below_pct <= good_standing_pct)
+);
+insert into attendance_policies (scope, scope_key) values ('faculty', '') on conflict do nothing;
+
+-- ─── Timetable & planned sessions ─────────────────────────────────────────────
+-- Weekly slots per course; generate_planned_sessions() expands them over the
+-- semester. A planned session is conducted once session_id is set.
+create table if not exists timetable_slots (
+  id          text primary key,
+  course_id   text not null references courses(id) on delete cascade,
+  day_of_week integer not null check (day_of_week between 0 and 6),  -- 0 = Sunday, as in JS getDay()
+  start_time  text not null,                   -- 'HH:MM', local time
+  room        text not null default '',        -- blank = the course's default venue
+  created_at  timestamptz default now()
+);
+
+create table if not exists planned_sessions (
+  id          text primary key,
+  course_id   text not null references courses(id) on delete cascade,
+  date        date not null,
+  start_time  text not null,
+  room        text not null default '',
+  status      text not null default 'planned', -- 'planned' | 'cancelled'
+  session_id  text references sessions(id) on delete set null,
+  created_at  timestamptz default now(),
+  unique (course_id, date, start_time)
+);
+
+-- ─── Notifications ────────────────────────────────────────────────────────────
+-- Closing a session queues a message for every student it pushes into the
+-- course policy's At Risk or Critical band (see queue_attendance_alerts), plus a digest for the lecturer. The app
+-- delivers the queue through the transport chosen here (notify.js).
+create table if not exists notification_settings (
+  id               integer primary key default 1,
+  enabled          boolean not null default false,   -- off until the admin has chosen a transport
+  transport        text not null default 'stub',     -- 'stub' | 'webhook'
+  webhook_url      text not null default '',
+  webhook_secret   text not null default '',         -- signs webhook bodies (sign_webhook_body); only the admin reads it
+  student_channels text[] not null default '{email}', -- any of 'email', 'sms'
+  lecturer_digest  boolean not null default true,
+  min_sessions     integer not null default 3,        -- no alerts before this many classes count
+  updated_at       timestamptz default now(),
+  constraint single_row check (id = 1)
+);
+insert into notification_settings (id) values (1) on conflict do nothing;
+
+-- {{placeholders}} are filled in by notify.js from the notification's vars
+create table if not exists notification_templates (
+  kind        text not null,                   -- 'at_risk' | 'critical' | 'digest'
+  channel     text not null,                   -- 'email' | 'sms'
+  subject     text not null default '',        -- unused for sms
+  body        text not null,
+  updated_at  timestamptz default now(),
+  primary key (kind, channel)
+);
+insert into notification_templates (kind, channel, subject, body) values
+  ('at_risk', 'email', 'Attendance warning: {{course_code}} is at {{pct}}%',
+   E'Dear {{student_name}},\n\nYour attendance in {{course_code}} {{course_name}} has dropped to {{pct}}% ({{attended}} of {{counted}} classes). The Faculty requires at least {{good_standing_pct}}%.\n\nPlease attend every remaining class, and speak to your lecturer if something is keeping you away.\n\n{{lecturer_name}}'),
+  ('at_risk', 'sms', '',
+   '{{course_code}}: your attendance is {{pct}}%, below the {{good_standing_pct}}% requirement. Please attend every remaining class. - {{lecturer_name}}'),
+  ('critical', 'email', 'Urgent: {{course_code}} attendance is {{pct}}%',
+   E'Dear {{student_name}},\n\nYour attendance in {{course_code}} {{course_name}} is now {{pct}}% ({{attended}} of {{counted}} classes) — below {{critical_below_pct}}%. You are at serious risk of not meeting the {{good_standing_pct}}% requirement for this course.\n\nPlease contact your lecturer as soon as possible.\n\n{{lecturer_name}}'),
+  ('critical', 'sms', '',
+   'URGENT {{course_code}}: your attendance is {{pct}}%, below {{critical_below_pct}}%. Contact {{lecturer_name}} as soon as possible.'),
+  ('digest', 'email', '{{course_code}} attendance alerts — {{session_date}}',
+   E'Hello {{lecturer_name}},\n\nAfter the {{course_code}} class on {{session_date}}, {{count}} student(s) fell below an attendance threshold:\n\n{{students}}\n\nThe Reports tab has the full register and each student''s notification history.')
+on conflict (kind, channel) do nothing;
+
+create table if not exists notifications (
+  id           bigint generated always as identity primary key,
+  kind         text not null,                  -- 'at_risk' | 'critical' | 'digest'
+  channel      text not null,                  -- 'email' | 'sms'
+  recipient    text not null,                  -- 'student' | 'lecturer'
+  student_no   text,
+  lecturer_id  text references lecturers(id) on delete cascade,
+  course_id    text not null references courses(id) on delete cascade,
+  session_id   text references sessions(id) on delete set null,
+  to_address   text not null default '',
+  vars         jsonb not null default '{}',
+  status       text not null default 'queued', -- 'queued' | 'sending' | 'sent' | 'failed' | 'skipped'
+  attempts     integer not null default 0,
+  subject      text,                           -- as rendered when last sent
+  body         text,
+  transport    text,
+  error        text,
+  created_at   timestamptz default now(),
+  claimed_at   timestamptz,
+  sent_at      timestamptz
+);
+
+-- ─── Audit log ────────────────────────────────────────────────────────────────
+-- Who changed what, from which device, with the row as it was before and
+-- after. Append-only: written by write_audit() (see "Audit trail" below) and
+-- never updated or deleted.
+create table if not exists audit_log (
+  id          bigint generated always as identity primary key,
+  at          timestamptz not null default now(),
+  actor       text not null,                   -- lecturer id, 'admin', or a student number
+  actor_role  text not null default 'public',  -- 'admin' | 'lecturer' | 'student' | 'public' (checked in without signing in)
+  actor_name  text not null default '',
+  action      text not null,                   -- '<entity>.create' | '.update' | '.delete', or e.g. 'session.close', 'session.void'
+  entity      text not null,                   -- 'session', 'scan', 'lecturer', 'enrolment'…
+  entity_id   text not null,                   -- the row's key; rows about a student end in their student number
+  course_id   text,                            -- kept after the course is gone
+  reason      text not null default '',
+  before      jsonb,
+  after       jsonb,
+  device      text,                            -- the browser's device id (x-device-id header)
+  user_agent  text
+);
+
+-- ─── Columns added since the first release ───────────────────────────────────
+-- The tables above are created complete; a database made from an older
+-- version of this file gets the newer columns here, before any function,
+-- policy or index below refers to them. When upgrading, run this section
+-- before the rest (see "Upgrading an existing database" at the end).
+alter table courses  add column if not exists qr_rotate_seconds integer not null default 20;
+alter table courses  add column if not exists qr_grace_seconds  integer not null default 40;
+alter table sessions add column if not exists qr_rotate_seconds integer not null default 20;
+alter table sessions add column if not exists qr_grace_seconds  integer not null default 40;
+alter table courses  add column if not exists geofence_radius_m integer not null default 150;
+alter table courses  add column if not exists geofence_mode     text not null default 'flag';
+alter table sessions add column if not exists geofence_radius_m integer not null default 150;
+alter table sessions add column if not exists geofence_mode     text not null default 'flag';
+alter table scans    add column if not exists distance_m    double precision;
+alter table scans    add column if not exists location_flag text;
+alter table courses  add column if not exists session_duration_minutes integer not null default 90;
+alter table courses  add column if not exists late_after_minutes integer not null default 10;
+alter table courses  add column if not exists checkin_window_minutes integer;
+alter table sessions add column if not exists ends_at timestamptz;
+alter table sessions add column if not exists checkin_closes_at timestamptz;
+alter table sessions add column if not exists late_after_minutes integer not null default 10;
+alter table sessions add column if not exists closed_at timestamptz;
+alter table sessions add column if not exists close_reason text;
+alter table courses  add column if not exists semester_start date;
+alter table courses  add column if not exists semester_end date;
+alter table courses  add column if not exists holidays date[] not null default '{}';
+alter table scans    add column if not exists synced_at timestamptz;
+alter table pending_scans add column if not exists synced_at timestamptz;
+alter table scans    add column if not exists source text not null default 'qr';
+alter table pending_scans add column if not exists source text not null default 'qr';
+alter table students add column if not exists email text not null default '';
+alter table students add column if not exists phone text not null default '';
+alter table students add column if not exists full_name text not null default '';
+alter table students add column if not exists programme text not null default '';
+alter table courses  add column if not exists archived_at timestamptz;
+alter table enrolments add column if not exists group_id text references course_groups(id) on delete set null;
+alter table sessions add column if not exists group_ids text[] not null default '{}';
+alter table audit_log add column if not exists actor_role text not null default 'public';
+alter table audit_log add column if not exists device     text;
+alter table audit_log add column if not exists user_agent text;
+alter table scans    add column if not exists device_id text;
+alter table scans    add column if not exists review text;
+alter table scans    add column if not exists reviewed_by text;
+alter table scans    add column if not exists reviewed_at timestamptz;
+alter table pending_scans add column if not exists device_id text;
+alter table sessions add column if not exists starts_at timestamptz;
+alter table sessions add column if not exists offline_checkins boolean not null default false;
+alter table notification_settings alter column enabled set default false;
+alter table scans         add column if not exists device_print text;
+alter table pending_scans add column if not exists device_print text;
+
+-- ─── Authentication ───────────────────────────────────────────────────────────
+-- Passwords are bcrypt-hashed and only ever checked inside the database.
+-- app_login() returns an opaque session token; the app sends it with every
+-- request in the "x-session-token" header and the RLS policies below read the
+-- caller's role from it via app_role() / app_lecturer_id().
+
+create extension if not exists pgcrypto with schema extensions;
+
+create table if not exists app_sessions (
+  token_hash  text primary key,                -- sha256 of the token, never the token itself
+  role        text not null,                   -- 'admin' | 'lecturer' | 'student'
+  lecturer_id text references lecturers(id) on delete cascade,
+  student_id  text references students(id) on delete cascade,
+  created_at  timestamptz default now(),
+  expires_at  timestamptz not null
+);
+alter table app_sessions add column if not exists student_id text references students(id) on delete cascade;
+
+-- Student portal logins. A lecturer issues a one-time activation code; the
+-- student redeems it with their student number and chooses a password.
+create table if not exists student_credentials (
+  student_id            text primary key references students(id) on delete cascade,
+  password_hash         text,                  -- null until the portal is activated
+  activation_hash       text,                  -- bcrypt of the outstanding activation code
+  activation_expires_at timestamptz,
+  updated_at            timestamptz default now()
+);
+
+create or replace function current_app_session() returns app_sessions
+language sql stable security definer set search_path = public, extensions as $$
+  select * from app_sessions
+  where token_hash = encode(digest(coalesce(current_setting('request.headers', true)::json->>'x-session-token', ''), 'sha256'), 'hex')
+    and expires_at > now()
+$$;
+
+create or replace function app_role() returns text
+language sql stable as $$ select (current_app_session()).role $$;
+
+create or replace function app_lecturer_id() returns text
+language sql stable as $$ select (current_app_session()).lecturer_id $$;
+
+create or replace function app_student_id() returns text
+language sql stable as $$ select (current_app_session()).student_id $$;
+
+create or replace function is_admin() returns boolean
+language sql stable as $$ select coalesce(app_role() = 'admin', false) $$;
+
+-- 'owner' | 'co_lecturer' | 'tutor' | null for the caller; the admin counts as owner
+create or replace function course_role(p_course_id text) returns text
+language sql stable security definer set search_path = public as $$
+  select case
+    when is_admin() then 'owner'
+    when exists (select 1 from courses where id = p_course_id and lecturer_id = app_lecturer_id()) then 'owner'
+    else (select role from course_staff where course_id = p_course_id and lecturer_id = app_lecturer_id())
+  end
+$$;
+
+-- Permissions: 'view' (course, roster, register, reports), 'run' (sessions),
+-- 'roster' (enrol, groups), 'register' (overrides, other people's sessions),
+-- 'settings' (course details, timetable, policy), 'manage' (staff, archive, rollover).
+-- Same table as COURSE_ROLES in helpers.js
+create or replace function can_course(p_course_id text, p_permission text) returns boolean
+language sql stable security definer set search_path = public as $$
+  select coalesce(case course_role(p_course_id)
+    when 'owner' then true
+    when 'co_lecturer' then p_permission in ('view', 'run', 'roster', 'register', 'settings')
+    when 'tutor' then p_permission in ('view', 'run')
+  end, false)
+$$;
+
+create or replace function can_session(p_session_id text, p_permission text) returns boolean
+language sql stable security definer set search_path = public as $$
+  select exists (select 1 from sessions where id = p_session_id and can_course(course_id, p_permission))
+$$;
+
+-- May act on a session: whoever ran it, or anyone allowed to edit the course's register
+create or replace function owns_session(p_session_id text) returns boolean
+language sql stable security definer set search_path = public as $$
+  select is_admin() or exists (select 1 from sessions where id = p_session_id and lecturer_id = app_lecturer_id())
+    or can_session(p_session_id, 'register')
+$$;
+
+create or replace function admin_initialized() returns boolean
+language sql stable security definer set search_path = public as $$
+  select coalesce((select initialized from admin_config where id = 1), false)
+$$;
+
+-- First-run only: refuses once an admin exists
+create or replace function setup_admin(p_username text, p_password text) returns void
+language plpgsql security definer set search_path = public, extensions as $$
+begin
+  if admin_initialized() then raise exception 'already_initialized'; end if;
+  insert into admin_config (id, username, password_hash, initialized)
+  values (1, p_username, crypt(p_password, gen_salt('bf')), true)
+  on conflict (id) do update set username = excluded.username, password_hash = excluded.password_hash,
+    initialized = true, updated_at = now();
+end $$;
+
+-- Returns { token, role, expires_at, lecturer, student } or null when the credentials are wrong
+create or replace function app_login(p_role text, p_login text, p_password text) returns json
+language plpgsql security definer set search_path = public, extensions as $$
+declare
+  lec lecturers%rowtype;
+  stu students%rowtype;
+  tok text := encode(gen_random_bytes(32), 'hex');
+  exp timestamptz := now() + interval '12 hours';
+begin
+  if p_role = 'admin' then
+    perform 1 from admin_config
+      where id = 1 and initialized and username = p_login and password_hash = crypt(p_password, password_hash);
+    if not found then return null; end if;
+  elsif p_role = 'lecturer' then
+    select l.* into lec from lecturers l join lecturer_credentials c on c.lecturer_id = l.id
+      where lower(l.email) = lower(p_login)
+        and exists (select 1 from unnest(c.password_hashes) h where h = crypt(p_password, h));
+    if lec.id is null then return null; end if;
+  elsif p_role = 'student' then
+    select st.* into stu from students st join student_credentials c on c.student_id = st.id
+      where st.student_no = trim(p_login) and c.password_hash = crypt(p_password, c.password_hash);
+    if stu.id is null then return null; end if;
+  else
+    return null;
+  end if;
+
+  delete from app_sessions where expires_at < now();
+  insert into app_sessions (token_hash, role, lecturer_id, student_id, expires_at)
+  values (encode(digest(tok, 'sha256'), 'hex'), p_role, lec.id, stu.id, exp);
+  return json_build_object('token', tok, 'role', p_role, 'expires_at', exp,
+    'lecturer', case when lec.id is null then null else
+      json_build_object('id', lec.id, 'name', lec.name, 'email', lec.email, 'department', lec.department) end,
+    'student', case when stu.id is null then null else
+      json_build_object('id', stu.id, 'student_no', stu.student_no, 'surname_initials', stu.surname_initials) end);
+end $$;
+
+-- Restores a login after a page reload: { role, expires_at, lecturer, student } or null
+create or replace function app_whoami() returns json
+language sql stable security definer set search_path = public as $$
+  select json_build_object('role', a.role, 'expires_at', a.expires_at,
+    'lecturer', case when l.id is null then null else
+      json_build_object('id', l.id, 'name', l.name, 'email', l.email, 'department', l.department) end,
+    'student', case when st.id is null then null else
+      json_build_object('id', st.id, 'student_no', st.student_no, 'surname_initials', st.surname_initials) end)
+  from current_app_session() a
+  left join lecturers l on l.id = a.lecturer_id
+  left join students st on st.id = a.student_id
+  where a.token_hash is not null
+$$;
+
+create or replace function app_logout() returns void
+language sql security definer set search_path = public as $$
+  delete from app_sessions where token_hash = (current_app_session()).token_hash
+$$;
+
+create or replace function change_admin_password(p_current text, p_new text) returns boolean
+language plpgsql security definer set search_path = public, extensions as $$
+begin
+  if not is_admin() then raise exception 'not_authorized'; end if;
+  update admin_config set password_hash = crypt(p_new, gen_salt('bf')), updated_at = now()
+    where id = 1 and password_hash = crypt(p_current, password_hash);
+  if not found then return false; end if;
+  perform write_audit('admin.password', 'admin', 'admin', null, '', null, null);
+  return true;
+end $$;
+
+create or replace function create_lecturer(p_id text, p_name text, p_email text, p_department text, p_passwords text[])
+returns lecturers
+language plpgsql security definer set search_path = public, extensions as $$
+declare r lecturers;
+begin
+  if not is_admin() then raise exception 'not_authorized'; end if;
+  insert into lecturers (id, name, email, department) values (p_id, p_name, p_email, p_department) returning * into r;
+  insert into lecturer_credentials (lecturer_id, password_hashes)
+    values (p_id, array(select crypt(p, gen_salt('bf')) from unnest(p_passwords) p));
+  return r;
+end $$;
+
+-- Replaces all passwords and signs the lecturer out everywhere
+create or replace function set_lecturer_passwords(p_lecturer_id text, p_passwords text[]) returns void
+language plpgsql security definer set search_path = public, extensions as $$
+begin
+  if not is_admin() then raise exception 'not_authorized'; end if;
+  insert into lecturer_credentials (lecturer_id, password_hashes)
+    values (p_lecturer_id, array(select crypt(p, gen_salt('bf')) from unnest(p_passwords) p))
+    on conflict (lecturer_id) do update set password_hashes = excluded.password_hashes, updated_at = now();
+  update lecturers set updated_at = now() where id = p_lecturer_id;
+  delete from app_sessions where lecturer_id = p_lecturer_id;
+  perform write_audit('lecturer.passwords', 'lecturer', p_lecturer_id, null, '', null, null);
+end $$;
+
+-- ─── Audit trail ──────────────────────────────────────────────────────────────
+-- Every insert, update and delete on the tables below is written to audit_log
+-- by a row trigger, whether it came through one of the functions here or a
+-- direct write under RLS. Password changes are logged by the functions that
+-- make them, without the hashes. Rows removed along with their parent (a
+-- course's sessions, a session's scans) are covered by the parent's entry.
+
+-- A header of the current request; the app sends x-device-id with every one (see supabase.js)
+create or replace function request_header(p_name text) returns text
+language sql stable as $$ select current_setting('request.headers', true)::json->>p_name $$;
+
+-- The actor is whoever is signed in; p_actor / p_actor_name name a student who
+-- checked in without signing in (only their typed student number is known)
+drop function if exists write_audit(text, text, text, text, text, jsonb, jsonb);
+create or replace function write_audit(
+  p_action text, p_entity text, p_entity_id text, p_course_id text, p_reason text, p_before jsonb, p_after jsonb,
+  p_actor text default null, p_actor_name text default null
+) returns void
+language plpgsql security definer set search_path = public as $$
+begin
+  insert into audit_log (actor, actor_role, actor_name, action, entity, entity_id, course_id, reason, before, after, device, user_agent)
+  select case a.role when 'admin' then 'admin' when 'lecturer' then a.lecturer_id when 'student' then st.student_no
+              else coalesce(p_actor, 'anonymous') end,
+         coalesce(a.role, 'public'),
+         coalesce(case a.role when 'admin' then 'Admin' when 'lecturer' then l.name when 'student' then st.surname_initials end, p_actor_name, ''),
+         p_action, p_entity, coalesce(p_entity_id, ''), p_course_id, coalesce(trim(p_reason), ''), p_before, p_after,
+         left(request_header('x-device-id'), 64), left(request_header('user-agent'), 300)
+  from (select 1) one
+  left join current_app_session() a on a.token_hash is not null
+  left join lecturers l on l.id = a.lecturer_id
+  left join students st on st.id = a.student_id;
+end $$;
+
+-- Row trigger: TG_ARGV is the entity name, then the columns that make up entity_id.
+-- Rows pointing at a student get their student_no added, so the trail can be
+-- searched by student number. Functions that log a change themselves switch
+-- it off for their transaction with set_config('app.audit_rows', 'off', true).
+create or replace function audit_row() returns trigger
+language plpgsql security definer set search_path = public as $$
+declare
+  b   jsonb := case when tg_op <> 'INSERT' then to_jsonb(old) - 'webhook_secret' end;
+  r   jsonb := case when tg_op <> 'DELETE' then to_jsonb(new) - 'webhook_secret' end;
+  rec jsonb;
+  act text := case tg_op when 'INSERT' then 'create' when 'UPDATE' then 'update' else 'delete' end;
+begin
+  if pg_trigger_depth() > 1 or current_setting('app.audit_rows', true) = 'off' then return null; end if;
+  if tg_op = 'UPDATE' and b - 'updated_at' = r - 'updated_at' then return null; end if;
+  rec := coalesce(r, b);
+  if rec ? 'student_id' then
+    rec := rec || jsonb_build_object('student_no', (select student_no from students where id = rec->>'student_id'));
+    b := b || jsonb_build_object('student_no', rec->'student_no');
+    r := r || jsonb_build_object('student_no', rec->'student_no');
+  end if;
+  if tg_table_name = 'sessions' and tg_op = 'INSERT' then act := 'start';
+  elsif tg_table_name = 'sessions' and b->>'status' = 'active' and r->>'status' = 'closed' then act := 'close';
+  end if;
+  perform write_audit(tg_argv[0] || '.' || act, tg_argv[0],
+    (select string_agg(rec->>k, ':') from unnest(tg_argv[1:]) k),
+    case when tg_table_name = 'courses' then rec->>'id'
+         when tg_table_name = 'attendance_policies' then case when rec->>'scope' = 'course' then rec->>'scope_key' end
+         else coalesce(rec->>'course_id', (select course_id from sessions where id = rec->>'session_id')) end,
+    coalesce(r->>'reason', r->>'close_reason', ''), b, r, rec->>'student_no', rec->>'surname_initials');
+  return null;
+end $$;
+
+drop trigger if exists trg_audit on lecturers;
+create trigger trg_audit after insert or update or delete on lecturers for each row execute function audit_row('lecturer', 'id');
+drop trigger if exists trg_audit on courses;
+create trigger trg_audit after insert or update or delete on courses for each row execute function audit_row('course', 'id');
+drop trigger if exists trg_audit on course_staff;
+create trigger trg_audit after insert or update or delete on course_staff for each row execute function audit_row('staff', 'course_id', 'lecturer_id');
+drop trigger if exists trg_audit on course_groups;
+create trigger trg_audit after insert or update or delete on course_groups for each row execute function audit_row('group', 'id');
+drop trigger if exists trg_audit on students;
+create trigger trg_audit after insert or update or delete on students for each row execute function audit_row('student', 'student_no');
+drop trigger if exists trg_audit on enrolments;
+create trigger trg_audit after insert or update or delete on enrolments for each row execute function audit_row('enrolment', 'course_id', 'student_no');
+drop trigger if exists trg_audit on sessions;
+create trigger trg_audit after insert or update or delete on sessions for each row execute function audit_row('session', 'id');
+drop trigger if exists trg_audit on scans;
+create trigger trg_audit after insert or update or delete on scans for each row execute function audit_row('scan', 'session_id', 'student_no');
+drop trigger if exists trg_audit on pending_scans;
+create trigger trg_audit after insert or update or delete on pending_scans for each row execute function audit_row('pending_scan', 'session_id', 'student_no');
+drop trigger if exists trg_audit on attendance_overrides;
+create trigger trg_audit after insert or update or delete on attendance_overrides for each row execute function audit_row('override', 'session_id', 'student_no');
+drop trigger if exists trg_audit on attendance_policies;
+create trigger trg_audit after insert or update or delete on attendance_policies for each row execute function audit_row('policy', 'scope', 'scope_key');
+drop trigger if exists trg_audit on timetable_slots;
+create trigger trg_audit after insert or update or delete on timetable_slots for each row execute function audit_row('timetable', 'id');
+drop trigger if exists trg_audit on planned_sessions;
+create trigger trg_audit after update on planned_sessions for each row execute function audit_row('planned', 'id');
+drop trigger if exists trg_audit on notification_settings;
+create trigger trg_audit after insert or update or delete on notification_settings for each row execute function audit_row('notification_settings', 'id');
+drop trigger if exists trg_audit on notification_templates;
+create trigger trg_audit after insert or update or delete on notification_templates for each row execute function audit_row('template', 'kind', 'channel');
+
+create or replace function audit_log_append_only() returns trigger
+language plpgsql as $$
+begin
+  raise exception 'audit_log_append_only';
+end $$;
+
+drop trigger if exists trg_audit_log_append_only on audit_log;
+create trigger trg_audit_log_append_only before update or delete or truncate on audit_log
+  for each statement execute function audit_log_append_only();
+
+-- ─── Attendance policy ────────────────────────────────────────────────────────
+create or replace function policy_layer(p_scope text, p_key text) returns jsonb
+language sql stable security definer set search_path = public as $$
+  select coalesce((select jsonb_strip_nulls(to_jsonb(p) - 'scope' - 'scope_key' - 'updated_at')
+                   from attendance_policies p where scope = p_scope and scope_key = p_key), '{}')
+$$;
+
+-- The policy in force for a course: the defaults, overlaid by the faculty,
+-- department and course levels. Same shape as DEFAULT_POLICY in helpers.js;
+-- an absent_after_minutes of 0 ("no cut-off") comes out as null.
+create or replace function course_policy(p_course_id text) returns jsonb
+language sql stable security definer set search_path = public as $$
+  select m || jsonb_build_object('absent_after_minutes', nullif((m->>'absent_after_minutes')::integer, 0))
+  from (
+    select jsonb_build_object('late_after_minutes', 10, 'absent_after_minutes', 0, 'late_weight', 1,
+             'excused_counts_as', 'excluded', 'good_standing_pct', 80, 'critical_below_pct', 60)
+        || policy_layer('faculty', '') || policy_layer('department', c.department) || policy_layer('course', c.id) as m
+    from courses c where c.id = p_course_id
+  ) merged
+$$;
+
+-- { course_id: policy } for the caller's courses among p_course_ids
+create or replace function course_policies(p_course_ids text[]) returns jsonb
+language sql stable security definer set search_path = public as $$
+  select coalesce(jsonb_object_agg(id, course_policy(id)), '{}') from courses
+  where id = any(p_course_ids) and can_course(id, 'view')
+$$;
+
+-- ─── Student portal ───────────────────────────────────────────────────────────
+
+-- Returns a fresh activation code (valid 14 days) for a student enrolled in one of
+-- the caller's courses. Redeeming a code replaces the password, so once the student
+-- has activated the portal only the admin may issue another ('portal_already_active'):
+-- otherwise anyone able to enrol a student number in their own course could take
+-- over that student's login.
+create or replace function issue_student_activation_code(p_student_no text) returns text
+language plpgsql security definer set search_path = public, extensions as $$
+declare
+  st students;
+  code text := upper(encode(gen_random_bytes(5), 'hex'));
+begin
+  select * into st from students where student_no = p_student_no;
+  if st.id is null then raise exception 'student_not_found'; end if;
+  if not (is_admin() or exists (select 1 from enrolments e where e.student_id = st.id and can_course(e.course_id, 'roster'))) then
+    raise exception 'not_authorized';
+  end if;
+  if not is_admin() and exists (select 1 from student_credentials where student_id = st.id and password_hash is not null) then
+    raise exception 'portal_already_active';
+  end if;
+  insert into student_credentials (student_id, activation_hash, activation_expires_at)
+  values (st.id, crypt(code, gen_salt('bf')), now() + interval '14 days')
+  on conflict (student_id) do update set activation_hash = excluded.activation_hash,
+    activation_expires_at = excluded.activation_expires_at, updated_at = now();
+  return code;
+end $$;
+
+-- Redeems an activation code: sets the password, signs out other devices and
+-- returns the same result as app_login() — or null for a wrong/expired code
+create or replace function activate_student_portal(p_student_no text, p_code text, p_password text) returns json
+language plpgsql security definer set search_path = public, extensions as $$
+declare stu students;
+begin
+  if length(coalesce(p_password, '')) < 8 then raise exception 'password_too_short'; end if;
+  select st.* into stu from students st join student_credentials c on c.student_id = st.id
+    where st.student_no = trim(p_student_no) and c.activation_expires_at > now()
+      and c.activation_hash = crypt(upper(trim(p_code)), c.activation_hash);
+  if stu.id is null then return null; end if;
+  update student_credentials set password_hash = crypt(p_password, gen_salt('bf')),
+    activation_hash = null, activation_expires_at = null, updated_at = now()
+    where student_id = stu.id;
+  delete from app_sessions where student_id = stu.id;
+  return app_login('student', stu.student_no, p_password);
+end $$;
+
+-- The signed-in student's own record: one entry per enrolled course with its
+-- sessions, each carrying only this student's scan and override (the same shape
+-- getSessions() returns, so studentCourseStats() works on it unchanged)
+create or replace function get_my_attendance() returns json
+language sql stable security definer set search_path = public as $$
+  select coalesce(json_agg(json_build_object(
+    'course', json_build_object('id', c.id, 'code', c.code, 'name', c.name, 'year', c.year,
+      'semester', c.semester, 'total_planned_classes', c.total_planned_classes, 'policy', course_policy(c.id)),
+    'sessions', coalesce((
+      select json_agg(json_build_object(
+        'id', s.id, 'course_id', s.course_id, 'date', s.date, 'start_time', s.start_time, 'room', s.room,
+        'scans', coalesce((select json_agg(json_build_object('student_no', sc.student_no, 'status', sc.status,
+          'minutes_late', sc.minutes_late, 'scanned_at', sc.scanned_at))
+          from scans sc where sc.session_id = s.id and sc.student_no = st.student_no), '[]'),
+        'attendance_overrides', coalesce((select json_agg(json_build_object('student_no', o.student_no,
+          'status', o.status, 'reason', o.reason))
+          from attendance_overrides o where o.session_id = s.id and o.student_no = st.student_no), '[]')
+      ) order by s.date, s.start_time)
+      from sessions s where s.course_id = c.id and s.status <> 'void' and (cardinality(s.group_ids) = 0 or e.group_id = any(s.group_ids))), '[]')
+  ) order by c.code), '[]')
+  from students st
+  join enrolments e on e.student_id = st.id
+  join courses c on c.id = e.course_id
+  where st.id = app_student_id()
+$$;
+
+-- Creates the student if needed and enrols them in a course the caller may
+-- manage the roster of. A null email / phone / full name / programme keeps
+-- whatever is already on file. p_group names the student's tutorial group in
+-- the course (created if new); null keeps their group, '' takes them out of it.
+drop function if exists enrol_student(text, text, text);
+drop function if exists enrol_student(text, text, text, text, text);
+drop function if exists enrol_student(text, text, text, text, text, text, text);
+create or replace function enrol_student(
+  p_student_no text, p_surname_initials text, p_course_id text, p_email text default null, p_phone text default null,
+  p_full_name text default null, p_programme text default null, p_group text default null
+) returns students
+language plpgsql security definer set search_path = public, extensions as $$
+declare
+  r students;
+  grp text;
+begin
+  if not can_course(p_course_id, 'roster') then raise exception 'not_authorized'; end if;
+  insert into students (id, student_no, surname_initials, email, phone, full_name, programme)
+    values ('S_' || p_student_no, p_student_no, p_surname_initials, coalesce(trim(p_email), ''), coalesce(trim(p_phone), ''),
+            coalesce(trim(p_full_name), ''), coalesce(trim(p_programme), ''))
+    on conflict (student_no) do update set surname_initials = excluded.surname_initials,
+      email = coalesce(trim(p_email), students.email), phone = coalesce(trim(p_phone), students.phone),
+      full_name = coalesce(trim(p_full_name), students.full_name), programme = coalesce(trim(p_programme), students.programme)
+    returning * into r;
+  if nullif(trim(p_group), '') is not null then
+    insert into course_groups (id, course_id, name) values (encode(gen_random_bytes(8), 'hex'), p_course_id, trim(p_group))
+      on conflict (course_id, name) do nothing;
+    select id into grp from course_groups where course_id = p_course_id and name = trim(p_group);
+  end if;
+  insert into enrolments (student_id, course_id, group_id) values (r.id, p_course_id, grp)
+    on conflict (student_id, course_id) do update
+      set group_id = case when p_group is null then enrolments.group_id else excluded.group_id end;
+  return r;
+end $$;
+
+-- Enrols a whole class list in one call. p_students is a jsonb array of
+-- { student_no, surname_initials, email, phone, full_name, programme, group }.
+-- Returns [{ student_no, ok, error }] in the same order. Unless
+-- p_continue_on_error, one failed row undoes every row and the others come
+-- back with error 'rolled_back'.
+create or replace function enrol_students(p_course_id text, p_students jsonb, p_continue_on_error boolean default false)
+returns jsonb
+language plpgsql security definer set search_path = public as $$
+declare
+  s jsonb;
+  results jsonb := '[]';
+  failed integer := 0;
+begin
+  if not can_course(p_course_id, 'roster') then raise exception 'not_authorized'; end if;
+  begin
+    for s in select * from jsonb_array_elements(p_students) loop
+      begin
+        perform enrol_student(s->>'student_no', s->>'surname_initials', p_course_id,
+                              s->>'email', s->>'phone', s->>'full_name', s->>'programme', s->>'group');
+        results := results || jsonb_build_object('student_no', s->>'student_no', 'ok', true);
+      exception when others then
+        failed := failed + 1;
+        results := results || jsonb_build_object('student_no', s->>'student_no', 'ok', false, 'error', sqlerrm);
+      end;
+    end loop;
+    if failed > 0 and not p_continue_on_error then raise exception 'roster_rolled_back'; end if;
+  exception when others then
+    if sqlerrm <> 'roster_rolled_back' then raise; end if;
+    -- everything written inside this block is undone; the variables are not
+    select jsonb_agg(case when (r->>'ok')::boolean then r || '{"ok": false, "error": "rolled_back"}' else r end order by i)
+      into results from jsonb_array_elements(results) with ordinality as t(r, i);
+  end;
+  return results;
+end $$;
+
+create or replace function set_attendance_override(
+  p_session_id text, p_student_no text, p_status text, p_reason text, p_evidence text
+) returns attendance_overrides
+language plpgsql security definer set search_path = public as $$
+declare
+  actor text := coalesce(app_lecturer_id(), 'admin');
+  r attendance_overrides;
+begin
+  if not can_session(p_session_id, 'register') then raise exception 'not_authorized'; end if;
+  if coalesce(trim(p_reason), '') = '' then raise exception 'reason_required'; end if;
+  insert into attendance_overrides (session_id, student_no, status, reason, evidence, set_by, set_by_name)
+  values (p_session_id, p_student_no, p_status, trim(p_reason), coalesce(p_evidence, ''), actor,
+          coalesce((select name from lecturers where id = actor), 'Admin'))
+  on conflict (session_id, student_no) do update set
+    status = excluded.status, reason = excluded.reason, evidence = excluded.evidence,
+    set_by = excluded.set_by, set_by_name = excluded.set_by_name, updated_at = now()
+  returning * into r;
+  return r;
+end $$;
+
+create or replace function clear_attendance_override(p_session_id text, p_student_no text) returns void
+language plpgsql security definer set search_path = public as $$
+begin
+  if not can_session(p_session_id, 'register') then raise exception 'not_authorized'; end if;
+  delete from attendance_overrides where session_id = p_session_id and student_no = p_student_no;
+end $$;
+
+-- ─── Correcting sessions ──────────────────────────────────────────────────────
+-- For whoever ran the session or may correct the course's register. Every
+-- change needs a reason and is written to audit_log as one entry (the row
+-- triggers stand down for it). p_start_at is the new
+-- start as the lecturer's device reads date + start_time (the database does
+-- not know the campus time zone); it becomes the session's starts_at and
+-- scans are judged late against it, as scan_lateness() does at check-in.
+
+create or replace function edit_session(
+  p_session_id text, p_date date, p_start_time text, p_room text, p_start_at timestamptz, p_reason text
+) returns sessions
+language plpgsql security definer set search_path = public as $$
+declare
+  old sessions;
+  r sessions;
+begin
+  if not owns_session(p_session_id) then raise exception 'not_authorized'; end if;
+  if coalesce(trim(p_reason), '') = '' then raise exception 'reason_required'; end if;
+  if p_start_time !~ '^\d{2}:\d{2}$' then raise exception 'invalid_start_time'; end if;
+  perform set_config('app.audit_rows', 'off', true);
+  select * into old from sessions where id = p_session_id;
+  update sessions set date = p_date, start_time = p_start_time, starts_at = p_start_at, room = coalesce(trim(p_room), '')
+    where id = p_session_id returning * into r;
+  if old.date <> r.date or old.start_time <> r.start_time then
+    update scans set
+      minutes_late = greatest(0, round(extract(epoch from scanned_at - p_start_at) / 60))::integer,
+      status = case when extract(epoch from scanned_at - p_start_at) / 60 <= r.late_after_minutes then 'present' else 'late' end
+    where session_id = p_session_id;
+  end if;
+  perform write_audit('session.edit', 'session', r.id, r.course_id, p_reason, to_jsonb(old), to_jsonb(r));
+  return r;
+end $$;
+
+-- A void session stays in the register but counts for nobody; p_void false restores it
+create or replace function void_session(p_session_id text, p_void boolean, p_reason text) returns sessions
+language plpgsql security definer set search_path = public as $$
+declare
+  old sessions;
+  r sessions;
+begin
+  if not owns_session(p_session_id) then raise exception 'not_authorized'; end if;
+  if coalesce(trim(p_reason), '') = '' then raise exception 'reason_required'; end if;
+  select * into old from sessions where id = p_session_id;
+  if old.status = 'active' then raise exception 'session_active'; end if;
+  perform set_config('app.audit_rows', 'off', true);
+  update sessions set status = case when p_void then 'void' else 'closed' end
+    where id = p_session_id returning * into r;
+  perform write_audit(case when p_void then 'session.void' else 'session.restore' end, 'session', r.id, r.course_id,
+                      p_reason, to_jsonb(old), to_jsonb(r));
+  return r;
+end $$;
+
+-- Folds a duplicate session into another of the same course and deletes it.
+-- A student who checked in to both keeps their earlier check-in (pending
+-- check-ins of unenrolled numbers likewise); an override already on the kept
+-- session wins. p_start_at is the kept session's start.
+create or replace function merge_sessions(p_keep_id text, p_merge_id text, p_start_at timestamptz, p_reason text) returns sessions
+language plpgsql security definer set search_path = public as $$
+declare
+  keep sessions;
+  gone sessions;
+  moved integer;
+  r sessions;
+begin
+  if p_keep_id = p_merge_id then raise exception 'same_session'; end if;
+  if not (owns_session(p_keep_id) and owns_session(p_merge_id)) then raise exception 'not_authorized'; end if;
+  if coalesce(trim(p_reason), '') = '' then raise exception 'reason_required'; end if;
+  select * into keep from sessions where id = p_keep_id;
+  select * into gone from sessions where id = p_merge_id;
+  if keep.course_id <> gone.course_id then raise exception 'different_courses'; end if;
+  if gone.status = 'active' then raise exception 'session_active'; end if;
+
+  perform set_config('app.audit_rows', 'off', true);
+  delete from scans k using scans g
+    where k.session_id = keep.id and g.session_id = gone.id and g.student_no = k.student_no and g.scanned_at < k.scanned_at;
+  update scans set
+    session_id = keep.id,
+    minutes_late = greatest(0, round(extract(epoch from scanned_at - p_start_at) / 60))::integer,
+    status = case when extract(epoch from scanned_at - p_start_at) / 60 <= keep.late_after_minutes then 'present' else 'late' end
+    where session_id = gone.id and student_no not in (select student_no from scans where session_id = keep.id);
+  get diagnostics moved = row_count;
+  update attendance_overrides set session_id = keep.id
+    where session_id = gone.id and student_no not in (select student_no from attendance_overrides where session_id = keep.id);
+  delete from pending_scans k using pending_scans g
+    where k.session_id = keep.id and g.session_id = gone.id and g.student_no = k.student_no and g.scanned_at < k.scanned_at;
+  update pending_scans set
+    session_id = keep.id,
+    minutes_late = greatest(0, round(extract(epoch from scanned_at - p_start_at) / 60))::integer,
+    status = case when extract(epoch from scanned_at - p_start_at) / 60 <= keep.late_after_minutes then 'present' else 'late' end
+    where session_id = gone.id and student_no not in (select student_no from pending_scans where session_id = keep.id);
+  update planned_sessions set session_id = keep.id
+    where session_id = gone.id and not exists (select 1 from planned_sessions where session_id = keep.id);
+  update notifications set session_id = keep.id where session_id = gone.id;
+  delete from sessions where id = gone.id;
+
+  select * into r from sessions where id = keep.id;
+  perform write_audit('session.merge', 'session', keep.id, keep.course_id, p_reason,
+                      jsonb_build_object('kept', to_jsonb(keep), 'merged', to_jsonb(gone)),
+                      to_jsonb(r) || jsonb_build_object('scans_moved', moved));
+  return r;
+end $$;
+
+-- For test sessions and false starts. The audit entry keeps the session with its
+-- scans and overrides, so nothing is lost beyond recovery.
+create or replace function delete_session(p_session_id text, p_reason text) returns void
+language plpgsql security definer set search_path = public as $$
+declare old sessions;
+begin
+  if not owns_session(p_session_id) then raise exception 'not_authorized'; end if;
+  if coalesce(trim(p_reason), '') = '' then raise exception 'reason_required'; end if;
+  perform set_config('app.audit_rows', 'off', true);
+  select * into old from sessions where id = p_session_id;
+  perform write_audit('session.delete', 'session', old.id, old.course_id, p_reason,
+    to_jsonb(old) || jsonb_build_object(
+      'scans', coalesce((select jsonb_agg(to_jsonb(sc) order by sc.scanned_at) from scans sc where sc.session_id = old.id), '[]'),
+      'overrides', coalesce((select jsonb_agg(to_jsonb(o)) from attendance_overrides o where o.session_id = old.id), '[]')),
+    null);
+  delete from sessions where id = p_session_id;
+end $$;
+
+-- ─── Check-in tokens ─────────────────────────────────────────────────────────
+-- The QR code on the lecturer's screen carries a token that changes every
+-- qr_rotate_seconds: "<window>.<hmac>". Each session has its own secret which
+-- the anon key cannot read; tokens are issued and checked by the functions
+-- below, and scans can only be inserted through record_scan().
+
+create table if not exists session_secrets (
+  session_id  text primary key references sessions(id) on delete cascade,
+  secret      text not null default encode(extensions.gen_random_bytes(32), 'hex')
+);
+
+create or replace function create_session_secret() returns trigger
+language plpgsql security definer set search_path = public, extensions as $$
+begin
+  insert into session_secrets (session_id) values (new.id) on conflict do nothing;
+  return new;
+end $$;
+
+drop trigger if exists trg_sessions_secret on sessions;
+create trigger trg_sessions_secret after insert on sessions
+  for each row execute function create_session_secret();
+
+create or replace function checkin_token_sig(p_session_id text, p_window bigint) returns text
+language sql stable security definer set search_path = public, extensions as $$
+  select substr(encode(hmac(p_session_id || ':' || p_window, secret, 'sha256'), 'hex'), 1, 16)
+  from session_secrets where session_id = p_session_id
+$$;
+
+-- Returns { token, expires_at } for the current window of an active session
+create or replace function issue_checkin_token(p_session_id text) returns json
+language plpgsql security definer set search_path = public, extensions as $$
+declare
+  s sessions%rowtype;
+  w bigint;
+begin
+  select * into s from sessions where id = p_session_id;
+  if not owns_session(p_session_id) then raise exception 'not_authorized'; end if;
+  if s.id is null or s.status <> 'active' then raise exception 'session_closed'; end if;
+  w := floor(extract(epoch from now()) / s.qr_rotate_seconds);
+  return json_build_object(
+    'token', w || '.' || checkin_token_sig(s.id, w),
+    'expires_at', to_timestamp((w + 1) * s.qr_rotate_seconds),
+    'rotate_seconds', s.qr_rotate_seconds
+  );
+end $$;
+
+-- 'ok' | 'expired' | 'invalid' | 'closed' — as things stood at p_at, so a scan
+-- captured offline is judged by when it was taken rather than when it synced
+create or replace function checkin_token_state(p_session_id text, p_token text, p_at timestamptz) returns text
+language plpgsql stable security definer set search_path = public, extensions as $$
+declare
+  s sessions%rowtype;
+  w bigint;
+begin
+  select * into s from sessions where id = p_session_id;
+  if s.id is null or p_at > s.ends_at then return 'closed'; end if;
+  if s.status <> 'active' and p_at > coalesce(s.closed_at, s.created_at) then return 'closed'; end if;
+  if p_token is null or p_token !~ '^[0-9]+\.[0-9a-f]{16}$' then return 'invalid'; end if;
+  w := split_part(p_token, '.', 1)::bigint;
+  if w > floor(extract(epoch from p_at) / s.qr_rotate_seconds) then return 'invalid'; end if;
+  if split_part(p_token, '.', 2) is distinct from checkin_token_sig(s.id, w) then return 'invalid'; end if;
+  if p_at > to_timestamp((w + 1) * s.qr_rotate_seconds) + make_interval(secs => s.qr_grace_seconds) then
+    return 'expired';
+  end if;
+  return 'ok';
+end $$;
+
+create or replace function check_checkin_token(p_session_id text, p_token text) returns text
+language sql stable security definer set search_path = public as $$
+  select checkin_token_state(p_session_id, p_token, now())
+$$;
+
+-- Great-circle distance in metres (haversine)
+create or replace function geo_distance_m(lat1 double precision, lng1 double precision, lat2 double precision, lng2 double precision)
+returns double precision language sql immutable as $$
+  select 2 * 6371000 * asin(sqrt(
+    power(sin(radians(lat2 - lat1) / 2), 2) +
+    cos(radians(lat1)) * cos(radians(lat2)) * power(sin(radians(lng2 - lng1) / 2), 2)
+  ))
+$$;
+
+-- What the student check-in page may see about a session (anon has no table access)
+create or replace function get_checkin_session(p_session_id text) returns json
+language sql stable security definer set search_path = public as $$
+  select json_build_object('id', s.id, 'course_id', s.course_id, 'date', s.date, 'start_time', s.start_time,
+    'room', s.room, 'status', case when now() > s.ends_at then 'closed' else s.status end,
+    'ends_at', s.ends_at, 'checkin_closes_at', s.checkin_closes_at, 'late_after_minutes', s.late_after_minutes,
+    'offline_checkins', s.offline_checkins, 'course_code', c.code, 'course_name', c.name)
+  from sessions s join courses c on c.id = s.course_id
+  where s.id = p_session_id
+$$;
+
+-- Present or late, and by how many minutes, for a check-in at p_at — worked out
+-- here from the session's start and late_after_minutes, never taken from the
+-- phone. Sessions from before starts_at was recorded count from created_at.
+create or replace function scan_lateness(p_session_id text, p_at timestamptz, out status text, out minutes_late integer)
+language plpgsql stable security definer set search_path = public as $$
+declare
+  s sessions%rowtype;
+  mins double precision;
+begin
+  select * into s from sessions where id = p_session_id;
+  mins := extract(epoch from p_at - coalesce(s.starts_at, s.created_at)) / 60;
+  minutes_late := greatest(0, round(mins))::integer;
+  status := case when mins <= s.late_after_minutes then 'present' else 'late' end;
+end $$;
+
+-- Returns the scan row as JSON plus "already": true when the student had checked in before.
+-- Numbers not enrolled in the course go to pending_scans instead ("pending": true).
+-- Rejections raise 'checkin_token_<state>', 'checkin_window_closed', 'checkin_out_of_range'
+-- (detail = metres) or 'checkin_no_location' when the session's geofence_mode is 'reject'.
+-- p_captured_at is set for scans queued offline, and synced_at then records the upload.
+-- The phone's clock is only believed when the lecturer has marked the session
+-- offline_checkins (no signal in the room): the token, check-in window, scanned_at
+-- and lateness then use the capture time (never later than now, and never outside
+-- the scanned token's window plus grace). Such uploads are taken until 30 minutes
+-- after the session closed (or its ends_at, if sooner) and within a day of the
+-- capture; later ones raise 'checkin_sync_too_late', so a forwarded screenshot of
+-- the code cannot be replayed once the class is over. Otherwise everything is
+-- judged at now(), so a token is only good for qr_grace_seconds past its window
+-- however the scan is dated.
+drop function if exists record_scan(text, text, text, text, text, integer, double precision, double precision);
+drop function if exists record_scan(text, text, text, text, integer, double precision, double precision);
+drop function if exists record_scan(text, text, text, text, integer, double precision, double precision, timestamptz);
+create or replace function record_scan(
+  p_session_id text, p_token text, p_student_no text,
+  p_lat double precision, p_lng double precision, p_captured_at timestamptz default null
+) returns json
+language plpgsql security definer set search_path = public, extensions as $$
+declare
+  captured timestamptz;
+  synced timestamptz := case when p_captured_at is not null then now() end;
+  device text := left(request_header('x-device-id'), 64);
+  print text := left(request_header('x-device-print'), 64);
+  v text;
+  s sessions%rowtype;
+  dist double precision;
+  flag text;
+  name text;
+  late record;
+  r scans;
+  p pending_scans;
+begin
+  select * into s from sessions where id = p_session_id;
+  captured := case when s.offline_checkins then least(coalesce(p_captured_at, now()), now()) else now() end;
+  if synced is not null and s.offline_checkins
+     and (now() - captured > interval '24 hours' or now() > least(s.closed_at, s.ends_at) + interval '30 minutes') then
+    raise exception 'checkin_sync_too_late';
+  end if;
+  v := checkin_token_state(p_session_id, p_token, captured);
+  if v <> 'ok' then raise exception 'checkin_token_%', v; end if;
+
+  select * into r from scans where session_id = p_session_id and student_no = p_student_no;
+  if r.id is not null then return row_to_json(r)::jsonb || '{"already": true}'; end if;
+  select * into p from pending_scans where session_id = p_session_id and student_no = p_student_no;
+  if p.id is not null then return row_to_json(p)::jsonb || '{"already": true, "pending": true}'; end if;
+  if captured > s.checkin_closes_at then raise exception 'checkin_window_closed'; end if;
+
+  select st.surname_initials into name from students st join enrolments e on e.student_id = st.id
+    where st.student_no = p_student_no and e.course_id = s.course_id;
+
+  if s.lat is not null and p_lat is not null then
+    dist := geo_distance_m(s.lat, s.lng, p_lat, p_lng);
+  end if;
+  if s.geofence_mode <> 'off' and s.lat is not null then
+    if p_lat is null then flag := 'no_location';
+    elsif dist > s.geofence_radius_m then flag := 'out_of_range';
+    end if;
+    if flag is not null and s.geofence_mode = 'reject' then
+      raise exception 'checkin_%', flag using detail = coalesce(round(dist)::text, '');
+    end if;
+  end if;
+
+  select * into late from scan_lateness(p_session_id, captured);
+  if name is null then
+    insert into pending_scans (session_id, student_no, status, minutes_late, lat, lng, distance_m, location_flag, scanned_at, synced_at, device_id, device_print)
+    values (p_session_id, p_student_no, late.status, late.minutes_late, p_lat, p_lng, dist, flag, captured, synced, device, print)
+    returning * into p;
+    return row_to_json(p)::jsonb || '{"already": false, "pending": true}';
+  end if;
+
+  insert into scans (session_id, student_no, surname_initials, status, minutes_late, lat, lng, distance_m, location_flag, scanned_at, synced_at, device_id, device_print)
+  values (p_session_id, p_student_no, name, late.status, late.minutes_late, p_lat, p_lng, dist, flag, captured, synced, device, print)
+  returning * into r;
+  return row_to_json(r)::jsonb || '{"already": false}';
+end $$;
+
+-- Kiosk mode: students check in one after another on the lecturer's own device.
+-- No QR token or location (the device is in the room), otherwise the same rules
+-- as record_scan(); rows are labelled source = 'kiosk'.
+drop function if exists record_kiosk_scan(text, text, text, integer);
+create or replace function record_kiosk_scan(p_session_id text, p_student_no text) returns json
+language plpgsql security definer set search_path = public as $$
+declare
+  s sessions%rowtype;
+  name text;
+  late record;
+  r scans;
+  p pending_scans;
+begin
+  if not owns_session(p_session_id) then raise exception 'not_authorized'; end if;
+  select * into s from sessions where id = p_session_id;
+  if s.status <> 'active' or now() > s.ends_at then raise exception 'session_closed'; end if;
+
+  select * into r from scans where session_id = p_session_id and student_no = p_student_no;
+  if r.id is not null then return row_to_json(r)::jsonb || '{"already": true}'; end if;
+  select * into p from pending_scans where session_id = p_session_id and student_no = p_student_no;
+  if p.id is not null then return row_to_json(p)::jsonb || '{"already": true, "pending": true}'; end if;
+  if now() > s.checkin_closes_at then raise exception 'checkin_window_closed'; end if;
+
+  select st.surname_initials into name from students st join enrolments e on e.student_id = st.id
+    where st.student_no = p_student_no and e.course_id = s.course_id;
+  select * into late from scan_lateness(p_session_id, now());
+  if name is null then
+    insert into pending_scans (session_id, student_no, status, minutes_late, source, device_id)
+    values (p_session_id, p_student_no, late.status, late.minutes_late, 'kiosk', left(request_header('x-device-id'), 64))
+    returning * into p;
+    return row_to_json(p)::jsonb || '{"already": false, "pending": true}';
+  end if;
+
+  insert into scans (session_id, student_no, surname_initials, status, minutes_late, source, device_id)
+  values (p_session_id, p_student_no, name, late.status, late.minutes_late, 'kiosk', left(request_header('x-device-id'), 64))
+  returning * into r;
+  return row_to_json(r)::jsonb || '{"already": false}';
+end $$;
+
+-- Accepting a pending scan credits p_student_no: an enrolled number (the student
+-- mistyped theirs), or a new one that is enrolled here with p_surname_initials.
+-- Returns the new scan, or null if that student had already checked in.
+create or replace function accept_pending_scan(p_id bigint, p_student_no text, p_surname_initials text) returns scans
+language plpgsql security definer set search_path = public as $$
+declare
+  p pending_scans;
+  course text;
+  st students;
+  r scans;
+begin
+  select * into p from pending_scans where id = p_id;
+  if p.id is null then raise exception 'pending_scan_not_found'; end if;
+  if not owns_session(p.session_id) then raise exception 'not_authorized'; end if;
+  select course_id into course from sessions where id = p.session_id;
+
+  select s.* into st from students s join enrolments e on e.student_id = s.id
+    where s.student_no = p_student_no and e.course_id = course;
+  if st.id is null then
+    if coalesce(trim(p_surname_initials), '') = '' then raise exception 'name_required'; end if;
+    st := enrol_student(p_student_no, trim(p_surname_initials), course);
+  end if;
+
+  insert into scans (session_id, student_no, surname_initials, status, minutes_late, lat, lng, distance_m, location_flag, scanned_at, synced_at, source, device_id, device_print)
+  values (p.session_id, st.student_no, st.surname_initials, p.status, p.minutes_late, p.lat, p.lng, p.distance_m, p.location_flag, p.scanned_at, p.synced_at, p.source, p.device_id, p.device_print)
+  on conflict (session_id, student_no) do nothing
+  returning * into r;
+  delete from pending_scans where id = p_id;
+  return r;
+end $$;
+
+create or replace function reject_pending_scan(p_id bigint) returns void
+language plpgsql security definer set search_path = public as $$
+begin
+  if not exists (select 1 from pending_scans where id = p_id and owns_session(session_id)) then
+    raise exception 'not_authorized';
+  end if;
+  delete from pending_scans where id = p_id;
+end $$;
+
+-- The lecturer's verdict on a check-in flagged as a possible proxy (see proxy.js):
+-- 'cleared' (genuine), 'proxy' (the student was not there — also marks them
+-- absent with an override, which needs the 'register' permission) or null to
+-- undo. Changing a 'proxy' verdict removes the override it set.
+create or replace function review_scan(p_scan_id bigint, p_review text, p_note text default '') returns scans
+language plpgsql security definer set search_path = public as $$
+declare r scans;
+begin
+  select * into r from scans where id = p_scan_id;
+  if r.id is null or not owns_session(r.session_id) then raise exception 'not_authorized'; end if;
+  if p_review is not null and p_review not in ('cleared', 'proxy') then raise exception 'invalid_review'; end if;
+  if r.review = 'proxy' and p_review is distinct from 'proxy' then
+    if not can_session(r.session_id, 'register') then raise exception 'not_authorized'; end if;
+    delete from attendance_overrides
+      where session_id = r.session_id and student_no = r.student_no and reason like 'Proxy check-in%';
+  end if;
+  if p_review = 'proxy' then
+    perform set_attendance_override(r.session_id, r.student_no, 'absent',
+      'Proxy check-in' || coalesce(nullif(': ' || trim(p_note), ': '), ''), '');
+  end if;
+  update scans set review = p_review, reviewed_by = case when p_review is null then null else coalesce(app_lecturer_id(), 'admin') end,
+    reviewed_at = case when p_review is null then null else now() end
+    where id = p_scan_id returning * into r;
+  return r;
+end $$;
+
+revoke execute on function checkin_token_sig(text, bigint) from public, anon;
+
+-- ─── Automatic session close ──────────────────────────────────────────────────
+-- Sessions past ends_at already refuse check-ins (see check_checkin_token); this
+-- marks them closed. The app calls it when a lecturer opens the dashboard; to
+-- run it even when nobody has the app open, enable pg_cron (Database →
+-- Extensions) and schedule it:
+--   select cron.schedule('close-expired-sessions', '*/5 * * * *', 'select public.close_expired_sessions()');
+
+create or replace function close_expired_sessions() returns integer
+language plpgsql security definer set search_path = public as $$
+declare n integer;
+begin
+  update sessions set status = 'closed', closed_at = ends_at, close_reason = 'expired'
+    where status = 'active' and ends_at < now();
+  get diagnostics n = row_count;
+  return n;
+end $$;
+
+-- ─── Planned sessions from the timetable ──────────────────────────────────────
+-- Rebuilds the not-yet-conducted planned sessions of a course from its weekly
+-- slots, semester range and holidays. Conducted and cancelled ones are kept.
+-- Returns the number of planned sessions added.
+create or replace function generate_planned_sessions(p_course_id text) returns integer
+language plpgsql security definer set search_path = public, extensions as $$
+declare
+  c courses;
+  n integer;
+begin
+  if not can_course(p_course_id, 'settings') then raise exception 'not_authorized'; end if;
+  select * into c from courses where id = p_course_id;
+  if c.semester_start is null or c.semester_end is null or c.semester_end < c.semester_start then
+    raise exception 'semester_dates_required';
+  end if;
+  delete from planned_sessions where course_id = c.id and status = 'planned' and session_id is null;
+  insert into planned_sessions (id, course_id, date, start_time, room)
+    select encode(gen_random_bytes(8), 'hex'), c.id, d::date, t.start_time, coalesce(nullif(t.room, ''), c.room)
+    from generate_series(c.semester_start, c.semester_end, interval '1 day') d
+    join timetable_slots t on t.course_id = c.id and t.day_of_week = extract(dow from d)
+    where not (d::date = any(c.holidays))
+  on conflict (course_id, date, start_time) do nothing;
+  get diagnostics n = row_count;
+  return n;
+end $$;
+
+-- Copies a course into a new semester: its settings, weekly timetable slots,
+-- course attendance policy, staff and tutorial groups, plus the roster (in
+-- the same groups) when p_keep_roster. The semester dates, holidays and
+-- sessions are not copied. Returns the new course.
+create or replace function rollover_course(
+  p_course_id text, p_new_id text, p_year integer, p_semester text, p_keep_roster boolean
+) returns courses
+language plpgsql security definer set search_path = public, extensions as $$
+declare
+  src courses;
+  r courses;
+begin
+  if not can_course(p_course_id, 'manage') then raise exception 'not_authorized'; end if;
+  select * into src from courses where id = p_course_id;
+  insert into courses (id, lecturer_id, code, name, department, year, semester, total_planned_classes, room,
+                       qr_rotate_seconds, qr_grace_seconds, geofence_radius_m, geofence_mode,
+                       session_duration_minutes, checkin_window_minutes)
+    values (p_new_id, src.lecturer_id, src.code, src.name, src.department, p_year, p_semester, src.total_planned_classes, src.room,
+            src.qr_rotate_seconds, src.qr_grace_seconds, src.geofence_radius_m, src.geofence_mode,
+            src.session_duration_minutes, src.checkin_window_minutes)
+    returning * into r;
+  insert into timetable_slots (id, course_id, day_of_week, start_time, room)
+    select encode(gen_random_bytes(8), 'hex'), r.id, day_of_week, start_time, room from timetable_slots where course_id = src.id;
+  insert into attendance_policies (scope, scope_key, late_after_minutes, absent_after_minutes, late_weight,
+                                   excused_counts_as, good_standing_pct, critical_below_pct)
+    select scope, r.id, late_after_minutes, absent_after_minutes, late_weight, excused_counts_as, good_standing_pct, critical_below_pct
+    from attendance_policies where scope = 'course' and scope_key = src.id;
+  insert into course_staff (course_id, lecturer_id, role)
+    select r.id, lecturer_id, role from course_staff where course_id = src.id;
+  insert into course_groups (id, course_id, name)
+    select encode(gen_random_bytes(8), 'hex'), r.id, name from course_groups where course_id = src.id;
+  if p_keep_roster then
+    insert into enrolments (student_id, course_id, group_id)
+      select e.student_id, r.id, ng.id from enrolments e
+      left join course_groups og on og.id = e.group_id
+      left join course_groups ng on ng.course_id = r.id and ng.name = og.name
+      where e.course_id = src.id;
+  end if;
+  return r;
+end $$;
+
+-- ─── Course staff ─────────────────────────────────────────────────────────────
+-- A co-lecturer may edit a course's details, but handing it to another owner
+-- or archiving it is for the owner (or the admin).
+create or replace function guard_course_update() returns trigger
+language plpgsql security definer set search_path = public as $$
+begin
+  if (new.lecturer_id is distinct from old.lecturer_id or new.archived_at is distinct from old.archived_at)
+     and not can_course(old.id, 'manage') then
+    raise exception 'not_authorized';
+  end if;
+  return new;
+end $$;
+
+drop trigger if exists trg_courses_guard on courses;
+create trigger trg_courses_guard before update on courses
+  for each row execute function guard_course_update();
+
+-- ─── At-risk notifications ────────────────────────────────────────────────────
+-- Same bands as attendanceStatus() in helpers.js
+drop function if exists attendance_band(integer);
+create or replace function attendance_band(p_pct integer, p_policy jsonb) returns text
+language sql immutable as $$
+  select case when p_pct >= (p_policy->>'good_standing_pct')::integer then 'good'
+              when p_pct >= (p_policy->>'critical_below_pct')::integer then 'at_risk' else 'critical' end
+$$;
+
+-- Attended / counted classes per enrolled student over the course's closed
+-- sessions, optionally leaving one out. Mirrors studentCourseStats() under the
+-- course's policy: an override beats the scan, a scan past the absent cut-off
+-- is absent, late earns late_weight and excused follows excused_counts_as.
+drop function if exists course_attendance_totals(text, text);
+create or replace function course_attendance_totals(p_course_id text, p_exclude_session text default null)
+returns table (student_no text, attended numeric, counted integer)
+language sql stable security definer set search_path = public as $$
+  with pol as (select course_policy(p_course_id) as p),
+  marks as (
+    select st.student_no, pol.p,
+           case when o.status is not null then o.status
+                when sc.status = 'late' and sc.minutes_late >= (pol.p->>'absent_after_minutes')::integer then 'absent'
+                when sc.status = 'late' then 'late'
+                when sc.id is not null then 'present'
+                else 'absent' end as mark
+    from pol, enrolments e
+    join students st on st.id = e.student_id
+    join sessions s on s.course_id = e.course_id and s.status = 'closed' and s.id is distinct from p_exclude_session
+                   and (cardinality(s.group_ids) = 0 or e.group_id = any(s.group_ids))
+    left join scans sc on sc.session_id = s.id and sc.student_no = st.student_no
+    left join attendance_overrides o on o.session_id = s.id and o.student_no = st.student_no
+    where e.course_id = p_course_id
+  )
+  select student_no,
+         sum(case mark when 'late' then (p->>'late_weight')::numeric
+                       when 'excused' then (p->>'excused_counts_as' = 'present')::integer
+                       when 'absent' then 0 else 1 end),
+         (count(*) filter (where mark <> 'excused' or p->>'excused_counts_as' <> 'excluded'))::integer
+  from marks
+  group by student_no
+$$;
+
+-- Queues a notification for each student whose band (under the course's
+-- policy) got worse with this session, on every configured channel, and one
+-- digest for the lecturer.
+-- Students with no address on file get a 'skipped' entry so the history shows it.
+-- Returns the number of students flagged.
+create or replace function queue_attendance_alerts(p_session_id text) returns integer
+language plpgsql security definer set search_path = public as $$
+declare
+  cfg notification_settings;
+  s sessions;
+  c courses;
+  l lecturers;
+  pol jsonb;
+  r record;
+  ch text;
+  addr text;
+  before_pct integer;
+  after_pct integer;
+  before_band text;
+  after_band text;
+  lines text[] := '{}';
+begin
+  select * into cfg from notification_settings where id = 1;
+  select * into s from sessions where id = p_session_id;
+  if not coalesce(cfg.enabled, false) or s.id is null then return 0; end if;
+  select * into c from courses where id = s.course_id;
+  select * into l from lecturers where id = c.lecturer_id;
+  pol := course_policy(c.id);
+
+  for r in
+    select st.student_no, st.surname_initials, st.email, st.phone,
+           coalesce(b.attended, 0) as b_att, coalesce(b.counted, 0) as b_cnt,
+           coalesce(a.attended, 0) as a_att, coalesce(a.counted, 0) as a_cnt
+    from enrolments e
+    join students st on st.id = e.student_id
+    left join course_attendance_totals(c.id, s.id) b on b.student_no = st.student_no
+    left join course_attendance_totals(c.id) a on a.student_no = st.student_no
+    where e.course_id = c.id
+  loop
+    before_pct := case when r.b_cnt = 0 then 0 else round(r.b_att * 100.0 / r.b_cnt)::integer end;
+    after_pct  := case when r.a_cnt = 0 then 0 else round(r.a_att * 100.0 / r.a_cnt)::integer end;
+    before_band := case when r.b_cnt < cfg.min_sessions then 'good' else attendance_band(before_pct, pol) end;
+    after_band  := case when r.a_cnt < cfg.min_sessions then 'good' else attendance_band(after_pct, pol) end;
+    continue when after_band = 'good' or after_band = before_band or before_band = 'critical';
+
+    foreach ch in array cfg.student_channels loop
+      addr := case ch when 'email' then r.email else r.phone end;
+      insert into notifications (kind, channel, recipient, student_no, course_id, session_id, to_address, vars, status, error)
+      values (after_band, ch, 'student', r.student_no, c.id, s.id, addr,
+              jsonb_build_object('student_name', r.surname_initials, 'student_no', r.student_no,
+                'course_code', c.code, 'course_name', c.name, 'lecturer_name', coalesce(l.name, ''),
+                'session_date', s.date, 'pct', after_pct, 'previous_pct', before_pct,
+                'attended', r.a_att, 'counted', r.a_cnt,
+                'good_standing_pct', pol->'good_standing_pct', 'critical_below_pct', pol->'critical_below_pct'),
+              case when addr = '' then 'skipped' else 'queued' end,
+              case when addr = '' then 'no ' || case ch when 'email' then 'email address' else 'phone number' end || ' on file' end);
+    end loop;
+    lines := lines || format('%s  %s — %s%% (%s)', r.student_no, r.surname_initials, after_pct,
+                             case after_band when 'critical' then 'Critical' else 'At Risk' end);
+  end loop;
+
+  if cfg.lecturer_digest and cardinality(lines) > 0 and l.id is not null then
+    insert into notifications (kind, channel, recipient, lecturer_id, course_id, session_id, to_address, vars)
+    values ('digest', 'email', 'lecturer', l.id, c.id, s.id, l.email,
+            jsonb_build_object('lecturer_name', l.name, 'course_code', c.code, 'course_name', c.name,
+              'session_date', s.date, 'count', cardinality(lines), 'students', array_to_string(lines, E'\n')));
+  end if;
+  return cardinality(lines);
+end $$;
+
+-- Runs on every close — manual, auto-close or close_expired_sessions(). A
+-- failure here must never stop the session from closing.
+create or replace function queue_alerts_on_close() returns trigger
+language plpgsql security definer set search_path = public as $$
+begin
+  begin
+    perform queue_attendance_alerts(new.id);
+  exception when others then
+    raise warning 'queue_attendance_alerts(%) failed: %', new.id, sqlerrm;
+  end;
+  return new;
+end $$;
+
+drop trigger if exists trg_sessions_closed_alerts on sessions;
+create trigger trg_sessions_closed_alerts after update of status on sessions
+  for each row when (old.status = 'active' and new.status = 'closed')
+  execute function queue_alerts_on_close();
+
+-- Hands the caller up to p_limit queued notifications for courses they own and
+-- marks them 'sending'. Ones stuck in 'sending' for 10 minutes (a closed tab)
+-- are handed out again.
+create or replace function claim_notifications(p_limit integer default 20) returns setof notifications
+language plpgsql security definer set search_path = public as $$
+begin
+  if coalesce(app_role(), '') not in ('admin', 'lecturer') then raise exception 'not_authorized'; end if;
+  return query
+    update notifications n set status = 'sending', attempts = n.attempts + 1, claimed_at = now()
+    where n.id in (
+      select q.id from notifications q
+      where (q.status = 'queued' or (q.status = 'sending' and q.claimed_at < now() - interval '10 minutes'))
+        and can_course(q.course_id, 'view')
+      order by q.id limit p_limit
+      for update skip locked)
+    returning n.*;
+end $$;
+
+-- Records the outcome of a delivery. A failure goes back in the queue until
+-- the fifth attempt, then stays 'failed'.
+create or replace function finish_notification(
+  p_id bigint, p_ok boolean, p_subject text, p_body text, p_transport text, p_error text
+) returns void
+language plpgsql security definer set search_path = public as $$
+begin
+  update notifications set
+    status    = case when p_ok then 'sent' when attempts >= 5 then 'failed' else 'queued' end,
+    subject   = p_subject,
+    body      = p_body,
+    transport = p_transport,
+    error     = case when p_ok then null else p_error end,
+    sent_at   = case when p_ok then now() end
+  where id = p_id and status = 'sending' and can_course(course_id, 'view');
+end $$;
+
+-- What the delivering browsers need from notification_settings: everything but
+-- webhook_secret, plus whether one is set
+create or replace function get_notification_delivery() returns json
+language sql stable security definer set search_path = public as $$
+  select (to_jsonb(n) - 'webhook_secret' || jsonb_build_object('has_webhook_secret', n.webhook_secret <> ''))::json
+  from notification_settings n
+  where n.id = 1 and coalesce(app_role(), '') in ('admin', 'lecturer')
+$$;
+
+-- X-Webhook-Signature for a notification the caller is delivering: hex
+-- HMAC-SHA256 of the exact request body under webhook_secret. The body must be
+-- that notification's, so a signature cannot be obtained for anything else.
+create or replace function sign_webhook_body(p_id bigint, p_body text) returns text
+language plpgsql stable security definer set search_path = public, extensions as $$
+declare
+  secret text;
+begin
+  if not exists (select 1 from notifications where id = p_id and status = 'sending' and can_course(course_id, 'view'))
+     or (p_body::jsonb ->> 'id') is distinct from p_id::text then
+    raise exception 'not_authorized';
+  end if;
+  select webhook_secret into secret from notification_settings where id = 1;
+  if coalesce(secret, '') = '' then return null; end if;
+  return encode(hmac(p_body, secret, 'sha256'), 'hex');
+end $$;
+
+-- Re-queues a failed or skipped notification, picking up an address added since
+create or replace function retry_notification(p_id bigint) returns notifications
+language plpgsql security definer set search_path = public as $$
+declare
+  n notifications;
+  addr text;
+begin
+  select * into n from notifications where id = p_id;
+  if n.id is null or not can_course(n.course_id, 'view') then raise exception 'not_authorized'; end if;
+  if n.status not in ('failed', 'skipped') then return n; end if;
+  addr := case
+    when n.recipient = 'lecturer' then (select email from lecturers where id = n.lecturer_id)
+    when n.channel = 'email' then (select email from students where student_no = n.student_no)
+    else (select phone from students where student_no = n.student_no) end;
+  update notifications set to_address = coalesce(addr, ''), attempts = 0,
+    status = case when coalesce(addr, '') = '' then 'skipped' else 'queued' end,
+    error  = case when coalesce(addr, '') = '' then error end
+  where id = p_id returning * into n;
+  return n;
+end $$;
+
+-- ─── Row Level Security (RLS) ────────────────────────────────────────────────
+-- Everyone uses the anon key; what a request may touch depends on the session
+-- token it carries. Admins see everything, lecturers only the courses they
+-- own or are on the staff of (within their role's permissions, see
+-- can_course()) with those courses' sessions, scans and enrolled students.
+-- Students go through the check-in functions, and once signed in to the
+-- portal read their own record through get_my_attendance() — no policy grants
+-- the student role any table. Tables without policies are reachable from
+-- security-definer functions alone.
 
 alter table admin_config   enable row level security;
 alter table lecturers      enable row level security;
+alter table lecturer_credentials enable row level security;
+alter table student_credentials enable row level security;
+alter table app_sessions   enable row level security;
 alter table courses        enable row level security;
 alter table students       enable row level security;
 alter table enrolments     enable row level security;
 alter table sessions       enable row level security;
 alter table scans          enable row level security;
+alter table pending_scans  enable row level security;
+alter table attendance_overrides enable row level security;
+alter table timetable_slots enable row level security;
+alter table planned_sessions enable row level security;
+alter table session_secrets enable row level security;
+alter table notification_settings enable row level security;
+alter table notification_templates enable row level security;
+alter table notifications  enable row level security;
+alter table attendance_policies enable row level security;
+alter table course_staff   enable row level security;
+alter table course_groups  enable row level security;
+alter table audit_log      enable row level security;
+
+-- Lecturers see each other's names to pick co-lecturers and tutors
+create policy "lecturers_directory" on lecturers for select using (is_admin() or app_role() = 'lecturer');
+create policy "lecturers_admin"   on lecturers  for all    using (is_admin()) with check (is_admin());
+
+-- Changing the owner or archiving also needs 'manage' — see guard_course_update()
+create policy "courses_read"      on courses    for select using (can_course(id, 'view'));
+create policy "courses_insert"    on courses    for insert with check (is_admin() or lecturer_id = app_lecturer_id());
+create policy "courses_update"    on courses    for update using (can_course(id, 'settings')) with check (can_course(id, 'settings'));
+create policy "courses_delete"    on courses    for delete using (can_course(id, 'manage'));
+
+create policy "staff_read"        on course_staff for select using (can_course(course_id, 'view'));
+create policy "staff_manage"      on course_staff for all
+  using (can_course(course_id, 'manage')) with check (can_course(course_id, 'manage'));
+
+create policy "students_staff_read" on students for select using (
+  is_admin() or exists (select 1 from enrolments e where e.student_id = students.id and can_course(e.course_id, 'view')));
+create policy "students_admin"    on students   for all    using (is_admin()) with check (is_admin());
+
+create policy "enrolments_read"   on enrolments for select using (can_course(course_id, 'view'));
+create policy "enrolments_write"  on enrolments for all
+  using (can_course(course_id, 'roster')) with check (can_course(course_id, 'roster'));
 
--- Grant full access to anon role (our app uses the anon key)
-create policy "allow_all_admin_config"  on admin_config  for all using (true) with check (true);
-create policy "allow_all_lecturers"     on lecturers     for all using (true) with check (true);
-create policy "allow_all_courses"       on courses       for all using (true) with check (true);
-create policy "allow_all_students"      on students      for all using (true) with check (true);
-create policy "allow_all_enrolments"    on enrolments    for all using (true) with check (true);
-create policy "allow_all_sessions"      on sessions      for all using (true) with check (true);
-create policy "allow_all_scans"         on scans         for all using (true) with check (true);
+create policy "groups_read"       on course_groups for select using (can_course(course_id, 'view'));
+create policy "groups_write"      on course_groups for all
+  using (can_course(course_id, 'roster')) with check (can_course(course_id, 'roster'));
+
+-- Any staff member runs sessions under their own name; closing or editing
+-- someone else's needs the 'register' permission (owns_session). Deleting
+-- goes through delete_session() so it comes with a reason.
+create policy "sessions_read"     on sessions   for select using (can_course(course_id, 'view'));
+create policy "sessions_insert"   on sessions   for insert
+  with check (is_admin() or (lecturer_id = app_lecturer_id() and can_course(course_id, 'run')));
+create policy "sessions_update"   on sessions   for update
+  using (owns_session(id))
+  with check (is_admin() or (lecturer_id = app_lecturer_id() and can_course(course_id, 'run')) or can_course(course_id, 'register'));
+
+create policy "timetable_read"    on timetable_slots  for select using (can_course(course_id, 'view'));
+create policy "timetable_write"   on timetable_slots  for all
+  using (can_course(course_id, 'settings')) with check (can_course(course_id, 'settings'));
+create policy "planned_read"      on planned_sessions for select using (can_course(course_id, 'view'));
+create policy "planned_link"      on planned_sessions for update
+  using (can_course(course_id, 'run')) with check (can_course(course_id, 'run'));
+create policy "planned_write"     on planned_sessions for all
+  using (can_course(course_id, 'settings')) with check (can_course(course_id, 'settings'));
+
+-- Scans are inserted only through record_scan() so the check-in token is enforced
+create policy "scans_staff_read"  on scans      for select using (can_session(session_id, 'view'));
+create policy "scans_update"      on scans      for update using (owns_session(session_id)) with check (owns_session(session_id));
+create policy "scans_delete"      on scans      for delete using (owns_session(session_id));
+
+-- Pending scans are created by record_scan() and resolved through accept/reject_pending_scan()
+create policy "pending_staff_read" on pending_scans for select using (can_session(session_id, 'view'));
+
+-- Overrides are written only through set/clear_attendance_override() so the author is recorded
+create policy "overrides_staff_read" on attendance_overrides for select using (can_session(session_id, 'view'));
+
+-- Faculty and department policies are the admin's; course staff with 'settings' set their course's level
+create policy "policies_read"     on attendance_policies for select using (app_role() in ('admin', 'lecturer'));
+create policy "policies_course_write" on attendance_policies for all
+  using (is_admin() or (scope = 'course' and can_course(scope_key, 'settings')))
+  with check (is_admin() or (scope = 'course' and can_course(scope_key, 'settings')));
+
+-- Lecturers' browsers deliver notifications too, so they read the templates and,
+-- through get_notification_delivery(), the settings without webhook_secret;
+-- only the admin reads the whole row and changes it
+create policy "notify_settings_read"  on notification_settings  for select using (is_admin());
+create policy "notify_settings_admin" on notification_settings  for update using (is_admin()) with check (is_admin());
+create policy "notify_templates_read" on notification_templates for select using (is_admin() or app_role() = 'lecturer');
+create policy "notify_templates_admin" on notification_templates for all  using (is_admin()) with check (is_admin());
+-- Queued by the close trigger, moved along by claim/finish/retry_notification()
+create policy "notifications_staff_read" on notifications for select using (can_course(course_id, 'view'));
+-- Written by write_audit() only and never changed; the admin reads all of it, course staff their courses' history
+create policy "audit_read"        on audit_log  for select using (is_admin() or (course_id is not null and can_course(course_id, 'view')));
+
+-- Functions callable without signing in; everything else needs a session token
+revoke execute on all functions in schema public from public, anon, authenticated;
+grant execute on function admin_initialized() to anon;
+grant execute on function setup_admin(text, text) to anon;
+grant execute on function app_login(text, text, text) to anon;
+grant execute on function app_whoami() to anon;
+grant execute on function app_logout() to anon;
+grant execute on function change_admin_password(text, text) to anon;
+grant execute on function create_lecturer(text, text, text, text, text[]) to anon;
+grant execute on function set_lecturer_passwords(text, text[]) to anon;
+grant execute on function enrol_student(text, text, text, text, text, text, text, text) to anon;
+grant execute on function enrol_students(text, jsonb, boolean) to anon;
+grant execute on function issue_student_activation_code(text) to anon;
+grant execute on function activate_student_portal(text, text, text) to anon;
+grant execute on function get_my_attendance() to anon;
+grant execute on function set_attendance_override(text, text, text, text, text) to anon;
+grant execute on function clear_attendance_override(text, text) to anon;
+grant execute on function edit_session(text, date, text, text, timestamptz, text) to anon;
+grant execute on function void_session(text, boolean, text) to anon;
+grant execute on function merge_sessions(text, text, timestamptz, text) to anon;
+grant execute on function delete_session(text, text) to anon;
+grant execute on function issue_checkin_token(text) to anon;
+grant execute on function check_checkin_token(text, text) to anon;
+grant execute on function get_checkin_session(text) to anon;
+grant execute on function close_expired_sessions() to anon;
+grant execute on function generate_planned_sessions(text) to anon;
+grant execute on function rollover_course(text, text, integer, text, boolean) to anon;
+grant execute on function record_scan(text, text, text, double precision, double precision, timestamptz) to anon;
+grant execute on function record_kiosk_scan(text, text) to anon;
+grant execute on function accept_pending_scan(bigint, text, text) to anon;
+grant execute on function reject_pending_scan(bigint) to anon;
+grant execute on function review_scan(bigint, text, text) to anon;
+grant execute on function course_policies(text[]) to anon;
+grant execute on function claim_notifications(integer) to anon;
+grant execute on function finish_notification(bigint, boolean, text, text, text, text) to anon;
+grant execute on function get_notification_delivery() to anon;
+grant execute on function sign_webhook_body(bigint, text) to anon;
+grant execute on function retry_notification(bigint) to anon;
+grant execute on function current_app_session(), app_role(), app_lecturer_id(), app_student_id(), is_admin(), course_role(text), can_course(text, text), can_session(text, text), owns_session(text) to anon;
 
 -- ─── Indexes for performance ─────────────────────────────────────────────────
 create index if not exists idx_courses_lecturer     on courses(lecturer_id);
 create index if not exists idx_enrolments_course    on enrolments(course_id);
 create index if not exists idx_enrolments_student   on enrolments(student_id);
+create index if not exists idx_course_staff_lecturer on course_staff(lecturer_id);
+create index if not exists idx_course_groups_course on course_groups(course_id);
 create index if not exists idx_sessions_course      on sessions(course_id);
 create index if not exists idx_sessions_status      on sessions(status);
+create index if not exists idx_sessions_ends_at     on sessions(ends_at) where status = 'active';
 create index if not exists idx_scans_session        on scans(session_id);
 create index if not exists idx_scans_student        on scans(student_no);
+create index if not exists idx_pending_session      on pending_scans(session_id);
+create index if not exists idx_overrides_student    on attendance_overrides(student_no);
+create index if not exists idx_timetable_course     on timetable_slots(course_id);
+create index if not exists idx_notifications_course on notifications(course_id);
+create index if not exists idx_notifications_student on notifications(student_no);
+create index if not exists idx_audit_entity         on audit_log(entity, entity_id);
+create index if not exists idx_audit_course         on audit_log(course_id);
+create index if not exists idx_audit_at             on audit_log(at desc);
+create index if not exists idx_audit_actor          on audit_log(actor);
+create index if not exists idx_notifications_queue  on notifications(id) where status in ('queued', 'sending');
+create index if not exists idx_planned_course_date  on planned_sessions(course_id, date);
+create index if not exists idx_app_sessions_lecturer on app_sessions(lecturer_id);
+create index if not exists idx_app_sessions_student on app_sessions(student_id);
+
+-- ─── Upgrading an existing database ──────────────────────────────────────────
+-- If your database was created from an older version of this file, run the
+-- new tables and "Columns added since the first release" first, then the new
+-- sections above (functions, triggers, policies, indexes), then this block,
+-- which moves old data into its current shape. Every step here is safe to repeat.
+insert into session_secrets (session_id) select id from sessions on conflict do nothing;
+-- Per-course late windows move into the course's attendance policy
+insert into attendance_policies (scope, scope_key, late_after_minutes)
+  select 'course', id, late_after_minutes from courses where late_after_minutes <> 10
+  on conflict do nothing;
+alter table courses drop column if exists late_after_minutes;
+drop policy if exists "allow_all_scans" on scans;
+-- Policies replaced when courses gained co-lecturers and tutors
+drop policy if exists "lecturers_read"     on lecturers;
+drop policy if exists "courses_own"        on courses;
+drop policy if exists "students_read"      on students;
+drop policy if exists "enrolments_own"     on enrolments;
+drop policy if exists "sessions_own"       on sessions;
+drop policy if exists "timetable_own"      on timetable_slots;
+drop policy if exists "planned_own"        on planned_sessions;
+drop policy if exists "scans_read"         on scans;
+drop policy if exists "pending_read"       on pending_scans;
+drop policy if exists "overrides_read"     on attendance_overrides;
+drop policy if exists "policies_write"     on attendance_policies;
+drop policy if exists "notifications_read" on notifications;
+drop policy if exists "sessions_write"     on sessions;
+drop function if exists owns_course(text);
+
+-- Plaintext passwords → bcrypt, for databases from before the hashes. Each
+-- step only runs while the old column is still there, so a fresh install
+-- passes straight through and running this again does nothing.
+do $$
+begin
+  if exists (select 1 from information_schema.columns
+             where table_schema = 'public' and table_name = 'admin_config' and column_name = 'password') then
+    alter table admin_config add column if not exists password_hash text;
+    update admin_config set password_hash = crypt(password, gen_salt('bf')) where password_hash is null;
+    alter table admin_config alter column password_hash set not null;
+    alter table admin_config drop column password;
+  end if;
+  if exists (select 1 from information_schema.columns
+             where table_schema = 'public' and table_name = 'lecturers' and column_name = 'passwords') then
+    insert into lecturer_credentials (lecturer_id, password_hashes)
+      select id, array(select crypt(p, gen_salt('bf')) from unnest(passwords) p) from lecturers
+      on conflict do nothing;
+    alter table lecturers drop column passwords;
+  end if;
+end $$;
+drop policy if exists "allow_all_admin_config" on admin_config;
+drop policy if exists "allow_all_lecturers"    on lecturers;
+drop policy if exists "allow_all_courses"      on courses;
+drop policy if exists "allow_all_students"     on students;
+drop policy if exists "allow_all_enrolments"   on enrolments;
+drop policy if exists "allow_all_sessions"     on sessions;
+drop policy if exists "read_scans"   on scans;
+drop policy if exists "update_scans" on scans;
+drop policy if exists "delete_scans" on scans;
 
 -- ─── Done! ────────────────────────────────────────────────────────────────────
 -- Your database is ready. Go back to the setup guide and continue from Step 3.
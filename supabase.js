@@ -1,5 +1,6 @@
 // ─── supabase.js — all database operations ───────────────────────────────────
 import { createClient } from '@supabase/supabase-js';
+import { genId } from './helpers';
 
 const SUPABASE_URL  = process.env.REACT_APP_SUPABASE_URL;
 const SUPABASE_KEY  = process.env.REACT_APP_SUPABASE_ANON_KEY;
@@ -8,7 +9,54 @@ if (!SUPABASE_URL || !SUPABASE_KEY) {
   console.error('⚠ Missing Supabase env vars. Check .env or Netlify environment settings.');
 }
 
-export const supabase = createClient(SUPABASE_URL, SUPABASE_KEY);
+// The app's own session token (see app_login in supabase-schema.sql) rides on
+// every request; the database's RLS policies read the caller's role from it.
+// It is kept in localStorage so a reload or a new tab stays signed in.
+const TOKEN_KEY = 'attendance-register.session';
+let sessionToken = localStorage.getItem(TOKEN_KEY);
+
+function setSessionToken(token) {
+  sessionToken = token;
+  if (token) localStorage.setItem(TOKEN_KEY, token);
+  else localStorage.removeItem(TOKEN_KEY);
+}
+
+// A random id kept by this browser and sent as x-device-id, so the audit log
+// (audit_log.device) can tell which phone or computer made a change.
+const DEVICE_KEY = 'attendance-register.device';
+const deviceId = localStorage.getItem(DEVICE_KEY) || genId();
+localStorage.setItem(DEVICE_KEY, deviceId);
+
+// The random id is lost to a private tab or cleared site data, so x-device-print
+// also carries a hash of traits the browser reports the same way every time:
+// browser string, languages, screen, time zone and hardware. Phones of one
+// model and browser version share it, so it only ever backs up a suspicion
+// (see proxy.js); a second browser on the same phone gets a different one.
+const devicePrint = (() => {
+  const sc = window.screen || {};
+  const traits = [
+    navigator.userAgent, navigator.platform, (navigator.languages || [navigator.language]).join(','),
+    `${sc.width}x${sc.height}x${sc.colorDepth}@${window.devicePixelRatio}`,
+    Intl.DateTimeFormat().resolvedOptions().timeZone,
+    navigator.hardwareConcurrency, navigator.deviceMemory, navigator.maxTouchPoints,
+  ].join('|');
+  let h1 = 0x811c9dc5, h2 = 0x01000193;
+  for (let i = 0; i < traits.length; i++) {
+    h1 = Math.imul(h1 ^ traits.charCodeAt(i), 0x01000193);
+    h2 = Math.imul(h2 ^ traits.charCodeAt(i), 0x5bd1e995);
+  }
+  return (h1 >>> 0).toString(16).padStart(8, '0') + (h2 >>> 0).toString(16).padStart(8, '0');
+})();
+
+function fetchWithSession(input, init = {}) {
+  const headers = new Headers(init.headers);
+  if (sessionToken) headers.set('x-session-token', sessionToken);
+  headers.set('x-device-id', deviceId);
+  headers.set('x-device-print', devicePrint);
+  return fetch(input, { ...init, headers });
+}
+
+export const supabase = createClient(SUPABASE_URL, SUPABASE_KEY, { global: { fetch: fetchWithSession } });
 
 // ─── Helpers ──────────────────────────────────────────────────────────────────
 function handle(data, error, label) {
@@ -16,28 +64,69 @@ function handle(data, error, label) {
   return data;
 }
 
-// ─── ADMIN CONFIG ─────────────────────────────────────────────────────────────
+// ─── AUTH ─────────────────────────────────────────────────────────────────────
 
-export async function getAdminConfig() {
-  const { data, error } = await supabase.from('admin_config').select('*').eq('id', 1).maybeSingle();
+export async function isAdminInitialized() {
+  const { data, error } = await supabase.rpc('admin_initialized');
   if (error) throw error;
-  return data; // null if not set up yet
+  return data;
 }
 
-export async function upsertAdminConfig({ username, password }) {
-  const { data, error } = await supabase
-    .from('admin_config')
-    .upsert({ id: 1, username, password, initialized: true, updated_at: new Date().toISOString() })
-    .select().single();
-  return handle(data, error, 'upsertAdminConfig');
+export async function setupAdmin({ username, password }) {
+  const { error } = await supabase.rpc('setup_admin', { p_username: username, p_password: password });
+  handle(null, error, 'setupAdmin');
 }
 
-export async function updateAdminPassword(newPassword) {
-  const { data, error } = await supabase
-    .from('admin_config')
-    .update({ password: newPassword, updated_at: new Date().toISOString() })
-    .eq('id', 1).select().single();
-  return handle(data, error, 'updateAdminPassword');
+// role: 'admin' | 'lecturer' | 'student'. Resolves to { role, expires_at, lecturer, student } or null for wrong credentials.
+export async function login(role, loginId, password) {
+  const { data, error } = await supabase.rpc('app_login', { p_role: role, p_login: loginId, p_password: password });
+  const auth = handle(data, error, 'login');
+  if (!auth) return null;
+  setSessionToken(auth.token);
+  return auth;
+}
+
+// Resolves to { role, expires_at, lecturer, student } for a stored, still-valid token, else null
+export async function restoreLogin() {
+  if (!sessionToken) return null;
+  const { data, error } = await supabase.rpc('app_whoami');
+  const auth = handle(data, error, 'restoreLogin');
+  if (!auth) setSessionToken(null);
+  return auth;
+}
+
+export async function logout() {
+  try { await supabase.rpc('app_logout'); } finally { setSessionToken(null); }
+}
+
+// Resolves to false when the current password is wrong
+export async function changeAdminPassword(currentPassword, newPassword) {
+  const { data, error } = await supabase.rpc('change_admin_password', { p_current: currentPassword, p_new: newPassword });
+  return handle(data, error, 'changeAdminPassword');
+}
+
+// ─── STUDENT PORTAL ───────────────────────────────────────────────────────────
+
+// Lecturer/admin: a one-time code the student uses to set their portal password
+export async function issueStudentActivationCode(studentNo) {
+  const { data, error } = await supabase.rpc('issue_student_activation_code', { p_student_no: studentNo });
+  return handle(data, error, 'issueStudentActivationCode');
+}
+
+// Signs the student in like login('student', …); resolves to null for a wrong or expired code.
+// Errors: 'password_too_short'
+export async function activateStudentPortal(studentNo, code, password) {
+  const { data, error } = await supabase.rpc('activate_student_portal', { p_student_no: studentNo, p_code: code, p_password: password });
+  const auth = handle(data, error, 'activateStudentPortal');
+  if (!auth) return null;
+  setSessionToken(auth.token);
+  return auth;
+}
+
+// Resolves to [{ course, sessions }] for the signed-in student — sessions carry only their own scans/overrides
+export async function getMyAttendance() {
+  const { data, error } = await supabase.rpc('get_my_attendance');
+  return handle(data, error, 'getMyAttendance');
 }
 
 // ─── LECTURERS ────────────────────────────────────────────────────────────────
@@ -47,20 +136,17 @@ export async function getLecturers() {
   return handle(data, error, 'getLecturers');
 }
 
+// Passwords are hashed in the database; the plaintext is only ever seen here, once
 export async function createLecturer({ id, name, email, department, passwords }) {
-  const { data, error } = await supabase
-    .from('lecturers')
-    .insert({ id, name, email, department, passwords })
-    .select().single();
+  const { data, error } = await supabase.rpc('create_lecturer', {
+    p_id: id, p_name: name, p_email: email, p_department: department, p_passwords: passwords,
+  });
   return handle(data, error, 'createLecturer');
 }
 
 export async function updateLecturerPasswords(id, passwords) {
-  const { data, error } = await supabase
-    .from('lecturers')
-    .update({ passwords, updated_at: new Date().toISOString() })
-    .eq('id', id).select().single();
-  return handle(data, error, 'updateLecturerPasswords');
+  const { error } = await supabase.rpc('set_lecturer_passwords', { p_lecturer_id: id, p_passwords: passwords });
+  handle(null, error, 'updateLecturerPasswords');
 }
 
 export async function deleteLecturer(id) {
@@ -75,72 +161,247 @@ export async function getCourses() {
   return handle(data, error, 'getCourses');
 }
 
-export async function createCourse({ id, lecturer_id, code, name, department, year, semester, total_planned_classes, room }) {
+export async function createCourse({ id, lecturer_id, code, name, department, year, semester, total_planned_classes, room, qr_rotate_seconds, qr_grace_seconds, geofence_radius_m, geofence_mode, session_duration_minutes, checkin_window_minutes }) {
   const { data, error } = await supabase
     .from('courses')
-    .insert({ id, lecturer_id, code, name, department, year, semester, total_planned_classes, room })
+    .insert({ id, lecturer_id, code, name, department, year, semester, total_planned_classes, room, qr_rotate_seconds, qr_grace_seconds, geofence_radius_m, geofence_mode, session_duration_minutes, checkin_window_minutes })
     .select().single();
   return handle(data, error, 'createCourse');
 }
 
+export async function updateCourse(id, fields) {
+  const { data, error } = await supabase
+    .from('courses')
+    .update({ ...fields, updated_at: new Date().toISOString() })
+    .eq('id', id)
+    .select().single();
+  return handle(data, error, 'updateCourse');
+}
+
+// Archived courses keep their sessions and reports but drop out of day-to-day lists
+export async function setCourseArchived(id, archived) {
+  return updateCourse(id, { archived_at: archived ? new Date().toISOString() : null });
+}
+
+// Copies settings, timetable slots, the course policy and (optionally) the roster into a new course
+export async function rolloverCourse(courseId, { id, year, semester, keepRoster }) {
+  const { data, error } = await supabase.rpc('rollover_course', {
+    p_course_id: courseId, p_new_id: id, p_year: year, p_semester: semester, p_keep_roster: keepRoster,
+  });
+  return handle(data, error, 'rolloverCourse');
+}
+
 export async function deleteCourse(id) {
   const { error } = await supabase.from('courses').delete().eq('id', id);
   handle(null, error, 'deleteCourse');
 }
 
+// ─── COURSE STAFF ─────────────────────────────────────────────────────────────
+// Co-lecturers and tutors besides the course's own lecturer. role: 'co_lecturer' | 'tutor'
+// (see COURSE_ROLES in helpers.js for what each may do).
+
+export async function getCourseStaff(courseIds) {
+  const { data, error } = await supabase.from('course_staff').select('*').in('course_id', courseIds).order('added_at');
+  return handle(data, error, 'getCourseStaff');
+}
+
+export async function addCourseStaff(courseId, lecturerId, role) {
+  const { data, error } = await supabase
+    .from('course_staff')
+    .insert({ course_id: courseId, lecturer_id: lecturerId, role })
+    .select().single();
+  return handle(data, error, 'addCourseStaff');
+}
+
+export async function updateCourseStaff(courseId, lecturerId, role) {
+  const { error } = await supabase.from('course_staff').update({ role }).eq('course_id', courseId).eq('lecturer_id', lecturerId);
+  handle(null, error, 'updateCourseStaff');
+}
+
+export async function removeCourseStaff(courseId, lecturerId) {
+  const { error } = await supabase.from('course_staff').delete().eq('course_id', courseId).eq('lecturer_id', lecturerId);
+  handle(null, error, 'removeCourseStaff');
+}
+
+// ─── TUTORIAL GROUPS ──────────────────────────────────────────────────────────
+// A student is in at most one group per course (enrolments.group_id); a session
+// with group_ids set is only for those groups.
+
+export async function getCourseGroups(courseIds) {
+  const { data, error } = await supabase.from('course_groups').select('*').in('course_id', courseIds).order('name');
+  return handle(data, error, 'getCourseGroups');
+}
+
+export async function createCourseGroup({ id, course_id, name }) {
+  const { data, error } = await supabase.from('course_groups').insert({ id, course_id, name }).select().single();
+  return handle(data, error, 'createCourseGroup');
+}
+
+export async function renameCourseGroup(id, name) {
+  const { error } = await supabase.from('course_groups').update({ name }).eq('id', id);
+  handle(null, error, 'renameCourseGroup');
+}
+
+// Members go back to no group; sessions aimed only at this group keep the id and are shown as for a removed group
+export async function deleteCourseGroup(id) {
+  const { error } = await supabase.from('course_groups').delete().eq('id', id);
+  handle(null, error, 'deleteCourseGroup');
+}
+
+export async function setStudentGroup(studentId, courseId, groupId) {
+  const { error } = await supabase.from('enrolments').update({ group_id: groupId || null }).eq('student_id', studentId).eq('course_id', courseId);
+  handle(null, error, 'setStudentGroup');
+}
+
+// ─── ATTENDANCE POLICIES ──────────────────────────────────────────────────────
+// scope: 'faculty' (scope_key '') | 'department' (department name) | 'course' (course id).
+// Null fields inherit; course_policy() in the database does the merging.
+
+export async function getAttendancePolicies() {
+  const { data, error } = await supabase.from('attendance_policies').select('*').order('scope').order('scope_key');
+  return handle(data, error, 'getAttendancePolicies');
+}
+
+export async function saveAttendancePolicy({ scope, scope_key = '', ...fields }) {
+  const { data, error } = await supabase
+    .from('attendance_policies')
+    .upsert({ scope, scope_key, ...fields, updated_at: new Date().toISOString() })
+    .select().single();
+  return handle(data, error, 'saveAttendancePolicy');
+}
+
+export async function deleteAttendancePolicy(scope, scopeKey) {
+  const { error } = await supabase.from('attendance_policies').delete().eq('scope', scope).eq('scope_key', scopeKey);
+  handle(null, error, 'deleteAttendancePolicy');
+}
+
+// Resolves to { [courseId]: policy } with every level merged in
+export async function getCoursePolicies(courseIds) {
+  const { data, error } = await supabase.rpc('course_policies', { p_course_ids: courseIds });
+  return handle(data, error, 'getCoursePolicies');
+}
+
+// ─── TIMETABLE ────────────────────────────────────────────────────────────────
+// day_of_week: 0 = Sunday … 6 = Saturday. Planned sessions are generated in the database.
+
+export async function getTimetable(courseId) {
+  const { data, error } = await supabase
+    .from('timetable_slots')
+    .select('*')
+    .eq('course_id', courseId)
+    .order('day_of_week').order('start_time');
+  return handle(data, error, 'getTimetable');
+}
+
+export async function addTimetableSlot({ id, course_id, day_of_week, start_time, room }) {
+  const { data, error } = await supabase
+    .from('timetable_slots')
+    .insert({ id, course_id, day_of_week, start_time, room })
+    .select().single();
+  return handle(data, error, 'addTimetableSlot');
+}
+
+export async function deleteTimetableSlot(id) {
+  const { error } = await supabase.from('timetable_slots').delete().eq('id', id);
+  handle(null, error, 'deleteTimetableSlot');
+}
+
+// Resolves to the number of planned sessions added
+export async function generatePlannedSessions(courseId) {
+  const { data, error } = await supabase.rpc('generate_planned_sessions', { p_course_id: courseId });
+  return handle(data, error, 'generatePlannedSessions');
+}
+
+// Pass a courseId for one course, or a date ('YYYY-MM-DD') for every course you can see
+export async function getPlannedSessions({ courseId, date } = {}) {
+  let query = supabase.from('planned_sessions').select('*').order('date').order('start_time');
+  if (courseId) query = query.eq('course_id', courseId);
+  if (date) query = query.eq('date', date);
+  const { data, error } = await query;
+  return handle(data, error, 'getPlannedSessions');
+}
+
+// status: 'planned' | 'cancelled'
+export async function setPlannedSessionStatus(id, status) {
+  const { error } = await supabase.from('planned_sessions').update({ status }).eq('id', id);
+  handle(null, error, 'setPlannedSessionStatus');
+}
+
+export async function linkPlannedSession(id, sessionId) {
+  const { error } = await supabase.from('planned_sessions').update({ session_id: sessionId }).eq('id', id);
+  handle(null, error, 'linkPlannedSession');
+}
+
 // ─── STUDENTS ─────────────────────────────────────────────────────────────────
 
 export async function getStudentsForCourse(courseId) {
   const { data, error } = await supabase
     .from('enrolments')
-    .select('students(*)')
+    .select('group_id, students(*)')
     .eq('course_id', courseId);
   const result = handle(data, error, 'getStudentsForCourse');
-  return result.map(r => r.students);
+  return result.map(r => ({ ...r.students, group_id: r.group_id }));
 }
 
 export async function getAllStudents() {
   const { data, error } = await supabase
     .from('students')
-    .select('*, enrolments(course_id)')
+    .select('*, enrolments(course_id, group_id)')
     .order('surname_initials');
   return handle(data, error, 'getAllStudents');
 }
 
-export async function upsertStudentAndEnrol(studentNo, surnameInitials, courseId) {
-  // 1. Upsert student (insert or ignore if already exists)
-  const studentId = 'S_' + studentNo;
-  const { error: se } = await supabase
-    .from('students')
-    .upsert({ id: studentId, student_no: studentNo, surname_initials: surnameInitials }, { onConflict: 'student_no', ignoreDuplicates: false });
-  if (se) throw se;
-
-  // Get real id (in case student existed)
-  const { data: existing } = await supabase.from('students').select('id').eq('student_no', studentNo).single();
-  const realId = existing?.id || studentId;
-
-  // 2. Enrol in course (ignore if already enrolled)
-  const { error: ee } = await supabase
-    .from('enrolments')
-    .upsert({ student_id: realId, course_id: courseId }, { onConflict: 'student_id,course_id', ignoreDuplicates: true });
-  if (ee && ee.code !== '23505') throw ee;
+// Every enrolment with the student's number and name, for the admin analytics
+// (fetched in pages: a faculty easily has more enrolments than the API returns at once)
+export async function getAllEnrolments() {
+  const PAGE = 1000, rows = [];
+  for (let from = 0; ; from += PAGE) {
+    const { data, error } = await supabase.from('enrolments').select('course_id, group_id, students(student_no, surname_initials)')
+      .order('course_id').order('student_id').range(from, from + PAGE - 1);
+    rows.push(...handle(data, error, 'getAllEnrolments'));
+    if (data.length < PAGE) return rows;
+  }
+}
 
-  return { id: realId, student_no: studentNo, surname_initials: surnameInitials };
+export async function upsertStudentAndEnrol(studentNo, surnameInitials, courseId, { email, phone, fullName, programme, group } = {}) {
+  // Creates the student if new and enrols them (no-op if already enrolled).
+  // Details left undefined keep what is already on file. group is a tutorial group
+  // name, created if the course has none by that name; '' takes the student out of their group.
+  const { data, error } = await supabase.rpc('enrol_student', {
+    p_student_no: studentNo, p_surname_initials: surnameInitials, p_course_id: courseId,
+    p_email: email ?? null, p_phone: phone ?? null, p_full_name: fullName ?? null, p_programme: programme ?? null,
+    p_group: group ?? null,
+  });
+  return handle(data, error, 'upsertStudentAndEnrol');
 }
 
-export async function upsertManyStudents(students, courseId) {
-  // students: [{ studentNo, surnameInitials }]
-  let added = 0, skipped = 0;
-  for (const { studentNo, surnameInitials } of students) {
-    try {
-      await upsertStudentAndEnrol(studentNo, surnameInitials, courseId);
-      added++;
-    } catch (e) {
-      console.warn('Skipping student', studentNo, e.message);
-      skipped++;
+const ROSTER_BATCH_SIZE = 200;
+
+export async function upsertManyStudents(students, courseId, { continueOnError = false, onProgress } = {}) {
+  // students: [{ studentNo, surnameInitials, email?, phone?, fullName?, programme?, group? }]
+  // → [{ studentNo, ok, error? }] in the same order; error 'rolled_back' = not saved because another row failed.
+  // All-or-nothing sends the whole list as one transaction. With continueOnError the list goes in
+  // batches, each row stands on its own, and onProgress(done, total) is called after every batch.
+  const rows = students.map(s => ({
+    student_no: s.studentNo, surname_initials: s.surnameInitials,
+    email: s.email ?? null, phone: s.phone ?? null, full_name: s.fullName ?? null, programme: s.programme ?? null,
+    group: s.group ?? null,
+  }));
+  const size = continueOnError ? ROSTER_BATCH_SIZE : Math.max(rows.length, 1);
+  const results = [];
+  onProgress?.(0, rows.length);
+  for (let i = 0; i < rows.length; i += size) {
+    const batch = rows.slice(i, i + size);
+    const { data, error } = await supabase.rpc('enrol_students', { p_course_id: courseId, p_students: batch, p_continue_on_error: continueOnError });
+    if (error && continueOnError) {
+      console.warn('Roster batch failed', error.message);
+      results.push(...batch.map(r => ({ studentNo: r.student_no, ok: false, error: error.message })));
+    } else {
+      results.push(...handle(data, error, 'upsertManyStudents').map(r => ({ studentNo: r.student_no, ok: r.ok, error: r.error })));
     }
+    onProgress?.(results.length, rows.length);
   }
-  return { added, skipped };
+  return results;
 }
 
 export async function removeStudentFromCourse(studentId, courseId) {
@@ -151,12 +412,18 @@ export async function removeStudentFromCourse(studentId, courseId) {
 // ─── SESSIONS ─────────────────────────────────────────────────────────────────
 
 export async function getSessions(courseId) {
-  const query = supabase.from('sessions').select('*, scans(*)').order('date', { ascending: false });
+  const query = supabase.from('sessions').select('*, scans(*), attendance_overrides(*)').order('date', { ascending: false });
   if (courseId) query.eq('course_id', courseId);
   const { data, error } = await query;
   return handle(data, error, 'getSessions');
 }
 
+// Student check-in page: session basics plus course_code / course_name, no scans
+export async function getCheckinSession(sessionId) {
+  const { data, error } = await supabase.rpc('get_checkin_session', { p_session_id: sessionId });
+  return handle(data, error, 'getCheckinSession');
+}
+
 export async function getSession(sessionId) {
   const { data, error } = await supabase
     .from('sessions')
@@ -166,37 +433,146 @@ export async function getSession(sessionId) {
   return handle(data, error, 'getSession');
 }
 
-export async function createSession({ id, course_id, lecturer_id, date, start_time, room, lat, lng }) {
+// group_ids: the tutorial groups the session is for; [] = the whole class
+// starts_at: date + start_time as this device reads them — the database judges lateness from it
+export async function createSession({ id, course_id, lecturer_id, date, start_time, starts_at, room, lat, lng, qr_rotate_seconds, qr_grace_seconds, geofence_radius_m, geofence_mode, ends_at, checkin_closes_at, late_after_minutes, group_ids = [] }) {
   const { data, error } = await supabase
     .from('sessions')
-    .insert({ id, course_id, lecturer_id, date, start_time, room, lat, lng, status: 'active' })
+    .insert({ id, course_id, lecturer_id, date, start_time, starts_at, room, lat, lng, qr_rotate_seconds, qr_grace_seconds, geofence_radius_m, geofence_mode, ends_at, checkin_closes_at, late_after_minutes, group_ids, status: 'active' })
     .select().single();
   return handle(data, error, 'createSession');
 }
 
-export async function closeSession(sessionId) {
-  const { error } = await supabase.from('sessions').update({ status: 'closed' }).eq('id', sessionId);
+export async function getActiveSessions(lecturerId) {
+  const { data, error } = await supabase
+    .from('sessions')
+    .select('*, scans(count)')
+    .eq('lecturer_id', lecturerId)
+    .eq('status', 'active')
+    .order('date', { ascending: false });
+  return handle(data, error, 'getActiveSessions');
+}
+
+// reason: 'manual' | 'expired'. A session that is already closed keeps its original reason.
+export async function closeSession(sessionId, reason = 'manual') {
+  const { error } = await supabase
+    .from('sessions')
+    .update({ status: 'closed', closed_at: new Date().toISOString(), close_reason: reason })
+    .eq('id', sessionId).eq('status', 'active');
   handle(null, error, 'closeSession');
 }
 
+export async function extendSession(sessionId, endsAt) {
+  const { data, error } = await supabase
+    .from('sessions')
+    .update({ ends_at: endsAt })
+    .eq('id', sessionId).eq('status', 'active')
+    .select().single();
+  return handle(data, error, 'extendSession');
+}
+
+// on: the room has no signal, so check-ins queued offline are judged by when they
+// were scanned (see record_scan). Off, every scan is judged when it reaches the database.
+export async function setOfflineCheckins(sessionId, on) {
+  const { data, error } = await supabase
+    .from('sessions')
+    .update({ offline_checkins: on })
+    .eq('id', sessionId).eq('status', 'active')
+    .select().single();
+  return handle(data, error, 'setOfflineCheckins');
+}
+
+// Closes every active session past its ends_at; resolves to how many were closed
+export async function closeExpiredSessions() {
+  const { data, error } = await supabase.rpc('close_expired_sessions');
+  return handle(data, error, 'closeExpiredSessions');
+}
+
+// ─── SESSION CORRECTIONS ──────────────────────────────────────────────────────
+// Each needs a reason and is written to the audit log. The start is sent as this
+// device reads date + time, so scans are re-judged late the way check-in judged them.
+
+const startAt = (date, startTime) => new Date(`${date}T${startTime}:00`).toISOString();
+
+export async function editSession(sessionId, { date, start_time, room, reason }) {
+  const { data, error } = await supabase.rpc('edit_session', {
+    p_session_id: sessionId, p_date: date, p_start_time: start_time, p_room: room, p_start_at: startAt(date, start_time), p_reason: reason,
+  });
+  return handle(data, error, 'editSession');
+}
+
+// A void session counts for nobody; voided false restores it
+export async function voidSession(sessionId, voided, reason) {
+  const { data, error } = await supabase.rpc('void_session', { p_session_id: sessionId, p_void: voided, p_reason: reason });
+  return handle(data, error, 'voidSession');
+}
+
+// Moves the duplicate's scans and overrides into keep and deletes the duplicate
+export async function mergeSessions(keep, duplicateId, reason) {
+  const { data, error } = await supabase.rpc('merge_sessions', {
+    p_keep_id: keep.id, p_merge_id: duplicateId, p_start_at: startAt(keep.date, keep.start_time), p_reason: reason,
+  });
+  return handle(data, error, 'mergeSessions');
+}
+
+export async function deleteSession(sessionId, reason) {
+  const { error } = await supabase.rpc('delete_session', { p_session_id: sessionId, p_reason: reason });
+  handle(null, error, 'deleteSession');
+}
+
 export async function getAllSessions() {
   const { data, error } = await supabase
     .from('sessions')
-    .select('*, scans(*)')
+    .select('*, scans(*), attendance_overrides(*)')
     .order('date', { ascending: false });
   return handle(data, error, 'getAllSessions');
 }
 
+// ─── CHECK-IN TOKENS ──────────────────────────────────────────────────────────
+// Tokens are signed and verified in the database (see supabase-schema.sql).
+
+export async function issueCheckinToken(sessionId) {
+  const { data, error } = await supabase.rpc('issue_checkin_token', { p_session_id: sessionId });
+  return handle(data, error, 'issueCheckinToken'); // { token, expires_at, rotate_seconds }
+}
+
+export async function checkCheckinToken(sessionId, token) {
+  const { data, error } = await supabase.rpc('check_checkin_token', { p_session_id: sessionId, p_token: token });
+  return handle(data, error, 'checkCheckinToken'); // 'ok' | 'expired' | 'invalid' | 'closed'
+}
+
 // ─── SCANS ────────────────────────────────────────────────────────────────────
 
-export async function recordScan({ session_id, student_no, surname_initials, status, minutes_late, lat, lng }) {
-  const { data, error } = await supabase
-    .from('scans')
-    .insert({ session_id, student_no, surname_initials, status, minutes_late, lat, lng })
-    .select().single();
+// Resolves to the scan row plus `already: true` if the student had checked in before.
+// The database decides present or late (and minutes_late) from the session's start.
+// Numbers not enrolled in the course resolve to a pending scan with `pending: true` instead.
+// Rejected tokens surface as errors with message 'checkin_token_expired' | 'checkin_token_invalid' | 'checkin_token_closed';
+// a closed check-in window as 'checkin_window_closed';
+// geofence rejections as 'checkin_out_of_range' (details = metres) | 'checkin_no_location'.
+// captured_at: when a scan queued offline was taken (see offline.js); omit for live scans.
+// The database only goes by it in sessions marked offline_checkins.
+export async function recordScan({ session_id, token, student_no, lat, lng, captured_at }) {
+  const { data, error } = await supabase.rpc('record_scan', {
+    p_session_id: session_id, p_token: token, p_student_no: student_no,
+    p_lat: lat, p_lng: lng, p_captured_at: captured_at || null,
+  });
   return handle(data, error, 'recordScan');
 }
 
+// Kiosk mode on the lecturer's device — no token or location; same result shape as recordScan.
+// Errors: 'session_closed' | 'checkin_window_closed'
+export async function recordKioskScan({ session_id, student_no }) {
+  const { data, error } = await supabase.rpc('record_kiosk_scan', { p_session_id: session_id, p_student_no: student_no });
+  return handle(data, error, 'recordKioskScan');
+}
+
+// The lecturer's verdict on a suspected proxy check-in (see proxy.js):
+// 'cleared' | 'proxy' (also marks the student absent) | null to undo. Resolves to the scan.
+export async function reviewScan(scanId, review, note = '') {
+  const { data, error } = await supabase.rpc('review_scan', { p_scan_id: scanId, p_review: review, p_note: note });
+  return handle(data, error, 'reviewScan');
+}
+
 export async function getScansForSession(sessionId) {
   const { data, error } = await supabase
     .from('scans')
@@ -206,31 +582,182 @@ export async function getScansForSession(sessionId) {
   return handle(data, error, 'getScansForSession');
 }
 
+// ─── PENDING SCANS (student number not enrolled) ──────────────────────────────
+
+export async function getPendingScans(sessionId) {
+  const { data, error } = await supabase
+    .from('pending_scans')
+    .select('*')
+    .eq('session_id', sessionId)
+    .order('scanned_at');
+  return handle(data, error, 'getPendingScans');
+}
+
+// Credits the scan to studentNo — enrolled already (a typo), or enrolled now as surnameInitials.
+// Resolves to the new scan, or null if that student had already checked in.
+export async function acceptPendingScan(id, studentNo, surnameInitials) {
+  const { data, error } = await supabase.rpc('accept_pending_scan', { p_id: id, p_student_no: studentNo, p_surname_initials: surnameInitials || '' });
+  return handle(data, error, 'acceptPendingScan');
+}
+
+export async function rejectPendingScan(id) {
+  const { error } = await supabase.rpc('reject_pending_scan', { p_id: id });
+  handle(null, error, 'rejectPendingScan');
+}
+
+// ─── ATTENDANCE OVERRIDES ─────────────────────────────────────────────────────
+// status: 'present' | 'late' | 'absent' | 'excused' | 'manual_present'. The author is recorded by the database.
+
+export async function setAttendanceOverride({ session_id, student_no, status, reason, evidence }) {
+  const { data, error } = await supabase.rpc('set_attendance_override', {
+    p_session_id: session_id, p_student_no: student_no, p_status: status, p_reason: reason, p_evidence: evidence || '',
+  });
+  return handle(data, error, 'setAttendanceOverride');
+}
+
+export async function clearAttendanceOverride(sessionId, studentNo) {
+  const { error } = await supabase.rpc('clear_attendance_override', { p_session_id: sessionId, p_student_no: studentNo });
+  handle(null, error, 'clearAttendanceOverride');
+}
+
+// ─── NOTIFICATIONS ────────────────────────────────────────────────────────────
+// Queued by the database when a session closes; delivered by notify.js.
+
+// The whole row, webhook_secret included — the admin's Notifications tab only
+export async function getNotificationSettings() {
+  const { data, error } = await supabase.from('notification_settings').select('*').eq('id', 1).maybeSingle();
+  return handle(data, error, 'getNotificationSettings');
+}
+
+// The settings notify.js delivers with — no webhook_secret, only has_webhook_secret
+export async function getNotificationDelivery() {
+  const { data, error } = await supabase.rpc('get_notification_delivery');
+  return handle(data, error, 'getNotificationDelivery');
+}
+
+// Hex HMAC-SHA256 of a webhook body, worked out by the database so the secret stays
+// there; null when no secret is set. id: the notification being delivered.
+export async function signWebhookBody(id, body) {
+  const { data, error } = await supabase.rpc('sign_webhook_body', { p_id: id, p_body: body });
+  return handle(data, error, 'signWebhookBody');
+}
+
+export async function updateNotificationSettings(fields) {
+  const { data, error } = await supabase
+    .from('notification_settings')
+    .update({ ...fields, updated_at: new Date().toISOString() })
+    .eq('id', 1).select().single();
+  return handle(data, error, 'updateNotificationSettings');
+}
+
+export async function getNotificationTemplates() {
+  const { data, error } = await supabase.from('notification_templates').select('*').order('kind').order('channel');
+  return handle(data, error, 'getNotificationTemplates');
+}
+
+export async function saveNotificationTemplate({ kind, channel, subject, body }) {
+  const { data, error } = await supabase
+    .from('notification_templates')
+    .upsert({ kind, channel, subject, body, updated_at: new Date().toISOString() })
+    .select().single();
+  return handle(data, error, 'saveNotificationTemplate');
+}
+
+// Newest first; courseId / studentNo / status narrow the list
+export async function getNotifications({ courseId, studentNo, status, limit = 200 } = {}) {
+  const query = supabase.from('notifications').select('*, courses(code)').order('created_at', { ascending: false }).limit(limit);
+  if (courseId) query.eq('course_id', courseId);
+  if (studentNo) query.eq('student_no', studentNo);
+  if (status) query.eq('status', status);
+  const { data, error } = await query;
+  return handle(data, error, 'getNotifications');
+}
+
+export async function claimNotifications(limit = 20) {
+  const { data, error } = await supabase.rpc('claim_notifications', { p_limit: limit });
+  return handle(data, error, 'claimNotifications');
+}
+
+export async function finishNotification(id, { ok, subject, body, transport, error: sendError }) {
+  const { error } = await supabase.rpc('finish_notification', {
+    p_id: id, p_ok: ok, p_subject: subject, p_body: body, p_transport: transport, p_error: sendError || null,
+  });
+  handle(null, error, 'finishNotification');
+}
+
+export async function retryNotification(id) {
+  const { data, error } = await supabase.rpc('retry_notification', { p_id: id });
+  return handle(data, error, 'retryNotification');
+}
+
+// ─── AUDIT LOG ────────────────────────────────────────────────────────────────
+// Append-only; the database writes it (see "Audit trail" in supabase-schema.sql).
+// Newest first. entity 'session' + entityId gives one session's history.
+// search matches the actor, action, entity id (which ends in the student number
+// for scans, overrides and enrolments), reason and device; from / to are dates.
+
+export async function getAuditLog({ entity, entityId, courseId, actorRole, search, from, to, limit = 200 } = {}) {
+  const query = supabase.from('audit_log').select('*').order('at', { ascending: false }).limit(limit);
+  if (entity) query.eq('entity', entity);
+  if (entityId) query.eq('entity_id', entityId);
+  if (courseId) query.eq('course_id', courseId);
+  if (actorRole) query.eq('actor_role', actorRole);
+  if (from) query.gte('at', new Date(`${from}T00:00:00`).toISOString());
+  if (to) { const end = new Date(`${to}T00:00:00`); end.setDate(end.getDate() + 1); query.lt('at', end.toISOString()); }
+  const term = (search || '').replace(/[,()*%]/g, ' ').trim();
+  if (term) query.or(['actor', 'actor_name', 'action', 'entity_id', 'course_id', 'reason', 'device'].map(c => `${c}.ilike.*${term}*`).join(','));
+  const { data, error } = await query;
+  return handle(data, error, 'getAuditLog');
+}
+
 // ─── LIVE SUBSCRIPTION ────────────────────────────────────────────────────────
-// Real-time listener for new scans during a live session
-
-export function subscribeToScans(sessionId, onNewScan) {
-  const channel = supabase
-    .channel(`scans:${sessionId}`)
-    .on('postgres_changes', {
-      event: 'INSERT',
-      schema: 'public',
-      table: 'scans',
-      filter: `session_id=eq.${sessionId}`,
-    }, payload => onNewScan(payload.new))
-    .subscribe();
-  return () => supabase.removeChannel(channel);
-}
-
-export function subscribeToSession(sessionId, onChange) {
-  const channel = supabase
-    .channel(`session:${sessionId}`)
-    .on('postgres_changes', {
-      event: 'UPDATE',
-      schema: 'public',
-      table: 'sessions',
-      filter: `id=eq.${sessionId}`,
-    }, payload => onChange(payload.new))
-    .subscribe();
-  return () => supabase.removeChannel(channel);
+// Supabase Realtime filters postgres_changes by the JWT only and never sees our
+// x-session-token header, so with RLS on it would deliver nothing. Live views
+// poll instead; the returned function stops polling.
+
+export function subscribeToScans(sessionId, onNewScan, intervalMs = 3000) {
+  const seen = new Set();
+  const poll = async () => {
+    try {
+      const scans = await getScansForSession(sessionId);
+      scans.slice().reverse().forEach(sc => {
+        if (!seen.has(sc.id)) { seen.add(sc.id); onNewScan(sc); }
+      });
+    } catch (e) { console.warn('Scan poll failed', e.message); }
+  };
+  poll();
+  const t = setInterval(poll, intervalMs);
+  return () => clearInterval(t);
+}
+
+// Calls onChange with the full pending list whenever it changes
+export function subscribeToPendingScans(sessionId, onChange, intervalMs = 3000) {
+  let last = null;
+  const poll = async () => {
+    try {
+      const pending = await getPendingScans(sessionId);
+      const snapshot = JSON.stringify(pending.map(p => p.id));
+      if (snapshot !== last) onChange(pending);
+      last = snapshot;
+    } catch (e) { console.warn('Pending scan poll failed', e.message); }
+  };
+  poll();
+  const t = setInterval(poll, intervalMs);
+  return () => clearInterval(t);
+}
+
+export function subscribeToSession(sessionId, onChange, intervalMs = 5000) {
+  let last = null;
+  const poll = async () => {
+    try {
+      const { data, error } = await supabase.from('sessions').select('*').eq('id', sessionId).maybeSingle();
+      if (error || !data) return;
+      const snapshot = JSON.stringify(data);
+      if (last !== null && snapshot !== last) onChange(data);
+      last = snapshot;
+    } catch (e) { console.warn('Session poll failed', e.message); }
+  };
+  poll();
+  const t = setInterval(poll, intervalMs);
+  return () => clearInterval(t);
 }
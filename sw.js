@@ -0,0 +1,65 @@
+// ─── sw.js — service worker: lets the check-in page open without a signal ────
+// Served from the site root (public/ in the build). The app shell and its
+// hashed /static bundles are cached; database requests always go to the
+// network — scans made offline are queued by offline.js instead.
+/* eslint-disable no-restricted-globals */
+
+const CACHE = 'attendance-register-v1';
+const SHELL = ['/', '/index.html', '/manifest.json', '/icon.svg'];
+
+// Precache the shell plus the bundles index.html points at, so one visit is enough
+self.addEventListener('install', (event) => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(CACHE);
+    const html = await (await fetch('/index.html', { cache: 'no-cache' })).text();
+    const assets = [...html.matchAll(/(?:src|href)="(\/static\/[^"]+)"/g)].map(m => m[1]);
+    await cache.addAll([...SHELL, ...assets]);
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const keys = await caches.keys();
+    await Promise.all(keys.filter(k => k !== CACHE).map(k => caches.delete(k)));
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+
+  // Responses are cloned before anything else reads them: by the time caches.open()
+  // resolves, the page may already have consumed the body.
+
+  // Pages (including /?session=…&t=…): network first, cached shell when offline
+  if (request.mode === 'navigate') {
+    event.respondWith(fetch(request).then(res => {
+      if (res.ok) { const copy = res.clone(); caches.open(CACHE).then(c => c.put('/index.html', copy)); }
+      return res;
+    }).catch(() => caches.match('/index.html')));
+    return;
+  }
+
+  // Hashed bundles never change: cache first
+  if (url.origin === self.location.origin && url.pathname.startsWith('/static/')) {
+    event.respondWith(caches.match(request).then(hit => hit || fetch(request).then(res => {
+      if (res.ok) { const copy = res.clone(); caches.open(CACHE).then(c => c.put(request, copy)); }
+      return res;
+    })));
+    return;
+  }
+
+  // Fonts and the other shell files: cached copy straight away, refreshed in the background
+  if (url.hostname.endsWith('fonts.googleapis.com') || url.hostname.endsWith('fonts.gstatic.com') || SHELL.includes(url.pathname)) {
+    event.respondWith(caches.match(request).then(hit => {
+      const fresh = fetch(request).then(res => {
+        if (res.ok || res.type === 'opaque') { const copy = res.clone(); caches.open(CACHE).then(c => c.put(request, copy)); }
+        return res;
+      }).catch(() => hit);
+      return hit || fresh;
+    }));
+  }
+});